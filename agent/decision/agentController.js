@@ -10,6 +10,8 @@ import FeedbackIntegrator from '../feedback/feedbackIntegrator.js';
 import ErrorRecoverySystem from '../feedback/errorRecoverySystem.js';
 import AutonomousOperationManager from '../interaction/autonomousOperationManager.js';
 import HumanInteractionManager from '../interaction/humanInteractionManager.js';
+import { formatSchemaErrors } from '../../tools/base/parameterSchema.js';
+import { mapWithConcurrency } from '../../utils/concurrency.js';
 
 class AgentController {
   constructor() {
@@ -21,6 +23,14 @@ class AgentController {
     this.autonomousOperationManager = new AutonomousOperationManager();
     this.humanInteractionManager = new HumanInteractionManager();
     this.isRunning = false;
+    // LLM round-trips allowed to fix tool arguments that aren't valid JSON or fail schema validation
+    this.maxToolRepairAttempts = 1;
+    // Times a plan_and_execute run may rewrite its plan before giving up
+    this.maxPlanRevisions = 2;
+    // Signal of the current run; aborting it stops the loop and the LLM and tool calls in flight
+    this.abortSignal = null;
+    // Earlier chat turns (ConversationContext) for follow-up questions; kept across resumes
+    this.conversationContext = null;
   }
 
   /**
@@ -38,17 +48,24 @@ class AgentController {
   /**
    * Main agent processing loop - LLM-driven decision making
    * @param {string} userQuery - The user's query to process
-   * @param {Object} config - Configuration options
+   * @param {Object} config - Configuration options; config.signal cancels the run and
+   *   config.conversationContext (ConversationContext) carries earlier chat turns
    * @returns {Promise<AgentResponse>} - Complete agent response
    */
   async processQuery(userQuery, config = {}) {
     try {
       // Initialize agent for this query
+      this.abortSignal = config.signal || null;
+      this.conversationContext = config.conversationContext || null;
       this.initializeAgent(userQuery, config);
       this.isRunning = true;
 
       console.log(`Agent starting to process query: "${userQuery}"`);
 
+      if (this.agentState.getState().strategy === 'plan_and_execute') {
+        return await this.processPlanAndExecute();
+      }
+
       // Main agent loop - continue until stopping condition met
       while (this.shouldContinueLoop()) {
         this.agentState.incrementIteration();
@@ -69,6 +86,10 @@ class AgentController {
         const reasoning = await this.generateReasoning(feedbackContext);
         this.agentState.addReasoning(reasoning);
 
+        if (this.isCancelled()) {
+          break;
+        }
+
         // Step 4: Check for autonomous operation decision
         const autonomousDecision = this.autonomousOperationManager.shouldContinueAutonomously(
           this.agentState.getState(), 
@@ -161,7 +182,7 @@ class AgentController {
         }
 
         // Step 8: If continuing, plan next action based on environmental feedback and recovery plan
-        const plannedAction = this.planNextAction(reasoning, feedbackContext);
+        const plannedAction = await this.planNextAction(reasoning, feedbackContext);
         this.agentState.addAction(plannedAction);
 
         // Step 9: Execute tool if action is a tool call
@@ -174,6 +195,8 @@ class AgentController {
         const observation = this.createEnvironmentalObservation(reasoning, plannedAction, feedbackContext, toolExecutionResult);
         this.agentState.addObservation(observation);
 
+        this.addToolErrorObservations(toolExecutionResult);
+
         // Step 10: Update confidence based on environmental feedback and error recovery
         this.updateConfidenceFromFeedback(feedbackContext);
 
@@ -192,18 +215,21 @@ class AgentController {
 
       // Finalize agent state
       this.isRunning = false;
-      const finalState = this.agentState.getState();
-      
-      if (finalState.status === 'processing') {
-        this.agentState.updateStatus('max_iterations_reached');
-      }
+      this.finalizeLoopStatus();
 
       // Generate final response
       return this.generateFinalResponse();
 
     } catch (error) {
-      console.error('Agent processing error:', error);
       this.isRunning = false;
+
+      // A cancelled LLM or tool call can surface as a failure; report the cancellation instead
+      if (this.isCancelled()) {
+        this.finalizeLoopStatus();
+        return this.generateFinalResponse();
+      }
+
+      console.error('Agent processing error:', error);
       this.agentState.addError(error, { phase: 'main_loop' });
       this.agentState.updateStatus('error', error.message);
       
@@ -222,7 +248,8 @@ class AgentController {
         },
         agentMode: true,
         iterations: currentState.currentIteration,
-        strategy: currentState.strategy
+        strategy: currentState.strategy,
+        plan: currentState.plan
       };
     }
   }
@@ -323,18 +350,35 @@ class AgentController {
    */
   shouldContinueLoop() {
     if (!this.isRunning) return false;
+    if (this.isCancelled()) return false;
     return this.agentState.shouldContinue();
   }
 
+  /**
+   * Check whether the current run's signal has aborted
+   * @returns {boolean} - Whether the run was cancelled
+   */
+  isCancelled() {
+    return Boolean(this.abortSignal?.aborted);
+  }
+
 
 
+  /**
+   * Earlier chat turns as plain text for planning prompts
+   * @returns {string} - Transcript, empty when the query has no history
+   */
+  getConversationTranscript() {
+    return this.conversationContext ? this.conversationContext.toTranscript() : '';
+  }
+
   /**
    * Plan next action based on reasoning and environmental feedback
    * @param {string} reasoning - Current reasoning
    * @param {Object} feedbackContext - Environmental feedback context
-   * @returns {Object} - Planned action
+   * @returns {Promise<Object>} - Planned action
    */
-  planNextAction(reasoning, feedbackContext) {
+  async planNextAction(reasoning, feedbackContext) {
     const currentState = this.agentState.getState();
     
     // Prioritize error recovery actions if available
@@ -355,8 +399,8 @@ class AgentController {
     
     // If we have tool execution capabilities, try to select a tool
     if (this.enhancedAIService && this.toolManager) {
-      // Use enhanced AI service to determine if we should use a tool
-      const toolSelectionAction = this.planToolAction(reasoning, currentState);
+      // Ask the LLM whether a tool should run next, and with which arguments
+      const toolSelectionAction = await this.planToolAction(reasoning, currentState);
       if (toolSelectionAction) {
         return toolSelectionAction;
       }
@@ -383,136 +427,109 @@ class AgentController {
   }
 
   /**
-   * Plan tool action based on reasoning
+   * Plan tool action by asking the LLM which tool to call and with what arguments
+   * Arguments are validated against the tool's parameter schema; invalid ones are sent back
+   * to the LLM with the validation errors for repair
    * @param {string} reasoning - Current reasoning
    * @param {Object} currentState - Current agent state
-   * @returns {Object|null} - Tool action or null
+   * @returns {Promise<Object|null>} - Tool action, or null when no tool should run
    */
-  planToolAction(reasoning, currentState) {
-    const query = currentState.originalQuery.toLowerCase();
-    
-    // Simple tool selection logic based on query content
-    if (query.includes('weather') || query.includes('temperature') || query.includes('forecast')) {
-      return {
-        type: 'tool_call',
-        toolName: 'weather-service',
-        parameters: this.extractWeatherParameters(query),
-        description: 'Get weather information',
-        reasoning: reasoning.substring(0, 200) + '...',
-        iteration: currentState.currentIteration
-      };
-    }
-    
-    if (query.includes('area') && (query.includes('triangle') || query.includes('rectangle') || query.includes('circle'))) {
-      return {
-        type: 'tool_call',
-        toolName: 'area-calculator',
-        parameters: this.extractAreaParameters(query),
-        description: 'Calculate geometric area',
-        reasoning: reasoning.substring(0, 200) + '...',
-        iteration: currentState.currentIteration
-      };
+  async planToolAction(reasoning, currentState) {
+    const query = currentState.originalQuery;
+    const selection = await this.enhancedAIService.generateToolSelection(reasoning, query, {
+      actions: currentState.actions,
+      nativeTools: false,
+      signal: this.abortSignal
+    });
+
+    if (!selection.success || selection.actionType !== 'tool_call' || !selection.selectedTool) {
+      console.log(`No tool selected: ${selection.error?.message || selection.reasoning || 'no usable selection'}`);
+      return null;
     }
-    
-    if (query.includes('percentage') || query.includes('percent') || query.includes('%')) {
-      return {
-        type: 'tool_call',
-        toolName: 'percentage-calculator',
-        parameters: this.extractPercentageParameters(query),
-        description: 'Calculate percentage',
-        reasoning: reasoning.substring(0, 200) + '...',
-        iteration: currentState.currentIteration
-      };
+
+    let toolName = selection.selectedTool;
+    let parameters = selection.parameters || {};
+    // Arguments that weren't valid JSON are repaired the same way as ones that fail the schema
+    let validationErrors = selection.argumentErrors || this.validateToolArguments(toolName, parameters);
+    let repairAttempts = 0;
+
+    while (validationErrors.length > 0 && repairAttempts < this.maxToolRepairAttempts) {
+      repairAttempts++;
+      console.log(`Invalid arguments for ${toolName}, requesting repair (${repairAttempts}/${this.maxToolRepairAttempts}): ${validationErrors.join('; ')}`);
+
+      const repair = await this.enhancedAIService.repairToolSelection({ toolName, parameters }, validationErrors, query, {
+        signal: this.abortSignal
+      });
+      if (!repair.success || repair.actionType !== 'tool_call' || !repair.selectedTool) {
+        break;
+      }
+
+      toolName = repair.selectedTool;
+      parameters = repair.parameters || {};
+      validationErrors = this.validateToolArguments(toolName, parameters);
     }
-    
-    if (query.includes('flight') || query.includes('flights')) {
-      return {
-        type: 'tool_call',
-        toolName: 'flight-service',
-        parameters: this.extractFlightParameters(query),
-        description: 'Search for flights',
-        reasoning: reasoning.substring(0, 200) + '...',
-        iteration: currentState.currentIteration
-      };
+
+    if (validationErrors.length > 0) {
+      this.recordInvalidToolArguments(toolName, parameters, validationErrors);
+      return null;
     }
-    
-    return null;
-  }
 
-  /**
-   * Extract weather parameters from query
-   * @param {string} query - User query
-   * @returns {Object} - Weather parameters
-   */
-  extractWeatherParameters(query) {
-    // Simple parameter extraction - in a full implementation, this would use NLP
-    const locationMatch = query.match(/weather in ([^?]+)/i) || query.match(/weather for ([^?]+)/i);
-    const location = locationMatch ? locationMatch[1].trim() : 'New York';
-    
     return {
-      location: location,
-      units: 'celsius',
-      include_forecast: false
+      type: 'tool_call',
+      toolName,
+      parameters,
+      description: `Use ${toolName}`,
+      reasoning: (selection.reasoning || reasoning).substring(0, 200) + '...',
+      iteration: currentState.currentIteration,
+      selectionConfidence: selection.confidence,
+      repairAttempts
     };
   }
 
   /**
-   * Extract area calculation parameters from query
-   * @param {string} query - User query
-   * @returns {Object} - Area parameters
+   * Validate LLM-chosen tool arguments against the tool's parameter schema
+   * @param {string} toolName - Selected tool
+   * @param {Object} parameters - Selected arguments
+   * @returns {string[]} - Validation messages, empty when the call can run
    */
-  extractAreaParameters(query) {
-    const params = { shape: 'triangle' };
-    
-    if (query.includes('triangle')) {
-      params.shape = 'triangle';
-      // Look for dimensions
-      const sideMatch = query.match(/side length of (\d+(?:\.\d+)?)/i);
-      if (sideMatch) {
-        const side = parseFloat(sideMatch[1]);
-        params.base = side;
-        params.height = side * Math.sqrt(3) / 2; // For equilateral triangle
-      } else {
-        params.base = 5;
-        params.height = 4;
-      }
-    } else if (query.includes('rectangle')) {
-      params.shape = 'rectangle';
-      params.width = 5;
-      params.height = 3;
-    } else if (query.includes('circle')) {
-      params.shape = 'circle';
-      params.radius = 3;
+  validateToolArguments(toolName, parameters) {
+    const tool = this.toolManager.toolRegistry.getTool(toolName);
+    if (!tool) {
+      return [`Unknown tool '${toolName}'`];
     }
-    
-    return params;
-  }
 
-  /**
-   * Extract percentage parameters from query
-   * @param {string} query - User query
-   * @returns {Object} - Percentage parameters
-   */
-  extractPercentageParameters(query) {
-    return {
-      operation: 'what_percentage',
-      value: 25,
-      total: 100
-    };
+    const validation = typeof tool.validateParameters === 'function'
+      ? tool.validateParameters(parameters)
+      : { valid: tool.validate(parameters), errors: [] };
+
+    if (validation.valid) {
+      return [];
+    }
+
+    return validation.errors.length > 0
+      ? validation.errors.map(error => formatSchemaErrors([error]))
+      : ['Parameters were rejected by the tool'];
   }
 
   /**
-   * Extract flight parameters from query
-   * @param {string} query - User query
-   * @returns {Object} - Flight parameters
+   * Record tool arguments that are still invalid after repair, so error recovery sees a validation failure
+   * @param {string} toolName - Selected tool
+   * @param {Object} parameters - Rejected arguments
+   * @param {string[]} validationErrors - Validation messages
    */
-  extractFlightParameters(query) {
-    return {
-      from: 'NYC',
-      to: 'LAX',
-      date: '2024-12-15',
-      passengers: 1
-    };
+  recordInvalidToolArguments(toolName, parameters, validationErrors) {
+    console.warn(`Dropping ${toolName} call with invalid arguments: ${validationErrors.join('; ')}`);
+
+    const error = new Error(`Invalid arguments for ${toolName}: ${validationErrors.join('; ')}`);
+    error.name = 'ValidationError';
+
+    const observation = this.observationGenerator.createErrorObservation(error, 'tool selection', {
+      parameters,
+      validationErrors
+    });
+    observation.toolName = toolName;
+
+    this.agentState.addObservation(observation);
   }
 
   /**
@@ -534,7 +551,7 @@ class AgentController {
       const result = await this.toolManager.executeToolWithObservations(
         action.toolName,
         action.parameters,
-        { timeout: 10000 }
+        { timeout: 10000, signal: this.abortSignal }
       );
 
       console.log(`Tool execution result:`, result.success ? 'Success' : 'Failed');
@@ -552,6 +569,272 @@ class AgentController {
     }
   }
 
+  /**
+   * Add the error observations of a failed tool call, for error recovery on the next iteration
+   * @param {Object|null} toolExecutionResult - Result from executeToolAction
+   */
+  addToolErrorObservations(toolExecutionResult) {
+    if (!toolExecutionResult || toolExecutionResult.success) {
+      return;
+    }
+
+    (toolExecutionResult.observations || [])
+      .filter(toolObservation => toolObservation.type === 'error')
+      .forEach(toolObservation => this.agentState.addObservation(toolObservation));
+  }
+
+  /**
+   * Plan-and-execute loop: ask the LLM for a plan up front, then run its steps as their
+   * dependencies finish. Each iteration runs every ready step, overlapping them up to the service's
+   * maxParallelToolCalls. A failed step or a step that comes back empty contradicts the plan and
+   * triggers a replan.
+   * The plan, not the heuristic stopping conditions, decides when the run is complete.
+   * @returns {Promise<Object>} - Final agent response
+   */
+  async processPlanAndExecute() {
+    if (!this.enhancedAIService || !this.toolManager) {
+      throw new Error('The plan_and_execute strategy needs tool execution capabilities');
+    }
+
+    const userQuery = this.agentState.getState().originalQuery;
+    const planResult = await this.enhancedAIService.generatePlan(userQuery, {
+      transcript: this.getConversationTranscript(),
+      signal: this.abortSignal
+    });
+    this.agentState.updateMetrics('llmCalls');
+
+    if (!planResult.success || planResult.plan.steps.length === 0) {
+      throw new Error(`Could not create a plan: ${planResult.error?.message || 'the response had no steps'}`);
+    }
+
+    this.agentState.setPlan(planResult.plan);
+    this.agentState.addReasoning(
+      `I will follow this plan:\n${this.describePlanSteps(planResult.plan.steps)}`,
+      { source: 'plan' }
+    );
+
+    while (this.shouldContinueLoop()) {
+      this.agentState.incrementIteration();
+      const currentState = this.agentState.getState();
+      const readySteps = this.agentState.getReadyPlanSteps();
+
+      if (readySteps.length === 0) {
+        this.agentState.failPlan('No remaining step can run');
+        break;
+      }
+
+      console.log(`Agent iteration ${currentState.currentIteration}/${currentState.maxIterations}: running plan step(s) ${readySteps.map(step => step.id).join(', ')}`);
+
+      const outcomes = await mapWithConcurrency(
+        readySteps,
+        this.enhancedAIService.maxParallelToolCalls,
+        step => this.executePlanStep(step),
+        { isExclusive: step => Boolean(step.toolName) && !this.enhancedAIService.isParallelSafeTool(step.toolName) }
+      );
+      const contradictions = outcomes.filter(outcome => outcome.contradiction).map(outcome => outcome.contradiction);
+
+      // Steps cut short by a cancel are not evidence against the plan
+      if (this.isCancelled()) {
+        break;
+      }
+
+      if (contradictions.length > 0) {
+        await this.replan(contradictions.join('; '));
+      }
+
+      const plan = this.agentState.getState().plan;
+      const progress = this.agentState.getPlanProgress();
+      this.agentState.updateConfidence(0.3 + 0.6 * (progress.completedSteps / Math.max(1, progress.totalSteps)));
+
+      if (plan.status === 'completed') {
+        this.agentState.addReasoning(
+          `All ${progress.completedSteps} plan steps are done. ${plan.expectedOutcome}`.trim(),
+          { source: 'plan' }
+        );
+        this.agentState.updateStatus('completed', 'plan_completed');
+      } else if (plan.status === 'failed') {
+        this.agentState.addReasoning(`I could not complete the plan: ${plan.failureReason}`, { source: 'plan' });
+        this.agentState.updateStatus('error', `plan failed: ${plan.failureReason}`);
+      }
+    }
+
+    this.isRunning = false;
+    this.finalizeLoopStatus();
+
+    return this.generateFinalResponse();
+  }
+
+  /**
+   * Run one plan step and record its outcome on the plan
+   * @param {Object} step - Ready plan step
+   * @returns {Promise<Object>} - { step, contradiction } where contradiction explains why the plan no longer holds
+   */
+  async executePlanStep(step) {
+    this.agentState.updatePlanStep(step.id, { status: 'running' });
+
+    if (!step.toolName) {
+      this.agentState.addAction({
+        type: 'reasoning',
+        description: step.description,
+        planStepId: step.id
+      });
+      this.agentState.updatePlanStep(step.id, { status: 'done' });
+      return { step };
+    }
+
+    const action = await this.planStepToolAction(step);
+    if (!action) {
+      const error = `No valid ${step.toolName} call could be made`;
+      this.agentState.updatePlanStep(step.id, { status: 'failed', error });
+      return { step, contradiction: `Step ${step.id} (${step.description}): ${error}` };
+    }
+
+    this.agentState.addAction(action);
+    const toolExecutionResult = await this.executeToolAction(action);
+
+    const observation = this.createEnvironmentalObservation(action.reasoning, action, {}, toolExecutionResult);
+    observation.planStepId = step.id;
+    this.agentState.addObservation(observation);
+    this.addToolErrorObservations(toolExecutionResult);
+
+    if (!toolExecutionResult.success) {
+      const error = toolExecutionResult.error || toolExecutionResult.executionResult?.message || 'Tool execution failed';
+      this.agentState.updatePlanStep(step.id, { status: 'failed', error });
+      return { step, contradiction: `Step ${step.id} (${action.toolName}) failed: ${error}` };
+    }
+
+    const data = toolExecutionResult.executionResult?.toolResult?.data;
+    if (this.isEmptyToolData(data)) {
+      const error = 'Returned no results';
+      this.agentState.updatePlanStep(step.id, { status: 'failed', result: data, error });
+      return { step, contradiction: `Step ${step.id} (${action.toolName}) returned no results for ${JSON.stringify(action.parameters)}` };
+    }
+
+    this.agentState.updatePlanStep(step.id, { status: 'done', result: data });
+    return { step };
+  }
+
+  /**
+   * Turn a plan step into a tool call
+   * Parameters written into the plan are used as-is when they validate; otherwise the LLM
+   * picks them, seeing the results of the steps completed so far
+   * @param {Object} step - Plan step with a tool
+   * @returns {Promise<Object|null>} - Tool action, or null when no valid call could be made
+   */
+  async planStepToolAction(step) {
+    const currentState = this.agentState.getState();
+    const plannedArgumentsValid = Object.keys(step.parameters).length > 0 &&
+      this.validateToolArguments(step.toolName, step.parameters).length === 0;
+
+    const action = plannedArgumentsValid
+      ? {
+        type: 'tool_call',
+        toolName: step.toolName,
+        parameters: step.parameters,
+        description: `Use ${step.toolName}`,
+        reasoning: `Plan step ${step.id}: ${step.description}`,
+        iteration: currentState.currentIteration,
+        repairAttempts: 0
+      }
+      : await this.planToolAction(this.describePlanStepContext(step, currentState.plan), currentState);
+
+    if (!action) {
+      return null;
+    }
+
+    return { ...action, description: step.description, planStepId: step.id };
+  }
+
+  /**
+   * Describe a plan step and the results it can build on, as reasoning for tool selection
+   * @param {Object} step - Plan step
+   * @param {Object} plan - Current plan
+   * @returns {string} - Reasoning text
+   */
+  describePlanStepContext(step, plan) {
+    const completed = plan.steps
+      .filter(planStep => planStep.status === 'done' && planStep.result !== undefined)
+      .map(planStep => `- Step ${planStep.id} (${planStep.description}): ${JSON.stringify(planStep.result).substring(0, 300)}`);
+
+    let reasoning = `I am executing step ${step.id} of my plan: ${step.description}. The plan calls for ${step.toolName}`;
+    if (Object.keys(step.parameters).length > 0) {
+      reasoning += ` with parameters like ${JSON.stringify(step.parameters)}`;
+    }
+    reasoning += '.';
+
+    if (completed.length > 0) {
+      reasoning += `\n\nResults of completed steps:\n${completed.join('\n')}`;
+    }
+
+    return reasoning;
+  }
+
+  /**
+   * Ask the LLM for a revised plan after an observation contradicted the current one
+   * @param {string} reason - What contradicted the plan
+   * @returns {Promise<boolean>} - Whether the plan was revised (false means it was abandoned)
+   */
+  async replan(reason) {
+    const currentState = this.agentState.getState();
+
+    if (currentState.plan.revision >= this.maxPlanRevisions) {
+      this.agentState.failPlan(`${reason} (gave up after ${currentState.plan.revision} revisions)`);
+      return false;
+    }
+
+    console.log(`Replanning: ${reason}`);
+    const planResult = await this.enhancedAIService.generatePlan(currentState.originalQuery, {
+      plan: currentState.plan,
+      reason,
+      transcript: this.getConversationTranscript(),
+      signal: this.abortSignal
+    });
+    this.agentState.updateMetrics('llmCalls');
+
+    if (!planResult.success || planResult.plan.steps.length === 0) {
+      this.agentState.failPlan(`${reason} (replanning failed: ${planResult.error?.message || 'the response had no steps'})`);
+      return false;
+    }
+
+    this.agentState.revisePlan(planResult.plan, reason);
+    this.agentState.addReasoning(
+      `I revised my plan because ${reason}. Remaining steps:\n${this.describePlanSteps(this.agentState.getState().plan.steps.filter(step => step.status === 'pending'))}`,
+      { source: 'plan' }
+    );
+
+    return true;
+  }
+
+  /**
+   * Format plan steps as a numbered list
+   * @param {Array<Object>} steps - Plan steps
+   * @returns {string} - One line per step
+   */
+  describePlanSteps(steps) {
+    return steps.map(step => {
+      const tool = step.toolName ? ` [${step.toolName}]` : '';
+      const after = step.dependsOn.length > 0 ? ` (after ${step.dependsOn.join(', ')})` : '';
+      return `${step.id}. ${step.description}${tool}${after}`;
+    }).join('\n');
+  }
+
+  /**
+   * Check whether a successful tool result carried nothing to work with
+   * Objects count as empty when they have no fields, or when every list in them is empty
+   * (e.g. a flight search with no flights)
+   * @param {*} data - Tool result data
+   * @returns {boolean} - Whether the data is empty
+   */
+  isEmptyToolData(data) {
+    if (data === null || data === undefined) return true;
+    if (Array.isArray(data)) return data.length === 0;
+    if (typeof data !== 'object') return false;
+
+    const values = Object.values(data);
+    const lists = values.filter(Array.isArray);
+    return values.length === 0 || (lists.length > 0 && lists.every(list => list.length === 0));
+  }
+
   /**
    * Create environmental observation with ground truth feedback
    * @param {string} reasoning - Current reasoning
@@ -567,13 +850,15 @@ class AgentController {
     
     // Add tool execution information if available
     if (toolExecutionResult && action.type === 'tool_call') {
+      const toolResult = toolExecutionResult.executionResult?.toolResult;
       if (toolExecutionResult.success) {
         observationContent += `\nTool execution successful: ${action.toolName}`;
-        if (toolExecutionResult.result && toolExecutionResult.result.data) {
-          observationContent += `\nTool result: ${JSON.stringify(toolExecutionResult.result.data).substring(0, 200)}`;
+        if (toolResult && toolResult.data) {
+          observationContent += `\nTool result: ${JSON.stringify(toolResult.data).substring(0, 200)}`;
         }
       } else {
-        observationContent += `\nTool execution failed: ${action.toolName} - ${toolExecutionResult.error}`;
+        const failure = toolExecutionResult.error || toolExecutionResult.executionResult?.message;
+        observationContent += `\nTool execution failed: ${action.toolName} - ${failure}`;
       }
     }
     
@@ -586,7 +871,7 @@ class AgentController {
         toolExecution: toolExecutionResult ? {
           toolName: action.toolName,
           success: toolExecutionResult.success,
-          hasResult: !!toolExecutionResult.result
+          hasResult: !!toolExecutionResult.executionResult?.toolResult
         } : null,
         environmentalFeedback: {
           observationsProcessed: feedbackContext.feedbackSummary?.totalObservations || 0,
@@ -677,7 +962,9 @@ class AgentController {
       strategy: currentState.strategy,
       executionTime: currentState.executionTime,
       status: currentState.status,
-      sessionId: currentState.sessionId
+      sessionId: currentState.sessionId,
+      plan: currentState.plan,
+      planProgress: this.agentState.getPlanProgress()
     };
   }
 
@@ -689,30 +976,28 @@ class AgentController {
     const currentState = this.agentState.getState();
     
     if (currentState.reasoning.length === 0) {
-      return "I wasn't able to generate a complete analysis for your query.";
+      return currentState.status === 'cancelled'
+        ? 'The run was cancelled before I started working on your query.'
+        : "I wasn't able to generate a complete analysis for your query.";
     }
 
     // Look for tool execution results in observations
-    const toolResults = currentState.observations
-      .filter(obs => obs.data && obs.data.toolExecution && obs.data.toolExecution.success)
-      .map(obs => obs.data.toolExecution);
+    const toolObservations = currentState.observations
+      .filter(obs => obs.data && obs.data.toolExecution && obs.data.toolExecution.success);
 
-    let answer = `Based on my analysis of "${currentState.originalQuery}":`;
+    let answer = currentState.status === 'cancelled'
+      ? `I stopped working on "${currentState.originalQuery}" because the run was cancelled.`
+      : `Based on my analysis of "${currentState.originalQuery}":`;
     
     // Include tool results if available
-    if (toolResults.length > 0) {
+    if (toolObservations.length > 0) {
       answer += '\n\nResults from tool execution:';
-      toolResults.forEach((toolResult, index) => {
-        answer += `\n${index + 1}. ${toolResult.toolName}: `;
-        // Extract meaningful result from the observation content
-        const observation = currentState.observations.find(obs => 
-          obs.data && obs.data.toolExecution && obs.data.toolExecution.toolName === toolResult.toolName
-        );
-        if (observation && observation.content.includes('Tool result:')) {
-          const resultMatch = observation.content.match(/Tool result: (.+)/);
-          if (resultMatch) {
-            answer += resultMatch[1];
-          }
+      toolObservations.forEach((observation, index) => {
+        answer += `\n${index + 1}. ${observation.data.toolExecution.toolName}: `;
+        // Extract meaningful result from the observation content (the same tool may have run more than once)
+        const resultMatch = observation.content.match(/Tool result: (.+)/);
+        if (resultMatch) {
+          answer += resultMatch[1];
         }
       });
     }
@@ -1079,10 +1364,13 @@ class AgentController {
    * Resume agent operation after human input
    * @param {string} checkpointId - Checkpoint ID to resolve
    * @param {Object} humanInput - Human input/guidance
+   * @param {Object} options - { signal } to cancel the resumed run
    * @returns {Promise<Object>} - Continued processing result
    */
-  async resumeAfterHumanInput(checkpointId, humanInput = {}) {
+  async resumeAfterHumanInput(checkpointId, humanInput = {}, options = {}) {
     try {
+      this.abortSignal = options.signal || null;
+
       // Resolve the checkpoint
       this.humanInteractionManager.resolveCheckpoint(checkpointId, humanInput);
       this.agentState.resolveHumanCheckpoint(humanInput);
@@ -1093,6 +1381,18 @@ class AgentController {
       if (humanInput.guidance) {
         this.applyHumanGuidance(humanInput.guidance);
       }
+
+      // Approving a checkpoint waives the low-confidence concern that raised it
+      if (humanInput.decision === 'continue' && !humanInput.guidance?.confidence) {
+        const threshold = this.autonomousOperationManager.decisionThresholds.confidenceThreshold;
+        this.agentState.updateConfidence(Math.max(this.agentState.getState().confidence, threshold));
+      }
+
+      if (humanInput.decision === 'stop') {
+        console.log('Human asked the agent to stop');
+        this.agentState.updateStatus('completed', 'stopped_by_human');
+        return this.generateFinalResponse();
+      }
       
       // Continue processing from current state
       return await this.continueProcessing();
@@ -1132,6 +1432,10 @@ class AgentController {
       const reasoning = await this.generateReasoning(feedbackContext);
       this.agentState.addReasoning(reasoning);
 
+      if (this.isCancelled()) {
+        break;
+      }
+
       // Check autonomous operation decision
       const autonomousDecision = this.autonomousOperationManager.shouldContinueAutonomously(
         this.agentState.getState(), 
@@ -1175,19 +1479,47 @@ class AgentController {
       }
 
       // Continue with action planning and observation
-      const plannedAction = this.planNextAction(reasoning, feedbackContext);
+      const plannedAction = await this.planNextAction(reasoning, feedbackContext);
       this.agentState.addAction(plannedAction);
 
-      const observation = this.createEnvironmentalObservation(reasoning, plannedAction, feedbackContext);
+      let toolExecutionResult = null;
+      if (plannedAction.type === 'tool_call' && this.toolManager) {
+        toolExecutionResult = await this.executeToolAction(plannedAction);
+      }
+
+      const observation = this.createEnvironmentalObservation(reasoning, plannedAction, feedbackContext, toolExecutionResult);
       this.agentState.addObservation(observation);
+      this.addToolErrorObservations(toolExecutionResult);
 
       this.updateConfidenceFromFeedback(feedbackContext);
     }
 
     this.isRunning = false;
+    this.finalizeLoopStatus();
     return this.generateFinalResponse();
   }
 
+  /**
+   * Set the status for a loop that exited while still 'processing'
+   * A loop that stopped at a checkpoint is paused, not out of iterations; one whose signal
+   * aborted is cancelled
+   */
+  finalizeLoopStatus() {
+    const finalState = this.agentState.getState();
+
+    if (finalState.status !== 'processing') {
+      return;
+    }
+
+    if (this.isCancelled()) {
+      this.agentState.updateStatus('cancelled', 'run cancelled');
+    } else if (finalState.awaitingHumanInput) {
+      this.agentState.updateStatus('awaiting_human_input', 'checkpoint pending');
+    } else {
+      this.agentState.updateStatus('max_iterations_reached');
+    }
+  }
+
   /**
    * Apply human guidance to agent state
    * @param {Object} guidance - Human guidance
@@ -147,7 +147,8 @@ class ErrorRecoverySystem {
     }
 
     // Resource-related errors
-    if (errorObservation.data?.context?.includes('limit') ||
+    if (errorObservation.data?.errorName === 'RateLimitError' ||
+        errorObservation.data?.context?.includes('limit') ||
         errorObservation.data?.context?.includes('exhausted')) {
       return 'resource_exhaustion';
     }
@@ -201,6 +202,7 @@ class ErrorRecoverySystem {
       'tool_execution_failed',
       'parameter_validation_failed',
       'network_failure',
+      'resource_exhaustion',
       'strategy_ineffective'
     ];
     
@@ -91,9 +91,10 @@ class HumanInteractionAPI {
    * Provide human input to resolve a checkpoint
    * @param {string} checkpointId - Checkpoint ID to resolve
    * @param {Object} humanInput - Human input and guidance
+   * @param {Object} options - { signal } to cancel the resumed run
    * @returns {Promise<Object>} - Resolution result
    */
-  async provideHumanInput(checkpointId, humanInput) {
+  async provideHumanInput(checkpointId, humanInput, options = {}) {
     try {
       // Validate checkpoint exists and is pending
       const pendingCheckpoints = this.getPendingCheckpoints();
@@ -109,7 +110,7 @@ class HumanInteractionAPI {
       const processedInput = this.processHumanInput(humanInput, checkpoint);
 
       // Resume agent operation with human input
-      const result = await this.agentController.resumeAfterHumanInput(checkpointId, processedInput);
+      const result = await this.agentController.resumeAfterHumanInput(checkpointId, processedInput, options);
 
       return {
         success: true,
@@ -134,9 +135,10 @@ class HumanInteractionAPI {
    * Provide guidance to help agent overcome a blocker
    * @param {string} blockerId - Blocker ID to address
    * @param {Object} guidance - Human guidance for blocker resolution
+   * @param {Object} options - { signal } to cancel the resumed run
    * @returns {Promise<Object>} - Guidance result
    */
-  async provideBlockerGuidance(blockerId, guidance) {
+  async provideBlockerGuidance(blockerId, guidance, options = {}) {
     try {
       const activeBlockers = this.getActiveBlockers();
       const blocker = activeBlockers.find(b => b.id === blockerId);
@@ -160,13 +162,14 @@ class HumanInteractionAPI {
 
       // Process guidance
       const processedGuidance = this.processBlockerGuidance(guidance, blocker);
+      this.agentController.humanInteractionManager.resolveBlocker(blockerId, processedGuidance);
 
       // Resume with guidance
       const result = await this.agentController.resumeAfterHumanInput(checkpoint.id, {
         type: 'blocker_guidance',
         guidance: processedGuidance,
         blockerId: blockerId
-      });
+      }, options);
 
       return {
         success: true,
@@ -195,11 +198,12 @@ class HumanInteractionAPI {
    */
   setOperationMode(mode) {
     try {
+      const previousMode = this.agentController.autonomousOperationManager.operationMode;
       this.agentController.setAutonomousMode(mode);
       
       return {
         success: true,
-        previousMode: this.agentController.autonomousOperationManager.operationMode,
+        previousMode: previousMode,
         newMode: mode,
         message: `Operation mode changed to ${mode}`
       };
@@ -693,11 +693,42 @@ class HumanInteractionManager {
       checkpoint.status = 'resolved';
       checkpoint.humanResponse = resolution;
       checkpoint.resolutionTime = new Date();
+
+      // Answering a blocker's checkpoint also clears the blocker
+      const blocker = checkpoint.context && checkpoint.context.blocker;
+      if (blocker) {
+        this.blockers
+          .filter(b => b.status === 'detected' && b.blocker === blocker)
+          .forEach(b => this.resolveBlocker(b.id, resolution));
+      }
       
       console.log(`Checkpoint resolved: ${checkpointId}`);
     }
   }
 
+  /**
+   * Resolve a blocker and any checkpoint still pending on it
+   * @param {string} blockerId - Blocker ID
+   * @param {Object} resolution - Resolution data
+   * @returns {boolean} - Whether the blocker was found
+   */
+  resolveBlocker(blockerId, resolution) {
+    const blockerRecord = this.blockers.find(b => b.id === blockerId);
+    if (!blockerRecord) {
+      return false;
+    }
+
+    blockerRecord.status = 'resolved';
+    blockerRecord.resolution = resolution;
+
+    this.checkpoints
+      .filter(c => c.status === 'pending' && c.context && c.context.blocker === blockerRecord.blocker)
+      .forEach(c => this.resolveCheckpoint(c.id, resolution));
+
+    console.log(`Blocker resolved: ${blockerId}`);
+    return true;
+  }
+
   /**
    * Configure interaction settings
    * @param {Object} config - Configuration options
@@ -32,8 +32,11 @@ class AgentState {
       strategy: 'default',
       confidence: 0,
       
+      // Plan-and-execute progress (null unless the plan_and_execute strategy is used)
+      plan: null,
+      
       // Status tracking
-      status: 'not_started', // not_started, processing, completed, error, max_iterations_reached
+      status: 'not_started', // not_started, processing, awaiting_human_input, completed, error, max_iterations_reached, cancelled
       
       // Timing information
       startTime: null,
@@ -225,11 +228,172 @@ class AgentState {
     }
     
     this.state.awaitingHumanInput = false;
+    if (this.state.status === 'awaiting_human_input') {
+      this.state.status = 'processing';
+    }
     this.state.lastUpdate = new Date();
     
     console.log('Human checkpoint resolved');
   }
 
+  /**
+   * Set the plan the agent will execute
+   * @param {Object} plan - Parsed plan with steps ({ id, description, toolName, parameters, dependsOn })
+   */
+  setPlan(plan) {
+    this.state.plan = {
+      problemAnalysis: plan.problemAnalysis || '',
+      expectedOutcome: plan.expectedOutcome || '',
+      status: 'active', // active, completed, failed
+      revision: 0,
+      revisions: [],
+      steps: plan.steps.map(step => this.createPlanStep(step, 0))
+    };
+    this.state.lastUpdate = new Date();
+    
+    console.log(`Plan set with ${plan.steps.length} steps`);
+  }
+
+  /**
+   * Replace the unfinished part of the plan with a revised plan
+   * Done and failed steps are kept for the record; pending ones are marked superseded.
+   * New step ids continue after the existing ones.
+   * @param {Object} plan - Revised plan, numbered from 1
+   * @param {string} reason - Why the plan was revised
+   */
+  revisePlan(plan, reason) {
+    const currentPlan = this.state.plan;
+    const offset = Math.max(0, ...currentPlan.steps.map(step => step.id));
+    
+    currentPlan.steps
+      .filter(step => step.status === 'pending' || step.status === 'running')
+      .forEach(step => { step.status = 'superseded'; });
+    
+    currentPlan.revision++;
+    currentPlan.revisions.push({
+      revision: currentPlan.revision,
+      reason: reason,
+      iteration: this.state.currentIteration,
+      timestamp: new Date()
+    });
+    currentPlan.problemAnalysis = plan.problemAnalysis || currentPlan.problemAnalysis;
+    currentPlan.expectedOutcome = plan.expectedOutcome || currentPlan.expectedOutcome;
+    currentPlan.steps.push(...plan.steps.map(step => this.createPlanStep({
+      ...step,
+      id: step.id + offset,
+      dependsOn: step.dependsOn.map(id => id + offset)
+    }, currentPlan.revision)));
+    this.state.lastUpdate = new Date();
+    
+    console.log(`Plan revised (revision ${currentPlan.revision}): ${reason}`);
+  }
+
+  /**
+   * Create a tracked plan step
+   * @param {Object} step - Parsed step
+   * @param {number} revision - Plan revision that added the step
+   * @returns {Object} - Plan step with status tracking
+   */
+  createPlanStep(step, revision) {
+    return {
+      id: step.id,
+      description: step.description,
+      toolName: step.toolName || null,
+      parameters: step.parameters || {},
+      dependsOn: step.dependsOn || [],
+      status: 'pending', // pending, running, done, failed, superseded
+      revision: revision,
+      result: undefined,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    };
+  }
+
+  /**
+   * Update a plan step, finishing the plan once every live step is done
+   * @param {number} stepId - Step ID
+   * @param {Object} updates - Fields to change (status, result, error, ...)
+   * @returns {Object|null} - Updated step, or null if there is no such step
+   */
+  updatePlanStep(stepId, updates) {
+    const step = this.state.plan?.steps.find(planStep => planStep.id === stepId);
+    if (!step) return null;
+    
+    Object.assign(step, updates);
+    if (updates.status === 'running') {
+      step.startedAt = new Date();
+    } else if (updates.status === 'done' || updates.status === 'failed') {
+      step.completedAt = new Date();
+    }
+    
+    if (this.getLivePlanSteps().every(planStep => planStep.status === 'done')) {
+      this.state.plan.status = 'completed';
+    }
+    this.state.lastUpdate = new Date();
+    
+    console.log(`Plan step ${stepId} ${step.status}`);
+    return step;
+  }
+
+  /**
+   * Mark the plan as failed
+   * @param {string} reason - Why the plan was abandoned
+   */
+  failPlan(reason) {
+    if (!this.state.plan) return;
+    
+    this.state.plan.status = 'failed';
+    this.state.plan.failureReason = reason;
+    this.state.plan.steps
+      .filter(step => step.status === 'pending')
+      .forEach(step => { step.status = 'superseded'; });
+    this.state.lastUpdate = new Date();
+  }
+
+  /**
+   * Get pending plan steps whose dependencies are all done
+   * @returns {Array<Object>} - Steps that can run now
+   */
+  getReadyPlanSteps() {
+    if (!this.state.plan || this.state.plan.status !== 'active') return [];
+    
+    const doneIds = new Set(this.state.plan.steps.filter(step => step.status === 'done').map(step => step.id));
+    return this.state.plan.steps.filter(step =>
+      step.status === 'pending' && step.dependsOn.every(id => doneIds.has(id))
+    );
+  }
+
+  /**
+   * Get the steps that make up the current plan: completed work plus the latest revision
+   * @returns {Array<Object>} - Live plan steps
+   */
+  getLivePlanSteps() {
+    return this.state.plan.steps.filter(step =>
+      step.status === 'done' || step.revision === this.state.plan.revision
+    );
+  }
+
+  /**
+   * Summarize plan progress
+   * @returns {Object|null} - Step counts by status, or null without a plan
+   */
+  getPlanProgress() {
+    if (!this.state.plan) return null;
+    
+    const liveSteps = this.getLivePlanSteps();
+    const countByStatus = status => this.state.plan.steps.filter(step => step.status === status).length;
+    
+    return {
+      status: this.state.plan.status,
+      revision: this.state.plan.revision,
+      totalSteps: liveSteps.length,
+      completedSteps: liveSteps.filter(step => step.status === 'done').length,
+      failedSteps: countByStatus('failed'),
+      pendingSteps: countByStatus('pending')
+    };
+  }
+
   /**
    * Update execution metrics
    * @param {string} metricType - Type of metric to update
@@ -267,6 +431,7 @@ class AgentState {
       actionCount: this.state.actions.length,
       observationCount: this.state.observations.length,
       errorCount: this.state.errors.length,
+      planProgress: this.getPlanProgress(),
       metrics: this.state.metrics
     };
   }
@@ -278,6 +443,7 @@ class AgentState {
   shouldContinue() {
     if (this.state.status === 'completed') return false;
     if (this.state.status === 'error') return false;
+    if (this.state.status === 'cancelled') return false;
     if (this.state.currentIteration >= this.state.maxIterations) return false;
     if (this.state.awaitingHumanInput) return false;
     
@@ -0,0 +1,65 @@
+import { errorResponse, findSession, isValidRunId, readJsonBody, resumeSession, RUN_ID_MESSAGE } from '../../sessionHandlers.js';
+
+/**
+ * /api/agent/[sessionId]/blockers - Blockers detected in a paused controller run
+ * GET lists unresolved blockers; POST gives guidance for one and resumes the run
+ */
+
+/**
+ * GET - Unresolved blockers
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.sessionId
+ * @returns {Promise<Response>} - Blocker listing
+ */
+export async function GET(request, { params }) {
+  const { entry, response } = findSession(params.sessionId);
+  if (!entry) {
+    return response;
+  }
+
+  const agentState = entry.agentSystem.agentController.agentState.getState();
+
+  return Response.json({
+    sessionId: entry.sessionId,
+    status: agentState.status,
+    awaitingHumanInput: agentState.awaitingHumanInput,
+    blockers: entry.agentSystem.getHumanInteractionAPI().getActiveBlockers()
+  });
+}
+
+/**
+ * POST - Resolve a blocker with guidance and resume the run
+ * Body: { blockerId, guidance: { strategy, approach, parameters, constraints, alternatives, priority } }
+ * plus an optional `runId` so /api/agent/[runId]/cancel can stop the resume
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.sessionId
+ * @returns {Promise<Response>} - Continuation report in the controller-mode response format
+ */
+export async function POST(request, { params }) {
+  const { entry, response } = findSession(params.sessionId);
+  if (!entry) {
+    return response;
+  }
+
+  const body = await readJsonBody(request);
+  if (!body || !body.blockerId || typeof body.blockerId !== 'string') {
+    return errorResponse('validation_error', 'blockerId is required and must be a string', 400);
+  }
+
+  if (!isValidRunId(body.runId)) {
+    return errorResponse('validation_error', RUN_ID_MESSAGE, 400);
+  }
+
+  const guidance = body.guidance || {};
+  if (typeof guidance !== 'object' || Array.isArray(guidance)) {
+    return errorResponse('validation_error', 'guidance must be an object', 400);
+  }
+
+  const interactionAPI = entry.agentSystem.getHumanInteractionAPI();
+  return await resumeSession(
+    entry,
+    signal => interactionAPI.provideBlockerGuidance(body.blockerId, guidance, { signal }),
+    request,
+    body.runId
+  );
+}
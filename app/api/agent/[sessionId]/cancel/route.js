@@ -0,0 +1,34 @@
+import { getAgentRunRegistry } from '../../../../../core/agentRunRegistry.js';
+import { errorResponse } from '../../sessionHandlers.js';
+
+/**
+ * /api/agent/[runId]/cancel - Stop an in-flight /api/chat agent or controller run
+ * Next.js allows one slug name per path level, so the segment is the [sessionId] folder; its
+ * value here is the runId sent with (or returned by) the chat request
+ */
+
+/**
+ * POST - Abort the run; the chat request then finishes with status 'cancelled'
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.sessionId holding the run ID
+ * @returns {Promise<Response>} - { runId, mode, status: 'cancelling' }, or 404 for an unknown run
+ */
+export async function POST(request, { params }) {
+  const runId = params.sessionId;
+  const run = getAgentRunRegistry().cancel(runId, 'Stopped by user');
+
+  if (!run) {
+    return errorResponse(
+      'run_not_found',
+      `Agent run ${runId} is not running. It may have already finished.`,
+      404
+    );
+  }
+
+  return Response.json({
+    runId: run.runId,
+    mode: run.mode,
+    status: 'cancelling',
+    startedAt: new Date(run.startedAt)
+  });
+}
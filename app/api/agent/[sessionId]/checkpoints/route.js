@@ -0,0 +1,81 @@
+import { errorResponse, findSession, isValidRunId, readJsonBody, resumeSession, RUN_ID_MESSAGE } from '../../sessionHandlers.js';
+
+/**
+ * /api/agent/[sessionId]/checkpoints - Human checkpoints of a paused controller run
+ * GET lists what the agent is waiting on; POST answers a checkpoint and resumes the run
+ */
+
+/**
+ * GET - Pending checkpoints, agent status and latest progress summary
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.sessionId
+ * @returns {Promise<Response>} - Checkpoint listing
+ */
+export async function GET(request, { params }) {
+  const { entry, response } = findSession(params.sessionId);
+  if (!entry) {
+    return response;
+  }
+
+  const interactionAPI = entry.agentSystem.getHumanInteractionAPI();
+  const agentController = entry.agentSystem.agentController;
+  const agentState = agentController.agentState.getState();
+
+  return Response.json({
+    sessionId: entry.sessionId,
+    status: agentState.status,
+    awaitingHumanInput: agentState.awaitingHumanInput,
+    iteration: agentState.currentIteration,
+    maxIterations: agentState.maxIterations,
+    confidence: agentState.confidence,
+    operationMode: agentController.autonomousOperationManager.operationMode,
+    checkpoints: interactionAPI.getPendingCheckpoints(),
+    progress: interactionAPI.getProgressCommunication()
+  });
+}
+
+/**
+ * POST - Resolve a checkpoint and resume the run
+ * Body: { checkpointId, input: { decision, clarification, feedback, guidance }, operationMode?, runId? }
+ * `runId` registers the resume so /api/agent/[runId]/cancel can stop it
+ * `decision: 'stop'` ends the run instead of continuing it
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.sessionId
+ * @returns {Promise<Response>} - Continuation report in the controller-mode response format
+ */
+export async function POST(request, { params }) {
+  const { entry, response } = findSession(params.sessionId);
+  if (!entry) {
+    return response;
+  }
+
+  const body = await readJsonBody(request);
+  if (!body || !body.checkpointId || typeof body.checkpointId !== 'string') {
+    return errorResponse('validation_error', 'checkpointId is required and must be a string', 400);
+  }
+
+  if (!isValidRunId(body.runId)) {
+    return errorResponse('validation_error', RUN_ID_MESSAGE, 400);
+  }
+
+  const input = body.input || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return errorResponse('validation_error', 'input must be an object', 400);
+  }
+
+  const interactionAPI = entry.agentSystem.getHumanInteractionAPI();
+
+  if (body.operationMode) {
+    const modeResult = interactionAPI.setOperationMode(body.operationMode);
+    if (!modeResult.success) {
+      return errorResponse('validation_error', modeResult.error, 400);
+    }
+  }
+
+  return await resumeSession(
+    entry,
+    signal => interactionAPI.provideHumanInput(body.checkpointId, input, { signal }),
+    request,
+    body.runId
+  );
+}
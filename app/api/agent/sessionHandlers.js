@@ -0,0 +1,151 @@
+import { getAgentSessionRegistry } from '../../../core/agentSessionRegistry.js';
+import { getAgentRunRegistry } from '../../../core/agentRunRegistry.js';
+
+/**
+ * Shared helpers for the /api/agent/[sessionId]/* routes
+ * Sessions are controller runs that paused at a checkpoint and were parked in the registry;
+ * runs are the cancellable requests (/api/chat and resumes) tracked by the run registry
+ */
+
+// Client-chosen run IDs, used in the /api/agent/[runId]/cancel URL
+const RUN_ID_PATTERN = /^[\w-]{1,100}$/;
+
+export const RUN_ID_MESSAGE = 'runId must be 1-100 letters, digits, underscores or hyphens';
+
+/**
+ * Build an error response in the API's error format
+ * @param {string} type - Error type
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Response} - JSON error response
+ */
+export function errorResponse(type, message, status) {
+  return Response.json({ error: { type, message } }, { status });
+}
+
+/**
+ * Check an optional client-chosen run ID
+ * @param {*} runId - runId from the request body
+ * @returns {boolean} - True when absent or well-formed
+ */
+export function isValidRunId(runId) {
+  return runId === undefined || (typeof runId === 'string' && RUN_ID_PATTERN.test(runId));
+}
+
+/**
+ * Register a cancellable run for a request
+ * The run is also aborted if the client disconnects
+ * @param {string|undefined} runId - Client-chosen run ID
+ * @param {string} mode - 'agent', 'controller' or 'resume'
+ * @param {Request} request - Incoming request
+ * @returns {Object|null} - Run entry, or null if the ID is already in use
+ */
+export function startRun(runId, mode, request) {
+  const run = getAgentRunRegistry().start(runId, { mode });
+
+  if (run && request.signal) {
+    if (request.signal.aborted) {
+      run.abortController.abort('Client disconnected');
+    } else {
+      request.signal.addEventListener('abort', () => run.abortController.abort('Client disconnected'), { once: true });
+    }
+  }
+
+  return run;
+}
+
+/**
+ * Build the response for a runId that is already in flight
+ * @param {string} runId - Requested run ID
+ * @returns {Response} - 409 error response
+ */
+export function runConflictResponse(runId) {
+  return errorResponse('run_conflict', `A run with ID ${runId} is already in progress`, 409);
+}
+
+/**
+ * Look up a parked session
+ * @param {string} sessionId - Session ID from the route
+ * @returns {Object} - { entry } when found, otherwise { response } with a 404
+ */
+export function findSession(sessionId) {
+  const entry = getAgentSessionRegistry().get(sessionId);
+
+  if (!entry) {
+    return {
+      response: errorResponse(
+        'session_not_found',
+        `Agent session ${sessionId} was not found. It may have finished, expired or never paused for input.`,
+        404
+      )
+    };
+  }
+
+  return { entry };
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} - Parsed body, or null if it isn't a JSON object
+ */
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resume a parked run and report its continuation
+ * Only one resume may run per session at a time; the session stays registered while it is still paused.
+ * The resume is registered as a run, so /api/agent/[runId]/cancel can stop it
+ * @param {Object} entry - Registry entry
+ * @param {Function} resume - (signal) => calls the HumanInteractionAPI and resolves to its result
+ * @param {Request} request - Incoming request
+ * @param {string|undefined} runId - Client-chosen run ID; one is generated when omitted
+ * @returns {Promise<Response>} - Continuation report with runId, or an error response
+ */
+export async function resumeSession(entry, resume, request, runId) {
+  if (entry.busy) {
+    return errorResponse('session_busy', 'This session is already resuming. Wait for it to finish.', 409);
+  }
+
+  const run = startRun(runId, 'resume', request);
+  if (!run) {
+    return runConflictResponse(runId);
+  }
+
+  const startTime = Date.now();
+  const registry = getAgentSessionRegistry();
+  entry.busy = true;
+
+  try {
+    const result = await resume(run.abortController.signal);
+
+    if (!result.success) {
+      return errorResponse('checkpoint_error', result.error || result.message, 409);
+    }
+
+    const { agentResult, success, message, ...details } = result;
+    const report = entry.agentSystem.createControllerReport(agentResult, startTime);
+
+    if (report.awaitingHumanInput) {
+      registry.register(entry.agentSystem);
+    } else {
+      registry.remove(entry.sessionId);
+    }
+
+    return Response.json({ ...report, runId: run.runId, resumed: details });
+
+  } catch (error) {
+    console.error(`Agent session ${entry.sessionId} resume error:`, error);
+    return errorResponse('resume_error', error.message, 500);
+
+  } finally {
+    entry.busy = false;
+    getAgentRunRegistry().finish(run);
+  }
+}
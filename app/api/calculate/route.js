@@ -1,14 +1,17 @@
 import EnhancedAIService from '../../../core/enhancedAIService.js';
+import SandboxExecutor from '../../../sandbox/sandboxExecutor.js';
 
 /**
  * POST /api/calculate - Calculation API route for user interactions
  * Handles user input values from generated forms and returns calculation results
+ * Buttons that declare a formula are evaluated locally; the LLM is only asked when there is
+ * no formula or it can't be evaluated. `method` in the response says which path was used.
  */
 export async function POST(request) {
   try {
     // Parse request body
     const body = await request.json();
-    const { action, componentId, values, context } = body;
+    const { action, componentId, values, context, formula } = body;
 
     // Validate input
     if (!action || !values || typeof values !== 'object') {
@@ -60,6 +63,25 @@ export async function POST(request) {
       }
     }
 
+    // Declared formulas give exact, repeatable results without an LLM call
+    let fallbackReason = null;
+    if (formula) {
+      const evaluation = new SandboxExecutor().evaluateFormula(formula, sanitizedValues);
+
+      if (evaluation.success) {
+        return Response.json({
+          reasoning: describeFormulaEvaluation(formula.expression, sanitizedValues),
+          solution: evaluation.solution,
+          result: evaluation.result,
+          componentId: componentId || null,
+          method: 'formula'
+        });
+      }
+
+      fallbackReason = evaluation.error.message;
+      console.warn(`Formula evaluation failed for ${action}, asking the LLM instead:`, fallbackReason);
+    }
+
     // Create calculation prompt with sanitized values
     const calculationPrompt = createCalculationPrompt(action, sanitizedValues, context);
 
@@ -86,7 +108,9 @@ export async function POST(request) {
     return Response.json({
       reasoning: aiResponse.reasoning,
       solution: aiResponse.solution,
-      componentId: componentId || null
+      componentId: componentId || null,
+      method: 'llm',
+      ...(fallbackReason && { fallbackReason })
     });
 
   } catch (error) {
@@ -104,6 +128,20 @@ export async function POST(request) {
   }
 }
 
+/**
+ * Explain a formula result by showing the formula and the values it was given
+ * @param {string} expression - Formula that was evaluated
+ * @param {Object} values - Form values
+ * @returns {string} - Reasoning text
+ */
+function describeFormulaEvaluation(expression, values) {
+  const inputs = Object.entries(values)
+    .map(([key, value]) => `${key} = ${value}`)
+    .join(', ');
+
+  return `Evaluated the declared formula:\n${expression}\nwith ${inputs}`;
+}
+
 /**
  * Create a calculation prompt with user input values
  * @param {string} action - The calculation action (e.g., 'calculateLoan', 'calculateArea')
@@ -2,18 +2,33 @@ import SandboxExecutor from '../../../sandbox/sandboxExecutor.js';
 import IntegratedAgentSystem from '../../../core/integratedAgentSystem.js';
 import EnhancedAIService from '../../../core/enhancedAIService.js';
 import ToolManager from '../../../tools/manager/toolManager.js';
+import { getAgentSessionRegistry } from '../../../core/agentSessionRegistry.js';
+import { getAgentRunRegistry } from '../../../core/agentRunRegistry.js';
+import ConversationContext from '../../../core/conversationContext.js';
+import { formatServerSentEvent } from '../../../utils/sse.js';
+import { isValidRunId, RUN_ID_MESSAGE, runConflictResponse, startRun } from '../agent/sessionHandlers.js';
+
+// Strategies a controller-mode request may ask for
+const CONTROLLER_STRATEGIES = ['default', 'plan_and_execute'];
 
 /**
  * POST /api/chat - Main chat API route
  * Handles user messages, integrates with AI service, and executes UI code safely
  * Now supports agent mode for complex reasoning tasks
+ * Agent mode streams Server-Sent Events when the body sets `stream: true`
+ * `history` carries earlier turns (with their UI code and tool results) for follow-up questions
+ * `mode: 'controller'` runs the full IntegratedAgentSystem loop with guardrails; runs paused
+ * at a checkpoint are resumed through /api/agent/[sessionId]/checkpoints
+ * `strategy: 'plan_and_execute'` makes the controller plan first and report the plan's progress
+ * Agent and controller runs are registered under `runId` (sent by the client, or generated and
+ * returned in the response / first 'run' event) and can be stopped via /api/agent/[runId]/cancel
  */
 export async function POST(request) {
   console.log("Chat API called");
   try {
     // Parse request body
     const body = await request.json();
-    const { message, mode } = body;
+    const { message, mode, stream, history, strategy, runId } = body;
 
     // Validate input
     if (!message || typeof message !== 'string') {
@@ -28,15 +43,83 @@ export async function POST(request) {
       );
     }
 
+    if (history !== undefined && !Array.isArray(history)) {
+      return Response.json(
+        {
+          error: {
+            type: 'validation_error',
+            message: 'History must be an array of prior turns'
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    if (strategy !== undefined && !CONTROLLER_STRATEGIES.includes(strategy)) {
+      return Response.json(
+        {
+          error: {
+            type: 'validation_error',
+            message: `Strategy must be one of: ${CONTROLLER_STRATEGIES.join(', ')}`
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!isValidRunId(runId)) {
+      return Response.json(
+        {
+          error: {
+            type: 'validation_error',
+            message: RUN_ID_MESSAGE
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    // Earlier turns, trimmed to the context token budget
+    const conversationContext = new ConversationContext().build(history);
+
+    // Controller mode is only used when explicitly requested
+    if (mode === 'controller') {
+      console.log("Using controller mode for query processing");
+      const run = startRun(runId, 'controller', request);
+      if (!run) {
+        return runConflictResponse(runId);
+      }
+
+      try {
+        return await handleControllerMode(message, strategy, conversationContext, run);
+      } finally {
+        getAgentRunRegistry().finish(run);
+      }
+    }
+
     // Determine if this should use agent mode
     const shouldUseAgentMode = mode === 'agent' || detectAgentSuitableQuery(message);
 
     if (shouldUseAgentMode) {
       console.log("Using agent mode for query processing");
-      return await handleAgentMode(message);
+      const run = startRun(runId, 'agent', request);
+      if (!run) {
+        return runConflictResponse(runId);
+      }
+
+      // The stream finishes the run itself once the conversation ends
+      if (stream === true) {
+        return handleAgentModeStream(message, conversationContext, run);
+      }
+
+      try {
+        return await handleAgentMode(message, conversationContext, run);
+      } finally {
+        getAgentRunRegistry().finish(run);
+      }
     } else {
       console.log("Using UI generation mode for query processing");
-      return await handleUIGenerationMode(message);
+      return await handleUIGenerationMode(message, conversationContext);
     }
 
   } catch (error) {
@@ -123,46 +206,176 @@ function detectAgentSuitableQuery(message) {
 }
 
 /**
- * Handle agent mode processing with direct tool calling
- * @param {string} message - User message
- * @returns {Promise<Response>} - Agent response
+ * Set up tools and the AI service for a direct tool-calling conversation
+ * @param {ConversationContext} conversationContext - Earlier turns for the conversation
+ * @returns {Promise<Object>} - Tool manager, AI service, tool listings and conversation context
  */
-async function handleAgentMode(message) {
-  try {
-    // Initialize tool manager
-    const toolManager = new ToolManager();
-    await toolManager.initialize();
+async function prepareAgentConversation(conversationContext) {
+  // Initialize tool manager
+  const toolManager = new ToolManager();
+  await toolManager.initialize();
+
+  // Initialize enhanced AI service
+  const aiService = new EnhancedAIService(toolManager.toolRegistry, { toolExecutor: toolManager.toolExecutor });
+
+  // Test connection
+  const connectionTest = await aiService.testConnection();
+  if (!connectionTest.success) {
+    throw new Error(`${aiService.provider.name} API connection failed: ${connectionTest.message}`);
+  }
 
-    // Initialize enhanced AI service
-    const aiService = new EnhancedAIService(toolManager.toolRegistry);
+  // Debug: Log available tools
+  const availableTools = toolManager.getAvailableTools();
+  console.log('=== AVAILABLE TOOLS ===');
+  console.log(`Found ${availableTools.length} tools:`);
+  availableTools.forEach(tool => {
+    console.log(`- ${tool.name}: ${tool.description}`);
+    console.log(`  Category: ${tool.category}`);
+    console.log(`  Parameters: ${tool.parameters ? tool.parameters.length : 0}`);
+  });
+
+  // Debug: Test tool formatting for the active provider
+  const providerFormattedTools = aiService.convertToolsToProviderFormat(availableTools);
+  console.log(`=== ${aiService.provider.name.toUpperCase()} FORMATTED TOOLS ===`);
+  console.log(JSON.stringify(providerFormattedTools, null, 2));
+
+  return { toolManager, aiService, availableTools, providerFormattedTools, conversationContext };
+}
 
-    // Test connection
-    const connectionTest = await aiService.testConnection();
-    if (!connectionTest.success) {
-      throw new Error(`Mistral API connection failed: ${connectionTest.message}`);
-    }
+/**
+ * Transform a tool conversation result into the agent API response format
+ * @param {Object} conversationResult - Result from executeToolConversation
+ * @param {Object} agentContext - Objects returned by prepareAgentConversation
+ * @param {number} startTime - Request start time (ms)
+ * @param {Object} run - Run entry from the run registry
+ * @returns {Object} - API response body
+ */
+function buildAgentResponse(conversationResult, agentContext, startTime, run) {
+  const { toolManager, aiService, availableTools, providerFormattedTools, conversationContext } = agentContext;
+
+  const response = {
+    reasoning: conversationResult.finalResponse,
+    uiComponents: null,
+    hasUI: false,
+    agentMode: true,
+    iterations: conversationResult.totalTurns,
+    toolsUsed: conversationResult.toolsUsed || [],
+    finalConfidence: conversationResult.toolsUsed?.length > 0 ? 0.9 : 0.7,
+    strategy: 'direct_tool_calling',
+    status: 'completed',
+
+    // System metadata
+    systemMetadata: {
+      processingMode: 'direct_tool_calling',
+      toolsAvailable: toolManager.getAvailableTools().length,
+      llmProvider: aiService.provider.name,
+      nativeToolCalling: true,
+      conversationTurns: conversationResult.totalTurns,
+      conversationContext: conversationContext.getSummary()
+    },
 
-    // Debug: Log available tools
-    const availableTools = toolManager.getAvailableTools();
-    console.log('=== AVAILABLE TOOLS ===');
-    console.log(`Found ${availableTools.length} tools:`);
-    availableTools.forEach(tool => {
-      console.log(`- ${tool.name}: ${tool.description}`);
-      console.log(`  Category: ${tool.category}`);
-      console.log(`  Parameters: ${tool.parameters ? tool.parameters.length : 0}`);
-    });
+    // Cost control status (simplified)
+    costControlStatus: {
+      apiCallsUsed: conversationResult.totalTurns,
+      toolExecutionsUsed: conversationResult.toolsUsed?.length || 0
+    },
 
-    // Debug: Test tool formatting for Mistral
-    const mistralFormattedTools = aiService.convertToolsToMistralFormat(availableTools);
-    console.log('=== MISTRAL FORMATTED TOOLS ===');
-    console.log(JSON.stringify(mistralFormattedTools, null, 2));
+    // Direct tool calling bypasses IntegratedAgentSystem; use mode 'controller' for guardrails
+    guardrailsApplied: false,
+    executionTime: Date.now() - startTime,
+    sessionId: `direct_${startTime}`,
+    runId: run.runId
+  };
+
+  // Always add conversation history for debugging
+  response.conversationHistory = conversationResult.conversationHistory;
+  response.debugInfo = {
+    toolsAvailable: availableTools.length,
+    providerFormattedTools: providerFormattedTools.length,
+    conversationSuccess: conversationResult.success
+  };
+
+  return response;
+}
+
+/**
+ * Build the body returned when a direct tool-calling run is cancelled
+ * Keeps the turns that finished so the client can show how far the run got
+ * @param {Object} conversationResult - Cancelled result from executeToolConversation
+ * @param {number} startTime - Request start time (ms)
+ * @param {Object} run - Run entry from the run registry
+ * @returns {Object} - Response body with status 'cancelled'
+ */
+function buildAgentCancelledResponse(conversationResult, startTime, run) {
+  const conversationHistory = conversationResult.error.conversationHistory || [];
+
+  return {
+    reasoning: 'The run was stopped before it finished.',
+    uiComponents: null,
+    hasUI: false,
+    agentMode: true,
+    iterations: conversationResult.error.totalTurns,
+    toolsUsed: conversationHistory
+      .filter(entry => entry.role === 'tool')
+      .map(entry => ({
+        name: entry.toolName,
+        parameters: entry.parameters,
+        success: entry.result?.success || false
+      })),
+    strategy: 'direct_tool_calling',
+    status: 'cancelled',
+    conversationHistory,
+    guardrailsApplied: false,
+    executionTime: Date.now() - startTime,
+    runId: run.runId
+  };
+}
+
+/**
+ * Build the error body returned when direct tool calling fails
+ * @param {Error} error - Error raised during the conversation
+ * @param {Object} run - Run entry from the run registry
+ * @returns {Object} - Error response body
+ */
+function buildAgentErrorResponse(error, run) {
+  return {
+    error: {
+      type: 'direct_tool_calling_error',
+      message: 'An error occurred during tool calling',
+      details: error.message
+    },
+    reasoning: 'I encountered an error while processing your request. Please try again.',
+    agentMode: true,
+    status: 'error',
+    iterations: 0,
+    toolsUsed: [],
+    finalConfidence: 0,
+    guardrailsApplied: false,
+    runId: run.runId
+  };
+}
+
+/**
+ * Handle agent mode processing with direct tool calling
+ * @param {string} message - User message
+ * @param {ConversationContext} conversationContext - Earlier turns
+ * @param {Object} run - Run entry whose signal cancels the conversation
+ * @returns {Promise<Response>} - Agent response
+ */
+async function handleAgentMode(message, conversationContext, run) {
+  const startTime = Date.now();
+
+  try {
+    const agentContext = await prepareAgentConversation(conversationContext);
 
     // Execute tool conversation
     console.log('=== STARTING TOOL CONVERSATION ===');
     console.log('User message:', message);
-    const conversationResult = await aiService.executeToolConversation(message, {
+    const conversationResult = await agentContext.aiService.executeToolConversation(message, {
       maxTurns: 5,
-      temperature: 0.7
+      temperature: 0.7,
+      history: conversationContext.toChatMessages(),
+      signal: run.abortController.signal
     });
 
     console.log('=== CONVERSATION RESULT ===');
@@ -171,86 +384,175 @@ async function handleAgentMode(message) {
     console.log('Tools used:', conversationResult.toolsUsed);
     console.log('Total turns:', conversationResult.totalTurns);
 
+    if (conversationResult.error?.type === 'cancelled') {
+      return Response.json(buildAgentCancelledResponse(conversationResult, startTime, run));
+    }
+
     if (!conversationResult.success) {
       console.error('Conversation failed:', conversationResult.error);
       throw new Error(`Tool conversation failed: ${conversationResult.error.message}`);
     }
 
-    // Transform to expected API format
-    const response = {
-      reasoning: conversationResult.finalResponse,
-      uiComponents: null,
-      hasUI: false,
-      agentMode: true,
-      iterations: conversationResult.totalTurns,
-      toolsUsed: conversationResult.toolsUsed || [],
-      finalConfidence: conversationResult.toolsUsed?.length > 0 ? 0.9 : 0.7,
-      strategy: 'direct_tool_calling',
-      status: 'completed',
-
-      // System metadata
-      systemMetadata: {
-        processingMode: 'direct_tool_calling',
-        toolsAvailable: toolManager.getAvailableTools().length,
-        mistralToolCalling: true,
-        conversationTurns: conversationResult.totalTurns
-      },
+    return Response.json(buildAgentResponse(conversationResult, agentContext, startTime, run));
 
-      // Cost control status (simplified)
-      costControlStatus: {
-        apiCallsUsed: conversationResult.totalTurns,
-        toolExecutionsUsed: conversationResult.toolsUsed?.length || 0
-      },
+  } catch (error) {
+    console.error('Direct tool calling error:', error);
+    return Response.json(buildAgentErrorResponse(error, run), { status: 500 });
+  }
+}
 
-      guardrailsApplied: true,
-      executionTime: Date.now() - Date.now(), // Will be updated by timing
-      sessionId: `direct_${Date.now()}`
-    };
+/**
+ * Handle agent mode as a Server-Sent Events stream
+ * Emits a 'run' event with the runId first, then 'assistant_delta', 'tool_call' and 'tool_result'
+ * events while the conversation runs, then a single 'final_answer' (same body as the JSON
+ * response), 'cancelled' or 'error' event
+ * @param {string} message - User message
+ * @param {ConversationContext} conversationContext - Earlier turns
+ * @param {Object} run - Run entry whose signal cancels the conversation; finished when the stream ends
+ * @returns {Response} - text/event-stream response
+ */
+function handleAgentModeStream(message, conversationContext, run) {
+  const encoder = new TextEncoder();
+  let streamClosed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const sendEvent = (event, data) => {
+        if (streamClosed) {
+          return;
+        }
+        controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+      };
+
+      const startTime = Date.now();
+      sendEvent('run', { runId: run.runId });
+
+      try {
+        const agentContext = await prepareAgentConversation(conversationContext);
+
+        console.log('=== STARTING STREAMED TOOL CONVERSATION ===');
+        console.log('User message:', message);
+        const conversationResult = await agentContext.aiService.executeToolConversation(message, {
+          maxTurns: 5,
+          temperature: 0.7,
+          history: conversationContext.toChatMessages(),
+          onEvent: sendEvent,
+          signal: run.abortController.signal
+        });
+
+        if (conversationResult.error?.type === 'cancelled') {
+          sendEvent('cancelled', buildAgentCancelledResponse(conversationResult, startTime, run));
+          return;
+        }
 
-    // Always add conversation history for debugging
-    response.conversationHistory = conversationResult.conversationHistory;
-    response.debugInfo = {
-      toolsAvailable: availableTools.length,
-      mistralFormattedTools: mistralFormattedTools.length,
-      conversationSuccess: conversationResult.success
-    };
+        if (!conversationResult.success) {
+          console.error('Conversation failed:', conversationResult.error);
+          throw new Error(`Tool conversation failed: ${conversationResult.error.message}`);
+        }
+
+        sendEvent('final_answer', buildAgentResponse(conversationResult, agentContext, startTime, run));
+
+      } catch (error) {
+        console.error('Streamed tool calling error:', error);
+        sendEvent('error', buildAgentErrorResponse(error, run));
+      } finally {
+        getAgentRunRegistry().finish(run);
+        if (!streamClosed) {
+          streamClosed = true;
+          controller.close();
+        }
+      }
+    },
+
+    cancel() {
+      // Client went away; stop writing and stop the conversation
+      streamClosed = true;
+      run.abortController.abort('Client disconnected');
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * Handle controller mode: the AgentController reason/act loop behind IntegratedAgentSystem guardrails
+ * @param {string} message - User message
+ * @param {string} [strategy] - Controller strategy (default or plan_and_execute)
+ * @param {ConversationContext} conversationContext - Earlier turns for follow-up questions
+ * @param {Object} run - Run entry whose signal cancels the controller loop
+ * @returns {Promise<Response>} - Agent response with iterations, checkpoints, cost and monitoring data
+ */
+async function handleControllerMode(message, strategy, conversationContext, run) {
+  const startTime = Date.now();
+
+  try {
+    const agentSystem = new IntegratedAgentSystem();
+    await agentSystem.initialize();
+
+    // initialize() wraps processQuery so it runs through processQueryWithGuardrails
+    const agentResult = await agentSystem.agentController.processQuery(message, {
+      ...(strategy && { strategy }),
+      conversationContext,
+      signal: run.abortController.signal
+    });
+
+    const response = agentSystem.createControllerReport(agentResult, startTime);
+    response.runId = run.runId;
+    response.conversationContext = conversationContext.getSummary();
+
+    // Keep a paused run alive so /api/agent/[sessionId]/checkpoints can resume it
+    if (response.awaitingHumanInput) {
+      getAgentSessionRegistry().register(agentSystem);
+    }
 
     return Response.json(response);
 
   } catch (error) {
-    console.error('Direct tool calling error:', error);
+    console.error('Controller mode error:', error);
 
-    const errorResponse = {
-      error: {
-        type: 'direct_tool_calling_error',
-        message: 'An error occurred during tool calling',
-        details: error.message
+    return Response.json(
+      {
+        error: {
+          type: 'controller_error',
+          message: 'An error occurred while running the agent controller',
+          details: error.message
+        },
+        reasoning: 'I encountered an error while processing your request. Please try again.',
+        agentMode: true,
+        status: 'error',
+        iterations: 0,
+        toolsUsed: [],
+        finalConfidence: 0,
+        guardrailsApplied: false,
+        executionTime: Date.now() - startTime,
+        runId: run.runId
       },
-      reasoning: 'I encountered an error while processing your request. Please try again.',
-      agentMode: true,
-      status: 'error',
-      iterations: 0,
-      toolsUsed: [],
-      finalConfidence: 0,
-      guardrailsApplied: true
-    };
-
-    return Response.json(errorResponse, { status: 500 });
+      { status: 500 }
+    );
   }
 }
 
 /**
  * Handle traditional UI generation mode (backward compatibility)
  * @param {string} message - User message
+ * @param {ConversationContext} conversationContext - Earlier turns, including previously generated UI code
  * @returns {Promise<Response>} - UI generation response
  */
-async function handleUIGenerationMode(message) {
+async function handleUIGenerationMode(message, conversationContext) {
   try {
     // Create enhanced AI service instance for UI generation
     const enhancedAIService = new EnhancedAIService(null); // No tool registry needed for UI generation
 
     // Get AI response
-    const aiResponse = await enhancedAIService.generateResponse(message);
+    const aiResponse = await enhancedAIService.generateResponse(message, {
+      transcript: conversationContext.toTranscript()
+    });
 
     // Handle AI service errors
     if (!aiResponse.success) {
@@ -270,7 +572,10 @@ async function handleUIGenerationMode(message) {
       reasoning: aiResponse.reasoning,
       uiComponents: null,
       hasUI: aiResponse.hasUI,
-      agentMode: false
+      agentMode: false,
+      // Returned so the client can send it back as history when the user asks for changes
+      uiCode: aiResponse.hasUI ? aiResponse.uiCode : null,
+      conversationContext: conversationContext.getSummary()
     };
 
     // If there's UI code, execute it in sandbox
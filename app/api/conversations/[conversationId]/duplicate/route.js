@@ -0,0 +1,31 @@
+import ConversationStore from '../../../../../core/conversationStore.js';
+
+/**
+ * POST /api/conversations/[conversationId]/duplicate - Copy a saved chat
+ * Body: { title? } - defaults to "<title> (copy)"
+ */
+
+const store = new ConversationStore();
+
+export async function POST(request, { params }) {
+  const body = await request.json().catch(() => ({}));
+
+  try {
+    const copy = await store.duplicate(params.conversationId, body?.title);
+
+    if (!copy) {
+      return Response.json(
+        { error: { type: 'conversation_not_found', message: `Conversation ${params.conversationId} was not found` } },
+        { status: 404 }
+      );
+    }
+
+    return Response.json(copy, { status: 201 });
+  } catch (error) {
+    console.error('Failed to duplicate conversation:', error);
+    return Response.json(
+      { error: { type: 'storage_error', message: 'Could not duplicate the conversation' } },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+import ConversationStore from '../../../../core/conversationStore.js';
+
+/**
+ * /api/conversations/[conversationId] - A single saved chat
+ * GET loads it, PATCH renames or saves its contents, DELETE removes it
+ */
+
+const store = new ConversationStore();
+
+/**
+ * Build the 404 response for an unknown conversation
+ * @param {string} conversationId - Requested ID
+ * @returns {Response} - Error response
+ */
+function notFound(conversationId) {
+  return Response.json(
+    { error: { type: 'conversation_not_found', message: `Conversation ${conversationId} was not found` } },
+    { status: 404 }
+  );
+}
+
+/**
+ * Build the 500 response for a storage failure
+ * @param {string} message - What could not be done
+ * @returns {Response} - Error response
+ */
+function storageError(message) {
+  return Response.json({ error: { type: 'storage_error', message } }, { status: 500 });
+}
+
+/**
+ * GET - Full conversation with messages, entered values and results
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.conversationId
+ * @returns {Promise<Response>} - The conversation
+ */
+export async function GET(request, { params }) {
+  try {
+    const conversation = await store.get(params.conversationId);
+    return conversation ? Response.json(conversation) : notFound(params.conversationId);
+  } catch (error) {
+    console.error('Failed to load conversation:', error);
+    return storageError('Could not load the conversation');
+  }
+}
+
+/**
+ * PATCH - Update title and/or contents
+ * Body: any of { title, messages, uiState, calculationResults }
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.conversationId
+ * @returns {Promise<Response>} - The updated conversation
+ */
+export async function PATCH(request, { params }) {
+  const body = await request.json().catch(() => null);
+
+  if (!body || typeof body !== 'object') {
+    return Response.json(
+      { error: { type: 'validation_error', message: 'Request body must be a JSON object' } },
+      { status: 400 }
+    );
+  }
+
+  if (body.messages !== undefined && !Array.isArray(body.messages)) {
+    return Response.json(
+      { error: { type: 'validation_error', message: 'messages must be an array' } },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const conversation = await store.update(params.conversationId, body);
+    return conversation ? Response.json(conversation) : notFound(params.conversationId);
+  } catch (error) {
+    console.error('Failed to update conversation:', error);
+    return storageError('Could not save the conversation');
+  }
+}
+
+/**
+ * DELETE - Remove a conversation
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context with params.conversationId
+ * @returns {Promise<Response>} - { deleted: true }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const deleted = await store.delete(params.conversationId);
+    return deleted ? Response.json({ deleted: true, id: params.conversationId }) : notFound(params.conversationId);
+  } catch (error) {
+    console.error('Failed to delete conversation:', error);
+    return storageError('Could not delete the conversation');
+  }
+}
@@ -0,0 +1,60 @@
+import ConversationStore from '../../../core/conversationStore.js';
+
+/**
+ * /api/conversations - Saved chats
+ * GET lists conversation summaries; POST creates a conversation
+ */
+
+const store = new ConversationStore();
+
+/**
+ * GET - Conversation summaries, most recent first
+ * @returns {Promise<Response>} - { conversations }
+ */
+export async function GET() {
+  try {
+    return Response.json({ conversations: await store.list() });
+  } catch (error) {
+    console.error('Failed to list conversations:', error);
+    return Response.json(
+      { error: { type: 'storage_error', message: 'Could not load saved conversations' } },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST - Create a conversation
+ * Body: { title?, messages?, uiState?, calculationResults? }
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} - The created conversation
+ */
+export async function POST(request) {
+  // An empty or unparseable body creates an empty conversation
+  const body = await request.json().catch(() => ({}));
+
+  if (!body || typeof body !== 'object') {
+    return Response.json(
+      { error: { type: 'validation_error', message: 'Request body must be a JSON object' } },
+      { status: 400 }
+    );
+  }
+
+  if (body.messages !== undefined && !Array.isArray(body.messages)) {
+    return Response.json(
+      { error: { type: 'validation_error', message: 'messages must be an array' } },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const conversation = await store.create(body);
+    return Response.json(conversation, { status: 201 });
+  } catch (error) {
+    console.error('Failed to create conversation:', error);
+    return Response.json(
+      { error: { type: 'storage_error', message: 'Could not save the conversation' } },
+      { status: 500 }
+    );
+  }
+}
@@ -1,9 +1,13 @@
 import ChatView from '../components/ChatView'
+import ConversationSidebar from '../components/ConversationSidebar'
 
 export default function Home() {
   return (
-    <div className="flex-1 flex flex-col bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
-      <ChatView />
+    <div className="flex-1 flex min-h-0 space-x-4">
+      <ConversationSidebar />
+      <div className="flex-1 flex flex-col bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+        <ChatView />
+      </div>
     </div>
   )
 }
\ No newline at end of file
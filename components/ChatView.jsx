@@ -1,17 +1,105 @@
 'use client';
 
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useState, useEffect, useCallback } from 'react';
 import Messages from './Messages';
 import useChatStore from '../store/chatStore';
 import { cn } from '../utils/cn';
+import { isEventStream, readServerSentEvents } from '../utils/sse';
+
+// Wait for typing or streaming to settle before writing the conversation
+const AUTOSAVE_DELAY_MS = 800;
+
+// Most recent turns sent as context; the server trims these further to its token budget
+const HISTORY_TURN_LIMIT = 20;
+
+// Shown when the user stops a run, after whatever the agent had written so far
+const STOPPED_MESSAGE = 'Stopped before finishing.';
+
+/**
+ * ID for a chat request, so the Stop button can cancel it via /api/agent/[runId]/cancel
+ */
+function generateRunId() {
+  return 'run_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+}
+
+/**
+ * Append the stopped note to a message's partial content
+ */
+function withStoppedNote(content) {
+  return content ? `${content}\n\n${STOPPED_MESSAGE}` : STOPPED_MESSAGE;
+}
+
+/**
+ * Tool results from a streamed agent message's steps
+ */
+function getStepResults(agentSteps = []) {
+  return agentSteps
+    .filter((step) => step.status !== 'running')
+    .map((step) => ({
+      name: step.name,
+      parameters: step.parameters,
+      result: step.status === 'success' ? step.data : { error: step.message }
+    }));
+}
+
+/**
+ * Tool results from a JSON agent response's conversation history
+ */
+function getHistoryToolResults(conversationHistory = []) {
+  return conversationHistory
+    .filter((entry) => entry.role === 'tool')
+    .map((entry) => ({
+      name: entry.toolName,
+      parameters: entry.parameters,
+      result: entry.result?.success ? entry.result.data : { error: entry.result?.message }
+    }));
+}
+
+/**
+ * Turn chat messages into the history sent with /api/chat, including generated UI code and tool results
+ */
+function buildHistory(messages) {
+  return messages
+    .filter((message) => message.content && !message.streaming && !message.isError)
+    .slice(-HISTORY_TURN_LIMIT)
+    .map((message) => (message.type === 'user'
+      ? { role: 'user', content: message.content }
+      : {
+        role: 'assistant',
+        content: message.content,
+        uiCode: message.uiCode || undefined,
+        toolResults: message.toolResults || getStepResults(message.agentSteps)
+      }));
+}
+
+/**
+ * Pick the human-in-the-loop fields of a controller response worth keeping on the message
+ * Only runs that actually paused get a session, so finished runs render as plain answers
+ */
+function getCheckpointFields(data) {
+  if (!data.sessionId || !data.awaitingHumanInput) {
+    return {};
+  }
+
+  return {
+    agentMode: true,
+    sessionId: data.sessionId,
+    status: data.status,
+    checkpoints: data.checkpoints || [],
+    blockers: data.blockers || []
+  };
+}
 
 /**
  * Message Input Component
+ * While a chat request runs (runState 'running' or 'stopping') the Send button becomes Stop
  */
-function MessageInput({ onSendMessage, disabled }) {
+function MessageInput({ onSendMessage, onStop, runState, disabled }) {
   const currentInput = useChatStore((state) => state.currentInput);
   const setCurrentInput = useChatStore((state) => state.setCurrentInput);
   const clearCurrentInput = useChatStore((state) => state.clearCurrentInput);
+  const supervisedMode = useChatStore((state) => state.supervisedMode);
+  const setSupervisedMode = useChatStore((state) => state.setSupervisedMode);
   
   const inputRef = useRef(null);
 
@@ -60,20 +148,47 @@ function MessageInput({ onSendMessage, disabled }) {
             maxHeight: '120px'
           }}
         />
-        <button
-          type="submit"
-          disabled={disabled || !currentInput.trim()}
-          className={cn(
-            "px-6 py-3 bg-blue-600 text-white rounded-lg font-medium",
-            "hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2",
-            "disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors",
-            "text-sm sm:text-base whitespace-nowrap",
-            "sm:self-end"
-          )}
-        >
-          {disabled ? 'Sending...' : 'Send'}
-        </button>
+        {runState ? (
+          <button
+            type="button"
+            onClick={onStop}
+            disabled={runState === 'stopping'}
+            className={cn(
+              "px-6 py-3 bg-red-600 text-white rounded-lg font-medium",
+              "hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2",
+              "disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors",
+              "text-sm sm:text-base whitespace-nowrap",
+              "sm:self-end"
+            )}
+          >
+            {runState === 'stopping' ? 'Stopping...' : 'Stop'}
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={disabled || !currentInput.trim()}
+            className={cn(
+              "px-6 py-3 bg-blue-600 text-white rounded-lg font-medium",
+              "hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2",
+              "disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors",
+              "text-sm sm:text-base whitespace-nowrap",
+              "sm:self-end"
+            )}
+          >
+            {disabled ? 'Sending...' : 'Send'}
+          </button>
+        )}
       </div>
+      <label className="mt-2 flex items-center space-x-2 text-xs sm:text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={supervisedMode}
+          onChange={(e) => setSupervisedMode(e.target.checked)}
+          disabled={disabled}
+          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        <span>Supervised - let the agent pause and ask before continuing</span>
+      </label>
     </form>
   );
 }
@@ -85,9 +200,48 @@ export default function ChatView() {
   const isLoading = useChatStore((state) => state.isLoading);
   const addUserMessage = useChatStore((state) => state.addUserMessage);
   const addAIMessage = useChatStore((state) => state.addAIMessage);
+  const updateMessage = useChatStore((state) => state.updateMessage);
   const setLoading = useChatStore((state) => state.setLoading);
+  const supervisedMode = useChatStore((state) => state.supervisedMode);
+  const conversationId = useChatStore((state) => state.conversationId);
+  const initializeConversations = useChatStore((state) => state.initializeConversations);
   
   const messagesEndRef = useRef(null);
+  // { runId, abortController } for the chat request in flight
+  const activeRunRef = useRef(null);
+  const [runState, setRunState] = useState(null);
+
+  // Restore the most recent saved conversation on first load
+  useEffect(() => {
+    initializeConversations().catch((error) => {
+      console.error('Error loading saved conversations:', error);
+    });
+  }, [initializeConversations]);
+
+  // Save the open conversation shortly after it changes; saveConversation skips no-op and mid-stream saves
+  useEffect(() => {
+    let timeout = null;
+
+    const unsubscribe = useChatStore.subscribe((state, previous) => {
+      if (state.messages === previous.messages
+        && state.uiState === previous.uiState
+        && state.calculationResults === previous.calculationResults) {
+        return;
+      }
+
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        useChatStore.getState().saveConversation().catch((error) => {
+          console.error('Error saving conversation:', error);
+        });
+      }, AUTOSAVE_DELAY_MS);
+    });
+
+    return () => {
+      clearTimeout(timeout);
+      unsubscribe();
+    };
+  }, []);
 
   // Auto-scroll to bottom when new messages are added
   const scrollToBottom = useCallback(() => {
@@ -98,14 +252,118 @@ export default function ChatView() {
     scrollToBottom();
   }, [scrollToBottom]);
 
+  /**
+   * Renders a streamed agent response into a single AI message as events arrive
+   */
+  const handleAgentStream = useCallback(async (response) => {
+    const messageId = addAIMessage('', null, { agentMode: true, streaming: true, agentSteps: [] });
+    let currentTurn = null;
+
+    try {
+      await readServerSentEvents(response, (event, data) => {
+        switch (event) {
+          case 'run':
+            // The run ID is the one sent with the request
+            break;
+
+          case 'assistant_delta': {
+            // Separate text from different turns so it doesn't run together
+            const separator = currentTurn !== null && currentTurn !== data.turn ? '\n\n' : '';
+            currentTurn = data.turn;
+            updateMessage(messageId, (msg) => ({
+              content: msg.content ? msg.content + separator + data.delta : data.delta
+            }));
+            break;
+          }
+
+          case 'tool_call':
+            updateMessage(messageId, (msg) => ({
+              agentSteps: [...msg.agentSteps, {
+                id: data.toolCallId,
+                name: data.name,
+                parameters: data.parameters,
+                status: 'running'
+              }]
+            }));
+            break;
+
+          case 'tool_result':
+            updateMessage(messageId, (msg) => ({
+              agentSteps: msg.agentSteps.map((step) => step.id === data.toolCallId
+                ? {
+                  ...step,
+                  status: data.result.success ? 'success' : 'error',
+                  message: data.result.message,
+                  data: data.result.data
+                }
+                : step)
+            }));
+            break;
+
+          case 'final_answer':
+            updateMessage(messageId, (msg) => ({
+              content: data.reasoning || msg.content || 'I received your message.',
+              uiComponents: data.uiComponents,
+              toolsUsed: data.toolsUsed,
+              streaming: false
+            }));
+            break;
+
+          case 'cancelled':
+            updateMessage(messageId, (msg) => ({
+              content: withStoppedNote(msg.content),
+              toolsUsed: data.toolsUsed,
+              streaming: false
+            }));
+            break;
+
+          case 'error':
+            updateMessage(messageId, {
+              content: `Sorry, I encountered an error: ${data.error.details || data.error.message}. Please try again.`,
+              streaming: false,
+              isError: true
+            });
+            break;
+
+          default:
+            console.warn('Unknown stream event:', event);
+        }
+      });
+    } catch (error) {
+      // The request was dropped by the Stop button; keep what already arrived
+      if (error.name === 'AbortError') {
+        updateMessage(messageId, (msg) => ({ content: withStoppedNote(msg.content) }));
+        return;
+      }
+
+      // The connection or a stream event failed partway; mark this message as errored
+      // rather than leaving it half-filled next to a separate error message
+      console.error('Error reading agent stream:', error);
+      const errorText = `Sorry, I encountered an error: ${error.message}. Please try again.`;
+      updateMessage(messageId, (msg) => ({
+        content: msg.content ? `${msg.content}\n\n${errorText}` : errorText,
+        isError: true
+      }));
+    } finally {
+      updateMessage(messageId, { streaming: false });
+    }
+  }, [addAIMessage, updateMessage]);
+
   /**
    * Handles sending a new message
    */
   const handleSendMessage = useCallback(async (message) => {
+    const run = { runId: generateRunId(), abortController: new AbortController() };
+
     try {
+      // Earlier turns go along as context for follow-up questions
+      const history = buildHistory(useChatStore.getState().messages);
+
       // Add user message to store
       addUserMessage(message);
       setLoading(true);
+      activeRunRef.current = run;
+      setRunState('running');
 
       // Call the chat API
       const response = await fetch('/api/chat', {
@@ -113,32 +371,134 @@ export default function ChatView() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ message }),
+        body: JSON.stringify({
+          message,
+          history,
+          stream: true,
+          runId: run.runId,
+          ...(supervisedMode && { mode: 'controller' })
+        }),
+        signal: run.abortController.signal
       });
 
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
+      // Agent mode answers with an event stream; UI generation still returns JSON
+      if (isEventStream(response)) {
+        await handleAgentStream(response);
+        return;
+      }
+
       const data = await response.json();
 
       if (data.error) {
-        throw new Error(data.error);
+        throw new Error(typeof data.error === 'string' ? data.error : data.error.message);
       }
 
       // Add AI response to store
-      addAIMessage(data.reasoning || 'I received your message.', data.uiComponents);
+      addAIMessage(data.reasoning || 'I received your message.', data.uiComponents, {
+        ...getCheckpointFields(data),
+        uiCode: data.uiCode || null,
+        toolResults: data.conversationHistory ? getHistoryToolResults(data.conversationHistory) : undefined
+      });
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        addAIMessage(STOPPED_MESSAGE, null);
+        return;
+      }
+
       console.error('Error sending message:', error);
       addAIMessage(
         `Sorry, I encountered an error: ${error.message}. Please try again.`,
-        null
+        null,
+        { isError: true }
       );
     } finally {
+      if (activeRunRef.current === run) {
+        activeRunRef.current = null;
+        setRunState(null);
+      }
       setLoading(false);
     }
-  }, [addUserMessage, addAIMessage, setLoading]);
+  }, [addUserMessage, addAIMessage, setLoading, handleAgentStream, supervisedMode]);
+
+  /**
+   * Stops the chat request in flight
+   * The server cancels the run and answers with what it has; requests it isn't tracking
+   * (UI generation, or a run that already finished) are dropped on the client instead
+   */
+  const handleStop = useCallback(async () => {
+    const run = activeRunRef.current;
+    if (!run) {
+      return;
+    }
+
+    setRunState('stopping');
+
+    try {
+      const response = await fetch(`/api/agent/${encodeURIComponent(run.runId)}/cancel`, { method: 'POST' });
+      if (!response.ok) {
+        run.abortController.abort();
+      }
+    } catch (error) {
+      console.error('Error stopping run:', error);
+      run.abortController.abort();
+    }
+  }, []);
+
+  /**
+   * Answers a paused run's checkpoint and appends the continuation as a new message
+   * The resumed run can be stopped like a chat request. Errors are rethrown so the
+   * checkpoint card can show them next to its buttons
+   */
+  const handleCheckpointAction = useCallback(async (message, checkpoint, input) => {
+    const run = { runId: generateRunId(), abortController: new AbortController() };
+
+    try {
+      setLoading(true);
+      activeRunRef.current = run;
+      setRunState('running');
+
+      const response = await fetch(`/api/agent/${encodeURIComponent(message.sessionId)}/checkpoints`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ checkpointId: checkpoint.id, input, runId: run.runId }),
+        signal: run.abortController.signal
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || `HTTP error! status: ${response.status}`);
+      }
+
+      updateMessage(message.id, {
+        checkpointResolution: { checkpointId: checkpoint.id, decision: input.decision }
+      });
+
+      addAIMessage(data.reasoning || 'The agent resumed.', null, getCheckpointFields(data));
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        addAIMessage(STOPPED_MESSAGE, null);
+        return;
+      }
+
+      console.error('Error resolving checkpoint:', error);
+      throw error;
+    } finally {
+      if (activeRunRef.current === run) {
+        activeRunRef.current = null;
+        setRunState(null);
+      }
+      setLoading(false);
+    }
+  }, [addAIMessage, updateMessage, setLoading]);
 
   /**
    * Handles interactions with dynamic UI components
@@ -172,7 +532,8 @@ export default function ChatView() {
       return {
         solution: data.solution,
         reasoning: data.reasoning,
-        componentId: data.componentId
+        componentId: data.componentId,
+        method: data.method
       };
       
     } catch (error) {
@@ -188,13 +549,19 @@ export default function ChatView() {
     <div className="flex flex-col h-full bg-white">
       {/* Messages Area */}
       <div className="flex-1 overflow-hidden">
-        <Messages onInteraction={handleUIInteraction} />
+        <Messages
+          key={conversationId || 'unsaved'}
+          onInteraction={handleUIInteraction}
+          onCheckpointAction={handleCheckpointAction}
+        />
         <div ref={messagesEndRef} />
       </div>
 
       {/* Message Input */}
       <MessageInput 
         onSendMessage={handleSendMessage} 
+        onStop={handleStop}
+        runState={runState}
         disabled={isLoading}
       />
     </div>
@@ -0,0 +1,224 @@
+'use client';
+
+import React, { useState } from 'react';
+import { cn } from '../utils/cn';
+
+/**
+ * Turn an identifier like 'low_confidence' into 'Low confidence'
+ */
+function humanize(value) {
+  if (!value) {
+    return '';
+  }
+  const text = String(value).replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Evidence arrives as a list of messages or as an object of measurements
+ */
+function Evidence({ evidence }) {
+  if (!evidence) {
+    return null;
+  }
+
+  const items = Array.isArray(evidence)
+    ? evidence.map((item) => (typeof item === 'object' ? JSON.stringify(item) : String(item)))
+    : Object.entries(evidence).map(([key, value]) => (
+      `${humanize(key)}: ${typeof value === 'object' ? JSON.stringify(value) : value}`
+    ));
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="mt-1 list-disc list-inside text-gray-600 break-words">
+      {items.map((item, index) => (
+        <li key={index}>{item}</li>
+      ))}
+    </ul>
+  );
+}
+
+const PRIORITY_STYLES = {
+  high: "bg-red-100 text-red-800",
+  medium: "bg-amber-100 text-amber-800",
+  low: "bg-gray-100 text-gray-700"
+};
+
+const OUTCOME_LABELS = {
+  continue: 'Approved - the agent continued.',
+  modify: 'Guidance sent - the agent continued with it.',
+  stop: 'Aborted - the run was stopped.'
+};
+
+/**
+ * Checkpoint Card - Inline approval card for a controller run paused on a checkpoint or blocker
+ * Approve, modify guidance and abort all resolve the checkpoint and resume the run on the server
+ */
+export default function CheckpointCard({ checkpoint, blockers = [], resolution, onAction }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [guidance, setGuidance] = useState('');
+  const [selectedOption, setSelectedOption] = useState(null);
+  const [pendingDecision, setPendingDecision] = useState(null);
+  const [error, setError] = useState(null);
+
+  const decision = checkpoint.context?.decision;
+  const checkpointBlocker = checkpoint.context?.blocker;
+  const isResolved = !!resolution;
+
+  const submit = async (decisionType) => {
+    const direction = guidance.trim() || selectedOption;
+    if (decisionType === 'modify' && !direction) {
+      setError('Pick a suggested option or write some guidance first.');
+      return;
+    }
+
+    setPendingDecision(decisionType);
+    setError(null);
+
+    try {
+      await onAction(checkpoint, {
+        decision: decisionType,
+        ...(decisionType === 'modify' && {
+          clarification: direction,
+          guidance: { direction }
+        })
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingDecision(null);
+    }
+  };
+
+  return (
+    <div className="mt-3 rounded-lg border border-amber-300 bg-amber-50 px-3 py-3 text-xs sm:text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-amber-900">The agent needs your input</span>
+        <span className={cn(
+          "rounded-full px-2 py-0.5 text-xs font-medium",
+          PRIORITY_STYLES[checkpoint.priority] || PRIORITY_STYLES.low
+        )}>
+          {humanize(checkpoint.priority || 'low')} priority
+        </span>
+      </div>
+
+      <div className="mt-2 text-gray-800">
+        <span className="font-medium">{humanize(checkpoint.reason)}</span>
+        {checkpoint.iteration !== undefined && (
+          <span className="text-gray-500"> at iteration {checkpoint.iteration}</span>
+        )}
+      </div>
+
+      {decision && (
+        <div className="mt-1 text-gray-700">
+          {decision.reason}
+          {typeof decision.confidence === 'number' && (
+            <span className="text-gray-500"> (confidence {(decision.confidence * 100).toFixed(0)}%)</span>
+          )}
+        </div>
+      )}
+
+      {checkpointBlocker && !blockers.length && (
+        <div className="mt-1 text-gray-700">{checkpointBlocker.description}</div>
+      )}
+
+      {/* Blockers carry the evidence behind the pause */}
+      {blockers.map((blocker) => (
+        <div key={blocker.id} className="mt-2 rounded border border-amber-200 bg-white px-2 py-2">
+          <div className="font-medium text-gray-800">
+            {humanize(blocker.type)}
+            <span className="font-normal text-gray-500"> - {blocker.severity} severity</span>
+          </div>
+          <div className="text-gray-700">{blocker.description}</div>
+          <Evidence evidence={blocker.evidence} />
+          {blocker.recommendation && (
+            <div className="mt-1 text-gray-600 italic">{blocker.recommendation}</div>
+          )}
+        </div>
+      ))}
+
+      {isResolved ? (
+        <div className="mt-3 font-medium text-gray-700">
+          {OUTCOME_LABELS[resolution.decision] || 'Resolved.'}
+        </div>
+      ) : (
+        <>
+          {checkpoint.recommendedActions && checkpoint.recommendedActions.length > 0 && (
+            <div className="mt-3">
+              <div className="text-gray-600 mb-1">Suggested options</div>
+              <div className="flex flex-wrap gap-2">
+                {checkpoint.recommendedActions.map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    onClick={() => {
+                      setSelectedOption(selectedOption === option ? null : option);
+                      setIsEditing(true);
+                    }}
+                    disabled={!!pendingDecision}
+                    className={cn(
+                      "rounded-full border px-2 py-1 text-xs transition-colors",
+                      selectedOption === option
+                        ? "border-blue-600 bg-blue-600 text-white"
+                        : "border-gray-300 bg-white text-gray-700 hover:border-blue-400"
+                    )}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {isEditing && (
+            <textarea
+              value={guidance}
+              onChange={(e) => setGuidance(e.target.value)}
+              placeholder={selectedOption || 'Tell the agent how to proceed...'}
+              disabled={!!pendingDecision}
+              rows={2}
+              className={cn(
+                "mt-3 w-full resize-none rounded-md border border-gray-300 px-3 py-2",
+                "focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              )}
+            />
+          )}
+
+          {error && (
+            <div className="mt-2 text-red-700">{error}</div>
+          )}
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => submit('continue')}
+              disabled={!!pendingDecision}
+              className="rounded-md bg-green-600 px-3 py-1.5 font-medium text-white hover:bg-green-700 disabled:bg-gray-400"
+            >
+              {pendingDecision === 'continue' ? 'Resuming...' : 'Approve'}
+            </button>
+            <button
+              type="button"
+              onClick={() => (isEditing ? submit('modify') : setIsEditing(true))}
+              disabled={!!pendingDecision}
+              className="rounded-md bg-blue-600 px-3 py-1.5 font-medium text-white hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              {pendingDecision === 'modify' ? 'Resuming...' : isEditing ? 'Send guidance' : 'Modify guidance'}
+            </button>
+            <button
+              type="button"
+              onClick={() => submit('stop')}
+              disabled={!!pendingDecision}
+              className="rounded-md border border-red-300 bg-white px-3 py-1.5 font-medium text-red-700 hover:bg-red-50 disabled:text-gray-400"
+            >
+              {pendingDecision === 'stop' ? 'Stopping...' : 'Abort'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
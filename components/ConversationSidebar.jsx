@@ -0,0 +1,175 @@
+'use client';
+
+import React, { useState, useCallback } from 'react';
+import useChatStore from '../store/chatStore';
+import { cn } from '../utils/cn';
+
+/**
+ * Single conversation row with inline rename
+ */
+function ConversationItem({ conversation, isActive, disabled, onOpen, onRename, onDuplicate, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    setIsRenaming(false);
+    if (title.trim() && title.trim() !== conversation.title) {
+      onRename(conversation.id, title.trim());
+    } else {
+      setTitle(conversation.title);
+    }
+  };
+
+  if (isRenaming) {
+    return (
+      <form onSubmit={submitRename} className="px-2 py-1">
+        <input
+          autoFocus
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={submitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              setTitle(conversation.title);
+              setIsRenaming(false);
+            }
+          }}
+          className="w-full rounded border border-blue-400 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </form>
+    );
+  }
+
+  return (
+    <div className={cn(
+      "group rounded-lg px-3 py-2 text-sm",
+      isActive ? "bg-blue-50 text-blue-900" : "text-gray-700 hover:bg-gray-100"
+    )}>
+      <button
+        type="button"
+        onClick={() => onOpen(conversation.id)}
+        disabled={disabled || isActive}
+        className="w-full text-left disabled:cursor-default"
+      >
+        <div className="truncate font-medium">{conversation.title}</div>
+        <div className="text-xs text-gray-500">
+          {conversation.messageCount} messages - {new Date(conversation.updatedAt).toLocaleDateString()}
+        </div>
+      </button>
+      <div className={cn(
+        "mt-1 flex space-x-3 text-xs",
+        isActive ? "flex" : "hidden group-hover:flex"
+      )}>
+        <button
+          type="button"
+          onClick={() => {
+            setTitle(conversation.title);
+            setIsRenaming(true);
+          }}
+          disabled={disabled}
+          className="text-gray-500 hover:text-gray-800 disabled:opacity-50"
+        >
+          Rename
+        </button>
+        <button
+          type="button"
+          onClick={() => onDuplicate(conversation.id)}
+          disabled={disabled}
+          className="text-gray-500 hover:text-gray-800 disabled:opacity-50"
+        >
+          Duplicate
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(conversation)}
+          disabled={disabled}
+          className="text-red-500 hover:text-red-700 disabled:opacity-50"
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ConversationSidebar - Lists saved conversations and switches, renames, duplicates or deletes them
+ * Actions are disabled while a reply is loading so it can't land in the wrong conversation
+ */
+export default function ConversationSidebar() {
+  const conversations = useChatStore((state) => state.conversations);
+  const conversationId = useChatStore((state) => state.conversationId);
+  const isLoading = useChatStore((state) => state.isLoading);
+  const openConversation = useChatStore((state) => state.openConversation);
+  const createConversation = useChatStore((state) => state.createConversation);
+  const renameConversation = useChatStore((state) => state.renameConversation);
+  const duplicateConversation = useChatStore((state) => state.duplicateConversation);
+  const deleteConversation = useChatStore((state) => state.deleteConversation);
+
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Runs one conversation action at a time and surfaces failures in the sidebar
+  const runAction = useCallback(async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Conversation action failed:', err);
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const handleDelete = useCallback((conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      runAction(() => deleteConversation(conversation.id));
+    }
+  }, [runAction, deleteConversation]);
+
+  const disabled = isLoading || isBusy;
+
+  return (
+    <aside className="hidden md:flex w-64 flex-shrink-0 flex-col bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <div className="border-b p-3">
+        <button
+          type="button"
+          onClick={() => runAction(() => createConversation())}
+          disabled={disabled}
+          className={cn(
+            "w-full rounded-lg bg-blue-600 px-3 py-2 text-sm font-medium text-white",
+            "hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          )}
+        >
+          New chat
+        </button>
+      </div>
+
+      {error && (
+        <div className="border-b bg-red-50 px-3 py-2 text-xs text-red-700">{error}</div>
+      )}
+
+      <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 ? (
+          <div className="px-3 py-2 text-sm text-gray-500">No saved conversations yet</div>
+        ) : (
+          conversations.map((conversation) => (
+            <ConversationItem
+              key={conversation.id}
+              conversation={conversation}
+              isActive={conversation.id === conversationId}
+              disabled={disabled}
+              onOpen={(id) => runAction(() => openConversation(id))}
+              onRename={(id, title) => runAction(() => renameConversation(id, title))}
+              onDuplicate={(id) => runAction(() => duplicateConversation(id))}
+              onDelete={handleDelete}
+            />
+          ))
+        )}
+      </nav>
+    </aside>
+  );
+}
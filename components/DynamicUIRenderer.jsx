@@ -2,6 +2,24 @@ import React, { useState, useCallback, useEffect, useRef } from 'react';
 import ComponentFactory from './factory/ComponentFactory';
 import useChatStore from '../store/chatStore';
 
+/**
+ * Finds the first button in a component definition tree
+ * @param {Object} definition - Component definition
+ * @returns {Object|null} Button definition
+ */
+function findButton(definition) {
+  if (!definition || typeof definition !== 'object') return null;
+  if (definition.type === 'button') return definition;
+  const children = definition.type === 'tabs'
+    ? (definition.tabs || []).flatMap(tab => tab.children || [])
+    : definition.children || [];
+  for (const child of children) {
+    const button = findButton(child);
+    if (button) return button;
+  }
+  return null;
+}
+
 /**
  * DynamicUIRenderer - Renders AI-generated UI components safely
  * @param {Object} props
@@ -23,18 +41,26 @@ export default function DynamicUIRenderer({
   // Get UI state from store for persistence
   const updateUIState = useChatStore((state) => state.updateUIState);
   const getUIState = useChatStore((state) => state.getUIState);
+  const setStoredCalculationResult = useChatStore((state) => state.setCalculationResult);
+  const getStoredCalculationResult = useChatStore((state) => state.getCalculationResult);
   
   // Refs for debouncing
   const debounceTimeouts = useRef({});
 
-  // Initialize component states from store on mount
+  // Initialize component states and results from store on mount (restores saved conversations)
   useEffect(() => {
     if (components && components.length > 0) {
       const initialStates = {};
+      const initialResults = {};
       
       components.forEach((component, index) => {
         const componentId = `component-${index}`;
         
+        const storedResult = getStoredCalculationResult(`${messageId}-${componentId}`);
+        if (storedResult) {
+          initialResults[componentId] = storedResult;
+        }
+        
         // First check if we have stored state
         const storedState = getUIState(`${messageId}-${componentId}`);
         if (storedState) {
@@ -46,9 +72,18 @@ export default function DynamicUIRenderer({
             if (comp.type === 'input' && comp.props?.name && comp.props?.value) {
               defaultState[comp.props.name] = comp.props.value;
             }
-            if (comp.children && Array.isArray(comp.children)) {
-              comp.children.forEach(child => {
-                if (typeof child === 'object') {
+            if ((comp.type === 'slider' || comp.type === 'radioGroup') && comp.props?.name && comp.props.value !== undefined) {
+              defaultState[comp.props.name] = String(comp.props.value);
+            }
+            if (comp.type === 'checkbox' && comp.props?.name) {
+              defaultState[comp.props.name] = Boolean(comp.props.checked);
+            }
+            const children = comp.type === 'tabs'
+              ? (comp.tabs || []).flatMap(tab => tab.children || [])
+              : comp.children;
+            if (children && Array.isArray(children)) {
+              children.forEach(child => {
+                if (child && typeof child === 'object') {
                   extractDefaults(child);
                 }
               });
@@ -65,8 +100,20 @@ export default function DynamicUIRenderer({
       if (Object.keys(initialStates).length > 0) {
         setComponentStates(initialStates);
       }
+      setCalculationResults(initialResults);
     }
-  }, [components, messageId, getUIState]);
+  }, [components, messageId, getUIState, getStoredCalculationResult]);
+
+  /**
+   * Records a component's calculation result locally and in the store so it is saved with the conversation
+   */
+  const recordCalculationResult = useCallback((componentId, result) => {
+    setCalculationResults(prev => ({
+      ...prev,
+      [componentId]: result
+    }));
+    setStoredCalculationResult(`${messageId}-${componentId}`, result);
+  }, [messageId, setStoredCalculationResult]);
 
   /**
    * Validates input value based on type and constraints
@@ -135,7 +182,7 @@ export default function DynamicUIRenderer({
   /**
    * Handles button clicks in generated components with validation
    */
-  const handleButtonClick = useCallback(async (componentId, action) => {
+  const handleButtonClick = useCallback(async (componentId, action, formula) => {
     if (!onInteraction) return;
     
     // Validate component inputs before proceeding
@@ -155,34 +202,31 @@ export default function DynamicUIRenderer({
         action,
         componentId,
         values: componentState,
-        messageId
+        messageId,
+        ...(formula && { formula })
       });
       
       // Store calculation result for display
       if (result && result.solution) {
-        setCalculationResults(prev => ({
-          ...prev,
-          [componentId]: {
-            solution: result.solution,
-            reasoning: result.reasoning,
-            timestamp: new Date()
-          }
-        }));
+        recordCalculationResult(componentId, {
+          solution: result.solution,
+          reasoning: result.reasoning,
+          method: result.method,
+          formula: result.method === 'formula' ? formula?.expression : undefined,
+          timestamp: new Date().toISOString()
+        });
       }
       
     } catch (error) {
       console.error('Error handling button click:', error);
-      setCalculationResults(prev => ({
-        ...prev,
-        [componentId]: {
-          error: error.message,
-          timestamp: new Date()
-        }
-      }));
+      recordCalculationResult(componentId, {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
     } finally {
       setIsCalculating(false);
     }
-  }, [componentStates, onInteraction, messageId, validateComponent]);
+  }, [componentStates, onInteraction, messageId, validateComponent, recordCalculationResult]);
 
   /**
    * Handles input changes in generated components with validation
@@ -211,10 +255,7 @@ export default function DynamicUIRenderer({
     
     // Clear previous calculation results when inputs change
     if (calculationResults[componentId]) {
-      setCalculationResults(prev => ({
-        ...prev,
-        [componentId]: null
-      }));
+      recordCalculationResult(componentId, null);
     }
     
     // Auto-calculate with debouncing if enabled and all required fields are filled
@@ -234,12 +275,13 @@ export default function DynamicUIRenderer({
           );
           
           if (hasValues) {
-            handleButtonClick(componentId, 'calculate');
+            const button = findButton(components[Number(componentId.replace('component-', ''))]);
+            handleButtonClick(componentId, button?.props?.onClick || 'calculate', button?.formula);
           }
         }
       }, 1500); // 1.5 second delay
     }
-  }, [componentStates, updateUIState, validateInput, calculationResults, autoCalculateEnabled, onInteraction, validateComponent, handleButtonClick]);
+  }, [components, componentStates, updateUIState, validateInput, calculationResults, autoCalculateEnabled, onInteraction, validateComponent, handleButtonClick, recordCalculationResult]);
 
   /**
    * Enhances component definitions with event handlers and validation
@@ -294,6 +336,60 @@ export default function DynamicUIRenderer({
         };
         break;
 
+      case 'slider':
+        const sliderName = enhanced.props?.name;
+        enhanced.props = {
+          ...enhanced.props,
+          onChange: (e) => {
+            const { name, value } = e.target;
+            if (name) {
+              handleInputChange(componentId, name, value, 'number', enhanced.props);
+            }
+          },
+          value: componentStates[componentId]?.[sliderName] ?? enhanced.props?.value ?? '',
+          disabled: hasResult || isCalculating
+        };
+        break;
+
+      case 'checkbox':
+        const checkboxName = enhanced.props?.name;
+        enhanced.props = {
+          ...enhanced.props,
+          onChange: (e) => {
+            const { name, checked } = e.target;
+            if (name) {
+              handleInputChange(componentId, name, checked, 'checkbox', enhanced.props);
+            }
+          },
+          checked: componentStates[componentId]?.[checkboxName] ?? enhanced.props?.checked ?? false,
+          disabled: hasResult || isCalculating
+        };
+        break;
+
+      case 'radioGroup':
+        const radioName = enhanced.props?.name;
+        enhanced.props = {
+          ...enhanced.props,
+          onChange: (e) => {
+            const { name, value } = e.target;
+            if (name) {
+              handleInputChange(componentId, name, value, 'radio', enhanced.props);
+            }
+          },
+          value: componentStates[componentId]?.[radioName] ?? enhanced.props?.value ?? '',
+          disabled: hasResult || isCalculating
+        };
+        break;
+
+      case 'tabs':
+        enhanced.tabs = (enhanced.tabs || []).map(tab => ({
+          ...tab,
+          children: (tab.children || []).map(child =>
+            typeof child === 'string' ? child : enhanceComponentWithHandlers(child, componentId)
+          )
+        }));
+        break;
+
       case 'button':
         const validation = validateComponent(componentId);
         enhanced.props = {
@@ -306,7 +402,7 @@ export default function DynamicUIRenderer({
                 ? enhanced.props.onClick 
                 : 'calculate';
             }
-            handleButtonClick(componentId, action);
+            handleButtonClick(componentId, action, definition.formula);
           },
           disabled: hasResult || isCalculating // Disable after successful calculation or while calculating
         };
@@ -369,10 +465,7 @@ export default function DynamicUIRenderer({
    */
   const handleReset = useCallback((componentId) => {
     // Clear calculation results
-    setCalculationResults(prev => ({
-      ...prev,
-      [componentId]: null
-    }));
+    recordCalculationResult(componentId, null);
     
     // Clear validation errors
     setValidationErrors(prev => {
@@ -384,7 +477,7 @@ export default function DynamicUIRenderer({
       });
       return newErrors;
     });
-  }, []);
+  }, [recordCalculationResult]);
 
   /**
    * Renders calculation results for a component
@@ -413,7 +506,25 @@ export default function DynamicUIRenderer({
     return (
       <div className="mt-3 p-3 bg-green-50 border border-green-200 rounded-lg">
         <div className="flex items-center justify-between">
-          <div className="text-green-800 font-medium">Result</div>
+          <div className="flex items-center space-x-2">
+            <div className="text-green-800 font-medium">Result</div>
+            {result.method === 'formula' && (
+              <span
+                className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800"
+                title={result.formula}
+              >
+                Exact formula
+              </span>
+            )}
+            {result.method === 'llm' && (
+              <span
+                className="px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-800"
+                title="Calculated by the language model; results may vary"
+              >
+                AI estimate
+              </span>
+            )}
+          </div>
           <button
             onClick={() => handleReset(componentId)}
             className="text-green-600 hover:text-green-800 text-sm underline"
@@ -426,7 +537,7 @@ export default function DynamicUIRenderer({
           <div className="text-green-600 text-sm mt-2 whitespace-pre-wrap">{result.reasoning}</div>
         )}
         <div className="text-green-500 text-xs mt-2">
-          Calculated at {result.timestamp.toLocaleTimeString()}
+          Calculated at {new Date(result.timestamp).toLocaleTimeString()}
         </div>
       </div>
     );
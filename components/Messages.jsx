@@ -2,13 +2,91 @@
 
 import React from 'react';
 import DynamicUIRenderer from './DynamicUIRenderer';
+import CheckpointCard from './CheckpointCard';
+import { createReactElement } from './factory/ComponentFactory';
 import useChatStore from '../store/chatStore';
 import { cn } from '../utils/cn';
 
+/**
+ * Agent Steps Component - Tool calls and results from a streamed agent response
+ */
+function AgentSteps({ steps }) {
+  return (
+    <div className="mt-3 space-y-2">
+      {steps.map((step) => (
+        <div
+          key={step.id}
+          className={cn(
+            "rounded-lg border px-3 py-2 text-xs sm:text-sm",
+            step.status === 'running' && "border-blue-200 bg-blue-50",
+            step.status === 'success' && "border-green-200 bg-green-50",
+            step.status === 'error' && "border-red-200 bg-red-50"
+          )}
+        >
+          <div className="flex items-center space-x-2 font-medium text-gray-800">
+            {step.status === 'running' && (
+              <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600"></div>
+            )}
+            <span>{step.name}</span>
+            <span className="font-normal text-gray-500">
+              {step.status === 'running' ? 'running...' : step.status === 'success' ? 'done' : 'failed'}
+            </span>
+          </div>
+          <div className="mt-1 font-mono text-gray-600 break-all">
+            {JSON.stringify(step.parameters)}
+          </div>
+          {step.message && (
+            <div className={cn("mt-1", step.status === 'error' ? "text-red-700" : "text-gray-700")}>
+              {step.message}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Tables ({ title, columns, rows }) and charts ({ title, chartType, labels, series }) returned by tools,
+ * from streamed steps or saved tool results
+ */
+function getToolDisplays(message) {
+  const results = message.agentSteps
+    ? message.agentSteps.filter((step) => step.status === 'success').map((step) => step.data)
+    : (message.toolResults || []).map((entry) => entry.result);
+
+  return results.flatMap((data) => {
+    const tables = (data && Array.isArray(data.tables) ? data.tables : [])
+      .filter((table) => table && Array.isArray(table.columns) && Array.isArray(table.rows))
+      .map((table) => ({
+        type: 'table',
+        props: { title: typeof table.title === 'string' ? table.title : '' },
+        columns: table.columns.map((column) => ({ key: String(column?.key ?? ''), label: String(column?.label ?? column?.key ?? '') })),
+        rows: table.rows.filter(Array.isArray).map((row) => row.map((cell) => (typeof cell === 'number' ? cell : String(cell ?? ''))))
+      }));
+
+    const charts = (data && Array.isArray(data.charts) ? data.charts : [])
+      .filter((chart) => chart && Array.isArray(chart.labels) && Array.isArray(chart.series))
+      .map((chart) => ({
+        type: 'chart',
+        chartType: ['line', 'bar', 'pie'].includes(chart.chartType) ? chart.chartType : 'bar',
+        props: { title: typeof chart.title === 'string' ? chart.title : '' },
+        labels: chart.labels.map((label) => String(label ?? '')),
+        series: chart.series
+          .filter((item) => item && Array.isArray(item.values))
+          .map((item) => ({ name: String(item.name ?? ''), values: item.values.map((value) => Number(value) || 0) })),
+        xLabel: typeof chart.xLabel === 'string' ? chart.xLabel : '',
+        yLabel: typeof chart.yLabel === 'string' ? chart.yLabel : ''
+      }));
+
+    return [...tables, ...charts];
+  });
+}
+
 /**
  * Individual Message Component
  */
-function Message({ message, onInteraction }) {
+function Message({ message, onInteraction, onCheckpointAction }) {
   const isUser = message.type === 'user';
   
   return (
@@ -22,8 +100,33 @@ function Message({ message, onInteraction }) {
         {/* Message content */}
         <div className="whitespace-pre-wrap text-sm sm:text-base leading-relaxed">
           {message.content}
+          {message.streaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse"></span>
+          )}
         </div>
         
+        {/* Tool calls made while the agent was answering */}
+        {!isUser && message.agentSteps && message.agentSteps.length > 0 && (
+          <AgentSteps steps={message.agentSteps} />
+        )}
+
+        {/* Tables and charts returned by tools, e.g. an amortization schedule or a histogram */}
+        {!isUser && getToolDisplays(message).map((display, index) => (
+          <div key={`tool-display-${index}`} className="mt-3">
+            {createReactElement(display, index)}
+          </div>
+        ))}
+        
+        {/* A controller run paused here and is waiting for a decision */}
+        {!isUser && message.sessionId && message.checkpoints && message.checkpoints.length > 0 && (
+          <CheckpointCard
+            checkpoint={message.checkpoints[0]}
+            blockers={message.blockers}
+            resolution={message.checkpointResolution}
+            onAction={(checkpoint, input) => onCheckpointAction(message, checkpoint, input)}
+          />
+        )}
+        
         {/* Render dynamic UI components for AI messages */}
         {!isUser && message.uiComponents && message.uiComponents.length > 0 && (
           <div className="mt-4">
@@ -50,10 +153,13 @@ function Message({ message, onInteraction }) {
 /**
  * Messages Component - Renders all chat messages
  */
-export default function Messages({ onInteraction }) {
+export default function Messages({ onInteraction, onCheckpointAction }) {
   const messages = useChatStore((state) => state.messages);
   const isLoading = useChatStore((state) => state.isLoading);
 
+  // A streaming message shows its own progress, so the generic indicator is hidden
+  const isStreaming = messages.length > 0 && messages[messages.length - 1].streaming;
+
   return (
     <div className="message-area">
       {messages.length === 0 ? (
@@ -75,13 +181,14 @@ export default function Messages({ onInteraction }) {
               key={message.id}
               message={message}
               onInteraction={onInteraction}
+              onCheckpointAction={onCheckpointAction}
             />
           ))}
         </div>
       )}
       
       {/* Loading indicator */}
-      {isLoading && (
+      {isLoading && !isStreaming && (
         <div className="flex justify-start mb-6">
           <div className="bg-white border border-gray-200 rounded-xl px-4 py-3 shadow-sm">
             <div className="flex items-center space-x-3">
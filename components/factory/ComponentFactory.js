@@ -100,11 +100,23 @@ export function validateComponentDefinition(definition) {
     return false;
   }
   
-  const allowedTypes = ['element', 'input', 'button', 'form', 'select', 'option'];
+  const allowedTypes = [
+    'element', 'input', 'button', 'form', 'select', 'option',
+    'table', 'chart', 'slider', 'tabs', 'checkbox', 'radioGroup', 'resultPanel'
+  ];
   if (!allowedTypes.includes(definition.type)) {
     return false;
   }
   
+  // Validate tab contents
+  if (definition.type === 'tabs') {
+    return Array.isArray(definition.tabs) && definition.tabs.every(tab =>
+      Array.isArray(tab.children) && tab.children.every(child =>
+        typeof child === 'string' || validateComponentDefinition(child)
+      )
+    );
+  }
+  
   // Validate children if present
   if (definition.children && Array.isArray(definition.children)) {
     return definition.children.every(child => 
@@ -142,6 +154,20 @@ export function createReactElement(definition, index = 0) {
       return createSelect(definition, key);
     case 'option':
       return createOption(definition, key);
+    case 'table':
+      return createTable(definition, key);
+    case 'chart':
+      return createChart(definition, key);
+    case 'slider':
+      return createSlider(definition, key);
+    case 'tabs':
+      return React.createElement(TabsView, { key, definition });
+    case 'checkbox':
+      return createCheckbox(definition, key);
+    case 'radioGroup':
+      return createRadioGroup(definition, key);
+    case 'resultPanel':
+      return createResultPanel(definition, key);
     default:
       return null;
   }
@@ -336,6 +362,409 @@ function createOption(definition, key) {
   }, String(text));
 }
 
+const CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 16, bottom: 44, left: 56 };
+
+/**
+ * Formats a table, chart or panel value for display
+ * @param {string|number} value - Raw value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  return String(value ?? '');
+}
+
+/**
+ * Creates a data table
+ */
+function createTable(definition, key) {
+  const { props = {}, columns = [], rows = [] } = definition;
+  const sanitizedProps = sanitizeProps(props);
+  
+  const header = React.createElement('thead', { className: 'bg-gray-100' },
+    React.createElement('tr', null, ...columns.map((column, index) =>
+      React.createElement('th', {
+        key: `th-${index}`,
+        className: 'px-3 py-2 text-left font-medium text-gray-700 border-b'
+      }, column.label)
+    ))
+  );
+  
+  const body = React.createElement('tbody', null, ...rows.map((row, rowIndex) =>
+    React.createElement('tr', {
+      key: `tr-${rowIndex}`,
+      className: rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'
+    }, ...row.map((cell, cellIndex) =>
+      React.createElement('td', {
+        key: `td-${cellIndex}`,
+        className: `px-3 py-1.5 border-b border-gray-100 ${typeof cell === 'number' ? 'text-right tabular-nums' : ''}`
+      }, formatValue(cell))
+    ))
+  ));
+  
+  return React.createElement('div', {
+    key,
+    className: `max-h-96 overflow-auto rounded border border-gray-200 ${sanitizedProps.className || ''}`.trim()
+  },
+    React.createElement('table', { className: 'min-w-full text-sm' },
+      sanitizedProps.title && React.createElement('caption', {
+        className: 'px-3 py-2 text-left font-semibold text-gray-800'
+      }, sanitizedProps.title),
+      header,
+      body
+    )
+  );
+}
+
+/**
+ * Builds the legend shown under multi-series and pie charts
+ * @param {Array<string>} names - Entry names
+ * @returns {React.Element} Legend element
+ */
+function createChartLegend(names) {
+  return React.createElement('div', { className: 'flex flex-wrap gap-3 mt-2 text-xs text-gray-600' },
+    ...names.map((name, index) =>
+      React.createElement('span', { key: `legend-${index}`, className: 'flex items-center space-x-1' },
+        React.createElement('span', {
+          className: 'inline-block w-3 h-3 rounded-sm',
+          style: { backgroundColor: CHART_COLORS[index % CHART_COLORS.length] }
+        }),
+        React.createElement('span', null, name)
+      )
+    )
+  );
+}
+
+/**
+ * Renders pie slices as SVG paths
+ * @param {Array<string>} labels - Slice labels
+ * @param {Array<number>} values - Slice values
+ * @returns {Array<React.Element>} Slice elements
+ */
+function createPieSlices(labels, values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const radius = (CHART_HEIGHT - 20) / 2;
+  const cx = CHART_WIDTH / 2;
+  const cy = CHART_HEIGHT / 2;
+  
+  if (total <= 0) {
+    return [React.createElement('circle', { key: 'empty', cx, cy, r: radius, fill: '#e5e7eb' })];
+  }
+  
+  let angle = -Math.PI / 2;
+  return values.map((value, index) => {
+    const color = CHART_COLORS[index % CHART_COLORS.length];
+    const title = React.createElement('title', null, `${labels[index]}: ${formatValue(value)} (${formatValue(value / total * 100)}%)`);
+    
+    // A single full slice can't be drawn as an arc
+    if (value === total) {
+      return React.createElement('circle', { key: `slice-${index}`, cx, cy, r: radius, fill: color }, title);
+    }
+    
+    const sweep = value / total * Math.PI * 2;
+    const start = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    angle += sweep;
+    const end = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    const largeArc = sweep > Math.PI ? 1 : 0;
+    
+    return React.createElement('path', {
+      key: `slice-${index}`,
+      d: `M ${cx} ${cy} L ${start[0]} ${start[1]} A ${radius} ${radius} 0 ${largeArc} 1 ${end[0]} ${end[1]} Z`,
+      fill: color,
+      stroke: '#fff',
+      strokeWidth: 1
+    }, title);
+  });
+}
+
+/**
+ * Renders axes, gridlines and line/bar series as SVG
+ * @param {Object} definition - Chart definition
+ * @returns {Array<React.Element>} Plot elements
+ */
+function createCartesianPlot(definition) {
+  const { chartType, labels, series, xLabel, yLabel } = definition;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  
+  const allValues = series.flatMap(item => item.values);
+  const minValue = Math.min(0, ...allValues);
+  const maxValue = Math.max(0, ...allValues);
+  const range = maxValue - minValue || 1;
+  
+  const y = (value) => CHART_PADDING.top + plotHeight - ((value - minValue) / range) * plotHeight;
+  const slot = plotWidth / labels.length;
+  const xCenter = (index) => CHART_PADDING.left + slot * index + slot / 2;
+  const elements = [];
+  
+  // Gridlines with value ticks
+  for (let tick = 0; tick <= 4; tick++) {
+    const value = minValue + (range * tick) / 4;
+    elements.push(
+      React.createElement('line', {
+        key: `grid-${tick}`,
+        x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: y(value), y2: y(value),
+        stroke: '#e5e7eb'
+      }),
+      React.createElement('text', {
+        key: `tick-${tick}`,
+        x: CHART_PADDING.left - 6, y: y(value) + 4,
+        textAnchor: 'end', fontSize: 10, fill: '#6b7280'
+      }, formatValue(value))
+    );
+  }
+  
+  // Category labels, thinned out so they don't overlap
+  const labelEvery = Math.ceil(labels.length / 12);
+  labels.forEach((label, index) => {
+    if (index % labelEvery === 0) {
+      elements.push(React.createElement('text', {
+        key: `label-${index}`,
+        x: xCenter(index), y: CHART_HEIGHT - CHART_PADDING.bottom + 14,
+        textAnchor: 'middle', fontSize: 10, fill: '#6b7280'
+      }, label));
+    }
+  });
+  
+  if (chartType === 'bar') {
+    const barWidth = Math.max(1, (slot * 0.8) / series.length);
+    series.forEach((item, seriesIndex) => {
+      item.values.forEach((value, index) => {
+        elements.push(React.createElement('rect', {
+          key: `bar-${seriesIndex}-${index}`,
+          x: CHART_PADDING.left + slot * index + slot * 0.1 + barWidth * seriesIndex,
+          y: Math.min(y(value), y(0)),
+          width: barWidth,
+          height: Math.abs(y(value) - y(0)),
+          fill: CHART_COLORS[seriesIndex % CHART_COLORS.length]
+        }, React.createElement('title', null, `${item.name ? `${item.name} - ` : ''}${labels[index]}: ${formatValue(value)}`)));
+      });
+    });
+  } else {
+    series.forEach((item, seriesIndex) => {
+      const color = CHART_COLORS[seriesIndex % CHART_COLORS.length];
+      elements.push(React.createElement('polyline', {
+        key: `line-${seriesIndex}`,
+        points: item.values.map((value, index) => `${xCenter(index)},${y(value)}`).join(' '),
+        fill: 'none', stroke: color, strokeWidth: 2
+      }));
+      if (labels.length <= 40) {
+        item.values.forEach((value, index) => {
+          elements.push(React.createElement('circle', {
+            key: `point-${seriesIndex}-${index}`,
+            cx: xCenter(index), cy: y(value), r: 3, fill: color
+          }, React.createElement('title', null, `${item.name ? `${item.name} - ` : ''}${labels[index]}: ${formatValue(value)}`)));
+        });
+      }
+    });
+  }
+  
+  // Axes
+  elements.push(
+    React.createElement('line', {
+      key: 'x-axis',
+      x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: y(0), y2: y(0),
+      stroke: '#9ca3af'
+    }),
+    React.createElement('line', {
+      key: 'y-axis',
+      x1: CHART_PADDING.left, x2: CHART_PADDING.left, y1: CHART_PADDING.top, y2: CHART_PADDING.top + plotHeight,
+      stroke: '#9ca3af'
+    })
+  );
+  
+  if (xLabel) {
+    elements.push(React.createElement('text', {
+      key: 'x-label',
+      x: CHART_PADDING.left + plotWidth / 2, y: CHART_HEIGHT - 8,
+      textAnchor: 'middle', fontSize: 11, fill: '#374151'
+    }, xLabel));
+  }
+  if (yLabel) {
+    elements.push(React.createElement('text', {
+      key: 'y-label',
+      x: 12, y: CHART_PADDING.top + plotHeight / 2,
+      textAnchor: 'middle', fontSize: 11, fill: '#374151',
+      transform: `rotate(-90 12 ${CHART_PADDING.top + plotHeight / 2})`
+    }, yLabel));
+  }
+  
+  return elements;
+}
+
+/**
+ * Creates a line, bar or pie chart rendered as SVG
+ */
+function createChart(definition, key) {
+  const { props = {}, chartType = 'bar', labels = [], series = [] } = definition;
+  const sanitizedProps = sanitizeProps(props);
+  
+  const plot = chartType === 'pie'
+    ? createPieSlices(labels, series[0]?.values || [])
+    : createCartesianPlot(definition);
+  
+  const legendNames = chartType === 'pie'
+    ? labels
+    : series.length > 1 ? series.map((item, index) => item.name || `Series ${index + 1}`) : [];
+  
+  return React.createElement('figure', {
+    key,
+    className: `rounded border border-gray-200 bg-white p-3 ${sanitizedProps.className || ''}`.trim()
+  },
+    sanitizedProps.title && React.createElement('figcaption', {
+      className: 'mb-2 text-sm font-semibold text-gray-800'
+    }, sanitizedProps.title),
+    React.createElement('svg', {
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      className: 'w-full h-auto',
+      role: 'img',
+      'aria-label': sanitizedProps.title || `${chartType} chart`
+    }, ...plot),
+    legendNames.length > 0 && createChartLegend(legendNames)
+  );
+}
+
+/**
+ * Creates a labelled range slider showing its current value
+ */
+function createSlider(definition, key) {
+  const { props = {}, label = '', unit = '' } = definition;
+  const sanitizedProps = sanitizeInputProps({ ...props, type: 'range' });
+  
+  return React.createElement('label', { key, className: 'block space-y-1' },
+    React.createElement('div', { className: 'flex justify-between text-sm text-gray-700' },
+      React.createElement('span', null, label || sanitizedProps.name),
+      React.createElement('span', { className: 'font-medium tabular-nums' },
+        `${formatValue(Number(sanitizedProps.value))}${unit ? ` ${unit}` : ''}`)
+    ),
+    React.createElement('input', {
+      ...sanitizedProps,
+      className: `w-full accent-blue-600 ${sanitizedProps.className || ''}`.trim()
+    })
+  );
+}
+
+/**
+ * Tabbed container; keeps the active tab in local state
+ */
+function TabsView({ definition }) {
+  const { props = {}, tabs = [] } = definition;
+  const sanitizedProps = sanitizeProps(props);
+  const [activeIndex, setActiveIndex] = React.useState(0);
+  const activeTab = tabs[activeIndex] || tabs[0];
+  
+  return React.createElement('div', {
+    className: `rounded border border-gray-200 bg-white ${sanitizedProps.className || ''}`.trim()
+  },
+    React.createElement('div', { className: 'flex border-b border-gray-200', role: 'tablist' },
+      ...tabs.map((tab, index) =>
+        React.createElement('button', {
+          key: `tab-${index}`,
+          type: 'button',
+          role: 'tab',
+          'aria-selected': index === activeIndex,
+          onClick: () => setActiveIndex(index),
+          className: index === activeIndex
+            ? 'px-4 py-2 text-sm font-medium text-blue-700 border-b-2 border-blue-600'
+            : 'px-4 py-2 text-sm text-gray-600 hover:text-gray-900'
+        }, tab.label)
+      )
+    ),
+    React.createElement('div', { className: 'p-3 space-y-3', role: 'tabpanel' },
+      ...(activeTab?.children || []).map((child, index) =>
+        typeof child === 'string' ? child : createReactElement(child, index)
+      ).filter(Boolean)
+    )
+  );
+}
+
+/**
+ * Creates a labelled checkbox
+ */
+function createCheckbox(definition, key) {
+  const { props = {}, label = '' } = definition;
+  const { checked, ...rest } = props;
+  const sanitizedProps = sanitizeProps(rest);
+  
+  return React.createElement('label', {
+    key,
+    className: `flex items-center space-x-2 text-sm text-gray-700 ${sanitizedProps.className || ''}`.trim()
+  },
+    React.createElement('input', {
+      ...sanitizedProps,
+      type: 'checkbox',
+      checked: Boolean(checked),
+      className: 'rounded border-gray-300 text-blue-600 focus:ring-blue-500'
+    }),
+    React.createElement('span', null, label || sanitizedProps.name)
+  );
+}
+
+/**
+ * Creates a group of radio buttons sharing one name
+ */
+function createRadioGroup(definition, key) {
+  const { props = {}, label = '', options = [] } = definition;
+  const sanitizedProps = sanitizeProps(props);
+  const { name, value, onChange, disabled } = sanitizedProps;
+  
+  return React.createElement('fieldset', {
+    key,
+    className: `space-y-1 ${sanitizedProps.className || ''}`.trim()
+  },
+    label && React.createElement('legend', { className: 'text-sm font-medium text-gray-700 mb-1' }, label),
+    ...options.map((option, index) =>
+      React.createElement('label', {
+        key: `radio-${index}`,
+        className: 'flex items-center space-x-2 text-sm text-gray-700'
+      },
+        React.createElement('input', {
+          type: 'radio',
+          name,
+          value: option.value,
+          checked: String(value) === option.value,
+          onChange,
+          disabled,
+          className: 'border-gray-300 text-blue-600 focus:ring-blue-500'
+        }),
+        React.createElement('span', null, option.text)
+      )
+    )
+  );
+}
+
+/**
+ * Creates a summary panel of labelled values
+ */
+function createResultPanel(definition, key) {
+  const { props = {}, items = [] } = definition;
+  const sanitizedProps = sanitizeProps(props);
+  
+  return React.createElement('div', {
+    key,
+    className: `rounded-lg border border-blue-200 bg-blue-50 p-3 ${sanitizedProps.className || ''}`.trim()
+  },
+    sanitizedProps.title && React.createElement('div', {
+      className: 'mb-2 text-sm font-semibold text-blue-900'
+    }, sanitizedProps.title),
+    React.createElement('dl', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-2' },
+      ...items.map((item, index) =>
+        React.createElement('div', { key: `item-${index}`, className: 'flex justify-between sm:block' },
+          React.createElement('dt', { className: 'text-xs text-blue-700' }, item.label),
+          React.createElement('dd', {
+            className: item.highlight ? 'text-lg font-bold text-blue-900' : 'text-sm font-medium text-blue-900'
+          }, `${formatValue(item.value)}${item.unit ? ` ${item.unit}` : ''}`)
+        )
+      )
+    )
+  );
+}
+
 /**
  * Component factory class for managing component creation
  */
@@ -0,0 +1,113 @@
+/**
+ * Agent Run Registry - Tracks in-flight /api/chat agent runs so they can be cancelled
+ * Each run owns an AbortController whose signal is threaded through the controller loop,
+ * the tool conversation, tool execution and LLM requests; /api/agent/[runId]/cancel aborts it
+ */
+
+class AgentRunRegistry {
+  constructor() {
+    this.runs = new Map();
+  }
+
+  /**
+   * Register a new run
+   * @param {string|undefined} runId - Client-chosen run ID; one is generated when omitted
+   * @param {Object} details - { mode } describing the run
+   * @returns {Object|null} - Run entry, or null if a run with this ID is already in flight
+   */
+  start(runId, details = {}) {
+    const id = runId || this.generateRunId();
+    if (this.runs.has(id)) {
+      return null;
+    }
+
+    const entry = {
+      runId: id,
+      mode: details.mode || 'agent',
+      abortController: new AbortController(),
+      startedAt: Date.now()
+    };
+
+    this.runs.set(id, entry);
+    console.log(`Agent run started: ${id} (${entry.mode}, ${this.runs.size} active)`);
+    return entry;
+  }
+
+  /**
+   * Look up an in-flight run
+   * @param {string} runId - Run ID
+   * @returns {Object|null} - Run entry, or null if unknown or finished
+   */
+  get(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Abort a run's signal
+   * The run stays registered until its request finishes unwinding
+   * @param {string} runId - Run ID
+   * @param {string} reason - Why it was cancelled
+   * @returns {Object|null} - Run entry, or null if unknown or finished
+   */
+  cancel(runId, reason = 'Cancelled') {
+    const entry = this.runs.get(runId);
+    if (!entry) {
+      return null;
+    }
+
+    if (!entry.abortController.signal.aborted) {
+      entry.abortController.abort(reason);
+      entry.cancelledAt = Date.now();
+      console.log(`Agent run cancelled: ${runId} (${reason})`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop a run once its request has finished
+   * @param {Object} entry - Run entry returned by start()
+   */
+  finish(entry) {
+    // A later run may have reused the ID; only remove our own entry
+    if (this.runs.get(entry.runId) === entry) {
+      this.runs.delete(entry.runId);
+      console.log(`Agent run finished: ${entry.runId}`);
+    }
+  }
+
+  /**
+   * Summarize in-flight runs for diagnostics
+   * @returns {Array} - Run summaries
+   */
+  list() {
+    return Array.from(this.runs.values()).map(entry => ({
+      runId: entry.runId,
+      mode: entry.mode,
+      cancelled: entry.abortController.signal.aborted,
+      startedAt: new Date(entry.startedAt)
+    }));
+  }
+
+  /**
+   * Generate a run ID
+   * @returns {string} - Run ID
+   */
+  generateRunId() {
+    return 'run_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  }
+}
+
+/**
+ * Get the process-wide registry
+ * Kept on globalThis so the chat route and the cancel route see the same runs
+ * @returns {AgentRunRegistry} - Shared registry
+ */
+export function getAgentRunRegistry() {
+  if (!globalThis.__agentRunRegistry) {
+    globalThis.__agentRunRegistry = new AgentRunRegistry();
+  }
+  return globalThis.__agentRunRegistry;
+}
+
+export default AgentRunRegistry;
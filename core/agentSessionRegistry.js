@@ -0,0 +1,134 @@
+/**
+ * Agent Session Registry - Keeps paused controller runs alive between requests
+ * A run that stops at a human checkpoint is parked here under its session ID until
+ * someone answers it through /api/agent/[sessionId]/*, it expires, or it is evicted
+ */
+
+class AgentSessionRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {number} options.ttlMs - Idle time before a session is dropped (default 30 minutes)
+   * @param {number} options.maxSessions - Sessions kept before the least recently used is evicted
+   */
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.ttlMs = options.ttlMs || 30 * 60 * 1000;
+    this.maxSessions = options.maxSessions || 50;
+  }
+
+  /**
+   * Register (or refresh) an agent system under its session ID
+   * @param {IntegratedAgentSystem} agentSystem - Initialized system with a paused controller
+   * @returns {Object} - Session entry
+   */
+  register(agentSystem) {
+    this.evictExpired();
+
+    const sessionId = agentSystem.sessionId;
+    const existing = this.sessions.get(sessionId);
+    const now = Date.now();
+
+    const entry = {
+      sessionId: sessionId,
+      agentSystem: agentSystem,
+      createdAt: existing ? existing.createdAt : now,
+      lastAccess: now
+    };
+
+    // Re-inserting keeps the Map ordered from least to most recently used
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, entry);
+
+    while (this.sessions.size > this.maxSessions) {
+      const oldestId = this.sessions.keys().next().value;
+      console.log(`Agent session registry full, evicting ${oldestId}`);
+      this.remove(oldestId);
+    }
+
+    console.log(`Agent session registered: ${sessionId} (${this.sessions.size} active)`);
+    return entry;
+  }
+
+  /**
+   * Look up a session and mark it as used
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} - Session entry, or null if unknown or expired
+   */
+  get(sessionId) {
+    this.evictExpired();
+
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.lastAccess = Date.now();
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, entry);
+
+    return entry;
+  }
+
+  /**
+   * Drop a session and shut its agent system down
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Whether a session was removed
+   */
+  remove(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return false;
+    }
+
+    this.sessions.delete(sessionId);
+    entry.agentSystem.shutdown().catch(error => {
+      console.error(`Failed to shut down agent session ${sessionId}:`, error);
+    });
+
+    console.log(`Agent session removed: ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Remove sessions idle for longer than the TTL
+   * @returns {number} - Number of sessions removed
+   */
+  evictExpired() {
+    const cutoff = Date.now() - this.ttlMs;
+    const expired = Array.from(this.sessions.values())
+      .filter(entry => entry.lastAccess < cutoff)
+      .map(entry => entry.sessionId);
+
+    expired.forEach(sessionId => this.remove(sessionId));
+    return expired.length;
+  }
+
+  /**
+   * Summarize registered sessions for diagnostics
+   * @returns {Array} - Session summaries
+   */
+  list() {
+    this.evictExpired();
+
+    return Array.from(this.sessions.values()).map(entry => ({
+      sessionId: entry.sessionId,
+      status: entry.agentSystem.agentController.agentState.getState().status,
+      createdAt: new Date(entry.createdAt),
+      lastAccess: new Date(entry.lastAccess)
+    }));
+  }
+}
+
+/**
+ * Get the process-wide registry
+ * Stored on globalThis because Next.js bundles each route separately and reloads modules in development
+ * @returns {AgentSessionRegistry} - Shared registry
+ */
+export function getAgentSessionRegistry() {
+  if (!globalThis.__agentSessionRegistry) {
+    globalThis.__agentSessionRegistry = new AgentSessionRegistry();
+  }
+  return globalThis.__agentSessionRegistry;
+}
+
+export default AgentSessionRegistry;
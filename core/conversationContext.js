@@ -0,0 +1,203 @@
+/**
+ * Conversation Context - Prior chat turns for follow-up questions
+ * Validates the history a client sends with /api/chat, keeps the most recent turns that fit
+ * a token budget, and renders them for the tool-calling and UI-generation prompts
+ *
+ * Turn format (as sent by the client):
+ * { role: 'user' | 'assistant', content, uiCode?, toolResults?: [{ name, parameters, result }] }
+ */
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+const MAX_TURNS = 50;
+
+class ConversationContext {
+  /**
+   * @param {Object} options - Context options
+   * @param {number} options.maxTokens - Token budget for history (default CHAT_CONTEXT_TOKEN_BUDGET or 3000)
+   */
+  constructor(options = {}) {
+    const envBudget = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET, 10);
+    this.maxTokens = options.maxTokens || (envBudget > 0 ? envBudget : DEFAULT_TOKEN_BUDGET);
+    this.turns = [];
+    this.droppedTurns = 0;
+    this.estimatedTokens = 0;
+  }
+
+  /**
+   * Build the context from client history, dropping the oldest turns beyond the budget
+   * @param {Array} history - Prior turns, oldest first
+   * @returns {ConversationContext} - This context
+   */
+  build(history = []) {
+    const turns = this.normalizeHistory(history);
+    const kept = [];
+    let usedTokens = 0;
+
+    // Walk back from the newest turn so recent context survives trimming
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turnTokens = ConversationContext.estimateTokens(this.renderTurn(turns[i]));
+
+      if (usedTokens + turnTokens > this.maxTokens) {
+        // Always keep the latest turn, shortened if it alone is over budget
+        if (kept.length === 0) {
+          kept.unshift(this.shortenTurn(turns[i], this.maxTokens));
+          usedTokens = this.maxTokens;
+        }
+        break;
+      }
+
+      kept.unshift(turns[i]);
+      usedTokens += turnTokens;
+    }
+
+    this.turns = kept;
+    this.droppedTurns = turns.length - kept.length;
+    this.estimatedTokens = usedTokens;
+
+    if (this.droppedTurns > 0) {
+      console.log(`Conversation context trimmed: kept ${kept.length} turns, dropped ${this.droppedTurns}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Check whether any prior turns were kept
+   * @returns {boolean} - True if the context has turns
+   */
+  hasTurns() {
+    return this.turns.length > 0;
+  }
+
+  /**
+   * Render the context as chat messages for a tool-calling conversation
+   * Earlier tool calls are folded into assistant text; their call IDs are no longer valid for the provider
+   * @returns {Array} - Normalized chat messages
+   */
+  toChatMessages() {
+    // Chat APIs expect the first message after the system prompt to come from the user
+    const firstUserTurn = this.turns.findIndex(turn => turn.role === 'user');
+    const turns = firstUserTurn === -1 ? [] : this.turns.slice(firstUserTurn);
+
+    return turns.map(turn => ({
+      role: turn.role,
+      content: turn.role === 'assistant' ? this.renderAssistantTurn(turn) : turn.content
+    }));
+  }
+
+  /**
+   * Render the context as a plain-text transcript for single-prompt generation
+   * @returns {string} - Transcript, empty when there are no turns
+   */
+  toTranscript() {
+    return this.turns.map(turn => this.renderTurn(turn)).join('\n\n');
+  }
+
+  /**
+   * Describe the context for response metadata
+   * @returns {Object} - Turn and token counts
+   */
+  getSummary() {
+    return {
+      includedTurns: this.turns.length,
+      droppedTurns: this.droppedTurns,
+      estimatedTokens: this.estimatedTokens,
+      tokenBudget: this.maxTokens
+    };
+  }
+
+  /**
+   * Keep well-formed turns only
+   * @param {Array} history - Raw history from the request
+   * @returns {Array} - Normalized turns
+   */
+  normalizeHistory(history) {
+    if (!Array.isArray(history)) {
+      return [];
+    }
+
+    return history
+      .slice(-MAX_TURNS)
+      .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant'))
+      .map(turn => ({
+        role: turn.role,
+        content: typeof turn.content === 'string' ? turn.content : '',
+        uiCode: turn.role === 'assistant' && typeof turn.uiCode === 'string' ? turn.uiCode : '',
+        toolResults: turn.role === 'assistant' && Array.isArray(turn.toolResults)
+          ? turn.toolResults.filter(result => result && typeof result.name === 'string')
+          : []
+      }))
+      .filter(turn => turn.content || turn.uiCode || turn.toolResults.length > 0);
+  }
+
+  /**
+   * Render one turn with its speaker label
+   * @param {Object} turn - Normalized turn
+   * @returns {string} - Rendered turn
+   */
+  renderTurn(turn) {
+    return turn.role === 'user'
+      ? `User: ${turn.content}`
+      : `Assistant: ${this.renderAssistantTurn(turn)}`;
+  }
+
+  /**
+   * Render an assistant turn with the UI code and tool results it produced
+   * @param {Object} turn - Normalized assistant turn
+   * @returns {string} - Rendered content
+   */
+  renderAssistantTurn(turn) {
+    const parts = [];
+
+    if (turn.content) {
+      parts.push(turn.content);
+    }
+
+    if (turn.toolResults.length > 0) {
+      const results = turn.toolResults.map(result =>
+        `- ${result.name}(${JSON.stringify(result.parameters || {})}) -> ${JSON.stringify(result.result ?? null)}`
+      );
+      parts.push(`Tool results:\n${results.join('\n')}`);
+    }
+
+    if (turn.uiCode) {
+      parts.push(`Generated UI code:\n<ui>\n${turn.uiCode}\n</ui>`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Cut a turn down to a token budget: drop its UI code, then its tool results, then the start of its text
+   * @param {Object} turn - Normalized turn
+   * @param {number} maxTokens - Token budget
+   * @returns {Object} - Shortened turn
+   */
+  shortenTurn(turn, maxTokens) {
+    const maxChars = maxTokens * 4;
+    const shortened = { ...turn };
+
+    if (ConversationContext.estimateTokens(this.renderTurn(shortened)) > maxTokens && shortened.uiCode) {
+      shortened.uiCode = '';
+    }
+    if (ConversationContext.estimateTokens(this.renderTurn(shortened)) > maxTokens && shortened.toolResults.length > 0) {
+      shortened.toolResults = [];
+    }
+    if (shortened.content.length > maxChars) {
+      shortened.content = '...' + shortened.content.slice(-(maxChars - 3));
+    }
+
+    return shortened;
+  }
+
+  /**
+   * Estimate tokens for a string (about four characters per token for English text)
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated tokens
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+export default ConversationContext;
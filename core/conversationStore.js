@@ -0,0 +1,272 @@
+/**
+ * Conversation Store - Saved chats persisted as JSON files
+ * One file per conversation holds its messages, the values typed into generated
+ * components and their calculation results, so a reload restores the whole chat
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 120;
+const ID_PATTERN = /^conv_[a-z0-9_]+$/i;
+
+class ConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory for conversation files
+   *   (default CONVERSATION_STORE_DIR or ./data/conversations)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory
+      || process.env.CONVERSATION_STORE_DIR
+      || path.join(process.cwd(), 'data', 'conversations');
+  }
+
+  /**
+   * List saved conversations, most recently updated first
+   * @returns {Promise<Array>} - Conversation summaries without messages
+   */
+  async list() {
+    await this.ensureDirectory();
+
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const conversations = await Promise.all(
+      files.map(file => this.readFile(path.join(this.directory, file)))
+    );
+
+    return conversations
+      .filter(Boolean)
+      .map(conversation => this.summarize(conversation))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Load a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} - Conversation, or null if it doesn't exist
+   */
+  async get(conversationId) {
+    if (!this.isValidId(conversationId)) {
+      return null;
+    }
+    return await this.readFile(this.getFilePath(conversationId));
+  }
+
+  /**
+   * Create a conversation
+   * @param {Object} data - { title, messages, uiState, calculationResults }
+   * @returns {Promise<Object>} - Created conversation
+   */
+  async create(data = {}) {
+    const now = new Date().toISOString();
+
+    const conversation = {
+      id: this.generateConversationId(),
+      title: this.normalizeTitle(data.title),
+      createdAt: now,
+      updatedAt: now,
+      messages: Array.isArray(data.messages) ? data.messages : [],
+      uiState: this.normalizeObject(data.uiState),
+      calculationResults: this.normalizeObject(data.calculationResults)
+    };
+
+    await this.writeConversation(conversation);
+    console.log(`Conversation created: ${conversation.id}`);
+
+    return conversation;
+  }
+
+  /**
+   * Update a conversation's title and/or contents
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} updates - Any of { title, messages, uiState, calculationResults }
+   * @returns {Promise<Object|null>} - Updated conversation, or null if it doesn't exist
+   */
+  async update(conversationId, updates = {}) {
+    const conversation = await this.get(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    if (updates.title !== undefined) {
+      conversation.title = this.normalizeTitle(updates.title);
+    }
+    if (Array.isArray(updates.messages)) {
+      conversation.messages = updates.messages;
+    }
+    if (updates.uiState !== undefined) {
+      conversation.uiState = this.normalizeObject(updates.uiState);
+    }
+    if (updates.calculationResults !== undefined) {
+      conversation.calculationResults = this.normalizeObject(updates.calculationResults);
+    }
+
+    // Untitled chats are named after their first question
+    if (conversation.title === DEFAULT_TITLE && updates.title === undefined) {
+      conversation.title = this.titleFromMessages(conversation.messages);
+    }
+
+    conversation.updatedAt = new Date().toISOString();
+    await this.writeConversation(conversation);
+
+    return conversation;
+  }
+
+  /**
+   * Copy a conversation, including entered values and results
+   * @param {string} conversationId - Conversation to copy
+   * @param {string} title - Title for the copy (default "<title> (copy)")
+   * @returns {Promise<Object|null>} - The copy, or null if the source doesn't exist
+   */
+  async duplicate(conversationId, title) {
+    const source = await this.get(conversationId);
+    if (!source) {
+      return null;
+    }
+
+    return await this.create({
+      title: title || `${source.title} (copy)`,
+      messages: source.messages,
+      uiState: source.uiState,
+      calculationResults: source.calculationResults
+    });
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} - Whether a conversation was deleted
+   */
+  async delete(conversationId) {
+    if (!this.isValidId(conversationId)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.getFilePath(conversationId));
+      console.log(`Conversation deleted: ${conversationId}`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the sidebar summary of a conversation
+   * @param {Object} conversation - Full conversation
+   * @returns {Object} - Summary
+   */
+  summarize(conversation) {
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: (conversation.messages || []).length
+    };
+  }
+
+  /**
+   * Write a conversation atomically so a crash mid-write can't corrupt it
+   * @param {Object} conversation - Conversation to save
+   */
+  async writeConversation(conversation) {
+    await this.ensureDirectory();
+
+    const filePath = this.getFilePath(conversation.id);
+    // Unique per write: concurrent saves of one conversation must not rename each other's partial file
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).substring(2, 9)}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read and parse a conversation file
+   * @param {string} filePath - File path
+   * @returns {Promise<Object|null>} - Conversation, or null if missing or unreadable
+   */
+  async readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Skipping unreadable conversation file ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Create the storage directory if needed
+   */
+  async ensureDirectory() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * Resolve the file for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {string} - File path
+   */
+  getFilePath(conversationId) {
+    return path.join(this.directory, `${conversationId}.json`);
+  }
+
+  /**
+   * Check an ID before it is used in a file path
+   * @param {string} conversationId - Conversation ID
+   * @returns {boolean} - Whether the ID is well formed
+   */
+  isValidId(conversationId) {
+    return typeof conversationId === 'string' && ID_PATTERN.test(conversationId);
+  }
+
+  /**
+   * Trim a title, falling back to the default
+   * @param {string} title - Requested title
+   * @returns {string} - Title to store
+   */
+  normalizeTitle(title) {
+    const trimmed = typeof title === 'string' ? title.trim() : '';
+    return trimmed ? trimmed.substring(0, MAX_TITLE_LENGTH) : DEFAULT_TITLE;
+  }
+
+  /**
+   * Derive a title from the first user message
+   * @param {Array} messages - Conversation messages
+   * @returns {string} - Title, or the default when there is no user message yet
+   */
+  titleFromMessages(messages) {
+    const firstQuestion = (messages || []).find(message => message.type === 'user' && message.content);
+    if (!firstQuestion) {
+      return DEFAULT_TITLE;
+    }
+
+    const text = String(firstQuestion.content).replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.substring(0, 57)}...` : this.normalizeTitle(text);
+  }
+
+  /**
+   * Accept only plain objects for keyed state
+   * @param {*} value - Incoming value
+   * @returns {Object} - The value, or an empty object
+   */
+  normalizeObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  /**
+   * Generate a conversation ID
+   * @returns {string} - Conversation ID
+   */
+  generateConversationId() {
+    return 'conv_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  }
+}
+
+export default ConversationStore;
@@ -3,24 +3,37 @@
  * Integrates prompting system and response parsing for autonomous agents
  */
 
-import { Mistral } from '@mistralai/mistralai';
 import AgentPromptingSystem from '../prompt/builder/agentPromptingSystem.js';
 import AgentResponseParser from '../prompt/parser/agentResponseParser.js';
+import BaseProvider from './providers/baseProvider.js';
+import { createLLMProvider } from './providers/providerFactory.js';
+import ToolExecutor from '../tools/manager/toolExecutor.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { abortable, isAbortError, sleep, throwIfAborted } from '../utils/abort.js';
 
 class EnhancedAIService {
-  constructor(toolRegistry) {
+  /**
+   * @param {ToolRegistry|null} toolRegistry - Registry of callable tools
+   * @param {Object} options - Service options
+   * @param {BaseProvider} options.provider - LLM provider (defaults to createLLMProvider())
+   * @param {number} options.maxParallelToolCalls - Tool calls from one turn run at the same time
+   *   (defaults to MAX_PARALLEL_TOOL_CALLS, then 4; 1 runs them one by one)
+   * @param {ToolExecutor} options.toolExecutor - Runs conversation tool calls (defaults to a new
+   *   ToolExecutor over toolRegistry); pass a ToolManager's executor to share its history and statistics
+   */
+  constructor(toolRegistry, options = {}) {
     this.promptingSystem = new AgentPromptingSystem(toolRegistry);
     this.responseParser = new AgentResponseParser();
     this.toolRegistry = toolRegistry;
+    this.toolExecutor = options.toolExecutor || (toolRegistry ? new ToolExecutor(toolRegistry) : null);
 
-    // Initialize Mistral client with correct import
-    this.mistralClient = new Mistral({
-      apiKey: process.env.MISTRAL_API_KEY
-    });
+    // LLM backend (Mistral unless LLM_PROVIDER says otherwise)
+    this.provider = options.provider || createLLMProvider();
 
     // Configuration
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this.maxParallelToolCalls = options.maxParallelToolCalls || parseInt(process.env.MAX_PARALLEL_TOOL_CALLS, 10) || 4;
     this.temperatureSettings = {
       reasoning: 0.7,
       toolSelection: 0.3,
@@ -39,9 +52,10 @@ class EnhancedAIService {
     try {
       const prompt = this.promptingSystem.createInitialReasoningPrompt(userQuery, context);
 
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: this.temperatureSettings.reasoning,
-        maxTokens: 1500
+        maxTokens: 1500,
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
@@ -78,6 +92,8 @@ class EnhancedAIService {
    * @param {string} reasoning - Current agent reasoning
    * @param {string} userQuery - Original user query
    * @param {Object} context - Agent context with history
+   * @param {boolean} context.nativeTools - Offer tools through the provider's tool calling (default true);
+   *   when false the selection is read from the SELECTED_TOOL / PARAMETERS text
    * @returns {Promise<Object>} - Parsed tool selection
    */
   async generateToolSelection(reasoning, userQuery, context = {}) {
@@ -90,22 +106,23 @@ class EnhancedAIService {
         context.actions || []
       );
 
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: this.temperatureSettings.toolSelection,
         maxTokens: 1000,
-        enableTools: true,
-        tools: availableTools
+        enableTools: context.nativeTools !== false,
+        tools: availableTools,
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
         throw new Error(`API call failed: ${apiResponse.error.message}`);
       }
 
-      // Handle tool calls from Mistral API
+      // Handle native tool calls from the provider
       if (apiResponse.toolCalls && apiResponse.toolCalls.length > 0) {
         const toolCall = apiResponse.toolCalls[0]; // Use first tool call
         const toolName = toolCall.function.name;
-        const parameters = JSON.parse(toolCall.function.arguments || '{}');
+        const { parameters, errors: argumentErrors } = this.parseToolCallArguments(toolCall);
 
         // Validate tool exists
         const tool = this.toolRegistry.getTool(toolName);
@@ -131,6 +148,8 @@ class EnhancedAIService {
           confidence: 0.9,
           rawResponse: apiResponse.content,
           toolCallId: toolCall.id,
+          // Set when the arguments weren't a JSON object; the caller sends them for repair like schema errors
+          ...(argumentErrors.length > 0 && { argumentErrors }),
           errors: []
         };
       }
@@ -173,14 +192,88 @@ class EnhancedAIService {
     }
   }
 
+  /**
+   * Ask the LLM to correct a tool selection whose parameters failed validation
+   * @param {Object} selection - { toolName, parameters } that failed
+   * @param {string[]} validationErrors - Validation messages
+   * @param {string} userQuery - Original user query
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<Object>} - Parsed tool selection, same shape as generateToolSelection
+   */
+  async repairToolSelection(selection, validationErrors, userQuery, options = {}) {
+    try {
+      const tool = this.toolRegistry.getTool(selection.toolName);
+      const prompt = this.promptingSystem.createToolRepairPrompt(
+        userQuery,
+        selection,
+        validationErrors,
+        tool && typeof tool.getParameterSchema === 'function' ? tool.getParameterSchema() : null,
+        this.toolRegistry.getAvailableTools()
+      );
+
+      const apiResponse = await this.callLLMWithRetry(prompt, {
+        temperature: this.temperatureSettings.toolSelection,
+        maxTokens: 1000,
+        signal: options.signal
+      });
+
+      if (!apiResponse.success) {
+        throw new Error(`API call failed: ${apiResponse.error.message}`);
+      }
+
+      const parsedResponse = this.responseParser.parseToolSelection(apiResponse.content);
+
+      return {
+        success: parsedResponse.success,
+        actionType: parsedResponse.actionType,
+        selectedTool: parsedResponse.selectedTool,
+        parameters: parsedResponse.parameters,
+        reasoning: parsedResponse.reasoning,
+        confidence: parsedResponse.confidence,
+        rawResponse: apiResponse.content,
+        errors: parsedResponse.errors
+      };
+
+    } catch (error) {
+      console.error('Enhanced AI Service - Tool Repair Error:', error);
+      return {
+        success: false,
+        error: {
+          type: 'tool_repair_failed',
+          message: error.message,
+          details: error.stack
+        }
+      };
+    }
+  }
+
+  /**
+   * Parse a native tool call's JSON arguments without throwing
+   * @param {Object} toolCall - Provider tool call ({ id, function: { name, arguments } })
+   * @returns {Object} - { parameters, errors }; errors is empty when the arguments are a JSON object
+   */
+  parseToolCallArguments(toolCall) {
+    const raw = toolCall.function.arguments;
+
+    try {
+      const parameters = typeof raw === 'string' ? JSON.parse(raw || '{}') : (raw || {});
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        return { parameters: {}, errors: [`Arguments must be a JSON object, got ${JSON.stringify(parameters)}`] };
+      }
+      return { parameters, errors: [] };
+    } catch (error) {
+      return { parameters: {}, errors: [`Arguments are not valid JSON (${error.message}): ${raw}`] };
+    }
+  }
+
   /**
    * Handle tool call response and create tool message
-   * @param {string} toolCallId - Tool call ID from Mistral
+   * @param {string} toolCallId - Tool call ID from the provider
    * @param {Object} toolResult - Result from tool execution
    * @returns {Object} - Tool message for conversation
    */
   createToolMessage(toolCallId, toolResult) {
-    // Mistral API requires both 'name' and 'toolCallId' for tool messages
+    // Carry both 'name' and 'toolCallId'; each provider keeps the field its API needs
     return {
       role: 'tool',
       name: toolResult.toolName,
@@ -205,11 +298,12 @@ class EnhancedAIService {
       // Build conversation messages including tool calls and responses
       const messages = this.buildConversationMessages(context, lastObservation);
 
-      const apiResponse = await this.callMistralWithRetry(messages, {
+      const apiResponse = await this.callLLMWithRetry(messages, {
         temperature: this.temperatureSettings.reasoning,
         maxTokens: 1500,
         enableTools: true,
-        tools: this.toolRegistry.getAvailableTools()
+        tools: this.toolRegistry.getAvailableTools(),
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
@@ -219,8 +313,24 @@ class EnhancedAIService {
       // Handle potential new tool calls
       if (apiResponse.toolCalls && apiResponse.toolCalls.length > 0) {
         const toolCall = apiResponse.toolCalls[0];
+        let toolName = toolCall.function.name;
+        let { parameters, errors } = this.parseToolCallArguments(toolCall);
+
+        // Arguments that aren't a JSON object go back to the model for repair
+        if (errors.length > 0) {
+          const repair = await this.repairToolSelection({ toolName, parameters }, errors, context.userQuery, {
+            signal: context.signal
+          });
+
+          if (repair.success && repair.actionType === 'tool_call' && repair.selectedTool) {
+            toolName = repair.selectedTool;
+            parameters = repair.parameters || {};
+            errors = [];
+          }
+        }
+
         return {
-          success: true,
+          success: errors.length === 0,
           updatedReasoning: apiResponse.content,
           nextAction: 'tool_call',
           status: 'continuing',
@@ -229,10 +339,10 @@ class EnhancedAIService {
           rawResponse: apiResponse.content,
           toolCall: {
             id: toolCall.id,
-            name: toolCall.function.name,
-            parameters: JSON.parse(toolCall.function.arguments || '{}')
+            name: toolName,
+            parameters: parameters
           },
-          errors: []
+          errors: errors
         };
       }
 
@@ -321,9 +431,10 @@ class EnhancedAIService {
     try {
       const prompt = this.promptingSystem.createFinalAnswerPrompt(context);
 
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: this.temperatureSettings.finalAnswer,
-        maxTokens: 2000
+        maxTokens: 2000,
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
@@ -365,9 +476,10 @@ class EnhancedAIService {
     try {
       const prompt = this.promptingSystem.createErrorRecoveryPrompt(context, error);
 
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: this.temperatureSettings.errorRecovery,
-        maxTokens: 1500
+        maxTokens: 1500,
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
@@ -401,20 +513,24 @@ class EnhancedAIService {
 
   /**
    * Generate planning for complex multi-step problems with tool awareness
+   * Passing the current plan and a reason in the context asks for a revised plan instead
    * @param {string} userQuery - Complex user query
-   * @param {Object} context - Agent context
+   * @param {Object} context - Agent context, optionally { plan, reason } when replanning
    * @returns {Promise<Object>} - Generated plan
    */
   async generatePlan(userQuery, context = {}) {
     try {
       const availableTools = this.toolRegistry.getAvailableTools();
-      const prompt = this.promptingSystem.createPlanningPrompt(userQuery, availableTools);
+      const prompt = context.plan
+        ? this.promptingSystem.createReplanningPrompt(userQuery, availableTools, context.plan, context.reason, context.transcript)
+        : this.promptingSystem.createPlanningPrompt(userQuery, availableTools, context.transcript);
 
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: this.temperatureSettings.reasoning,
         maxTokens: 2000,
         enableTools: false, // Planning doesn't need tool execution, just awareness
-        tools: availableTools
+        tools: availableTools,
+        signal: context.signal
       });
 
       if (!apiResponse.success) {
@@ -447,13 +563,20 @@ class EnhancedAIService {
    * Execute a complete tool-calling conversation
    * @param {string} userQuery - User's query
    * @param {Object} options - Execution options
+   * @param {Function} options.onEvent - Optional (type, payload) listener; when set, turns are streamed
+   *   and 'assistant_delta', 'tool_call' and 'tool_result' events are emitted as they happen
+   * @param {Array} options.history - Prior turns as normalized chat messages (see ConversationContext.toChatMessages)
+   * @param {number} options.maxParallelToolCalls - Overrides the service's limit for this conversation
+   * @param {AbortSignal} options.signal - Stops the conversation; the in-flight LLM request and tool calls
+   *   are aborted and the result has error.type 'cancelled'
    * @returns {Promise<Object>} - Complete conversation result
    */
   async executeToolConversation(userQuery, options = {}) {
     const defaultOptions = {
       maxTurns: 5,
       temperature: 0.7,
-      enableTools: true
+      enableTools: true,
+      maxParallelToolCalls: this.maxParallelToolCalls
     };
 
     const finalOptions = { ...defaultOptions, ...options };
@@ -462,6 +585,7 @@ class EnhancedAIService {
         role: 'system',
         content: 'You are a helpful AI assistant that can use tools to answer questions. Use the available tools when needed to provide accurate information.'
       },
+      ...(finalOptions.history || []),
       {
         role: 'user',
         content: userQuery
@@ -469,22 +593,31 @@ class EnhancedAIService {
     ];
 
     const conversationHistory = [];
+    const signal = finalOptions.signal;
     let turnCount = 0;
     let finalAnswer = '';
 
     try {
       while (turnCount < finalOptions.maxTurns) {
+        throwIfAborted(signal);
         turnCount++;
 
         console.log(`=== CONVERSATION TURN ${turnCount} ===`);
         console.log('Current messages:', JSON.stringify(messages, null, 2));
 
-        const apiResponse = await this.callMistralWithRetry(messages, {
+        const apiOptions = {
           temperature: finalOptions.temperature,
           maxTokens: 1500,
           enableTools: finalOptions.enableTools,
-          tools: this.toolRegistry.getAvailableTools()
-        });
+          tools: this.toolRegistry.getAvailableTools(),
+          signal
+        };
+
+        const apiResponse = finalOptions.onEvent
+          ? await this.streamLLMWithRetry(messages, apiOptions, (delta) => {
+            this.emitConversationEvent(finalOptions.onEvent, 'assistant_delta', { turn: turnCount, delta });
+          })
+          : await this.callLLMWithRetry(messages, apiOptions);
 
         console.log(`=== TURN ${turnCount} API RESPONSE ===`);
         console.log('Success:', apiResponse.success);
@@ -493,6 +626,7 @@ class EnhancedAIService {
         console.log('Finish reason:', apiResponse.finishReason);
 
         if (!apiResponse.success) {
+          throwIfAborted(signal);
           throw new Error(`API call failed: ${apiResponse.error.message}`);
         }
 
@@ -541,56 +675,21 @@ class EnhancedAIService {
 
         console.log(`Found ${apiResponse.toolCalls.length} tool calls to execute`);
 
-        // Execute tool calls
-        for (const toolCall of apiResponse.toolCalls) {
-          try {
-            const toolName = toolCall.function.name;
-            const parameters = JSON.parse(toolCall.function.arguments || '{}');
-
-            console.log(`=== EXECUTING TOOL: ${toolName} ===`);
-            console.log('Tool call ID:', toolCall.id);
-            console.log('Parameters:', parameters);
-
-            // Execute tool
-            const toolResult = await this.executeToolCall(toolName, parameters);
-
-            console.log(`=== TOOL ${toolName} RESULT ===`);
-            console.log('Success:', toolResult.success);
-            console.log('Data:', toolResult.data);
-            console.log('Message:', toolResult.message);
-
-            // Add tool response to messages
-            const toolMessage = this.createToolMessage(toolCall.id, toolResult);
-            console.log('Tool message for conversation:', toolMessage);
-            messages.push(toolMessage);
-
-            conversationHistory.push({
-              turn: turnCount,
-              role: 'tool',
-              toolName: toolName,
-              toolCallId: toolCall.id,
-              parameters: parameters,
-              result: toolResult
-            });
-
-          } catch (toolError) {
-            console.error(`=== TOOL EXECUTION ERROR: ${toolCall.function.name} ===`);
-            console.error('Error:', toolError);
-
-            // Add error response with both name and toolCallId
-            const errorMessage = {
-              role: 'tool',
-              name: toolCall.function.name,
-              toolCallId: toolCall.id,
-              content: JSON.stringify({
-                success: false,
-                error: toolError.message
-              })
-            };
-            console.log('Error message for conversation:', errorMessage);
-            messages.push(errorMessage);
+        // Independent calls run concurrently; their results go back in the order the model made the calls
+        const toolOutcomes = await mapWithConcurrency(
+          apiResponse.toolCalls,
+          finalOptions.maxParallelToolCalls,
+          (toolCall) => this.executeConversationToolCall(toolCall, turnCount, finalOptions.onEvent, signal),
+          { isExclusive: (toolCall) => !this.isParallelSafeTool(toolCall.function.name) }
+        );
+
+        toolOutcomes.forEach(outcome => {
+          messages.push(outcome.message);
+          if (outcome.historyEntry) {
+            conversationHistory.push(outcome.historyEntry);
           }
-        }
+        });
+        throwIfAborted(signal);
 
         // Check if we should continue
         if (apiResponse.finishReason === 'stop') {
@@ -622,6 +721,19 @@ class EnhancedAIService {
       };
 
     } catch (error) {
+      if (isAbortError(error) || signal?.aborted) {
+        console.log(`Tool conversation cancelled after ${turnCount} turn(s)`);
+        return {
+          success: false,
+          error: {
+            type: 'cancelled',
+            message: 'Conversation cancelled',
+            conversationHistory: conversationHistory,
+            totalTurns: turnCount
+          }
+        };
+      }
+
       console.error('Tool conversation error:', error);
       return {
         success: false,
@@ -636,216 +748,297 @@ class EnhancedAIService {
   }
 
   /**
-   * Execute a single tool call - connects to tool registry
-   * @param {string} toolName - Tool name
-   * @param {Object} parameters - Tool parameters
-   * @returns {Promise<Object>} - Tool result
+   * Execute one tool call from a conversation turn and build the tool message for it
+   * @param {Object} toolCall - Provider tool call ({ id, function: { name, arguments } })
+   * @param {number} turn - Conversation turn
+   * @param {Function|undefined} onEvent - Optional conversation event listener
+   * @param {AbortSignal} signal - Cancels the tool call
+   * @returns {Promise<Object>} - { message, historyEntry } (historyEntry is null when the call could not run)
    */
-  async executeToolCall(toolName, parameters) {
-    if (!this.toolRegistry) {
-      throw new Error('Tool registry not available');
-    }
-
+  async executeConversationToolCall(toolCall, turn, onEvent, signal) {
     try {
-      const tool = this.toolRegistry.getTool(toolName);
-      if (!tool) {
-        throw new Error(`Tool '${toolName}' not found`);
-      }
+      const toolName = toolCall.function.name;
+      const parameters = JSON.parse(toolCall.function.arguments || '{}');
+
+      console.log(`=== EXECUTING TOOL: ${toolName} ===`);
+      console.log('Tool call ID:', toolCall.id);
+      console.log('Parameters:', parameters);
+
+      this.emitConversationEvent(onEvent, 'tool_call', {
+        turn: turn,
+        toolCallId: toolCall.id,
+        name: toolName,
+        parameters: parameters
+      });
+
+      // Execute tool
+      const toolResult = await this.executeToolCall(toolName, parameters, { signal });
+
+      console.log(`=== TOOL ${toolName} RESULT ===`);
+      console.log('Success:', toolResult.success);
+      console.log('Data:', toolResult.data);
+      console.log('Message:', toolResult.message);
+
+      this.emitConversationEvent(onEvent, 'tool_result', {
+        turn: turn,
+        toolCallId: toolCall.id,
+        name: toolName,
+        result: toolResult
+      });
 
-      const startTime = Date.now();
-      const result = await tool.execute(parameters);
-      const executionTime = Date.now() - startTime;
+      const toolMessage = this.createToolMessage(toolCall.id, toolResult);
+      console.log('Tool message for conversation:', toolMessage);
 
       return {
-        toolName: toolName,
-        success: result.success,
-        data: result.data,
-        message: result.message,
-        executionTime: executionTime
+        message: toolMessage,
+        historyEntry: {
+          turn: turn,
+          role: 'tool',
+          toolName: toolName,
+          toolCallId: toolCall.id,
+          parameters: parameters,
+          result: toolResult
+        }
       };
 
-    } catch (error) {
-      return {
-        toolName: toolName,
-        success: false,
-        data: null,
-        message: error.message,
-        executionTime: 0
+    } catch (toolError) {
+      console.error(`=== TOOL EXECUTION ERROR: ${toolCall.function.name} ===`);
+      console.error('Error:', toolError);
+
+      // Add error response with both name and toolCallId
+      const errorMessage = {
+        role: 'tool',
+        name: toolCall.function.name,
+        toolCallId: toolCall.id,
+        content: JSON.stringify({
+          success: false,
+          error: toolError.message
+        })
       };
+      console.log('Error message for conversation:', errorMessage);
+
+      this.emitConversationEvent(onEvent, 'tool_result', {
+        turn: turn,
+        toolCallId: toolCall.id,
+        name: toolCall.function.name,
+        result: {
+          toolName: toolCall.function.name,
+          success: false,
+          data: null,
+          message: toolError.message
+        }
+      });
+
+      return { message: errorMessage, historyEntry: null };
     }
   }
 
   /**
-   * Convert tools to Mistral API format
-   * @param {Array} tools - Array of tool objects
-   * @returns {Array} - Tools in Mistral API format
+   * Check whether a tool's calls may overlap with other calls
+   * @param {string} toolName - Tool name
+   * @returns {boolean} - False only for registered tools that set parallelSafe = false
    */
-  convertToolsToMistralFormat(tools) {
-    return tools.map(tool => {
-      // Get parameters from tool - handle both array and Map formats
-      let parameters = [];
-      if (tool.parameters) {
-        if (Array.isArray(tool.parameters)) {
-          parameters = tool.parameters;
-        } else if (tool.parameters instanceof Map) {
-          parameters = Array.from(tool.parameters.values());
-        }
-      }
-
-      return {
-        type: 'function',
-        function: {
-          name: tool.name,
-          description: tool.description,
-          parameters: this.convertParametersToJsonSchema(parameters)
-        }
-      };
-    });
+  isParallelSafeTool(toolName) {
+    return this.toolRegistry?.getTool(toolName)?.parallelSafe !== false;
   }
 
   /**
-   * Convert tool parameters to JSON Schema format
-   * @param {Array} parameters - Tool parameters
-   * @returns {Object} - JSON Schema object
+   * Forward a conversation event to an optional listener without letting it break the conversation
+   * @param {Function|undefined} onEvent - Event listener
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload
    */
-  convertParametersToJsonSchema(parameters) {
-    const schema = {
-      type: 'object',
-      properties: {},
-      required: []
-    };
+  emitConversationEvent(onEvent, type, payload) {
+    if (typeof onEvent !== 'function') {
+      return;
+    }
 
-    if (!Array.isArray(parameters)) {
-      return schema;
+    try {
+      onEvent(type, payload);
+    } catch (error) {
+      console.warn(`Conversation event listener failed for '${type}':`, error.message);
     }
+  }
 
-    parameters.forEach(param => {
-      // Handle both object and Map entry formats
-      const paramName = param.name || param[0];
-      const paramData = param.name ? param : param[1];
+  /**
+   * Execute a single tool call through the tool executor
+   * Conversation calls get the same validation, timeout, chaos faults and result cache as controller calls
+   * @param {string} toolName - Tool name
+   * @param {Object} parameters - Tool parameters
+   * @param {Object} options - { signal } handed to the tool; an abort fails the call right away
+   * @returns {Promise<Object>} - Tool result
+   */
+  async executeToolCall(toolName, parameters, options = {}) {
+    if (!this.toolExecutor) {
+      throw new Error('Tool registry not available');
+    }
 
-      schema.properties[paramName] = {
-        type: paramData.type || 'string',
-        description: paramData.description || ''
-      };
+    const execution = await this.toolExecutor.executeToolWithFeedback(toolName, parameters, {
+      signal: options.signal
+    });
 
-      if (paramData.required) {
-        schema.required.push(paramName);
-      }
+    // Field-level validation errors go back so the model can correct its arguments
+    const data = execution.validationErrors
+      ? { validationErrors: execution.validationErrors }
+      : execution.toolResult?.data ?? null;
 
-      if (paramData.defaultValue !== undefined) {
-        schema.properties[paramName].default = paramData.defaultValue;
-      }
-    });
+    return {
+      toolName: toolName,
+      success: execution.success === true,
+      data: data,
+      message: execution.message,
+      executionTime: execution.executionTime,
+      ...(execution.cached && { cached: true })
+    };
+  }
 
-    return schema;
+  /**
+   * Convert tools to the active provider's function-calling format
+   * @param {Array} tools - Array of tool objects
+   * @returns {Array} - Tools in the provider's API format
+   */
+  convertToolsToProviderFormat(tools) {
+    return this.provider.translateTools(tools);
   }
 
   /**
-   * Call Mistral API with retry logic and tool support
+   * Convert tool parameters to JSON Schema format
+   * @param {Array} parameters - Tool parameters
+   * @param {Array} conditionalRequirements - Tool's conditional requirements (optional)
+   * @returns {Object} - JSON Schema object
+   */
+  convertParametersToJsonSchema(parameters, conditionalRequirements = []) {
+    return BaseProvider.convertParametersToJsonSchema(parameters, conditionalRequirements);
+  }
+
+  /**
+   * Call the LLM provider with retry logic and tool support
    * @param {string|Array} messages - Messages to send (string for single user message, array for conversation)
    * @param {Object} options - API call options
    * @returns {Promise<Object>} - API response
    */
-  async callMistralWithRetry(messages, options = {}) {
-    const defaultOptions = {
-      temperature: 0.7,
-      maxTokens: 1500,
-      enableTools: false,
-      tools: []
-    };
-
-    const finalOptions = { ...defaultOptions, ...options };
+  async callLLMWithRetry(messages, options = {}) {
+    const { formattedMessages, providerOptions } = this.prepareLLMRequest(messages, options);
     let lastError;
 
-    // Format messages
-    let formattedMessages;
-    if (typeof messages === 'string') {
-      formattedMessages = [{ role: 'user', content: messages }];
-    } else if (Array.isArray(messages)) {
-      formattedMessages = messages;
-    } else {
-      throw new Error('Messages must be a string or array');
-    }
-
-    // Validate message format according to Mistral API requirements
-    formattedMessages = formattedMessages.map(msg => {
-      if (!msg.role) {
-        throw new Error('Message must have a role field');
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      if (providerOptions.signal?.aborted) {
+        return this.createCancelledResponse(attempt - 1);
       }
 
-      // Ensure content is present for non-tool messages or when required
-      if (msg.role !== 'tool' && !msg.content && !msg.toolCalls) {
-        throw new Error(`Message with role '${msg.role}' must have content or toolCalls`);
-      }
+      try {
+        console.log(`=== ${this.provider.name.toUpperCase()} API REQUEST ===`);
+        console.log('Model:', this.provider.model);
+        console.log('Messages:', JSON.stringify(formattedMessages, null, 2));
+        console.log('Tools enabled:', providerOptions.tools.length > 0);
+        if (providerOptions.tools.length > 0) {
+          console.log('Tool names:', providerOptions.tools.map(t => t.name));
+        }
 
-      return msg;
-    });
+        const response = await abortable(
+          this.provider.complete(formattedMessages, providerOptions),
+          providerOptions.signal
+        );
 
-    // Prepare API call parameters
-    const apiParams = {
-      model: 'mistral-large-latest',
-      messages: formattedMessages,
-      temperature: finalOptions.temperature,
-      maxTokens: finalOptions.maxTokens
-    };
+        console.log(`=== ${this.provider.name.toUpperCase()} API RESPONSE ===`);
+        console.log('Message content:', response.content);
+        console.log('Tool calls:', response.toolCalls);
+        console.log('Finish reason:', response.finishReason);
 
-    // Add tools if enabled and available
-    if (finalOptions.enableTools && finalOptions.tools && finalOptions.tools.length > 0) {
-      apiParams.tools = this.convertToolsToMistralFormat(finalOptions.tools);
-      apiParams.toolChoice = 'auto'; // Let the model decide when to use tools
+        return {
+          success: true,
+          content: response.content,
+          toolCalls: response.toolCalls || null,
+          finishReason: response.finishReason,
+          usage: response.usage,
+          rawResponse: response.rawResponse
+        };
 
-      // Debug logging
-      console.log(`Mistral API call with ${apiParams.tools.length} tools enabled`);
-      if (process.env.NODE_ENV === 'development') {
-        console.log('Tools:', JSON.stringify(apiParams.tools, null, 2));
-      }
-    }
+      } catch (error) {
+        lastError = error;
+        if (providerOptions.signal?.aborted) {
+          return this.createCancelledResponse(attempt);
+        }
+        console.warn(`Enhanced AI Service - Attempt ${attempt} failed:`, error.message);
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        console.log('=== MISTRAL API REQUEST ===');
-        console.log('Model:', apiParams.model);
-        console.log('Messages:', JSON.stringify(apiParams.messages, null, 2));
-        console.log('Tools enabled:', !!apiParams.tools);
-        if (apiParams.tools) {
-          console.log('Number of tools:', apiParams.tools.length);
-          console.log('Tool names:', apiParams.tools.map(t => t.function.name));
+        if (attempt < this.maxRetries) {
+          await this.delay(this.retryDelay * attempt, providerOptions.signal); // Exponential backoff
         }
-        console.log('Tool choice:', apiParams.toolChoice);
+      }
+    }
 
-        const response = await this.mistralClient.chat.complete(apiParams);
+    return {
+      success: false,
+      error: {
+        type: 'api_call_failed',
+        message: lastError.message,
+        attempts: this.maxRetries
+      }
+    };
+  }
 
-        console.log('=== MISTRAL API RESPONSE ===');
-        console.log('Full response:', JSON.stringify(response, null, 2));
+  /**
+   * Stream a completion from the LLM provider, forwarding content deltas as they arrive
+   * @param {string|Array} messages - Messages to send
+   * @param {Object} options - API call options (same as callLLMWithRetry)
+   * @param {Function} onDelta - Called with each content delta string
+   * @returns {Promise<Object>} - Accumulated response in the callLLMWithRetry shape
+   */
+  async streamLLMWithRetry(messages, options = {}, onDelta = () => {}) {
+    const { formattedMessages, providerOptions } = this.prepareLLMRequest(messages, options);
+    let lastError;
 
-        if (!response.choices || !response.choices[0]) {
-          throw new Error('Invalid response format from Mistral API');
-        }
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      let deltasSent = false;
 
-        const choice = response.choices[0];
+      if (providerOptions.signal?.aborted) {
+        return this.createCancelledResponse(attempt - 1);
+      }
 
-        console.log('=== CHOICE DETAILS ===');
-        console.log('Message content:', choice.message.content);
-        console.log('Tool calls:', choice.message.toolCalls);
-        console.log('Finish reason:', choice.finishReason);
-        console.log('Has tool calls:', !!(choice.message.toolCalls && choice.message.toolCalls.length > 0));
+      try {
+        console.log(`=== ${this.provider.name.toUpperCase()} STREAM REQUEST ===`);
+        console.log('Model:', this.provider.model);
+        console.log('Tools enabled:', providerOptions.tools.length > 0);
+
+        const response = await abortable(
+          this.provider.stream(formattedMessages, providerOptions, (delta) => {
+            if (providerOptions.signal?.aborted) {
+              return;
+            }
+            deltasSent = true;
+            onDelta(delta);
+          }),
+          providerOptions.signal
+        );
+
+        console.log(`=== ${this.provider.name.toUpperCase()} STREAM COMPLETE ===`);
+        console.log('Content length:', (response.content || '').length);
+        console.log('Tool calls:', response.toolCalls);
+        console.log('Finish reason:', response.finishReason);
 
         return {
           success: true,
-          content: choice.message.content,
-          toolCalls: choice.message.toolCalls || null,
-          finishReason: choice.finishReason,
+          content: response.content,
+          toolCalls: response.toolCalls || null,
+          finishReason: response.finishReason,
           usage: response.usage,
-          rawResponse: response
+          rawResponse: response.rawResponse
         };
 
       } catch (error) {
         lastError = error;
-        console.warn(`Enhanced AI Service - Attempt ${attempt} failed:`, error.message);
+        if (providerOptions.signal?.aborted) {
+          return this.createCancelledResponse(attempt);
+        }
+        console.warn(`Enhanced AI Service - Stream attempt ${attempt} failed:`, error.message);
+
+        // Partial output has already reached the client, so retrying would duplicate it
+        if (deltasSent) {
+          break;
+        }
 
         if (attempt < this.maxRetries) {
-          await this.delay(this.retryDelay * attempt); // Exponential backoff
+          await this.delay(this.retryDelay * attempt, providerOptions.signal);
         }
       }
     }
@@ -860,6 +1053,76 @@ class EnhancedAIService {
     };
   }
 
+  /**
+   * Build the failed response returned when a request's signal aborts
+   * Cancelled requests are never retried
+   * @param {number} attempts - Attempts made before the cancellation
+   * @returns {Object} - Response in the callLLMWithRetry shape with error.type 'cancelled'
+   */
+  createCancelledResponse(attempts) {
+    console.log(`${this.provider.name} request cancelled`);
+    return {
+      success: false,
+      error: {
+        type: 'cancelled',
+        message: 'Request cancelled',
+        attempts
+      }
+    };
+  }
+
+  /**
+   * Validate messages and resolve options before handing a request to the provider
+   * @param {string|Array} messages - Messages to send
+   * @param {Object} options - API call options
+   * @returns {Object} - { formattedMessages, providerOptions }
+   */
+  prepareLLMRequest(messages, options = {}) {
+    const defaultOptions = {
+      temperature: 0.7,
+      maxTokens: 1500,
+      enableTools: false,
+      tools: []
+    };
+
+    const finalOptions = { ...defaultOptions, ...options };
+
+    // Format messages
+    let formattedMessages;
+    if (typeof messages === 'string') {
+      formattedMessages = [{ role: 'user', content: messages }];
+    } else if (Array.isArray(messages)) {
+      formattedMessages = messages;
+    } else {
+      throw new Error('Messages must be a string or array');
+    }
+
+    // Every provider needs a role, and content or tool calls on non-tool messages
+    formattedMessages.forEach(msg => {
+      if (!msg.role) {
+        throw new Error('Message must have a role field');
+      }
+
+      if (msg.role !== 'tool' && !msg.content && !msg.toolCalls) {
+        throw new Error(`Message with role '${msg.role}' must have content or toolCalls`);
+      }
+    });
+
+    const tools = finalOptions.enableTools && finalOptions.tools ? finalOptions.tools : [];
+
+    return {
+      formattedMessages,
+      providerOptions: {
+        temperature: finalOptions.temperature,
+        maxTokens: finalOptions.maxTokens,
+        model: finalOptions.model,
+        signal: finalOptions.signal,
+        purpose: finalOptions.purpose,
+        tools
+      }
+    };
+  }
+
   /**
    * Parse planning response (simplified parsing)
    * @param {string} response - Raw planning response
@@ -878,12 +1141,9 @@ class EnhancedAIService {
     plan.requiredInformation = this.responseParser.extractSection(response, 'REQUIRED_INFORMATION') || '';
     plan.expectedOutcome = this.responseParser.extractSection(response, 'EXPECTED_OUTCOME') || '';
 
-    // Extract step-by-step plan
+    // Extract step-by-step plan as steps with tools and dependencies
     const stepSection = this.responseParser.extractSection(response, 'STEP_BY_STEP_PLAN');
-    if (stepSection) {
-      const stepLines = stepSection.split('\n').filter(line => line.trim());
-      plan.steps = stepLines.map(line => line.trim()).filter(line => line.length > 0);
-    }
+    plan.steps = this.responseParser.parsePlanSteps(stepSection);
 
     return plan;
   }
@@ -911,10 +1171,11 @@ class EnhancedAIService {
   /**
    * Utility method for delays
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} signal - Ends the delay early when aborted
    * @returns {Promise} - Delay promise
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return sleep(ms, signal).catch(() => {});
   }
 
   /**
@@ -925,8 +1186,9 @@ class EnhancedAIService {
     return {
       maxRetries: this.maxRetries,
       retryDelay: this.retryDelay,
+      maxParallelToolCalls: this.maxParallelToolCalls,
       temperatureSettings: this.temperatureSettings,
-      mistralClientInitialized: !!this.mistralClient,
+      provider: this.provider.getInfo(),
       toolCallingEnabled: true,
       availableTools: this.toolRegistry.getAvailableTools().length,
       promptingSystem: this.promptingSystem.getPromptConfiguration(),
@@ -948,27 +1210,34 @@ class EnhancedAIService {
       this.retryDelay = Math.max(100, Math.min(10000, config.retryDelay));
     }
 
+    if (config.maxParallelToolCalls !== undefined) {
+      this.maxParallelToolCalls = Math.max(1, Math.min(16, config.maxParallelToolCalls));
+    }
+
     if (config.temperatureSettings) {
       this.temperatureSettings = { ...this.temperatureSettings, ...config.temperatureSettings };
     }
 
-    // Reinitialize Mistral client if API key changed
-    if (config.apiKey) {
-      this.mistralClient = new Mistral({
-        apiKey: config.apiKey
-      });
+    // Switch providers, or pass credentials/model changes to the current one
+    if (config.provider) {
+      this.provider = typeof config.provider === 'string'
+        ? createLLMProvider({ provider: config.provider, apiKey: config.apiKey, model: config.model, baseURL: config.baseURL })
+        : config.provider;
+    } else if (config.apiKey || config.model || config.baseURL) {
+      this.provider.configure({ apiKey: config.apiKey, model: config.model, baseURL: config.baseURL });
     }
   }
 
   /**
-   * Test Mistral API connection
+   * Test LLM provider connection
    * @returns {Promise<Object>} - Connection test result
    */
   async testConnection() {
     try {
-      const testResponse = await this.callMistralWithRetry('Hello, this is a connection test.', {
+      const testResponse = await this.callLLMWithRetry('Hello, this is a connection test.', {
         temperature: 0.1,
-        maxTokens: 50
+        maxTokens: 50,
+        purpose: 'connection_test'
       });
 
       return {
@@ -989,15 +1258,15 @@ class EnhancedAIService {
   }
 
   /**
-   * Get available models from Mistral
+   * Get available models from the LLM provider
    * @returns {Promise<Object>} - Available models
    */
   async getAvailableModels() {
     try {
-      const models = await this.mistralClient.models.list();
+      const models = await this.provider.listModels();
       return {
         success: true,
-        models: models.data || []
+        models: models
       };
     } catch (error) {
       return {
@@ -1014,9 +1283,11 @@ class EnhancedAIService {
   /**
    * Generate response for UI generation (legacy compatibility)
    * @param {string} userMessage - User's mathematical question
+   * @param {Object} options - Generation options
+   * @param {string} options.transcript - Earlier conversation (see ConversationContext.toTranscript)
    * @returns {Promise<Object>} - Structured response with reasoning and UI code
    */
-  async generateResponse(userMessage) {
+  async generateResponse(userMessage, options = {}) {
     try {
       // Validate input
       if (!userMessage || typeof userMessage !== 'string') {
@@ -1024,10 +1295,10 @@ class EnhancedAIService {
       }
 
       // Create structured prompt for UI generation
-      const prompt = this.createUIGenerationPrompt(userMessage);
+      const prompt = this.createUIGenerationPrompt(userMessage, options.transcript);
 
       // Call Mistral API
-      const apiResponse = await this.callMistralWithRetry(prompt, {
+      const apiResponse = await this.callLLMWithRetry(prompt, {
         temperature: 0.7,
         maxTokens: 2000
       });
@@ -1074,7 +1345,7 @@ class EnhancedAIService {
       }
 
       // Call Mistral API directly with calculation prompt
-      const apiResponse = await this.callMistralWithRetry(calculationPrompt, {
+      const apiResponse = await this.callLLMWithRetry(calculationPrompt, {
         temperature: 0.3, // Lower temperature for more precise calculations
         maxTokens: 1000
       });
@@ -1102,7 +1373,7 @@ class EnhancedAIService {
           success: false,
           error: {
             type: 'network_error',
-            message: 'Network error: Unable to connect to Mistral API'
+            message: `Network error: Unable to connect to ${this.provider.name} API`
           }
         };
       }
@@ -1121,9 +1392,19 @@ class EnhancedAIService {
   /**
    * Create UI generation prompt (legacy compatibility)
    * @param {string} userMessage - The user's mathematical question
+   * @param {string} transcript - Earlier conversation, including previously generated UI code
    * @returns {string} - Formatted prompt for Mistral
    */
-  createUIGenerationPrompt(userMessage) {
+  createUIGenerationPrompt(userMessage, transcript = '') {
+    const conversationSection = transcript
+      ? `Conversation so far:
+${transcript}
+
+The question below may refer to the conversation above. When it asks to change an earlier calculator, start from that calculator's UI code and return the complete updated version.
+
+`
+      : '';
+
     return `You are an AI assistant that helps users with mathematical problems by providing both explanations and interactive UI components.
 
 When responding to mathematical questions, you must structure your response with two sections:
@@ -1134,13 +1415,27 @@ When responding to mathematical questions, you must structure your response with
 Available safe functions for UI creation:
 - createElement(tag, props, children) - Creates HTML elements
 - createInput(props) - Creates input fields (props: {name, type, placeholder, value})
-- createButton(props, text) - Creates buttons (props: {onClick})
+- createButton(props, text) - Creates buttons (props: {onClick, formula, precision})
 - createForm(props, children) - Creates forms
 - createSelect(props, options) - Creates select dropdowns (props: {name, value}, options: array of createOption)
 - createOption(value, text, selected) - Creates option elements for select dropdowns
+- createSlider(props) - Creates a range slider (props: {name, min, max, step, value, label, unit})
+- createCheckbox(props, label) - Creates a checkbox (props: {name, checked}); its value is 1 when checked, 0 otherwise
+- createRadioGroup(props, options) - Creates radio buttons (props: {name, value, label}, options: array of createOption)
+- createTable(props, columns, rows) - Creates a table (props: {title}, columns: array of names, rows: arrays of cells)
+- createChart(props, data) - Creates a line, bar or pie chart (props: {type, title, xLabel, yLabel}, data: {labels, series: [{name, values}]})
+- createTabs(props, tabs) - Creates tabs (tabs: array of {label, children})
+- createResultPanel(props, items) - Shows key figures (props: {title}, items: array of {label, value, unit, highlight})
 
 For calculations, use onClick handlers like 'calculateLoan', 'calculateArea', etc.
 
+Whenever the result can be written as a single formula, give the button a formula so it is computed exactly instead of estimated:
+- Refer to inputs and selects by their name; every name used must exist in the form
+- Operators: + - * / % ^ ( ), comparisons (< <= > >= == !=), && || ! and condition ? a : b
+- Functions: abs, sqrt, cbrt, pow, exp, log, log10, log2, sin, cos, tan, asin, acos, atan, atan2, floor, ceil, trunc, sign, min, max, round(x, decimals)
+- Constants: pi, e
+- precision sets the decimal places shown (default 2)
+
 Example response format:
 <thought>
 I'll create a simple calculator for this mathematical problem. The user wants to calculate compound interest, so I'll provide input fields for principal, rate, time, and compounding frequency.
@@ -1157,12 +1452,16 @@ createForm({}, [
     createOption('4', 'Quarterly'),
     createOption('12', 'Monthly')
   ]),
-  createButton({onClick: 'calculateCompoundInterest'}, 'Calculate'),
+  createButton({
+    onClick: 'calculateCompoundInterest',
+    formula: 'principal * (1 + rate / 100 / frequency) ^ (frequency * time)',
+    precision: 2
+  }, 'Calculate'),
   createElement('div', {id: 'result'}, ['Result will appear here'])
 ])
 </ui>
 
-User question: ${userMessage}
+${conversationSection}User question: ${userMessage}
 
 Please provide your response following the exact format above.`;
   }
@@ -1249,7 +1548,7 @@ Please provide your response following the exact format above.`;
     if (error.message.includes('Network error') || error.message.includes('fetch')) {
       return 'network_error';
     }
-    if (error.message.includes('Mistral API error')) {
+    if (/API error/.test(error.message)) {
       return 'api_error';
     }
     if (error.message.includes('Invalid')) {
@@ -6,16 +6,16 @@
 import AgentController from '../agent/decision/agentController.js';
 import ToolManager from '../tools/manager/toolManager.js';
 import EnhancedAIService from './enhancedAIService.js';
-import AgentResponseParser from '../prompt/parser/agentResponseParser.js';
 import AgentPromptingSystem from '../prompt/builder/agentPromptingSystem.js';
 import AgentMonitoringSystem from '../agent/observation/agentMonitoringSystem.js';
+import HumanInteractionAPI from '../agent/interaction/humanInteractionAPI.js';
+import { validateSchema, applySchemaDefaults, formatSchemaErrors } from '../tools/base/parameterSchema.js';
 
 class IntegratedAgentSystem {
   constructor() {
     this.agentController = new AgentController();
     this.toolManager = new ToolManager();
     this.enhancedAIService = null; // Will be initialized after toolManager
-    this.responseParser = new AgentResponseParser();
     this.promptingSystem = null; // Will be initialized after toolManager
     this.monitoringSystem = new AgentMonitoringSystem();
     
@@ -40,6 +40,13 @@ class IntegratedAgentSystem {
     
     this.initialized = false;
     this.sessionId = null;
+
+    // Per-query tracking for work done inside tool conversations
+    this.currentQueryId = null;
+    this.queryToolExecutions = [];
+    this.lastRecordedIteration = 0;
+
+    this.humanInteractionAPI = null; // Created on first use
   }
 
   /**
@@ -62,7 +69,9 @@ class IntegratedAgentSystem {
       await this.toolManager.initialize();
 
       // Initialize enhanced AI service with tool registry
-      this.enhancedAIService = new EnhancedAIService(this.toolManager.toolRegistry);
+      this.enhancedAIService = new EnhancedAIService(this.toolManager.toolRegistry, {
+        toolExecutor: this.toolManager.toolExecutor
+      });
 
       // Initialize prompting system with tool registry
       this.promptingSystem = new AgentPromptingSystem(this.toolManager.toolRegistry);
@@ -126,6 +135,13 @@ class IntegratedAgentSystem {
       return await this.processQueryWithGuardrails(userQuery, config, originalProcessQuery);
     };
 
+    // Resumed runs go through the same guardrails and tool integration as the first pass
+    const originalResume = this.agentController.resumeAfterHumanInput.bind(this.agentController);
+
+    this.agentController.resumeAfterHumanInput = async (checkpointId, humanInput = {}, options = {}) => {
+      return await this.resumeWithGuardrails(checkpointId, humanInput, originalResume, options);
+    };
+
     console.log('Agent controller configured with tool integration and guardrails');
   }
 
@@ -156,6 +172,9 @@ class IntegratedAgentSystem {
 
     // Start monitoring query
     this.monitoringSystem.startQuery(this.sessionId, queryId, userQuery, safeConfig);
+    this.currentQueryId = queryId;
+    this.queryToolExecutions = [];
+    this.lastRecordedIteration = 0;
 
     try {
       // Increment API call count
@@ -170,7 +189,7 @@ class IntegratedAgentSystem {
       response = await this.processQueryWithToolIntegration(userQuery, safeConfig, originalProcessQuery);
 
       // Post-process response with monitoring
-      response = await this.postProcessResponse(response, startTime);
+      response = await this.postProcessResponse(response, startTime, queryId);
 
       // Complete monitoring query
       this.monitoringSystem.completeQuery(this.sessionId, queryId, response);
@@ -198,6 +217,67 @@ class IntegratedAgentSystem {
     }
   }
 
+  /**
+   * Resume a paused run with guardrails, monitoring and tool integration
+   * @param {string} checkpointId - Checkpoint being resolved
+   * @param {Object} humanInput - Processed human input
+   * @param {Function} originalResume - Original resumeAfterHumanInput method
+   * @param {Object} options - Resume options passed through to the controller ({ signal })
+   * @returns {Promise<Object>} - Enhanced agent response for the continuation
+   */
+  async resumeWithGuardrails(checkpointId, humanInput, originalResume, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Integrated Agent System not initialized. Call initialize() first.');
+    }
+
+    const costCheck = this.checkCostControls();
+    if (!costCheck.allowed) {
+      return this.createCostLimitResponse(costCheck.reason);
+    }
+
+    const userQuery = this.agentController.agentState.getState().originalQuery || '';
+    const startTime = Date.now();
+    const queryId = this.generateQueryId();
+
+    this.monitoringSystem.startQuery(this.sessionId, queryId, userQuery, { resumedFromCheckpoint: checkpointId });
+    this.currentQueryId = queryId;
+    this.queryToolExecutions = [];
+
+    try {
+      this.costControls.currentAPICallCount++;
+
+      if (this.safetyGuardrails.enableLogging) {
+        console.log(`Resuming query after checkpoint ${checkpointId}`);
+      }
+
+      let response = await this.runWithToolIntegration(
+        userQuery,
+        () => originalResume(checkpointId, humanInput, options),
+        humanInput
+      );
+
+      response = await this.postProcessResponse(response, startTime, queryId);
+      this.monitoringSystem.completeQuery(this.sessionId, queryId, response);
+
+      return response;
+
+    } catch (error) {
+      console.error('Integrated system resume error:', error);
+
+      this.monitoringSystem.recordError(this.sessionId, queryId, {
+        type: 'integrated_system_error',
+        message: error.message,
+        phase: 'human_input_resume',
+        stack: error.stack
+      });
+
+      const errorResponse = this.createSafeErrorResponse(error, startTime);
+      this.monitoringSystem.completeQuery(this.sessionId, queryId, errorResponse);
+
+      return errorResponse;
+    }
+  }
+
   /**
    * Process query with tool integration
    * @param {string} userQuery - User query
@@ -206,8 +286,19 @@ class IntegratedAgentSystem {
    * @returns {Promise<Object>} - Enhanced response
    */
   async processQueryWithToolIntegration(userQuery, safeConfig, originalProcessQuery) {
+    return await this.runWithToolIntegration(userQuery, () => originalProcessQuery(userQuery, safeConfig));
+  }
+
+  /**
+   * Run a controller loop with tool-aware reasoning and action planning swapped in
+   * @param {string} userQuery - User query
+   * @param {Function} runLoop - Starts the controller loop and resolves to its response
+   * @param {Object|null} humanInput - Human input the reasoning should take into account
+   * @returns {Promise<Object>} - Enhanced response
+   */
+  async runWithToolIntegration(userQuery, runLoop, humanInput = null) {
     // Create enhanced prompting context
-    const promptingContext = await this.createPromptingContext(userQuery);
+    const promptingContext = await this.createPromptingContext(userQuery, humanInput);
 
     // Override agent reasoning generation to include tool awareness
     const originalGenerateReasoning = this.agentController.generateReasoning.bind(this.agentController);
@@ -216,29 +307,30 @@ class IntegratedAgentSystem {
       return await this.generateToolAwareReasoning(feedbackContext, promptingContext);
     };
 
-    // Override action planning to include tool execution
+    // Wrap action planning so the controller's tool calls pass the system guardrails
     const originalPlanNextAction = this.agentController.planNextAction.bind(this.agentController);
     
     this.agentController.planNextAction = (reasoning, feedbackContext) => {
-      return this.planToolAwareAction(reasoning, feedbackContext, promptingContext);
+      return this.planToolAwareAction(reasoning, feedbackContext, promptingContext, originalPlanNextAction);
     };
 
-    // Process with original method but enhanced capabilities
-    const response = await originalProcessQuery(userQuery, safeConfig);
-
-    // Restore original methods
-    this.agentController.generateReasoning = originalGenerateReasoning;
-    this.agentController.planNextAction = originalPlanNextAction;
-
-    return response;
+    try {
+      // Process with original method but enhanced capabilities
+      return await runLoop();
+    } finally {
+      // Restore original methods
+      this.agentController.generateReasoning = originalGenerateReasoning;
+      this.agentController.planNextAction = originalPlanNextAction;
+    }
   }
 
   /**
    * Create prompting context with tool awareness
    * @param {string} userQuery - User query
+   * @param {Object|null} humanInput - Human input from a resolved checkpoint
    * @returns {Promise<Object>} - Prompting context
    */
-  async createPromptingContext(userQuery) {
+  async createPromptingContext(userQuery, humanInput = null) {
     const availableTools = this.toolManager.getAvailableTools();
     const toolDocumentation = availableTools.map(tool => 
       this.toolManager.getToolDocumentation(tool.name)
@@ -246,6 +338,7 @@ class IntegratedAgentSystem {
 
     return {
       userQuery,
+      humanInput,
       availableTools,
       toolDocumentation,
       systemCapabilities: this.getSystemCapabilities(),
@@ -261,22 +354,26 @@ class IntegratedAgentSystem {
    */
   async generateToolAwareReasoning(feedbackContext, promptingContext) {
     try {
-      const { userQuery } = promptingContext;
+      const { userQuery, humanInput } = promptingContext;
+      // Set by processQuery's conversationContext option, which runs after the prompting context is built
+      const conversationContext = this.agentController.conversationContext;
+      const humanContext = this.describeHumanInput(humanInput);
+      const conversationQuery = humanContext
+        ? `${userQuery}\n\nInput from the user after reviewing your progress:\n${humanContext}`
+        : userQuery;
 
       // Use the complete tool conversation to handle the query
-      const conversationResult = await this.enhancedAIService.executeToolConversation(userQuery, {
+      const conversationResult = await this.enhancedAIService.executeToolConversation(conversationQuery, {
         maxTurns: 3,
-        temperature: 0.7
+        temperature: 0.7,
+        history: conversationContext ? conversationContext.toChatMessages() : [],
+        signal: this.agentController.abortSignal
       });
 
-      if (conversationResult.success) {
-        // Store tools used for reporting
-        if (conversationResult.toolsUsed && conversationResult.toolsUsed.length > 0) {
-          // Update the agent state with tools used
-          const currentState = this.agentController.agentState.getState();
-          currentState.toolsUsed = conversationResult.toolsUsed;
-        }
+      // Tools run inside the conversation rather than through the controller, so account for them here
+      this.recordConversationUsage(conversationResult);
 
+      if (conversationResult.success) {
         return conversationResult.finalResponse || 'I have processed your query using available tools.';
       } else {
         console.error('Tool conversation failed:', conversationResult.error);
@@ -291,55 +388,112 @@ class IntegratedAgentSystem {
     }
   }
 
+  /**
+   * Turn checkpoint input into text the LLM can act on
+   * @param {Object|null} humanInput - Processed human input
+   * @returns {string} - One line per piece of input, empty when there is nothing to add
+   */
+  describeHumanInput(humanInput) {
+    if (!humanInput) {
+      return '';
+    }
+
+    const guidance = humanInput.guidance || {};
+    const lines = [
+      humanInput.clarification && `Clarification: ${humanInput.clarification}`,
+      humanInput.feedback && `Feedback: ${humanInput.feedback}`,
+      guidance.direction && `Direction: ${guidance.direction}`,
+      guidance.reasoning && `Suggested reasoning: ${guidance.reasoning}`,
+      guidance.approach && `Approach: ${guidance.approach}`
+    ];
+
+    return lines.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Charge a tool conversation's LLM turns and tool runs against cost controls and monitoring
+   * @param {Object} conversationResult - Result from executeToolConversation
+   */
+  recordConversationUsage(conversationResult) {
+    const totalTurns = conversationResult.totalTurns ?? conversationResult.error?.totalTurns ?? 0;
+    const history = conversationResult.conversationHistory || conversationResult.error?.conversationHistory || [];
+
+    this.costControls.currentAPICallCount += totalTurns;
+
+    history
+      .filter(entry => entry.role === 'tool')
+      .forEach(entry => {
+        const success = entry.result?.success || false;
+
+        this.costControls.currentToolExecutionCount++;
+        this.queryToolExecutions.push({
+          name: entry.toolName,
+          parameters: entry.parameters,
+          success: success
+        });
+
+        this.monitoringSystem.recordToolExecution(this.sessionId, this.currentQueryId, {
+          toolName: entry.toolName,
+          parameters: entry.parameters,
+          success: success,
+          executionTime: entry.result?.executionTime || 0,
+          result: entry.result?.data,
+          error: success ? undefined : entry.result?.message
+        });
+      });
+  }
+
   /**
    * Plan tool-aware action
+   * The controller's own planning picks the tool and repairs its arguments; a selected call
+   * is then checked against the session's tool limits and turned into a tool_blocked action if refused
    * @param {string} reasoning - Current reasoning
    * @param {Object} feedbackContext - Feedback context
    * @param {Object} promptingContext - Prompting context
-   * @returns {Object} - Enhanced action plan
+   * @param {Function} planNextAction - The controller's original planNextAction
+   * @returns {Promise<Object>} - Enhanced action plan
    */
-  planToolAwareAction(reasoning, feedbackContext, promptingContext) {
+  async planToolAwareAction(reasoning, feedbackContext, promptingContext, planNextAction) {
     try {
-      // Parse reasoning for tool usage intent
-      const toolIntent = this.responseParser.parseToolSelection(reasoning);
-
-      if (toolIntent && toolIntent.toolName) {
-        // Check if we can execute the tool
-        const canExecute = this.canExecuteTool(toolIntent.toolName, toolIntent.parameters);
-        
-        if (canExecute.allowed) {
-          return {
-            type: 'tool_execution',
-            toolName: toolIntent.toolName,
-            parameters: toolIntent.parameters,
-            reasoning: reasoning.substring(0, 200) + '...',
-            environmentallyInformed: true,
-            toolAware: true,
-            executionPlan: canExecute.plan
-          };
-        } else {
-          return {
-            type: 'tool_blocked',
-            reason: canExecute.reason,
-            alternativeAction: 'continue_reasoning',
-            reasoning: reasoning.substring(0, 200) + '...',
-            environmentallyInformed: true,
-            toolAware: true
-          };
-        }
+      const action = await planNextAction(reasoning, feedbackContext);
+
+      if (action.type !== 'tool_call') {
+        return {
+          ...action,
+          toolAware: true,
+          availableTools: promptingContext.availableTools.length
+        };
       }
 
-      // Default action planning
+      const canExecute = this.canExecuteTool(action.toolName, action.parameters);
+
+      if (!canExecute.allowed) {
+        return {
+          type: 'tool_blocked',
+          toolName: action.toolName,
+          reason: canExecute.reason,
+          alternativeAction: 'continue_reasoning',
+          reasoning: action.reasoning,
+          iteration: action.iteration,
+          environmentallyInformed: true,
+          toolAware: true
+        };
+      }
+
+      this.costControls.currentToolExecutionCount++;
+
       return {
-        type: 'reasoning',
-        description: 'Continue analysis with tool awareness',
-        reasoning: reasoning.substring(0, 200) + '...',
-        environmentallyInformed: true,
+        ...action,
         toolAware: true,
-        availableTools: promptingContext.availableTools.length
+        executionPlan: canExecute.plan
       };
 
     } catch (error) {
+      // Cancellation is reported by the controller loop, not recovered from here
+      if (this.agentController.isCancelled()) {
+        throw error;
+      }
+
       console.error('Tool-aware action planning failed:', error);
       
       return {
@@ -376,10 +530,12 @@ class IntegratedAgentSystem {
 
     // Validate parameters
     const toolDoc = this.toolManager.getToolDocumentation(toolName);
-    if (toolDoc && !this.validateToolParameters(parameters, toolDoc.parameters)) {
+    const validationErrors = toolDoc ? this.validateToolParameters(parameters, toolDoc.parameterSchema) : [];
+    if (validationErrors.length > 0) {
       return {
         allowed: false,
-        reason: 'Invalid tool parameters'
+        reason: `Invalid tool parameters: ${formatSchemaErrors(validationErrors)}`,
+        validationErrors
       };
     }
 
@@ -510,11 +666,22 @@ class IntegratedAgentSystem {
    * Post-process response with monitoring
    * @param {Object} response - Agent response
    * @param {number} startTime - Processing start time
+   * @param {string} queryId - Monitoring query ID
    * @returns {Promise<Object>} - Enhanced response
    */
-  async postProcessResponse(response, startTime) {
+  async postProcessResponse(response, startTime, queryId) {
     const processingTime = Date.now() - startTime;
 
+    // The controller loop doesn't report to monitoring itself, so replay its iterations here
+    this.recordIterations(queryId, response);
+
+    // Merge tools run inside tool conversations with those the controller executed directly
+    response.toolExecutions = [...this.queryToolExecutions];
+    response.toolsUsed = [...new Set([
+      ...(response.toolsUsed || []),
+      ...this.queryToolExecutions.map(execution => execution.name)
+    ])];
+
     // Add system metadata
     response.systemMetadata = {
       sessionId: this.sessionId,
@@ -540,6 +707,33 @@ class IntegratedAgentSystem {
     return response;
   }
 
+  /**
+   * Record each controller iteration with the monitoring system
+   * @param {string} queryId - Monitoring query ID
+   * @param {Object} response - Agent response with reasoning, actions and observations
+   */
+  recordIterations(queryId, response) {
+    const reasoning = response.reasoning || [];
+    const actions = response.actions || [];
+    const observations = response.observations || [];
+
+    // A resumed run reports the whole history; only the iterations it added are new
+    for (let iteration = this.lastRecordedIteration + 1; iteration <= (response.iterations || 0); iteration++) {
+      const action = actions.find(a => a.iteration === iteration);
+
+      this.monitoringSystem.recordIteration(this.sessionId, queryId, {
+        iterationNumber: iteration,
+        reasoning: reasoning[iteration - 1],
+        action: action ? action.type : null,
+        observations: observations.filter(o => o.iteration === iteration),
+        confidence: response.finalConfidence,
+        toolsUsed: action && action.toolName ? [action.toolName] : []
+      });
+    }
+
+    this.lastRecordedIteration = Math.max(this.lastRecordedIteration, response.iterations || 0);
+  }
+
   /**
    * Create cost limit response
    * @param {string} reason - Limit reason
@@ -616,35 +810,17 @@ class IntegratedAgentSystem {
   }
 
   /**
-   * Validate tool parameters
+   * Validate tool parameters the same way the tool will, defaults included
    * @param {Object} parameters - Parameters to validate
-   * @param {Array} parameterSchema - Parameter schema
-   * @returns {boolean} - Whether parameters are valid
+   * @param {Object} parameterSchema - Tool's JSON Schema
+   * @returns {Array} - Field-level errors, empty when the parameters are valid
    */
   validateToolParameters(parameters, parameterSchema) {
-    if (!parameterSchema || !Array.isArray(parameterSchema)) {
-      return true; // No schema to validate against
-    }
-
-    for (const param of parameterSchema) {
-      if (param.required && !(param.name in parameters)) {
-        return false;
-      }
-      
-      if (param.name in parameters) {
-        const value = parameters[param.name];
-        
-        // Basic type checking
-        if (param.type === 'number' && typeof value !== 'number') {
-          return false;
-        }
-        if (param.type === 'string' && typeof value !== 'string') {
-          return false;
-        }
-      }
+    if (!parameterSchema) {
+      return []; // No schema to validate against
     }
 
-    return true;
+    return validateSchema(parameterSchema, applySchemaDefaults(parameterSchema, parameters || {}));
   }
 
   /**
@@ -656,8 +832,13 @@ class IntegratedAgentSystem {
     const estimates = {
       'area-calculator': 100,
       'percentage-calculator': 100,
+      'financial-calculator': 100,
+      'unit-converter': 100,
+      'statistics': 100,
+      'equation-solver': 100,
       'weather-service': 500,
-      'flight-service': 1000
+      'flight-service': 1000,
+      'code-executor': 2000
     };
 
     return estimates[toolName] || 500;
@@ -740,6 +921,75 @@ class IntegratedAgentSystem {
     };
   }
 
+  /**
+   * Get the human interaction API bound to this system's controller
+   * @returns {HumanInteractionAPI} - Shared interaction API
+   */
+  getHumanInteractionAPI() {
+    if (!this.humanInteractionAPI) {
+      this.humanInteractionAPI = new HumanInteractionAPI(this.agentController);
+    }
+    return this.humanInteractionAPI;
+  }
+
+  /**
+   * Build the API report for a controller run, including pending human-in-the-loop work
+   * @param {Object} agentResult - Response from processQuery or a resumed run
+   * @param {number} startTime - Request start time
+   * @returns {Object} - Controller mode response body
+   */
+  createControllerReport(agentResult, startTime) {
+    const interactionAPI = this.getHumanInteractionAPI();
+    const agentState = this.agentController.agentState.getState();
+
+    const report = {
+      reasoning: agentResult.finalAnswer,
+      uiComponents: null,
+      hasUI: false,
+      agentMode: true,
+      success: agentResult.success,
+      iterations: agentResult.iterations,
+      reasoningSteps: agentResult.reasoning || [],
+      actions: agentResult.actions || [],
+      observations: agentResult.observations || [],
+      toolsUsed: agentResult.toolsUsed || [],
+      toolExecutions: agentResult.toolExecutions || [],
+      finalConfidence: agentResult.finalConfidence ?? 0,
+      strategy: agentResult.strategy || 'controller',
+      status: agentResult.status || (agentResult.success ? 'completed' : 'error'),
+
+      // Steps, statuses and revisions of a plan_and_execute run
+      plan: agentResult.plan || null,
+      planProgress: agentResult.planProgress || null,
+
+      // Human-in-the-loop state
+      awaitingHumanInput: agentState.awaitingHumanInput,
+      checkpoints: interactionAPI.getPendingCheckpoints(),
+      blockers: interactionAPI.getActiveBlockers(),
+
+      systemMetadata: {
+        processingMode: 'controller',
+        ...agentResult.systemMetadata
+      },
+      costControlStatus: this.getCostControlStatus(),
+      monitoring: {
+        sessionMetrics: this.monitoringSystem.getSessionMetrics(this.sessionId),
+        globalMetrics: this.monitoringSystem.getGlobalMetrics(),
+        recentAlerts: this.monitoringSystem.getRecentAlerts(10)
+      },
+
+      guardrailsApplied: agentResult.systemMetadata?.guardrailsApplied === true || agentResult.costLimitExceeded === true,
+      executionTime: Date.now() - startTime,
+      sessionId: this.sessionId
+    };
+
+    if (agentResult.error) {
+      report.error = agentResult.error;
+    }
+
+    return report;
+  }
+
   /**
    * Shutdown system gracefully
    */
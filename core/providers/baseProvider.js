@@ -0,0 +1,224 @@
+/**
+ * Base LLM Provider - Common interface for chat-completion backends
+ * Adapters translate the service's message/tool format to their API and back
+ *
+ * Normalized formats shared with EnhancedAIService:
+ * - Messages: { role, content, toolCalls?: [{ id, function: { name, arguments } }], name?, toolCallId? }
+ * - Tools: registry tool definitions ({ name, description, parameters, conditionalRequirements? })
+ * - Responses: { content, toolCalls, finishReason, usage, rawResponse }, with tool call arguments as JSON strings
+ */
+
+import { buildParameterSchema } from '../../tools/base/parameterSchema.js';
+
+class BaseProvider {
+  /**
+   * @param {string} name - Provider identifier
+   * @param {Object} config - Provider configuration
+   * @param {string} config.model - Model name
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.model = config.model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - { temperature, maxTokens, tools, model, signal, purpose }
+   *   (purpose 'connection_test' marks connection checks; live backends ignore it)
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async complete(messages, options = {}) {
+    throw new Error(`Provider '${this.name}' must implement complete()`);
+  }
+
+  /**
+   * Run a streaming chat completion; adapters without streaming fall back to one delta
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Same as complete()
+   * @param {Function} onDelta - Called with each content delta string
+   * @returns {Promise<Object>} - Normalized response once the stream ends
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const response = await this.complete(messages, options);
+    if (response.content) {
+      onDelta(response.content);
+    }
+    return response;
+  }
+
+  /**
+   * List models offered by the backend
+   * @returns {Promise<Array>} - Model descriptors
+   */
+  async listModels() {
+    return [];
+  }
+
+  /**
+   * Apply configuration changes (e.g. a new API key)
+   * @param {Object} config - Configuration updates
+   */
+  configure(config = {}) {
+    if (config.model) {
+      this.model = config.model;
+    }
+  }
+
+  /**
+   * Translate registry tools into the provider's function-calling schema
+   * OpenAI, Mistral and Ollama share this shape; adapters override when they differ
+   * @param {Array} tools - Registry tool definitions
+   * @returns {Array} - Provider tool definitions
+   */
+  translateTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: BaseProvider.convertParametersToJsonSchema(
+          BaseProvider.getToolParameters(tool),
+          tool.conditionalRequirements
+        )
+      }
+    }));
+  }
+
+  /**
+   * Read a tool's parameters as an array regardless of how they are stored
+   * @param {Object} tool - Tool definition
+   * @returns {Array} - Parameter definitions
+   */
+  static getToolParameters(tool) {
+    if (!tool.parameters) {
+      return [];
+    }
+
+    if (Array.isArray(tool.parameters)) {
+      return tool.parameters;
+    }
+
+    if (tool.parameters instanceof Map) {
+      return Array.from(tool.parameters.values());
+    }
+
+    return [];
+  }
+
+  /**
+   * Convert tool parameters to JSON Schema format
+   * Produces the same schema BaseTool validates calls against, constraints and conditional rules included
+   * @param {Array} parameters - Tool parameters
+   * @param {Array} conditionalRequirements - Tool's conditional requirements (optional)
+   * @returns {Object} - JSON Schema object
+   */
+  static convertParametersToJsonSchema(parameters, conditionalRequirements = []) {
+    if (!Array.isArray(parameters)) {
+      return buildParameterSchema();
+    }
+
+    // Handle both object and Map entry formats
+    const normalized = parameters.map(param => (param.name ? param : { ...param[1], name: param[0] }));
+
+    return buildParameterSchema(normalized, Array.isArray(conditionalRequirements) ? conditionalRequirements : []);
+  }
+
+  /**
+   * Serialize tool call arguments to the JSON string form used in normalized responses
+   * @param {string|Object} args - Arguments as returned by the backend
+   * @returns {string} - JSON string
+   */
+  static stringifyArguments(args) {
+    if (typeof args === 'string') {
+      return args;
+    }
+    return JSON.stringify(args || {});
+  }
+
+  /**
+   * Parse tool call arguments for backends that expect objects
+   * @param {string|Object} args - Normalized arguments
+   * @returns {Object} - Arguments object
+   */
+  static parseArguments(args) {
+    if (typeof args !== 'string') {
+      return args || {};
+    }
+
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Iterate over the lines of a streamed HTTP response body (SSE and NDJSON are both line based)
+   * @param {Response} response - Fetch response
+   * @returns {AsyncGenerator<string>} - Non-empty lines
+   */
+  static async *readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          yield line;
+        }
+        newline = buffer.indexOf('\n');
+      }
+    }
+
+    if (buffer.trim()) {
+      yield buffer.trim();
+    }
+  }
+
+  /**
+   * Throw a descriptive error for a failed HTTP call
+   * @param {Response} response - Fetch response
+   */
+  async assertResponseOk(response) {
+    if (response.ok) {
+      return;
+    }
+
+    const body = await response.text().catch(() => '');
+    throw new Error(`${this.name} API error ${response.status}: ${body.substring(0, 500)}`);
+  }
+
+  /**
+   * Generate a tool call id for backends that don't return one
+   * @returns {string} - Tool call id
+   */
+  static generateToolCallId() {
+    return 'call_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  }
+
+  /**
+   * Describe the provider for diagnostics
+   * @returns {Object} - Provider info
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.model,
+      streaming: this.stream !== BaseProvider.prototype.stream
+    };
+  }
+}
+
+export default BaseProvider;
@@ -0,0 +1,222 @@
+/**
+ * Mistral Provider - Adapter for the Mistral chat completions SDK
+ * The normalized message format follows Mistral's camelCase shape, so translation is light
+ */
+
+import { Mistral } from '@mistralai/mistralai';
+import BaseProvider from './baseProvider.js';
+
+class MistralProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Mistral API key
+   * @param {string} config.model - Model name (default mistral-large-latest)
+   */
+  constructor(config = {}) {
+    super('mistral', { model: config.model || 'mistral-large-latest' });
+    this.client = new Mistral({ apiKey: config.apiKey });
+  }
+
+  /**
+   * Build Mistral request parameters
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @returns {Object} - SDK request
+   */
+  buildRequest(messages, options) {
+    const request = {
+      model: options.model || this.model,
+      messages: this.translateMessages(messages),
+      temperature: options.temperature,
+      maxTokens: options.maxTokens
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      request.tools = this.translateTools(options.tools);
+      request.toolChoice = 'auto'; // Let the model decide when to use tools
+    }
+
+    return request;
+  }
+
+  /**
+   * Translate normalized messages to Mistral messages
+   * @param {Array} messages - Normalized messages
+   * @returns {Array} - Mistral messages
+   */
+  translateMessages(messages) {
+    return messages.map(message => {
+      const translated = { role: message.role, content: message.content };
+
+      if (message.toolCalls) {
+        translated.toolCalls = message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: {
+            name: toolCall.function.name,
+            arguments: BaseProvider.stringifyArguments(toolCall.function.arguments)
+          }
+        }));
+      }
+
+      // Mistral requires both 'name' and 'toolCallId' for tool messages
+      if (message.role === 'tool') {
+        translated.name = message.name;
+        translated.toolCallId = message.toolCallId;
+      }
+
+      return translated;
+    });
+  }
+
+  /**
+   * Normalize Mistral tool calls
+   * @param {Array|null} toolCalls - Tool calls from the SDK
+   * @returns {Array|null} - Normalized tool calls
+   */
+  normalizeToolCalls(toolCalls) {
+    if (!toolCalls || toolCalls.length === 0) {
+      return null;
+    }
+
+    return toolCalls.map(toolCall => ({
+      id: toolCall.id || BaseProvider.generateToolCallId(),
+      type: 'function',
+      function: {
+        name: toolCall.function.name,
+        arguments: BaseProvider.stringifyArguments(toolCall.function.arguments)
+      }
+    }));
+  }
+
+  /**
+   * Normalize Mistral content, which may be a string or content chunks
+   * @param {string|Array|null} content - Message or delta content
+   * @returns {string} - Text content
+   */
+  extractText(content) {
+    if (!content) {
+      return '';
+    }
+
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    return content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async complete(messages, options = {}) {
+    const response = await this.client.chat.complete(this.buildRequest(messages, options), { signal: options.signal });
+
+    if (!response.choices || !response.choices[0]) {
+      throw new Error('Invalid response format from Mistral API');
+    }
+
+    const choice = response.choices[0];
+
+    return {
+      content: choice.message.content,
+      toolCalls: this.normalizeToolCalls(choice.message.toolCalls),
+      finishReason: choice.finishReason,
+      usage: response.usage,
+      rawResponse: response
+    };
+  }
+
+  /**
+   * Run a streaming chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @param {Function} onDelta - Called with each content delta
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const stream = await this.client.chat.stream(this.buildRequest(messages, options), { signal: options.signal });
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCallsByIndex = new Map();
+
+    for await (const event of stream) {
+      const chunk = event.data;
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) {
+        continue;
+      }
+
+      const delta = choice.delta || {};
+      const deltaText = this.extractText(delta.content);
+      if (deltaText) {
+        content += deltaText;
+        onDelta(deltaText);
+      }
+
+      // Tool call fragments share an index; arguments may arrive in pieces
+      (delta.toolCalls || []).forEach((toolCall, position) => {
+        const index = toolCall.index !== undefined ? toolCall.index : position;
+        const args = BaseProvider.stringifyArguments(toolCall.function.arguments);
+        const existing = toolCallsByIndex.get(index);
+
+        if (existing) {
+          existing.function.arguments += args;
+        } else {
+          toolCallsByIndex.set(index, {
+            id: toolCall.id,
+            type: 'function',
+            function: { name: toolCall.function.name, arguments: args }
+          });
+        }
+      });
+
+      if (choice.finishReason) {
+        finishReason = choice.finishReason;
+      }
+    }
+
+    return {
+      content: content,
+      toolCalls: this.normalizeToolCalls(Array.from(toolCallsByIndex.values())),
+      finishReason: finishReason,
+      usage: usage,
+      rawResponse: null
+    };
+  }
+
+  /**
+   * List Mistral models
+   * @returns {Promise<Array>} - Model descriptors
+   */
+  async listModels() {
+    const models = await this.client.models.list();
+    return models.data || [];
+  }
+
+  /**
+   * Apply configuration changes
+   * @param {Object} config - Configuration updates
+   */
+  configure(config = {}) {
+    super.configure(config);
+
+    if (config.apiKey) {
+      this.client = new Mistral({ apiKey: config.apiKey });
+    }
+  }
+}
+
+export default MistralProvider;
@@ -0,0 +1,230 @@
+/**
+ * Ollama Provider - Adapter for a local Ollama server's /api/chat endpoint
+ * Ollama takes tool arguments as objects, streams NDJSON and does not issue tool call ids
+ */
+
+import BaseProvider from './baseProvider.js';
+
+class OllamaProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseURL - Server URL (default http://localhost:11434)
+   * @param {string} config.model - Model name (default llama3.1)
+   */
+  constructor(config = {}) {
+    super('ollama', { model: config.model || 'llama3.1' });
+    this.baseURL = (config.baseURL || 'http://localhost:11434').replace(/\/$/, '');
+  }
+
+  /**
+   * Build the request body
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @param {boolean} stream - Whether to request a stream
+   * @returns {Object} - Request body
+   */
+  buildRequest(messages, options, stream) {
+    const request = {
+      model: options.model || this.model,
+      messages: this.translateMessages(messages),
+      stream: stream,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens
+      }
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      request.tools = this.translateTools(options.tools);
+    }
+
+    return request;
+  }
+
+  /**
+   * Translate normalized messages to Ollama messages
+   * @param {Array} messages - Normalized messages
+   * @returns {Array} - Ollama messages
+   */
+  translateMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_name: message.name,
+          content: message.content
+        };
+      }
+
+      const translated = { role: message.role, content: message.content || '' };
+
+      if (message.toolCalls) {
+        translated.tool_calls = message.toolCalls.map(toolCall => ({
+          function: {
+            name: toolCall.function.name,
+            arguments: BaseProvider.parseArguments(toolCall.function.arguments)
+          }
+        }));
+      }
+
+      return translated;
+    });
+  }
+
+  /**
+   * Normalize Ollama tool calls, assigning ids
+   * @param {Array|undefined} toolCalls - tool_calls from the API
+   * @returns {Array|null} - Normalized tool calls
+   */
+  normalizeToolCalls(toolCalls) {
+    if (!toolCalls || toolCalls.length === 0) {
+      return null;
+    }
+
+    return toolCalls.map(toolCall => ({
+      id: BaseProvider.generateToolCallId(),
+      type: 'function',
+      function: {
+        name: toolCall.function.name,
+        arguments: BaseProvider.stringifyArguments(toolCall.function.arguments)
+      }
+    }));
+  }
+
+  /**
+   * Map Ollama's final chunk to a finish reason and usage
+   * @param {Object} data - Final response object (done: true)
+   * @param {boolean} hasToolCalls - Whether tool calls were returned
+   * @returns {Object} - { finishReason, usage }
+   */
+  summarizeCompletion(data, hasToolCalls) {
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+
+    return {
+      finishReason: hasToolCalls ? 'tool_calls' : (data.done_reason || 'stop'),
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async complete(messages, options = {}) {
+    const response = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildRequest(messages, options, false)),
+      signal: options.signal
+    });
+
+    await this.assertResponseOk(response);
+    const data = await response.json();
+
+    if (!data.message) {
+      throw new Error('Invalid response format from Ollama API');
+    }
+
+    const toolCalls = this.normalizeToolCalls(data.message.tool_calls);
+
+    return {
+      content: data.message.content,
+      toolCalls: toolCalls,
+      ...this.summarizeCompletion(data, !!toolCalls),
+      rawResponse: data
+    };
+  }
+
+  /**
+   * Run a streaming chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @param {Function} onDelta - Called with each content delta
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const response = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildRequest(messages, options, true)),
+      signal: options.signal
+    });
+
+    await this.assertResponseOk(response);
+
+    let content = '';
+    let finalChunk = {};
+    const rawToolCalls = [];
+
+    for await (const line of BaseProvider.readLines(response)) {
+      const chunk = JSON.parse(line);
+
+      if (chunk.error) {
+        throw new Error(`ollama API error: ${chunk.error}`);
+      }
+
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        onDelta(chunk.message.content);
+      }
+
+      // Ollama sends each tool call whole rather than in fragments
+      if (chunk.message?.tool_calls) {
+        rawToolCalls.push(...chunk.message.tool_calls);
+      }
+
+      if (chunk.done) {
+        finalChunk = chunk;
+      }
+    }
+
+    const toolCalls = this.normalizeToolCalls(rawToolCalls);
+
+    return {
+      content: content,
+      toolCalls: toolCalls,
+      ...this.summarizeCompletion(finalChunk, !!toolCalls),
+      rawResponse: null
+    };
+  }
+
+  /**
+   * List locally installed models
+   * @returns {Promise<Array>} - Model descriptors
+   */
+  async listModels() {
+    const response = await fetch(`${this.baseURL}/api/tags`);
+    await this.assertResponseOk(response);
+    const data = await response.json();
+    return (data.models || []).map(model => ({ id: model.name, ...model }));
+  }
+
+  /**
+   * Apply configuration changes
+   * @param {Object} config - Configuration updates
+   */
+  configure(config = {}) {
+    super.configure(config);
+
+    if (config.baseURL) {
+      this.baseURL = config.baseURL.replace(/\/$/, '');
+    }
+  }
+
+  /**
+   * Describe the provider for diagnostics
+   * @returns {Object} - Provider info
+   */
+  getInfo() {
+    return { ...super.getInfo(), baseURL: this.baseURL };
+  }
+}
+
+export default OllamaProvider;
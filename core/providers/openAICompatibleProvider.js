@@ -0,0 +1,276 @@
+/**
+ * OpenAI-Compatible Provider - Adapter for /v1/chat/completions style APIs
+ * Works with OpenAI and the many servers that mirror its API (vLLM, LM Studio, OpenRouter, ...)
+ */
+
+import BaseProvider from './baseProvider.js';
+
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Bearer token (optional for local servers)
+   * @param {string} config.baseURL - API base URL including the version prefix
+   * @param {string} config.model - Model name (default gpt-4o-mini)
+   */
+  constructor(config = {}) {
+    super('openai', { model: config.model || 'gpt-4o-mini' });
+    this.apiKey = config.apiKey;
+    this.baseURL = (config.baseURL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  /**
+   * Build request headers
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the request body
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @param {boolean} stream - Whether to request a stream
+   * @returns {Object} - Request body
+   */
+  buildRequest(messages, options, stream) {
+    const request = {
+      model: options.model || this.model,
+      messages: this.translateMessages(messages),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: stream
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      request.tools = this.translateTools(options.tools);
+      request.tool_choice = 'auto';
+    }
+
+    if (stream) {
+      request.stream_options = { include_usage: true };
+    }
+
+    return request;
+  }
+
+  /**
+   * Translate normalized messages to OpenAI's snake_case format
+   * @param {Array} messages - Normalized messages
+   * @returns {Array} - OpenAI messages
+   */
+  translateMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: message.toolCallId,
+          content: message.content
+        };
+      }
+
+      const translated = { role: message.role, content: message.content ?? null };
+
+      if (message.toolCalls) {
+        translated.tool_calls = message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: {
+            name: toolCall.function.name,
+            arguments: BaseProvider.stringifyArguments(toolCall.function.arguments)
+          }
+        }));
+      }
+
+      return translated;
+    });
+  }
+
+  /**
+   * Normalize OpenAI tool calls
+   * @param {Array|undefined} toolCalls - tool_calls from the API
+   * @returns {Array|null} - Normalized tool calls
+   */
+  normalizeToolCalls(toolCalls) {
+    if (!toolCalls || toolCalls.length === 0) {
+      return null;
+    }
+
+    return toolCalls.map(toolCall => ({
+      id: toolCall.id || BaseProvider.generateToolCallId(),
+      type: 'function',
+      function: {
+        name: toolCall.function.name,
+        arguments: BaseProvider.stringifyArguments(toolCall.function.arguments)
+      }
+    }));
+  }
+
+  /**
+   * Normalize token usage
+   * @param {Object|undefined} usage - Usage from the API
+   * @returns {Object|null} - Usage in the service's camelCase shape
+   */
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens
+    };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async complete(messages, options = {}) {
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequest(messages, options, false)),
+      signal: options.signal
+    });
+
+    await this.assertResponseOk(response);
+    const data = await response.json();
+
+    if (!data.choices || !data.choices[0]) {
+      throw new Error('Invalid response format from OpenAI-compatible API');
+    }
+
+    const choice = data.choices[0];
+
+    return {
+      content: choice.message.content,
+      toolCalls: this.normalizeToolCalls(choice.message.tool_calls),
+      finishReason: choice.finish_reason,
+      usage: this.normalizeUsage(data.usage),
+      rawResponse: data
+    };
+  }
+
+  /**
+   * Run a streaming chat completion
+   * @param {Array} messages - Normalized messages
+   * @param {Object} options - Completion options
+   * @param {Function} onDelta - Called with each content delta
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequest(messages, options, true)),
+      signal: options.signal
+    });
+
+    await this.assertResponseOk(response);
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCallsByIndex = new Map();
+
+    for await (const line of BaseProvider.readLines(response)) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        break;
+      }
+
+      const chunk = JSON.parse(payload);
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) {
+        continue;
+      }
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+
+      // Only the first fragment of each tool call carries its id and name
+      (delta.tool_calls || []).forEach(toolCall => {
+        const existing = toolCallsByIndex.get(toolCall.index);
+        if (existing) {
+          existing.function.arguments += toolCall.function?.arguments || '';
+        } else {
+          toolCallsByIndex.set(toolCall.index, {
+            id: toolCall.id,
+            function: {
+              name: toolCall.function?.name,
+              arguments: toolCall.function?.arguments || ''
+            }
+          });
+        }
+      });
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    return {
+      content: content,
+      toolCalls: this.normalizeToolCalls(Array.from(toolCallsByIndex.values())),
+      finishReason: finishReason,
+      usage: this.normalizeUsage(usage),
+      rawResponse: null
+    };
+  }
+
+  /**
+   * List models from /models
+   * @returns {Promise<Array>} - Model descriptors
+   */
+  async listModels() {
+    const response = await fetch(`${this.baseURL}/models`, { headers: this.getHeaders() });
+    await this.assertResponseOk(response);
+    const data = await response.json();
+    return data.data || [];
+  }
+
+  /**
+   * Apply configuration changes
+   * @param {Object} config - Configuration updates
+   */
+  configure(config = {}) {
+    super.configure(config);
+
+    if (config.apiKey) {
+      this.apiKey = config.apiKey;
+    }
+
+    if (config.baseURL) {
+      this.baseURL = config.baseURL.replace(/\/$/, '');
+    }
+  }
+
+  /**
+   * Describe the provider for diagnostics
+   * @returns {Object} - Provider info
+   */
+  getInfo() {
+    return { ...super.getInfo(), baseURL: this.baseURL };
+  }
+}
+
+export default OpenAICompatibleProvider;
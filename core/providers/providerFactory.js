@@ -0,0 +1,69 @@
+/**
+ * Provider Factory - Picks and configures the LLM provider
+ * Explicit config wins; otherwise LLM_* environment variables decide
+ */
+
+import MistralProvider from './mistralProvider.js';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+import OllamaProvider from './ollamaProvider.js';
+import ReplayProvider from './replayProvider.js';
+
+const PROVIDERS = {
+  mistral: MistralProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  replay: ReplayProvider
+};
+
+/**
+ * Create an LLM provider
+ *
+ * Environment variables:
+ * - LLM_PROVIDER: mistral (default) | openai | ollama | replay
+ * - LLM_MODEL, LLM_BASE_URL, LLM_API_KEY: override the provider defaults
+ * - LLM_REPLAY_PATH: recording served by the replay provider (MISTRAL_SCRIPT is still honoured)
+ * - LLM_RECORD_PATH: save every live response to a replay recording
+ *
+ * @param {Object} config - { provider, model, baseURL, apiKey, recordingPath, recordPath }
+ * @returns {BaseProvider} - Configured provider
+ */
+export function createLLMProvider(config = {}) {
+  const env = process.env;
+  const legacyScript = env.MISTRAL_SCRIPT;
+  const providerName = (config.provider || env.LLM_PROVIDER || (legacyScript ? 'replay' : 'mistral')).toLowerCase();
+  const ProviderClass = PROVIDERS[providerName];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider '${providerName}'. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const apiKeys = {
+    mistral: env.MISTRAL_API_KEY,
+    openai: env.OPENAI_API_KEY
+  };
+
+  const provider = new ProviderClass({
+    model: config.model || env.LLM_MODEL,
+    baseURL: config.baseURL || env.LLM_BASE_URL,
+    apiKey: config.apiKey || env.LLM_API_KEY || apiKeys[providerName],
+    recordingPath: config.recordingPath || env.LLM_REPLAY_PATH || legacyScript
+  });
+
+  const recordPath = config.recordPath || env.LLM_RECORD_PATH;
+  if (recordPath && providerName !== 'replay') {
+    ReplayProvider.attachRecorder(provider, recordPath);
+  }
+
+  console.log(`LLM provider: ${provider.name} (${provider.model})`);
+  return provider;
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} - Provider names
+ */
+export function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+export default createLLMProvider;
@@ -0,0 +1,238 @@
+/**
+ * Replay Provider - Deterministic provider that serves recorded responses
+ * Lets the agent run offline; recordings can be captured from any live provider
+ *
+ * Recording format:
+ * { "reply": "...", "responses": [{ "content": "...", "toolCalls": [{ "name": "...", "arguments": { ... } }] }] }
+ * Every completion consumes `responses` in order, with or without tools, so controller reasoning,
+ * tool selection, planning and final answers replay like tool-calling turns. Connection tests
+ * (purpose 'connection_test') get `reply` instead. `turns` is accepted as an alias for `responses`.
+ *
+ * Recording appends to the file, so a multi-request session ends up in one recording. To match,
+ * every provider replaying the same file shares its position: each request continues where the
+ * previous one stopped, and restarting the server replays from the top.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import BaseProvider from './baseProvider.js';
+import { sleep } from '../../utils/abort.js';
+
+// Request purpose that is answered with `reply` rather than a recorded response
+const CONNECTION_TEST = 'connection_test';
+
+class ReplayProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {Object} config.recording - Recording object (takes precedence over recordingPath)
+   * @param {string} config.recordingPath - Path to a recording JSON file
+   * @param {number} config.chunkSize - Characters per streamed delta
+   * @param {number} config.delayMs - Delay between streamed deltas
+   */
+  constructor(config = {}) {
+    super('replay', { model: config.model || 'replay' });
+
+    const recording = config.recording || (config.recordingPath
+      ? JSON.parse(fs.readFileSync(config.recordingPath, 'utf8'))
+      : {});
+
+    this.recordingPath = config.recordingPath || null;
+    this.responses = recording.responses || recording.turns || [];
+    this.reply = recording.reply || 'Replay connection OK.';
+    this.chunkSize = Math.max(1, config.chunkSize || recording.chunkSize || 12);
+    this.delayMs = Math.max(0, config.delayMs ?? recording.delayMs ?? 0);
+    // Recording objects are private to this instance; files share a position across requests
+    this.position = config.recording ? { cursor: 0 } : ReplayProvider.getSharedPosition(this.recordingPath);
+  }
+
+  /**
+   * Get the process-wide replay position for a recording file
+   * @param {string|null} recordingPath - Recording file
+   * @returns {Object} - { cursor } shared by every provider replaying the file
+   */
+  static getSharedPosition(recordingPath) {
+    if (!recordingPath) {
+      return { cursor: 0 };
+    }
+
+    if (!globalThis.__replayPositions) {
+      globalThis.__replayPositions = new Map();
+    }
+
+    const key = path.resolve(recordingPath);
+    if (!globalThis.__replayPositions.has(key)) {
+      globalThis.__replayPositions.set(key, { cursor: 0 });
+    }
+    return globalThis.__replayPositions.get(key);
+  }
+
+  /**
+   * Pick the next recorded response for a request
+   * @param {Object} options - Completion options
+   * @returns {Object} - Normalized response
+   */
+  nextResponse(options) {
+    // Connection tests run before every request, so they don't consume the recording
+    if (options.purpose === CONNECTION_TEST) {
+      return this.createResponse({ content: this.reply });
+    }
+
+    const recorded = this.responses[this.position.cursor];
+    if (!recorded) {
+      return this.createResponse({ content: 'The recorded conversation has no more responses.' });
+    }
+
+    this.position.cursor++;
+    return this.createResponse(recorded);
+  }
+
+  /**
+   * Normalize a recorded response; tool call ids are derived from position so runs are repeatable
+   * @param {Object} recorded - Recorded response
+   * @returns {Object} - Normalized response
+   */
+  createResponse(recorded) {
+    const toolCalls = (recorded.toolCalls || []).map((toolCall, index) => {
+      const fn = toolCall.function || toolCall;
+      return {
+        id: toolCall.id || `call_${this.position.cursor}_${index}`,
+        type: 'function',
+        function: {
+          name: fn.name,
+          arguments: BaseProvider.stringifyArguments(fn.arguments)
+        }
+      };
+    });
+
+    const content = recorded.content || '';
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content: content,
+      toolCalls: toolCalls.length > 0 ? toolCalls : null,
+      finishReason: recorded.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop'),
+      usage: { promptTokens: 0, completionTokens, totalTokens: completionTokens },
+      rawResponse: null
+    };
+  }
+
+  /**
+   * Serve the next recorded response
+   * @param {Array} messages - Normalized messages (unused)
+   * @param {Object} options - Completion options
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async complete(messages, options = {}) {
+    return this.nextResponse(options);
+  }
+
+  /**
+   * Serve the next recorded response in chunks
+   * @param {Array} messages - Normalized messages (unused)
+   * @param {Object} options - Completion options
+   * @param {Function} onDelta - Called with each content delta
+   * @returns {Promise<Object>} - Normalized response
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const response = this.nextResponse(options);
+
+    for (let i = 0; i < response.content.length; i += this.chunkSize) {
+      if (this.delayMs > 0) {
+        await sleep(this.delayMs, options.signal);
+      }
+      onDelta(response.content.substring(i, i + this.chunkSize));
+    }
+
+    return response;
+  }
+
+  /**
+   * List models
+   * @returns {Promise<Array>} - Single replay model
+   */
+  async listModels() {
+    return [{ id: this.model, object: 'model' }];
+  }
+
+  /**
+   * Describe the provider for diagnostics
+   * @returns {Object} - Provider info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      recordingPath: this.recordingPath,
+      responses: this.responses.length,
+      cursor: this.position.cursor
+    };
+  }
+
+  /**
+   * Wrap a live provider so every response it returns is saved as a replay recording
+   * Responses are appended to the file, so the providers of later requests add to the same recording
+   * @param {BaseProvider} provider - Provider to record
+   * @param {string} recordingPath - File to write the recording to
+   * @returns {BaseProvider} - The same provider, now recording
+   */
+  static attachRecorder(provider, recordingPath) {
+    const save = (options, response) => {
+      // Read back what earlier requests saved; sync I/O keeps concurrent requests from interleaving
+      const recording = ReplayProvider.readRecordingForAppend(recordingPath);
+
+      if (options.purpose !== CONNECTION_TEST) {
+        recording.responses.push({
+          content: response.content || '',
+          toolCalls: (response.toolCalls || []).map(toolCall => ({
+            name: toolCall.function.name,
+            arguments: BaseProvider.parseArguments(toolCall.function.arguments)
+          })),
+          finishReason: response.finishReason
+        });
+      } else if (recording.reply === null) {
+        recording.reply = response.content || '';
+      }
+
+      fs.writeFileSync(recordingPath, JSON.stringify(recording, null, 2));
+    };
+
+    const complete = provider.complete.bind(provider);
+    const stream = provider.stream.bind(provider);
+
+    provider.complete = async (messages, options = {}) => {
+      const response = await complete(messages, options);
+      save(options, response);
+      return response;
+    };
+
+    provider.stream = async (messages, options = {}, onDelta) => {
+      const response = await stream(messages, options, onDelta);
+      save(options, response);
+      return response;
+    };
+
+    console.log(`Recording ${provider.name} responses to ${recordingPath}`);
+    return provider;
+  }
+
+  /**
+   * Load a recording that new responses will be appended to
+   * @param {string} recordingPath - Recording file
+   * @returns {Object} - Existing recording, or an empty one if the file is missing or unreadable
+   */
+  static readRecordingForAppend(recordingPath) {
+    try {
+      const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+      return {
+        reply: recording.reply ?? null,
+        responses: recording.responses || recording.turns || []
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Starting a new recording; could not read ${recordingPath}: ${error.message}`);
+      }
+      return { reply: null, responses: [] };
+    }
+  }
+}
+
+export default ReplayProvider;
@@ -4,11 +4,11 @@ const nextConfig = {
     // Enable if needed for better JavaScript support
   },
   webpack: (config, { isServer }) => {
-    // Handle vm2 and other Node.js modules
+    // isolated-vm is an optional native sandbox backend; load it at runtime if installed
     if (isServer) {
       config.externals = config.externals || [];
       config.externals.push({
-        'vm2': 'commonjs vm2'
+        'isolated-vm': 'commonjs isolated-vm'
       });
     }
     
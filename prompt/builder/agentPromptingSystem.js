@@ -103,6 +103,8 @@ Please provide your reasoning and next steps:`;
 
 ORIGINAL QUERY: ${userQuery}
 
+TODAY'S DATE: ${this.formatToday()}
+
 YOUR REASONING: ${reasoning}
 
 AVAILABLE TOOLS:
@@ -123,6 +125,47 @@ REASONING: [Explain what information you need or why no tool is suitable]
 Your selection:`;
   }
 
+  /**
+   * Create repair prompt for a tool selection whose parameters failed schema validation
+   * @param {string} userQuery - Original user query
+   * @param {Object} selection - { toolName, parameters } as selected
+   * @param {string[]} validationErrors - Validation messages for the parameters
+   * @param {Object|null} parameterSchema - JSON Schema of the selected tool, null if the tool is unknown
+   * @param {Array} availableTools - List of available tools
+   * @returns {string} - Tool repair prompt
+   */
+  createToolRepairPrompt(userQuery, selection, validationErrors, parameterSchema, availableTools = []) {
+    const toolSection = parameterSchema
+      ? `PARAMETER SCHEMA FOR ${selection.toolName}:\n${JSON.stringify(parameterSchema, null, 2)}`
+      : `AVAILABLE TOOLS:\n${this.formatToolDescriptions(availableTools)}`;
+
+    return `Your last tool selection cannot be executed because its parameters are invalid.
+
+ORIGINAL QUERY: ${userQuery}
+
+TODAY'S DATE: ${this.formatToday()}
+
+SELECTED TOOL: ${selection.toolName}
+PARAMETERS SENT: ${JSON.stringify(selection.parameters || {})}
+
+VALIDATION ERRORS:
+${validationErrors.map(error => `- ${error}`).join('\n')}
+
+${toolSection}
+
+Fix the parameters using only values stated in or implied by the query. Respond with:
+
+SELECTED_TOOL: [tool_name]
+PARAMETERS: [corrected JSON object]
+REASONING: [What you changed and why]
+
+If the query does not contain the information a required parameter needs, respond with:
+SELECTED_TOOL: none
+REASONING: [Which information is missing]
+
+Your corrected selection:`;
+  }
+
   /**
    * Create continuation prompt after receiving tool results
    * @param {Object} context - Current agent context with history
@@ -244,15 +287,18 @@ Your recovery plan:`;
    * Create planning prompt for complex multi-step problems
    * @param {string} userQuery - User's complex query
    * @param {Array} availableTools - Available tools
+   * @param {string} transcript - Earlier conversation the query may refer to (see ConversationContext.toTranscript)
    * @returns {string} - Planning prompt
    */
-  createPlanningPrompt(userQuery, availableTools) {
+  createPlanningPrompt(userQuery, availableTools, transcript = '') {
     const toolDescriptions = this.formatToolDescriptions(availableTools);
 
     return `You need to create a step-by-step plan to solve this complex problem.
-
+${this.formatConversationSection(transcript)}
 USER QUERY: ${userQuery}
 
+TODAY'S DATE: ${this.formatToday()}
+
 AVAILABLE TOOLS:
 ${toolDescriptions}
 
@@ -271,9 +317,7 @@ REQUIRED_INFORMATION:
 [What data or inputs do you need?]
 
 STEP_BY_STEP_PLAN:
-1. [First step - what tool to use and why]
-2. [Second step - building on the first]
-3. [Continue until complete]
+${this.formatPlanStepInstructions()}
 
 EXPECTED_OUTCOME:
 [What should the final result look like?]
@@ -281,6 +325,68 @@ EXPECTED_OUTCOME:
 Your plan:`;
   }
 
+  /**
+   * Create replanning prompt after an observation contradicted the current plan
+   * @param {string} userQuery - User's query
+   * @param {Array} availableTools - Available tools
+   * @param {Object} plan - Current plan with step statuses and results
+   * @param {string} reason - What went wrong
+   * @param {string} transcript - Earlier conversation the query may refer to
+   * @returns {string} - Replanning prompt
+   */
+  createReplanningPrompt(userQuery, availableTools, plan, reason, transcript = '') {
+    const stepHistory = plan.steps
+      .filter(step => step.status !== 'superseded')
+      .map(step => {
+        const outcome = step.status === 'done'
+          ? `done${step.result !== undefined ? ` - result: ${JSON.stringify(step.result).substring(0, 200)}` : ''}`
+          : `${step.status}${step.error ? ` - ${step.error}` : ''}`;
+        return `${step.id}. ${step.description} [${step.toolName || 'no tool'}] (${outcome})`;
+      })
+      .join('\n');
+
+    return `Your plan no longer matches what happened, so it needs to be revised.
+${this.formatConversationSection(transcript)}
+USER QUERY: ${userQuery}
+
+TODAY'S DATE: ${this.formatToday()}
+
+AVAILABLE TOOLS:
+${this.formatToolDescriptions(availableTools)}
+
+CURRENT PLAN:
+${stepHistory}
+
+WHAT WENT WRONG: ${reason}
+
+Completed steps stay done and their results are available to the new steps. Plan only the remaining work, numbering the new steps from 1. Avoid repeating a call that already failed with the same parameters.
+
+PROBLEM_ANALYSIS:
+[What the failure tells you and how to work around it]
+
+STEP_BY_STEP_PLAN:
+${this.formatPlanStepInstructions()}
+
+EXPECTED_OUTCOME:
+[What should the final result look like?]
+
+Your revised plan:`;
+  }
+
+  /**
+   * Describe the line format plan steps must follow, so they can be parsed into tool calls
+   * @returns {string} - Step format instructions
+   */
+  formatPlanStepInstructions() {
+    return `One step per line, in this format:
+N. [What the step does] | TOOL: [tool_name, or none] | PARAMETERS: [JSON object, or {} if they depend on earlier results] | DEPENDS_ON: [numbers of the steps whose results it needs, or none]
+Steps that don't depend on each other can run at the same time.
+Example:
+1. Get the weather in London | TOOL: weather-service | PARAMETERS: {"location": "London"} | DEPENDS_ON: none
+2. Get the weather in Paris | TOOL: weather-service | PARAMETERS: {"location": "Paris"} | DEPENDS_ON: none
+3. Compare both forecasts | TOOL: none | PARAMETERS: {} | DEPENDS_ON: 1, 2`;
+  }
+
   /**
    * Format tool descriptions for prompts
    * @param {Array} tools - Array of tool objects
@@ -302,6 +408,32 @@ Your plan:`;
     }).join('\n\n');
   }
 
+  /**
+   * Today's date for resolving relative dates ("tomorrow", "next Friday") in tool arguments
+   * @returns {string} - Date in YYYY-MM-DD format
+   */
+  formatToday() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Earlier turns of the chat, so follow-ups like "and in Paris?" can be resolved
+   * @param {string} transcript - Conversation transcript
+   * @returns {string} - Prompt section with surrounding blank lines, empty without a transcript
+   */
+  formatConversationSection(transcript) {
+    if (!transcript) {
+      return '';
+    }
+
+    return `
+CONVERSATION SO FAR:
+${transcript}
+
+The user query below may refer to the conversation above.
+`;
+  }
+
   /**
    * Format action history for prompts
    * @param {Array} actions - Array of action objects
@@ -411,6 +543,15 @@ Your plan:`;
           context.actions
         );
         break;
+      case 'tool_repair':
+        prompt = this.createToolRepairPrompt(
+          context.userQuery,
+          additionalData.selection,
+          additionalData.validationErrors || [],
+          additionalData.parameterSchema || null,
+          additionalData.availableTools || this.toolRegistry.getAvailableTools()
+        );
+        break;
       case 'continuation':
         prompt = this.createContinuationPrompt(context, additionalData.lastObservation);
         break;
@@ -426,6 +567,14 @@ Your plan:`;
           additionalData.availableTools || this.toolRegistry.getAvailableTools()
         );
         break;
+      case 'replanning':
+        prompt = this.createReplanningPrompt(
+          context.userQuery,
+          additionalData.availableTools || this.toolRegistry.getAvailableTools(),
+          additionalData.plan,
+          additionalData.reason
+        );
+        break;
       default:
         throw new Error(`Unknown prompt type: ${promptType}`);
     }
@@ -444,6 +593,7 @@ Your plan:`;
       supportedPromptTypes: [
         'initial',
         'tool_selection', 
+        'tool_repair',
         'continuation',
         'final_answer',
         'error_recovery',
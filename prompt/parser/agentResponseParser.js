@@ -322,6 +322,67 @@ class AgentResponseParser {
     }
   }
 
+  /**
+   * Parse a STEP_BY_STEP_PLAN section into executable steps
+   * Lines look like "N. description | TOOL: name | PARAMETERS: {...} | DEPENDS_ON: 1, 2".
+   * A step without DEPENDS_ON waits for the step before it; references to the step itself
+   * or to later steps are dropped so the plan can't deadlock.
+   * @param {string} stepSection - Text of the STEP_BY_STEP_PLAN section
+   * @returns {Array<Object>} - Steps: { id, description, toolName, parameters, dependsOn, text }
+   */
+  parsePlanSteps(stepSection) {
+    const steps = [];
+    if (!stepSection) return steps;
+
+    for (const line of stepSection.split('\n').map(l => l.trim()).filter(l => l.length > 0)) {
+      const stepMatch = line.match(/^(?:step\s*)?(\d+)[.):]\s*(.+)$/i);
+
+      if (!stepMatch) {
+        // Wrapped text belongs to the step above it
+        if (steps.length > 0) {
+          steps[steps.length - 1].description += ` ${line.replace(/^[-*]\s*/, '')}`;
+        }
+        continue;
+      }
+
+      const fields = { description: '' };
+      let currentField = 'description';
+
+      for (const segment of stepMatch[2].split('|')) {
+        const fieldMatch = segment.match(/^\s*(TOOL|PARAMETERS|DEPENDS_ON)\s*:\s*([\s\S]*)$/i);
+        if (fieldMatch) {
+          currentField = fieldMatch[1].toUpperCase();
+          fields[currentField] = fieldMatch[2].trim();
+        } else {
+          // A '|' inside a parameter value split it; glue it back together
+          fields[currentField] = fields[currentField] ? `${fields[currentField]}|${segment}` : segment.trim();
+        }
+      }
+
+      // Keep the model's numbering, since DEPENDS_ON refers to it, unless it goes backwards
+      const previousId = steps.length > 0 ? steps[steps.length - 1].id : 0;
+      const id = Number(stepMatch[1]) > previousId ? Number(stepMatch[1]) : previousId + 1;
+      const toolName = (fields.TOOL || '').replace(/[[\]`'"]/g, '').trim();
+      const dependsOn = fields.DEPENDS_ON === undefined
+        ? (previousId > 0 ? [previousId] : [])
+        : [...new Set((fields.DEPENDS_ON.match(/\d+/g) || []).map(Number))]
+          .filter(dep => dep < id && steps.some(step => step.id === dep));
+
+      steps.push({
+        id,
+        description: fields.description.trim().replace(/^\[(.*)\]$/, '$1'),
+        toolName: toolName && toolName.toLowerCase() !== 'none' ? toolName : null,
+        parameters: fields.PARAMETERS && fields.PARAMETERS.trim().startsWith('{')
+          ? this.parseParameters(fields.PARAMETERS)
+          : {},
+        dependsOn,
+        text: line
+      });
+    }
+
+    return steps;
+  }
+
   /**
    * Extract a section from structured response
    * @param {string} response - Full response text
@@ -366,7 +427,8 @@ class AgentResponseParser {
   parseParameters(paramText) {
     if (!paramText) return {};
 
-    const trimmed = paramText.trim();
+    // Models often wrap the JSON in a markdown code fence
+    const trimmed = paramText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
     
     // Try JSON parsing first
     if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
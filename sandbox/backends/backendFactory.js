@@ -0,0 +1,42 @@
+/**
+ * Sandbox Backend Factory - Picks the engine that runs AI-generated UI code
+ * Explicit config wins; otherwise SANDBOX_BACKEND decides
+ */
+
+import WorkerVmBackend from './workerVmBackend.js';
+import IsolatedVmBackend from './isolatedVmBackend.js';
+
+const BACKENDS = {
+  worker: WorkerVmBackend,
+  'isolated-vm': IsolatedVmBackend
+};
+
+/**
+ * Create a sandbox backend
+ *
+ * Environment variables:
+ * - SANDBOX_BACKEND: worker (default) | isolated-vm
+ *
+ * @param {string} name - Backend name
+ * @returns {BaseSandboxBackend} - Backend instance
+ */
+export function createSandboxBackend(name) {
+  const backendName = (name || process.env.SANDBOX_BACKEND || 'worker').toLowerCase();
+  const BackendClass = BACKENDS[backendName];
+
+  if (!BackendClass) {
+    throw new Error(`Unknown sandbox backend '${backendName}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return new BackendClass();
+}
+
+/**
+ * List registered backend names
+ * @returns {Array<string>} - Backend names
+ */
+export function getSandboxBackendNames() {
+  return Object.keys(BACKENDS);
+}
+
+export default createSandboxBackend;
@@ -0,0 +1,111 @@
+/**
+ * Base Sandbox Backend - Common interface for engines that run AI-generated code
+ *
+ * Backends run the code in an empty context. The only globals are call-recording stubs
+ * for the safe functions, a console, and any JSON data passed in, so no host object or
+ * function is reachable from generated code. The result leaves the sandbox as a JSON
+ * string, and SandboxExecutor replays the recorded calls against the real safe functions.
+ *
+ * Run options shared by every backend:
+ * - functionNames: safe functions to stub
+ * - globals: JSON-serializable values defined as globals (e.g. { input })
+ * - captureConsole: collect console output; the JSON is then { result, stdout }
+ * - timeoutMs, memoryLimitMb, maxOutputBytes: limits
+ * - signal: AbortSignal; aborting stops the engine and rejects with an AbortError
+ *
+ * Limit errors carry a code: SANDBOX_TIMEOUT or SANDBOX_MEMORY_LIMIT.
+ */
+
+const MAX_CONSOLE_LINES = 200;
+const MAX_CONSOLE_LINE_LENGTH = 1000;
+
+class BaseSandboxBackend {
+  /**
+   * @param {string} name - Backend identifier
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check whether the engine can run on this host
+   * @returns {Promise<boolean>} - True if run() can be used
+   */
+  async isAvailable() {
+    return false;
+  }
+
+  /**
+   * Run code and serialize its completion value
+   * @param {string} code - Code to run
+   * @param {Object} options - Run options (see module header)
+   * @returns {Promise<string>} - JSON of the completion value (null when undefined)
+   */
+  async run(code, options = {}) {
+    throw new Error(`Sandbox backend '${this.name}' must implement run()`);
+  }
+
+  /**
+   * Build the script that defines the sandbox globals
+   * Each stub returns a plain { __sandboxCall, args } record instead of building anything
+   * @param {Object} options - { functionNames, globals, captureConsole }
+   * @returns {string} - Prelude source
+   */
+  static createPrelude(options = {}) {
+    const { functionNames = [], globals = {}, captureConsole = false } = options;
+    const isIdentifier = name => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name);
+
+    const stubs = functionNames
+      .filter(isIdentifier)
+      .map(name => `var ${name} = function () { return { __sandboxCall: '${name}', args: Array.prototype.slice.call(arguments) }; };`);
+
+    // Data crosses as a JSON string literal and is parsed inside the sandbox
+    const data = Object.entries(globals)
+      .filter(([name]) => isIdentifier(name))
+      .map(([name, value]) => `var ${name} = JSON.parse(${JSON.stringify(JSON.stringify(value ?? null))});`);
+
+    const consoleSource = captureConsole
+      ? `var __stdout = [];
+var __log = function (level) {
+  return function () {
+    if (__stdout.length >= ${MAX_CONSOLE_LINES}) return;
+    var parts = Array.prototype.map.call(arguments, function (arg) {
+      if (typeof arg === 'string') return arg;
+      try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+    });
+    var line = (level ? level + ': ' : '') + parts.join(' ');
+    __stdout.push(line.length > ${MAX_CONSOLE_LINE_LENGTH} ? line.slice(0, ${MAX_CONSOLE_LINE_LENGTH}) + '...' : line);
+  };
+};
+var console = { log: __log(''), info: __log(''), warn: __log('warn'), error: __log('error') };`
+      : 'var console = { log: function () {}, error: function () {}, warn: function () {} };';
+
+    return ['"use strict";', ...stubs, ...data, consoleSource].join('\n');
+  }
+
+  /**
+   * Build the source that serializes the completion value stored in __result, run inside the sandbox
+   * @param {Object} options - { captureConsole }
+   * @returns {string} - Serializer source
+   */
+  static createSerializer(options = {}) {
+    const result = '(typeof __result === "undefined" ? null : __result)';
+    return options.captureConsole
+      ? `JSON.stringify({ result: ${result}, stdout: __stdout })`
+      : `JSON.stringify(${result})`;
+  }
+
+  /**
+   * Create an error carrying a limit code
+   * @param {string} code - SANDBOX_TIMEOUT or SANDBOX_MEMORY_LIMIT
+   * @param {string} message - Error message
+   * @returns {Error} - Error with code set
+   */
+  static limitError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export default BaseSandboxBackend;
@@ -0,0 +1,109 @@
+/**
+ * Isolated VM Backend - Runs generated code in a separate V8 isolate via the optional isolated-vm package
+ * The isolate has its own heap with a hard memory limit and shares no objects with the host
+ */
+
+import BaseSandboxBackend from './baseBackend.js';
+import { throwIfAborted } from '../../utils/abort.js';
+
+class IsolatedVmBackend extends BaseSandboxBackend {
+  constructor() {
+    super('isolated-vm');
+    this.ivm = null;
+  }
+
+  /**
+   * Load isolated-vm; it is a native module and is not installed by default
+   * @returns {Promise<Object|null>} - The module, or null if it can't be loaded
+   */
+  async loadModule() {
+    if (this.ivm) {
+      return this.ivm;
+    }
+
+    try {
+      const module = await import('isolated-vm');
+      this.ivm = module.default || module;
+      return this.ivm;
+    } catch (error) {
+      console.warn('isolated-vm is not available:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether isolated-vm can be loaded
+   * @returns {Promise<boolean>} - True if the package is installed and builds on this host
+   */
+  async isAvailable() {
+    return Boolean(await this.loadModule());
+  }
+
+  /**
+   * Run code in a new isolate
+   * @param {string} code - Code to run
+   * @param {Object} options - Run options (see baseBackend.js)
+   * @returns {Promise<string>} - JSON of the completion value
+   */
+  async run(code, options = {}) {
+    const { timeoutMs = 5000, memoryLimitMb = 32, maxOutputBytes = 1024 * 1024, signal } = options;
+    const ivm = await this.loadModule();
+    if (!ivm) {
+      throw new Error('Sandbox backend isolated-vm is not installed');
+    }
+    throwIfAborted(signal);
+
+    // isolated-vm enforces a minimum of 8MB per isolate
+    const isolate = new ivm.Isolate({ memoryLimit: Math.max(8, memoryLimitMb) });
+
+    // Stopping the run disposes the isolate, which ends the script in progress
+    const onAbort = () => {
+      if (!isolate.isDisposed) {
+        isolate.dispose();
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let context = null;
+
+    try {
+      context = await isolate.createContext();
+      const runOptions = { timeout: timeoutMs };
+
+      await context.eval(BaseSandboxBackend.createPrelude(options), runOptions);
+
+      const script = await isolate.compileScript(code, { filename: 'generated-code.js' });
+      const result = await script.run(context, { ...runOptions, reference: true });
+      await context.global.set('__result', result.derefInto());
+
+      const output = await context.eval(BaseSandboxBackend.createSerializer(options), runOptions);
+      if (typeof output === 'string' && output.length > maxOutputBytes) {
+        throw new Error(`Invalid result: output exceeds ${maxOutputBytes} bytes`);
+      }
+
+      return typeof output === 'string' ? output : 'null';
+    } catch (error) {
+      throwIfAborted(signal);
+      if (!isolate.isDisposed && options.captureConsole) {
+        const stdout = await context?.eval('typeof __stdout === "undefined" ? null : JSON.stringify(__stdout)', { timeout: 100 }).catch(() => null);
+        if (typeof stdout === 'string') {
+          error.stdout = JSON.parse(stdout);
+        }
+      }
+      if (/timed out/i.test(error.message)) {
+        throw BaseSandboxBackend.limitError('SANDBOX_TIMEOUT', `Sandbox execution timeout after ${timeoutMs}ms`);
+      }
+      if (isolate.isDisposed || /memory limit/i.test(error.message)) {
+        throw BaseSandboxBackend.limitError('SANDBOX_MEMORY_LIMIT', `Sandbox exceeded its ${memoryLimitMb}MB memory limit`);
+      }
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (!isolate.isDisposed) {
+        isolate.dispose();
+      }
+    }
+  }
+}
+
+export default IsolatedVmBackend;
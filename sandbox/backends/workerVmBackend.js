@@ -0,0 +1,158 @@
+/**
+ * Worker VM Backend - Runs generated code in a fresh worker thread with a locked-down vm context
+ * The vm timeout stops synchronous loops, the worker's V8 resource limits cap memory,
+ * and a host-side watchdog terminates the thread if it still hasn't answered
+ */
+
+import { Worker } from 'worker_threads';
+import BaseSandboxBackend from './baseBackend.js';
+import { createAbortError } from '../../utils/abort.js';
+
+// Extra time for the thread to start before the watchdog gives up on it
+const WORKER_STARTUP_GRACE_MS = 2000;
+
+// Runs inside the worker. The context is created from a null-prototype object so
+// generated code can't walk back to the worker's own globals, and string code
+// generation (eval, Function) is disabled in it.
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+const { code, prelude, serializer, timeoutMs, maxOutputBytes } = workerData;
+let context = null;
+
+try {
+  context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  const runOptions = { timeout: timeoutMs, breakOnSigint: false };
+
+  vm.runInContext(prelude, context, { ...runOptions, filename: 'sandbox-prelude.js' });
+  context.__result = vm.runInContext(code, context, { ...runOptions, filename: 'generated-code.js' });
+  const output = vm.runInContext(serializer, context, runOptions);
+
+  if (typeof output === 'string' && output.length > maxOutputBytes) {
+    throw new Error('Invalid result: output exceeds ' + maxOutputBytes + ' bytes');
+  }
+
+  parentPort.postMessage({ success: true, output: typeof output === 'string' ? output : 'null' });
+} catch (error) {
+  // Console output captured before the failure helps explain it
+  let stdout = null;
+  try {
+    stdout = context && vm.runInContext('typeof __stdout === "undefined" ? null : JSON.stringify(__stdout)', context, { timeout: 100 });
+  } catch (ignored) {}
+
+  parentPort.postMessage({
+    stdout: typeof stdout === 'string' ? stdout : null,
+    success: false,
+    message: String(error && error.message || error),
+    name: error && typeof error.name === 'string' ? error.name : 'Error',
+    code: error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? 'SANDBOX_TIMEOUT' : null
+  });
+}
+`;
+
+class WorkerVmBackend extends BaseSandboxBackend {
+  constructor() {
+    super('worker');
+  }
+
+  /**
+   * Worker threads are built into Node, so this backend is always available server-side
+   * @returns {Promise<boolean>} - True when worker_threads can be used
+   */
+  async isAvailable() {
+    return typeof Worker === 'function';
+  }
+
+  /**
+   * Run code in a new worker thread
+   * @param {string} code - Code to run
+   * @param {Object} options - Run options (see baseBackend.js)
+   * @returns {Promise<string>} - JSON of the completion value
+   */
+  run(code, options = {}) {
+    const { timeoutMs = 5000, memoryLimitMb = 32, maxOutputBytes = 1024 * 1024, signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal.reason));
+        return;
+      }
+
+      let settled = false;
+
+      const worker = new Worker(WORKER_SOURCE, {
+        eval: true,
+        // Generated code never sees process, but don't hand the thread our API keys either
+        env: {},
+        workerData: {
+          code,
+          prelude: BaseSandboxBackend.createPrelude(options),
+          serializer: BaseSandboxBackend.createSerializer(options),
+          timeoutMs,
+          maxOutputBytes
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: memoryLimitMb,
+          maxYoungGenerationSizeMb: Math.max(1, Math.ceil(memoryLimitMb / 4)),
+          codeRangeSizeMb: 16,
+          stackSizeMb: 4
+        }
+      });
+
+      const finish = (error, output) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        signal?.removeEventListener('abort', onAbort);
+        worker.terminate().catch(() => {});
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+
+      const watchdog = setTimeout(() => {
+        finish(BaseSandboxBackend.limitError('SANDBOX_TIMEOUT', `Sandbox execution timeout after ${timeoutMs}ms`));
+      }, timeoutMs + WORKER_STARTUP_GRACE_MS);
+
+      // Stopping the run terminates the thread instead of waiting for the vm timeout
+      const onAbort = () => finish(createAbortError(signal.reason));
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      worker.on('message', (message) => {
+        if (message.success) {
+          finish(null, message.output);
+        } else {
+          const error = message.code
+            ? BaseSandboxBackend.limitError(message.code, `Sandbox execution timeout after ${timeoutMs}ms`)
+            : new Error(message.message);
+          if (!message.code) {
+            error.name = message.name;
+          }
+          if (message.stdout) {
+            error.stdout = JSON.parse(message.stdout);
+          }
+          finish(error);
+        }
+      });
+
+      worker.on('error', (error) => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          finish(BaseSandboxBackend.limitError('SANDBOX_MEMORY_LIMIT', `Sandbox exceeded its ${memoryLimitMb}MB memory limit`));
+        } else {
+          finish(error);
+        }
+      });
+
+      worker.on('exit', (exitCode) => {
+        finish(new Error(`Sandbox worker exited unexpectedly (code ${exitCode})`));
+      });
+    });
+  }
+}
+
+export default WorkerVmBackend;
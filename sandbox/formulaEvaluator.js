@@ -0,0 +1,587 @@
+/**
+ * Formula Evaluator - Safe arithmetic for formulas declared on generated buttons
+ * Parses a small expression language with its own tokenizer and recursive-descent parser,
+ * so formulas never reach eval, Function or the VM
+ *
+ * Grammar (lowest to highest precedence):
+ *   conditional := or ('?' conditional ':' conditional)?
+ *   or          := and ('||' and)*
+ *   and         := comparison ('&&' comparison)*
+ *   comparison  := additive (('<' | '<=' | '>' | '>=' | '==' | '!=') additive)?
+ *   additive    := multiplicative (('+' | '-') multiplicative)*
+ *   multiplicative := unary (('*' | '/' | '%') unary)*
+ *   unary       := ('-' | '+' | '!') unary | power
+ *   power       := primary ('^' unary)?          (right-associative, binds tighter than unary minus)
+ *   primary     := number | identifier | identifier '(' args ')' | '(' conditional ')'
+ *
+ * With the implicitMultiplication option, juxtaposition multiplies: "2x", "3(x + 1)", "(a)(b)", "x(x - 1)".
+ */
+
+const MAX_FORMULA_LENGTH = 500;
+const MAX_DEPTH = 50;
+
+// Form values accepted as numbers: plain decimals, and the same with thousands separators
+const DECIMAL_PATTERN = /^[-+]?\d+(\.\d+)?$/;
+const THOUSANDS_PATTERN = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Binding strength of binary operators, used to decide where stringify() needs parentheses
+const PRECEDENCE = {
+  '||': 1, '&&': 2, '<': 3, '<=': 3, '>': 3, '>=': 3, '==': 3, '!=': 3,
+  '+': 4, '-': 4, '*': 5, '/': 5, '%': 5, '^': 7
+};
+
+// [implementation, minimum args, maximum args]
+const FUNCTIONS = {
+  abs: [Math.abs, 1, 1],
+  sqrt: [Math.sqrt, 1, 1],
+  cbrt: [Math.cbrt, 1, 1],
+  pow: [Math.pow, 2, 2],
+  exp: [Math.exp, 1, 1],
+  log: [Math.log, 1, 1],
+  log10: [Math.log10, 1, 1],
+  log2: [Math.log2, 1, 1],
+  sin: [Math.sin, 1, 1],
+  cos: [Math.cos, 1, 1],
+  tan: [Math.tan, 1, 1],
+  asin: [Math.asin, 1, 1],
+  acos: [Math.acos, 1, 1],
+  atan: [Math.atan, 1, 1],
+  atan2: [Math.atan2, 2, 2],
+  floor: [Math.floor, 1, 1],
+  ceil: [Math.ceil, 1, 1],
+  trunc: [Math.trunc, 1, 1],
+  sign: [Math.sign, 1, 1],
+  min: [Math.min, 1, 20],
+  max: [Math.max, 1, 20],
+  round: [(value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }, 1, 2]
+};
+
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ','];
+
+class FormulaEvaluator {
+  /**
+   * Parse a formula into an expression tree
+   * @param {string} formula - Formula text, e.g. "principal * rate / 100"
+   * @param {Object} options - { implicitMultiplication: read "2x" as "2 * x" } (optional)
+   * @returns {Object} - Expression tree
+   */
+  parse(formula, options = {}) {
+    if (typeof formula !== 'string' || formula.trim().length === 0) {
+      throw new Error('Invalid formula: expected a non-empty string');
+    }
+    if (formula.length > MAX_FORMULA_LENGTH) {
+      throw new Error(`Invalid formula: maximum ${MAX_FORMULA_LENGTH} characters allowed`);
+    }
+
+    const tokens = this.tokenize(formula);
+    const parser = {
+      tokens: options.implicitMultiplication ? this.insertImplicitMultiplication(tokens) : tokens,
+      position: 0,
+      depth: 0
+    };
+
+    const tree = this.parseConditional(parser);
+    if (parser.position < parser.tokens.length) {
+      throw new Error(`Invalid formula: unexpected "${parser.tokens[parser.position].value}"`);
+    }
+
+    return tree;
+  }
+
+  /**
+   * List the variables a formula reads, excluding constants
+   * @param {string} formula - Formula text
+   * @returns {Array<string>} - Variable names in order of first use
+   */
+  getVariables(formula) {
+    const variables = [];
+
+    const visit = (node) => {
+      if (node.type === 'variable' && !variables.includes(node.name)) {
+        variables.push(node.name);
+      }
+      (node.children || []).forEach(visit);
+    };
+
+    visit(this.parse(formula));
+    return variables;
+  }
+
+  /**
+   * Evaluate a formula against named values
+   * @param {string} formula - Formula text
+   * @param {Object} values - Variable values; numeric strings are converted
+   * @returns {number} - Finite result
+   */
+  evaluate(formula, values = {}) {
+    // Only the values the formula reads have to be numbers; other form fields may hold text
+    const scope = this.createScope(values, this.getVariables(formula));
+    const result = this.evaluateNode(this.parse(formula), scope);
+
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+      throw new Error('Formula did not produce a finite number');
+    }
+
+    return result;
+  }
+
+  /**
+   * Split formula text into number, identifier and operator tokens
+   * @param {string} formula - Formula text
+   * @returns {Array} - Tokens
+   */
+  tokenize(formula) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < formula.length) {
+      const char = formula[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(formula.slice(index));
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+        index += numberMatch[0].length;
+        continue;
+      }
+
+      const identifierMatch = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(formula.slice(index));
+      if (identifierMatch) {
+        tokens.push({ type: 'identifier', value: identifierMatch[0] });
+        index += identifierMatch[0].length;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => formula.startsWith(op, index));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator });
+        index += operator.length;
+        continue;
+      }
+
+      throw new Error(`Invalid formula: unexpected character "${char}"`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Add the "*" left out between juxtaposed factors
+   * A known function name followed by "(" stays a call; two numbers in a row stay an error
+   * @param {Array} tokens - Tokens
+   * @returns {Array} - Tokens with explicit multiplication
+   */
+  insertImplicitMultiplication(tokens) {
+    const result = [];
+
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      if (previous) {
+        const previousIsCall = previous.type === 'identifier' &&
+          Object.prototype.hasOwnProperty.call(FUNCTIONS, previous.value);
+        const endsFactor = previous.type === 'number' ||
+          (previous.type === 'identifier' && !previousIsCall) ||
+          (previous.type === 'operator' && previous.value === ')');
+        const startsFactor = token.type === 'identifier' ||
+          (token.type === 'operator' && token.value === '(') ||
+          (token.type === 'number' && previous.type === 'operator');
+
+        if (endsFactor && startsFactor) {
+          result.push({ type: 'operator', value: '*' });
+        }
+      }
+      result.push(token);
+    });
+
+    return result;
+  }
+
+  /**
+   * Turn an expression tree back into formula text, with only the parentheses it needs
+   * @param {Object} node - Expression tree
+   * @returns {string} - Formula text
+   */
+  stringify(node) {
+    switch (node.type) {
+      case 'number':
+        return node.name || String(node.value);
+
+      case 'variable':
+        return node.name;
+
+      case 'unary': {
+        const [operand] = node.children;
+        const text = this.stringify(operand);
+        const wrap = operand.type === 'binary' && operand.operator !== '^';
+        return `${node.operator}${wrap ? `(${text})` : text}`;
+      }
+
+      case 'binary': {
+        const [left, right] = node.children;
+        const precedence = PRECEDENCE[node.operator];
+        const rightAssociative = node.operator === '^';
+        const needsParens = (child, isRight) => {
+          if (child.type === 'conditional') return true;
+          if (child.type === 'unary') return node.operator === '^' && !isRight;
+          if (child.type !== 'binary') return false;
+          const childPrecedence = PRECEDENCE[child.operator];
+          if (childPrecedence !== precedence) return childPrecedence < precedence;
+          return isRight !== rightAssociative;
+        };
+        const format = (child, isRight) => {
+          const text = this.stringify(child);
+          return needsParens(child, isRight) ? `(${text})` : text;
+        };
+        const separator = node.operator === '^' ? '' : ' ';
+        return `${format(left, false)}${separator}${node.operator}${separator}${format(right, true)}`;
+      }
+
+      case 'conditional': {
+        const [condition, whenTrue, whenFalse] = node.children.map(child => this.stringify(child));
+        return `${condition} ? ${whenTrue} : ${whenFalse}`;
+      }
+
+      case 'call':
+        return `${node.name}(${node.children.map(child => this.stringify(child)).join(', ')})`;
+
+      default:
+        throw new Error(`Unsupported expression node "${node.type}"`);
+    }
+  }
+
+  /**
+   * Parse a ternary conditional
+   * @param {Object} parser - Parser state
+   * @returns {Object} - Expression node
+   */
+  parseConditional(parser) {
+    this.enter(parser);
+    const condition = this.parseBinary(parser, 'or');
+
+    if (this.match(parser, '?')) {
+      const whenTrue = this.parseConditional(parser);
+      this.expect(parser, ':');
+      const whenFalse = this.parseConditional(parser);
+      parser.depth--;
+      return { type: 'conditional', children: [condition, whenTrue, whenFalse] };
+    }
+
+    parser.depth--;
+    return condition;
+  }
+
+  /**
+   * Parse a left-associative binary level of the grammar
+   * @param {Object} parser - Parser state
+   * @param {string} level - Grammar level name
+   * @returns {Object} - Expression node
+   */
+  parseBinary(parser, level) {
+    const levels = {
+      or: { operators: ['||'], next: 'and' },
+      and: { operators: ['&&'], next: 'comparison' },
+      comparison: { operators: ['<', '<=', '>', '>=', '==', '!='], next: 'additive', single: true },
+      additive: { operators: ['+', '-'], next: 'multiplicative' },
+      multiplicative: { operators: ['*', '/', '%'], next: null }
+    };
+    const { operators, next, single } = levels[level];
+    const parseOperand = () => next ? this.parseBinary(parser, next) : this.parseUnary(parser);
+
+    let left = parseOperand();
+    while (this.peekOperator(parser, operators)) {
+      const operator = parser.tokens[parser.position++].value;
+      left = { type: 'binary', operator, children: [left, parseOperand()] };
+      if (single) {
+        break;
+      }
+    }
+
+    return left;
+  }
+
+  /**
+   * Parse prefix operators
+   * @param {Object} parser - Parser state
+   * @returns {Object} - Expression node
+   */
+  parseUnary(parser) {
+    if (this.peekOperator(parser, ['-', '+', '!'])) {
+      this.enter(parser);
+      const operator = parser.tokens[parser.position++].value;
+      const node = { type: 'unary', operator, children: [this.parseUnary(parser)] };
+      parser.depth--;
+      return node;
+    }
+
+    return this.parsePower(parser);
+  }
+
+  /**
+   * Parse exponentiation, which is right-associative
+   * @param {Object} parser - Parser state
+   * @returns {Object} - Expression node
+   */
+  parsePower(parser) {
+    const base = this.parsePrimary(parser);
+
+    if (this.match(parser, '^')) {
+      return { type: 'binary', operator: '^', children: [base, this.parseUnary(parser)] };
+    }
+
+    return base;
+  }
+
+  /**
+   * Parse numbers, variables, constants, function calls and parentheses
+   * @param {Object} parser - Parser state
+   * @returns {Object} - Expression node
+   */
+  parsePrimary(parser) {
+    const token = parser.tokens[parser.position];
+    if (!token) {
+      throw new Error('Invalid formula: unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      parser.position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      parser.position++;
+
+      if (this.match(parser, '(')) {
+        return this.parseCall(parser, token.value);
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return { type: 'number', value: CONSTANTS[token.value], name: token.value };
+      }
+
+      return { type: 'variable', name: token.value };
+    }
+
+    if (this.match(parser, '(')) {
+      const inner = this.parseConditional(parser);
+      this.expect(parser, ')');
+      return inner;
+    }
+
+    throw new Error(`Invalid formula: unexpected "${token.value}"`);
+  }
+
+  /**
+   * Parse the argument list of a whitelisted function
+   * @param {Object} parser - Parser state
+   * @param {string} name - Function name
+   * @returns {Object} - Call node
+   */
+  parseCall(parser, name) {
+    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+      throw new Error(`Invalid formula: unknown function "${name}"`);
+    }
+
+    const args = [];
+    if (!this.match(parser, ')')) {
+      do {
+        args.push(this.parseConditional(parser));
+      } while (this.match(parser, ','));
+      this.expect(parser, ')');
+    }
+
+    const [, minArgs, maxArgs] = FUNCTIONS[name];
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw new Error(`Invalid formula: ${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`} arguments`);
+    }
+
+    return { type: 'call', name, children: args };
+  }
+
+  /**
+   * Evaluate an expression node
+   * @param {Object} node - Expression node
+   * @param {Map} scope - Variable values
+   * @returns {number} - Node value
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'variable':
+        if (!scope.has(node.name)) {
+          throw new Error(`Missing value for "${node.name}"`);
+        }
+        return scope.get(node.name);
+
+      case 'unary': {
+        const operand = this.evaluateNode(node.children[0], scope);
+        if (node.operator === '-') return -operand;
+        if (node.operator === '!') return operand ? 0 : 1;
+        return operand;
+      }
+
+      case 'binary': {
+        const [leftNode, rightNode] = node.children;
+        const left = this.evaluateNode(leftNode, scope);
+
+        // Short-circuit so a guarded branch (e.g. "rate > 0 && ...") never evaluates
+        if (node.operator === '&&') return left ? (this.evaluateNode(rightNode, scope) ? 1 : 0) : 0;
+        if (node.operator === '||') return left ? 1 : (this.evaluateNode(rightNode, scope) ? 1 : 0);
+
+        const right = this.evaluateNode(rightNode, scope);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/':
+            if (right === 0) throw new Error('Division by zero');
+            return left / right;
+          case '%':
+            if (right === 0) throw new Error('Division by zero');
+            return left % right;
+          case '^': return Math.pow(left, right);
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+          case '==': return left === right ? 1 : 0;
+          case '!=': return left !== right ? 1 : 0;
+          default:
+            throw new Error(`Unsupported operator "${node.operator}"`);
+        }
+      }
+
+      case 'conditional': {
+        const [condition, whenTrue, whenFalse] = node.children;
+        return this.evaluateNode(condition, scope)
+          ? this.evaluateNode(whenTrue, scope)
+          : this.evaluateNode(whenFalse, scope);
+      }
+
+      case 'call': {
+        const [implementation] = FUNCTIONS[node.name];
+        return implementation(...node.children.map(child => this.evaluateNode(child, scope)));
+      }
+
+      default:
+        throw new Error(`Unsupported expression node "${node.type}"`);
+    }
+  }
+
+  /**
+   * Convert form values to numbers, skipping blanks
+   * Text must be a plain decimal, optionally with thousands separators ("1,234.5"); anything else
+   * ("1,5", "0x10", "1e3") is rejected rather than read as a different number
+   * @param {Object} values - Raw values
+   * @param {Array<string>|null} names - Values that must be valid (default all); other unusable values are skipped
+   * @returns {Map} - Numeric variable values
+   */
+  createScope(values, names = null) {
+    const scope = new Map();
+
+    for (const [name, raw] of Object.entries(values || {})) {
+      if (typeof raw === 'boolean') {
+        scope.set(name, raw ? 1 : 0);
+        continue;
+      }
+
+      if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+        continue;
+      }
+
+      const number = this.parseValue(raw);
+      if (number !== null) {
+        scope.set(name, number);
+      } else if (!names || names.includes(name)) {
+        throw new Error(`Invalid value for "${name}": ${JSON.stringify(raw)}`);
+      }
+    }
+
+    return scope;
+  }
+
+  /**
+   * Read a form value as a number
+   * @param {*} raw - Number or text
+   * @returns {number|null} - Finite number, or null when the value isn't a plain decimal
+   */
+  parseValue(raw) {
+    if (typeof raw === 'number') {
+      return Number.isFinite(raw) ? raw : null;
+    }
+
+    if (typeof raw !== 'string') {
+      return null;
+    }
+
+    let text = raw.trim();
+    if (THOUSANDS_PATTERN.test(text)) {
+      text = text.replace(/,/g, '');
+    }
+
+    return DECIMAL_PATTERN.test(text) ? Number(text) : null;
+  }
+
+  /**
+   * Consume the next token if it is the given operator
+   * @param {Object} parser - Parser state
+   * @param {string} operator - Operator to match
+   * @returns {boolean} - Whether it matched
+   */
+  match(parser, operator) {
+    if (this.peekOperator(parser, [operator])) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a required operator
+   * @param {Object} parser - Parser state
+   * @param {string} operator - Expected operator
+   */
+  expect(parser, operator) {
+    if (!this.match(parser, operator)) {
+      const token = parser.tokens[parser.position];
+      throw new Error(`Invalid formula: expected "${operator}" but found ${token ? `"${token.value}"` : 'end of expression'}`);
+    }
+  }
+
+  /**
+   * Check whether the next token is one of the given operators
+   * @param {Object} parser - Parser state
+   * @param {Array<string>} operators - Candidate operators
+   * @returns {boolean} - Whether the next token matches
+   */
+  peekOperator(parser, operators) {
+    const token = parser.tokens[parser.position];
+    return Boolean(token && token.type === 'operator' && operators.includes(token.value));
+  }
+
+  /**
+   * Track nesting so deeply nested input can't overflow the stack
+   * @param {Object} parser - Parser state
+   */
+  enter(parser) {
+    parser.depth++;
+    if (parser.depth > MAX_DEPTH) {
+      throw new Error('Invalid formula: nested too deeply');
+    }
+  }
+}
+
+export default FormulaEvaluator;
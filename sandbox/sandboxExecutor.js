@@ -1,31 +1,64 @@
 /**
  * Secure sandbox executor for AI-generated UI code
- * Uses VM2 for secure execution with restricted access
+ * Runs the code on a pluggable backend (see backends/backendFactory.js) with memory and
+ * CPU limits. If the configured backend can't run, the code is refused, never run unsandboxed.
  */
 
+import FormulaEvaluator from './formulaEvaluator.js';
+import { createSandboxBackend } from './backends/backendFactory.js';
+import { isAbortError } from '../utils/abort.js';
+
+const MAX_RESULT_DEPTH = 50;
+const MAX_TABLE_ROWS = 500;
+const MAX_TABLE_COLUMNS = 20;
+const MAX_CHART_POINTS = 200;
+const MAX_CHART_SERIES = 8;
+const CHART_TYPES = ['line', 'bar', 'pie'];
+
+// Agent scripts (runScript) are ordinary JavaScript, so only standalone identifiers are refused:
+// `calcFunction(`, `myglobal.x` and class constructors are fine. Both backends already run without
+// Node globals and with string code generation disabled; this is a cheap first line.
+const SCRIPT_DANGEROUS_PATTERNS = [
+  /(^|[^\w$.])require\s*\(/,
+  /(^|[^\w$.])import\s*\(/,
+  /(^|[^\w$.])eval\s*\(/,
+  /(^|[^\w$.])Function\s*\(/,
+  /(^|[^\w$.])process\s*\./,
+  /(^|[^\w$.])global\s*\./
+];
+
 class SandboxExecutor {
-  constructor() {
+  /**
+   * @param {Object} options - Executor options
+   * @param {string} options.backend - Backend name (default SANDBOX_BACKEND or worker)
+   */
+  constructor(options = {}) {
     this.executionTimeout = 5000; // 5 seconds
     this.memoryLimit = 32 * 1024 * 1024; // 32MB
-    this.VM = null;
+    this.maxOutputBytes = 1024 * 1024; // 1MB of serialized components
+    this.backendName = options.backend;
+    this.backend = null;
+    this.formulaEvaluator = new FormulaEvaluator();
   }
 
   /**
-   * Dynamically import VM2 for secure execution
+   * Resolve the configured backend and make sure it can run here
+   * @returns {Promise<BaseSandboxBackend>} - Ready backend
    */
-  async getVM() {
-    if (this.VM) {
-      return this.VM;
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
     }
 
-    try {
-      const vm2 = await import('vm2');
-      this.VM = vm2.VM;
-      return this.VM;
-    } catch (error) {
-      console.warn('VM2 not available, using fallback execution:', error.message);
-      return null;
+    const backend = createSandboxBackend(this.backendName);
+    if (!(await backend.isAvailable())) {
+      const error = new Error(`Sandbox backend '${backend.name}' is not available; refusing to run generated code`);
+      error.code = 'SANDBOX_UNAVAILABLE';
+      throw error;
     }
+
+    this.backend = backend;
+    return backend;
   }
 
   /**
@@ -77,15 +110,27 @@ class SandboxExecutor {
         // Sanitize button props
         const sanitizedProps = this.sanitizeProps(props);
 
+        // Keep the action name; handlers are attached by the renderer
+        if (typeof props?.onClick === 'string' && /^[a-zA-Z0-9_]+$/.test(props.onClick)) {
+          sanitizedProps.onClick = props.onClick;
+        }
+
         // Ensure text is a string
         const buttonText = typeof text === 'string' ? text : String(text);
 
-        return {
+        const button = {
           type: 'button',
           props: sanitizedProps,
           text: buttonText,
           id: this.generateId()
         };
+
+        const formula = this.sanitizeFormula(props?.formula, props?.precision);
+        if (formula) {
+          button.formula = formula;
+        }
+
+        return button;
       },
 
       createForm: (props = {}, children = []) => {
@@ -125,10 +170,236 @@ class SandboxExecutor {
           text: String(text),
           selected: Boolean(selected)
         };
+      },
+
+      createTable: (props = {}, columns = [], rows = []) => {
+        const sanitizedColumns = this.sanitizeTableColumns(columns);
+        if (sanitizedColumns.length === 0) {
+          throw new Error('Invalid table: at least one column is required');
+        }
+
+        return {
+          type: 'table',
+          props: this.sanitizeProps(props),
+          columns: sanitizedColumns,
+          rows: this.sanitizeTableRows(rows, sanitizedColumns),
+          id: this.generateId()
+        };
+      },
+
+      createChart: (props = {}, data = {}) => {
+        const chartType = props?.type || 'bar';
+        if (!CHART_TYPES.includes(chartType)) {
+          throw new Error(`Invalid chart type: ${chartType}`);
+        }
+
+        const { type, ...chartProps } = this.sanitizeProps(props);
+
+        return {
+          type: 'chart',
+          chartType,
+          props: chartProps,
+          xLabel: this.sanitizeText(props?.xLabel),
+          yLabel: this.sanitizeText(props?.yLabel),
+          ...this.sanitizeChartData(data, chartType),
+          id: this.generateId()
+        };
+      },
+
+      createSlider: (props = {}) => {
+        const sanitizedProps = this.sanitizeProps(props);
+        const min = Number.isFinite(Number(props?.min)) ? Number(props.min) : 0;
+        const max = Number.isFinite(Number(props?.max)) ? Number(props.max) : 100;
+        const step = Number(props?.step) > 0 ? Number(props.step) : 1;
+
+        if (!sanitizedProps.name) {
+          throw new Error('Invalid slider: a name is required');
+        }
+        if (max <= min) {
+          throw new Error('Invalid slider: max must be greater than min');
+        }
+
+        const value = Number.isFinite(Number(props?.value)) ? Number(props.value) : min;
+
+        return {
+          type: 'slider',
+          props: { ...sanitizedProps, min, max, step, value: Math.min(max, Math.max(min, value)) },
+          label: this.sanitizeText(props?.label),
+          unit: this.sanitizeText(props?.unit),
+          id: this.generateId()
+        };
+      },
+
+      createTabs: (props = {}, tabs = []) => {
+        if (!Array.isArray(tabs) || tabs.length === 0) {
+          throw new Error('Invalid tabs: at least one tab is required');
+        }
+
+        return {
+          type: 'tabs',
+          props: this.sanitizeProps(props),
+          tabs: tabs.slice(0, 10).map((tab, index) => ({
+            label: this.sanitizeText(tab?.label) || `Tab ${index + 1}`,
+            children: Array.isArray(tab?.children) ? tab.children : [tab?.children].filter(Boolean)
+          })),
+          id: this.generateId()
+        };
+      },
+
+      createCheckbox: (props = {}, label = '') => {
+        const sanitizedProps = this.sanitizeProps(props);
+        if (!sanitizedProps.name) {
+          throw new Error('Invalid checkbox: a name is required');
+        }
+
+        return {
+          type: 'checkbox',
+          props: { ...sanitizedProps, checked: Boolean(props?.checked) },
+          label: this.sanitizeText(label || props?.label),
+          id: this.generateId()
+        };
+      },
+
+      createRadioGroup: (props = {}, options = []) => {
+        const sanitizedProps = this.sanitizeProps(props);
+        const sanitizedOptions = this.sanitizeSelectOptions(options);
+
+        if (!sanitizedProps.name) {
+          throw new Error('Invalid radio group: a name is required');
+        }
+        if (sanitizedOptions.length === 0) {
+          throw new Error('Invalid radio group: at least one option is required');
+        }
+
+        const selected = sanitizedOptions.find(option => option.selected);
+        return {
+          type: 'radioGroup',
+          props: {
+            ...sanitizedProps,
+            value: sanitizedProps.value !== undefined ? String(sanitizedProps.value) : (selected || sanitizedOptions[0]).value
+          },
+          label: this.sanitizeText(props?.label),
+          options: sanitizedOptions,
+          id: this.generateId()
+        };
+      },
+
+      createResultPanel: (props = {}, items = []) => {
+        return {
+          type: 'resultPanel',
+          props: this.sanitizeProps(props),
+          items: (Array.isArray(items) ? items : [])
+            .slice(0, 50)
+            .filter(item => item && typeof item === 'object')
+            .map(item => ({
+              label: this.sanitizeText(item.label),
+              value: typeof item.value === 'number' ? item.value : this.sanitizeText(item.value),
+              unit: this.sanitizeText(item.unit),
+              highlight: Boolean(item.highlight)
+            })),
+          id: this.generateId()
+        };
       }
     };
   }
 
+  /**
+   * Coerce a display string, dropping anything that isn't text or a number
+   * @param {*} value - Raw value
+   * @returns {string} - Text, at most 200 characters
+   */
+  sanitizeText(value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      return String(value).slice(0, 200);
+    }
+    return '';
+  }
+
+  /**
+   * Normalize table columns to { key, label }
+   * @param {Array} columns - Column names or { key, label } objects
+   * @returns {Array} - Columns
+   */
+  sanitizeTableColumns(columns) {
+    if (!Array.isArray(columns)) {
+      return [];
+    }
+
+    return columns.slice(0, MAX_TABLE_COLUMNS).map((column, index) => {
+      if (column && typeof column === 'object') {
+        const label = this.sanitizeText(column.label || column.key);
+        return { key: this.sanitizeText(column.key || label || `col${index}`), label };
+      }
+      const label = this.sanitizeText(column);
+      return { key: label || `col${index}`, label };
+    });
+  }
+
+  /**
+   * Normalize table rows to arrays of cells in column order
+   * @param {Array} rows - Rows as arrays or objects keyed by column key
+   * @param {Array} columns - Sanitized columns
+   * @returns {Array} - Rows of string/number cells
+   */
+  sanitizeTableRows(rows, columns) {
+    if (!Array.isArray(rows)) {
+      return [];
+    }
+
+    const toCell = (cell) => typeof cell === 'number' && Number.isFinite(cell) ? cell : this.sanitizeText(cell);
+
+    return rows.slice(0, MAX_TABLE_ROWS).map(row => {
+      if (Array.isArray(row)) {
+        return columns.map((column, index) => toCell(row[index]));
+      }
+      if (row && typeof row === 'object') {
+        return columns.map(column => toCell(row[column.key]));
+      }
+      return columns.map(() => '');
+    });
+  }
+
+  /**
+   * Normalize chart data to labels plus numeric series
+   * Accepts { labels, series: [{ name, values }] } or [{ label, value }]
+   * @param {Object|Array} data - Raw chart data
+   * @param {string} chartType - line, bar or pie
+   * @returns {Object} - { labels, series }
+   */
+  sanitizeChartData(data, chartType) {
+    let labels = [];
+    let series = [];
+
+    if (Array.isArray(data)) {
+      labels = data.map(point => point?.label);
+      series = [{ name: '', values: data.map(point => point?.value) }];
+    } else if (data && typeof data === 'object') {
+      labels = Array.isArray(data.labels) ? data.labels : [];
+      series = Array.isArray(data.series) ? data.series : [];
+    }
+
+    labels = labels.slice(0, MAX_CHART_POINTS).map(label => this.sanitizeText(label));
+    series = series
+      .slice(0, chartType === 'pie' ? 1 : MAX_CHART_SERIES)
+      .filter(item => item && Array.isArray(item.values))
+      .map(item => ({
+        name: this.sanitizeText(item.name),
+        values: labels.map((label, index) => {
+          const value = Number(item.values[index]);
+          return Number.isFinite(value) ? value : 0;
+        })
+      }));
+
+    if (labels.length === 0 || series.length === 0) {
+      throw new Error('Invalid chart: labels and at least one series of values are required');
+    }
+    if (chartType === 'pie' && series[0].values.some(value => value < 0)) {
+      throw new Error('Invalid chart: pie values must not be negative');
+    }
+
+    return { labels, series };
+  }
+
   /**
    * Sanitize general props object
    */
@@ -162,6 +433,71 @@ class SandboxExecutor {
     return sanitized;
   }
 
+  /**
+   * Check a button's declared formula so only parseable formulas reach the client
+   * An invalid formula is dropped and the button falls back to the LLM
+   * @param {string} expression - Formula text
+   * @param {number} precision - Decimal places for the displayed result
+   * @returns {Object|null} - { expression, variables, precision } or null
+   */
+  sanitizeFormula(expression, precision) {
+    if (expression === undefined || expression === null) {
+      return null;
+    }
+
+    try {
+      const variables = this.formulaEvaluator.getVariables(expression);
+      const decimals = Number(precision);
+
+      return {
+        expression: expression.trim(),
+        variables,
+        precision: Number.isInteger(decimals) && decimals >= 0 && decimals <= 10 ? decimals : 2
+      };
+    } catch (error) {
+      console.warn('Dropping invalid button formula:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate a declared formula against form values without running any code
+   * @param {Object} formula - { expression, precision }
+   * @param {Object} values - Form values keyed by input name
+   * @returns {Object} - { success, result, solution, error }
+   */
+  evaluateFormula(formula, values) {
+    try {
+      if (!formula || typeof formula.expression !== 'string') {
+        throw new Error('Invalid formula definition');
+      }
+
+      const result = this.formulaEvaluator.evaluate(formula.expression, values);
+      const decimals = Number.isInteger(formula.precision) && formula.precision >= 0 && formula.precision <= 10
+        ? formula.precision
+        : 2;
+
+      return {
+        success: true,
+        result,
+        solution: Number.isInteger(result)
+          ? result.toLocaleString('en-US')
+          : result.toLocaleString('en-US', { maximumFractionDigits: decimals }),
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        result: null,
+        solution: null,
+        error: {
+          type: this.categorizeError(error),
+          message: error.message
+        }
+      };
+    }
+  }
+
   /**
    * Sanitize input-specific props
    */
@@ -227,7 +563,9 @@ class SandboxExecutor {
   }
 
   /**
-   * Execute AI-generated code safely in VM2 sandbox
+   * Execute AI-generated code in the sandbox backend
+   * @param {string} code - Generated UI code
+   * @returns {Promise<Object>} - { success, result, error }
    */
   async executeCode(code) {
     try {
@@ -239,68 +577,17 @@ class SandboxExecutor {
       // Check for potentially dangerous patterns
       this.validateCodeSafety(code);
 
-      // Try to get VM2 for secure execution
-      const VM = await this.getVM();
-      let result;
-
-      if (VM) {
-        // Use VM2 for secure execution
-        const vm = new VM({
-          timeout: this.executionTimeout,
-          sandbox: {
-            ...this.getSafeFunctions(),
-            // Add some basic utilities
-            console: {
-              log: () => { }, // Disable console output
-              error: () => { },
-              warn: () => { }
-            }
-          },
-          // Security settings
-          wasm: false,
-          fixAsync: false,
-          eval: false,
-          require: false
-        });
+      const backend = await this.getBackend();
+      const safeFunctions = this.getSafeFunctions();
 
-        result = vm.run(code);
-      } else {
-        // Fallback to Function constructor (less secure but works)
-        console.warn('Using fallback execution - VM2 not available');
-        const safeFunctions = this.getSafeFunctions();
-        
-        // Create a safe execution context
-        const { createElement, createInput, createButton, createForm, createSelect, createOption } = safeFunctions;
-        const safeContext = {
-          createElement,
-          createInput,
-          createButton,
-          createForm,
-          createSelect,
-          createOption,
-          console: {
-            log: () => { }, // Disable console output
-            error: () => { },
-            warn: () => { }
-          }
-        };
-
-        // Execute the code in a controlled way
-        const func = new Function(
-          'createElement', 'createInput', 'createButton', 'createForm', 'createSelect', 'createOption', 'console',
-          `return (${code});`
-        );
-
-        result = func(
-          safeContext.createElement,
-          safeContext.createInput,
-          safeContext.createButton,
-          safeContext.createForm,
-          safeContext.createSelect,
-          safeContext.createOption,
-          safeContext.console
-        );
-      }
+      // The backend only records safe-function calls; they are replayed here on plain data
+      const output = await backend.run(code, {
+        functionNames: Object.keys(safeFunctions),
+        timeoutMs: this.executionTimeout,
+        memoryLimitMb: Math.round(this.memoryLimit / (1024 * 1024)),
+        maxOutputBytes: this.maxOutputBytes
+      });
+      const result = this.materialize(JSON.parse(output), safeFunctions);
 
       // Validate the result
       this.validateResult(result);
@@ -326,12 +613,102 @@ class SandboxExecutor {
     }
   }
 
+  /**
+   * Run an agent-written script and capture its console output
+   * The script sees only `input` (JSON data) and console; its completion value is the return value
+   * @param {string} code - JavaScript source
+   * @param {Object} options - { input, timeoutMs, memoryLimitMb, signal }; aborting the signal stops the
+   *   script and fails the run with error type 'cancelled'
+   * @returns {Promise<Object>} - { success, returnValue, stdout, executionTime, error }
+   */
+  async runScript(code, options = {}) {
+    const startTime = Date.now();
+    const timeoutMs = Math.min(options.timeoutMs || this.executionTimeout, this.executionTimeout);
+    const memoryLimitMb = Math.min(options.memoryLimitMb || 32, Math.round(this.memoryLimit / (1024 * 1024)));
+
+    try {
+      if (typeof code !== 'string' || code.trim().length === 0) {
+        throw new Error('Invalid code input');
+      }
+
+      this.validateCodeSafety(code, SCRIPT_DANGEROUS_PATTERNS);
+
+      const backend = await this.getBackend();
+      const output = JSON.parse(await backend.run(code, {
+        globals: { input: options.input ?? null },
+        captureConsole: true,
+        timeoutMs,
+        memoryLimitMb,
+        maxOutputBytes: this.maxOutputBytes,
+        signal: options.signal
+      }));
+
+      return {
+        success: true,
+        returnValue: output.result,
+        stdout: output.stdout || [],
+        executionTime: Date.now() - startTime,
+        error: null
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        returnValue: null,
+        stdout: error.stdout || [],
+        executionTime: Date.now() - startTime,
+        error: {
+          type: this.categorizeError(error),
+          name: error.name,
+          message: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Turn the recorded { __sandboxCall, args } records from the backend into component definitions
+   * @param {*} value - Parsed backend output
+   * @param {Object} safeFunctions - Safe function library
+   * @param {number} depth - Current nesting depth
+   * @returns {*} - Value with every recorded call replaced by its component
+   */
+  materialize(value, safeFunctions, depth = 0) {
+    if (depth > MAX_RESULT_DEPTH) {
+      throw new Error('Invalid result: components nested too deeply');
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.materialize(item, safeFunctions, depth + 1));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (typeof value.__sandboxCall === 'string') {
+      if (!Object.prototype.hasOwnProperty.call(safeFunctions, value.__sandboxCall) || !Array.isArray(value.args)) {
+        throw new Error(`Invalid sandbox call: ${value.__sandboxCall}`);
+      }
+      const args = value.args.map(arg => this.materialize(arg, safeFunctions, depth + 1));
+      return safeFunctions[value.__sandboxCall](...args);
+    }
+
+    const materialized = {};
+    for (const [key, item] of Object.entries(value)) {
+      materialized[key] = this.materialize(item, safeFunctions, depth + 1);
+    }
+    return materialized;
+  }
+
   /**
    * Validate code for dangerous patterns before execution
+   * @param {string} code - Code to check
+   * @param {RegExp[]} [patterns] - Patterns to refuse; defaults to the strict list for UI code
    */
-  validateCodeSafety(code) {
+  validateCodeSafety(code, patterns = null) {
     // List of dangerous patterns to reject
-    const dangerousPatterns = [
+    const dangerousPatterns = patterns || [
       /require\s*\(/,
       /import\s+/,
       /eval\s*\(/,
@@ -389,7 +766,10 @@ class SandboxExecutor {
       throw new Error('Invalid component definition');
     }
 
-    const allowedTypes = ['element', 'input', 'button', 'form', 'select', 'option'];
+    const allowedTypes = [
+      'element', 'input', 'button', 'form', 'select', 'option',
+      'table', 'chart', 'slider', 'tabs', 'checkbox', 'radioGroup', 'resultPanel'
+    ];
     if (!allowedTypes.includes(component.type)) {
       throw new Error(`Invalid component type: ${component.type}`);
     }
@@ -408,19 +788,84 @@ class SandboxExecutor {
     if (component.children && !Array.isArray(component.children)) {
       throw new Error('Component children must be an array');
     }
+
+    switch (component.type) {
+      case 'table':
+        if (!Array.isArray(component.columns) || component.columns.length === 0 || !Array.isArray(component.rows)) {
+          throw new Error('Invalid table: columns and rows must be arrays');
+        }
+        if (component.rows.some(row => !Array.isArray(row) || row.length !== component.columns.length)) {
+          throw new Error('Invalid table: every row must have one cell per column');
+        }
+        break;
+
+      case 'chart':
+        if (!CHART_TYPES.includes(component.chartType)) {
+          throw new Error(`Invalid chart type: ${component.chartType}`);
+        }
+        if (!Array.isArray(component.labels) || !Array.isArray(component.series) ||
+          component.series.some(item => !Array.isArray(item.values) || item.values.some(value => typeof value !== 'number'))) {
+          throw new Error('Invalid chart: series values must be numbers');
+        }
+        break;
+
+      case 'slider':
+        if (typeof component.props?.min !== 'number' || typeof component.props?.max !== 'number' ||
+          component.props.max <= component.props.min) {
+          throw new Error('Invalid slider: numeric min below max is required');
+        }
+        break;
+
+      case 'tabs':
+        if (!Array.isArray(component.tabs) || component.tabs.length === 0) {
+          throw new Error('Invalid tabs: at least one tab is required');
+        }
+        component.tabs.forEach(tab => {
+          if (!Array.isArray(tab.children)) {
+            throw new Error('Invalid tabs: tab children must be an array');
+          }
+          tab.children.filter(child => typeof child === 'object').forEach(child => this.validateComponentDefinition(child));
+        });
+        break;
+
+      case 'radioGroup':
+        if (!Array.isArray(component.options) || component.options.length === 0) {
+          throw new Error('Invalid radio group: options must be a non-empty array');
+        }
+        break;
+
+      case 'resultPanel':
+        if (!Array.isArray(component.items)) {
+          throw new Error('Invalid result panel: items must be an array');
+        }
+        break;
+    }
+
+    // Nested components get the same checks
+    if (component.children) {
+      component.children
+        .filter(child => child && typeof child === 'object' && child.type !== 'option')
+        .forEach(child => this.validateComponentDefinition(child));
+    }
   }
 
   /**
    * Categorize errors for better error handling
    */
   categorizeError(error) {
-    if (error.message.includes('timeout') || error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    if (isAbortError(error)) {
+      return 'cancelled';
+    } else if (error.code === 'SANDBOX_UNAVAILABLE') {
+      return 'sandbox_unavailable';
+    } else if (error.code === 'SANDBOX_MEMORY_LIMIT') {
+      return 'memory_limit_error';
+    } else if (error.message.includes('timeout') || error.code === 'SANDBOX_TIMEOUT') {
       return 'timeout_error';
-    } else if (error.message.includes('dangerous')) {
+    } else if (error.message.includes('dangerous') || error.name === 'EvalError') {
       return 'security_error';
     } else if (error.message.includes('Invalid')) {
       return 'validation_error';
-    } else if (error.name === 'VMError') {
+    } else if (['SyntaxError', 'ReferenceError', 'TypeError', 'RangeError'].includes(error.name)) {
       return 'execution_error';
     } else {
       return 'unknown_error';
@@ -1,42 +1,110 @@
 import { create } from 'zustand';
 
+// Shared promise for the initial conversation load
+let conversationsLoading = null;
+
+/**
+ * Call the conversations API and unwrap its JSON
+ */
+async function requestConversations(path, options = {}) {
+  const response = await fetch(`/api/conversations${path}`, {
+    method: options.method || 'GET',
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error?.message || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Sidebar entry for a conversation returned by the API
+ */
+function summarizeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messageCount: (conversation.messages || []).length
+  };
+}
+
+/**
+ * Put a summary at the top of the list, replacing any older copy
+ */
+function upsertSummary(conversations, summary) {
+  return [summary, ...conversations.filter((conversation) => conversation.id !== summary.id)];
+}
+
 const useChatStore = create((set, get) => ({
   // Message state
   messages: [],
   
+  // Saved conversations; lastSaved holds the state last written so autosave can skip no-op saves
+  conversationId: null,
+  conversations: [],
+  lastSaved: null,
+  
   // UI state
   isLoading: false,
   currentInput: '',
   
+  // Supervised runs go through the agent controller and can pause for approval
+  supervisedMode: false,
+  
   // Dynamic UI component states
   uiState: {},
   
+  // Results shown under generated components, keyed like uiState
+  calculationResults: {},
+  
   // Actions for message management
-  addMessage: (message) => set((state) => ({
-    messages: [...state.messages, {
-      id: Date.now().toString(),
-      timestamp: new Date(),
-      ...message
-    }]
-  })),
+  addMessage: (message) => {
+    // Random suffix keeps ids unique when a user message and its AI reply land in the same millisecond
+    const id = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    set((state) => ({
+      messages: [...state.messages, {
+        id,
+        timestamp: new Date(),
+        ...message
+      }]
+    }));
+    return id;
+  },
   
   addUserMessage: (content) => {
     const { addMessage } = get();
-    addMessage({
+    return addMessage({
       type: 'user',
       content
     });
   },
   
-  addAIMessage: (content, uiComponents = null) => {
+  addAIMessage: (content, uiComponents = null, extra = {}) => {
     const { addMessage } = get();
-    addMessage({
+    return addMessage({
       type: 'ai',
       content,
-      uiComponents
+      uiComponents,
+      ...extra
     });
   },
   
+  // Patch a message in place (used while agent responses stream in)
+  updateMessage: (messageId, updates) => set((state) => ({
+    messages: state.messages.map((message) => {
+      if (message.id !== messageId) {
+        return message;
+      }
+      const patch = typeof updates === 'function' ? updates(message) : updates;
+      return { ...message, ...patch };
+    })
+  })),
+  
   // Actions for loading state
   setLoading: (loading) => set({ isLoading: loading }),
   
@@ -45,6 +113,8 @@ const useChatStore = create((set, get) => ({
   
   clearCurrentInput: () => set({ currentInput: '' }),
   
+  setSupervisedMode: (supervised) => set({ supervisedMode: supervised }),
+  
   // Actions for UI state management
   updateUIState: (componentId, value) => set((state) => ({
     uiState: {
@@ -82,18 +152,157 @@ const useChatStore = create((set, get) => ({
     }
   })),
   
+  setCalculationResult: (key, result) => set((state) => ({
+    calculationResults: {
+      ...state.calculationResults,
+      [key]: result
+    }
+  })),
+  
+  getCalculationResult: (key) => {
+    const { calculationResults } = get();
+    return calculationResults[key];
+  },
+  
+  // Actions for saved conversations
+  hasUnsavedChanges: () => {
+    const { conversationId, lastSaved, messages, uiState, calculationResults } = get();
+    if (!conversationId || !lastSaved) {
+      return false;
+    }
+    return lastSaved.messages !== messages
+      || lastSaved.uiState !== uiState
+      || lastSaved.calculationResults !== calculationResults;
+  },
+  
+  // Load the conversation into the chat, replacing whatever was shown
+  showConversation: (conversation) => {
+    const snapshot = {
+      messages: conversation.messages || [],
+      uiState: conversation.uiState || {},
+      calculationResults: conversation.calculationResults || {}
+    };
+    set((state) => ({
+      ...snapshot,
+      conversationId: conversation.id,
+      conversations: state.conversations.some((c) => c.id === conversation.id)
+        ? state.conversations
+        : upsertSummary(state.conversations, summarizeConversation(conversation)),
+      lastSaved: snapshot,
+      currentInput: ''
+    }));
+  },
+  
+  // Open the most recent conversation, or start one if none are saved
+  initializeConversations: async () => {
+    // React strict mode mounts twice in development; only the first call may create a conversation
+    if (conversationsLoading) {
+      return conversationsLoading;
+    }
+    conversationsLoading = get().loadAndOpenConversations().catch((error) => {
+      conversationsLoading = null;
+      throw error;
+    });
+    return conversationsLoading;
+  },
+  
+  loadAndOpenConversations: async () => {
+    const { conversations } = await requestConversations('');
+    set({ conversations });
+    
+    if (conversations.length > 0) {
+      await get().openConversation(conversations[0].id);
+    } else {
+      await get().createConversation();
+    }
+  },
+  
+  openConversation: async (conversationId) => {
+    await get().saveConversation();
+    const conversation = await requestConversations(`/${encodeURIComponent(conversationId)}`);
+    get().showConversation(conversation);
+  },
+  
+  createConversation: async (title) => {
+    await get().saveConversation();
+    const conversation = await requestConversations('', { method: 'POST', body: { title } });
+    set((state) => ({ conversations: upsertSummary(state.conversations, summarizeConversation(conversation)) }));
+    get().showConversation(conversation);
+  },
+  
+  // Persist the open conversation; skipped while nothing changed or a reply is still streaming
+  saveConversation: async () => {
+    const { conversationId, messages, uiState, calculationResults, hasUnsavedChanges } = get();
+    if (!hasUnsavedChanges() || messages.some((message) => message.streaming)) {
+      return;
+    }
+    
+    const conversation = await requestConversations(`/${encodeURIComponent(conversationId)}`, {
+      method: 'PATCH',
+      body: { messages, uiState, calculationResults }
+    });
+    
+    set((state) => ({
+      conversations: upsertSummary(state.conversations, summarizeConversation(conversation)),
+      lastSaved: { messages, uiState, calculationResults }
+    }));
+  },
+  
+  renameConversation: async (conversationId, title) => {
+    const conversation = await requestConversations(`/${encodeURIComponent(conversationId)}`, {
+      method: 'PATCH',
+      body: { title }
+    });
+    set((state) => ({
+      conversations: state.conversations.map((c) => (
+        c.id === conversationId ? summarizeConversation(conversation) : c
+      ))
+    }));
+  },
+  
+  duplicateConversation: async (conversationId) => {
+    await get().saveConversation();
+    const copy = await requestConversations(`/${encodeURIComponent(conversationId)}/duplicate`, { method: 'POST' });
+    set((state) => ({ conversations: upsertSummary(state.conversations, summarizeConversation(copy)) }));
+    get().showConversation(copy);
+  },
+  
+  deleteConversation: async (conversationId) => {
+    await requestConversations(`/${encodeURIComponent(conversationId)}`, { method: 'DELETE' });
+    
+    const remaining = get().conversations.filter((c) => c.id !== conversationId);
+    set({ conversations: remaining });
+    
+    if (get().conversationId !== conversationId) {
+      return;
+    }
+    
+    // The open chat is gone, so move to the next one without saving it back
+    set({ conversationId: null, lastSaved: null });
+    if (remaining.length > 0) {
+      await get().openConversation(remaining[0].id);
+    } else {
+      await get().createConversation();
+    }
+  },
+  
   // Clear all messages (for new chat sessions)
   clearMessages: () => set({ messages: [] }),
   
   // Clear all UI state
-  clearUIState: () => set({ uiState: {} }),
+  clearUIState: () => set({ uiState: {}, calculationResults: {} }),
   
   // Reset entire store to initial state
   reset: () => set({
     messages: [],
     isLoading: false,
     currentInput: '',
-    uiState: {}
+    supervisedMode: false,
+    uiState: {},
+    calculationResults: {},
+    conversationId: null,
+    conversations: [],
+    lastSaved: null
   })
 }));
 
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { POST } from '../../../../app/api/chat/route.js';
+import { readServerSentEvents } from '../../../../utils/sse.js';
+
+/**
+ * Write a replay recording and point the LLM provider at it
+ * @param {Object} recording - Replay recording
+ */
+function useReplayRecording(recording) {
+  const recordingPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chat-route-')), 'recording.json');
+  fs.writeFileSync(recordingPath, JSON.stringify(recording));
+
+  process.env.LLM_PROVIDER = 'replay';
+  process.env.LLM_REPLAY_PATH = recordingPath;
+}
+
+/**
+ * Send a streamed agent-mode chat request and collect its events
+ * @param {string} message - User message
+ * @returns {Promise<Array>} - [{ event, data }] in arrival order
+ */
+async function streamChat(message) {
+  const response = await POST(new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, mode: 'agent', stream: true })
+  }));
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+
+  const events = [];
+  await readServerSentEvents(response, (event, data) => events.push({ event, data }));
+  return events;
+}
+
+/**
+ * Collapse runs of the same event so the sequence reads turn by turn
+ * @param {Array} events - Collected events
+ * @returns {string[]} - Event names
+ */
+function eventSequence(events) {
+  return events
+    .map(({ event }) => event)
+    .filter((event, index, names) => event !== names[index - 1]);
+}
+
+describe('POST /api/chat streaming agent mode', () => {
+  it('streams deltas, the tool call, its result and then the final answer', async () => {
+    useReplayRecording({
+      reply: 'Connected.',
+      chunkSize: 8,
+      responses: [
+        {
+          content: 'Let me calculate that.',
+          toolCalls: [{ name: 'area-calculator', arguments: { shape: 'rectangle', width: 3, height: 4 } }]
+        },
+        { content: 'The rectangle has an area of 12 square units.' }
+      ]
+    });
+
+    const events = await streamChat('What is the area of a 3x4 rectangle?');
+
+    assert.deepEqual(eventSequence(events), [
+      'run',
+      'assistant_delta',
+      'tool_call',
+      'tool_result',
+      'assistant_delta',
+      'final_answer'
+    ]);
+
+    const deltas = events.filter(({ event }) => event === 'assistant_delta');
+    assert.equal(deltas.filter(({ data }) => data.turn === 1).map(({ data }) => data.delta).join(''), 'Let me calculate that.');
+    assert.equal(deltas.filter(({ data }) => data.turn === 2).map(({ data }) => data.delta).join(''), 'The rectangle has an area of 12 square units.');
+
+    const toolCall = events.find(({ event }) => event === 'tool_call').data;
+    const toolResult = events.find(({ event }) => event === 'tool_result').data;
+    assert.equal(toolCall.name, 'area-calculator');
+    assert.deepEqual(toolCall.parameters, { shape: 'rectangle', width: 3, height: 4 });
+    assert.equal(toolResult.toolCallId, toolCall.toolCallId);
+    assert.equal(toolResult.result.success, true);
+    assert.equal(toolResult.result.data.area, 12);
+
+    const finalAnswer = events[events.length - 1].data;
+    assert.equal(finalAnswer.runId, events[0].data.runId);
+    assert.equal(finalAnswer.reasoning, 'The rectangle has an area of 12 square units.');
+    assert.equal(finalAnswer.toolsUsed.length, 1);
+  });
+
+  it('ends with an error event when the conversation cannot start', async () => {
+    process.env.LLM_PROVIDER = 'unknown-provider';
+
+    const events = await streamChat('What is the area of a 3x4 rectangle?');
+
+    assert.deepEqual(eventSequence(events), ['run', 'error']);
+    assert.equal(events[1].data.error.type, 'direct_tool_calling_error');
+    assert.match(events[1].data.error.details, /unknown-provider/);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EnhancedAIService from '../../core/enhancedAIService.js';
+import ReplayProvider from '../../core/providers/replayProvider.js';
+import ToolManager from '../../tools/manager/toolManager.js';
+
+/**
+ * AI service over the real tool set, answering from a replay recording
+ * @param {Array} responses - Recorded responses
+ * @returns {Promise<EnhancedAIService>} - Service ready for a conversation
+ */
+async function createReplayService(responses) {
+  const toolManager = new ToolManager();
+  await toolManager.initialize();
+
+  return new EnhancedAIService(toolManager.toolRegistry, {
+    provider: new ReplayProvider({ recording: { responses } }),
+    toolExecutor: toolManager.toolExecutor
+  });
+}
+
+describe('EnhancedAIService agent mode', () => {
+  it('runs a recorded tool-calling conversation offline', async () => {
+    const aiService = await createReplayService([
+      {
+        content: 'Let me calculate that.',
+        toolCalls: [{ name: 'area-calculator', arguments: { shape: 'rectangle', width: 3, height: 4 } }]
+      },
+      { content: 'The rectangle has an area of 12 square units.' }
+    ]);
+
+    const result = await aiService.executeToolConversation('What is the area of a 3x4 rectangle?');
+
+    assert.equal(result.success, true);
+    assert.equal(result.totalTurns, 2);
+    assert.equal(result.finalResponse, 'The rectangle has an area of 12 square units.');
+    assert.deepEqual(result.toolsUsed, [{
+      name: 'area-calculator',
+      parameters: { shape: 'rectangle', width: 3, height: 4 },
+      success: true
+    }]);
+
+    // Tool results go back under the id of the recorded call
+    const toolCallId = result.conversationHistory[0].toolCalls[0].id;
+    const toolEntry = result.conversationHistory.find(entry => entry.role === 'tool');
+    assert.equal(toolEntry.toolCallId, toolCallId);
+    assert.equal(toolEntry.result.data.area, 12);
+
+    const toolMessage = result.messages.find(message => message.role === 'tool');
+    assert.equal(toolMessage.toolCallId, toolCallId);
+    assert.equal(JSON.parse(toolMessage.content).success, true);
+  });
+
+  it('sends invalid tool arguments back to the model as validation errors', async () => {
+    const aiService = await createReplayService([
+      { content: '', toolCalls: [{ name: 'area-calculator', arguments: { shape: 'rectangle', width: -3 } }] },
+      { content: '', toolCalls: [{ name: 'area-calculator', arguments: { shape: 'rectangle', width: 3, height: 4 } }] },
+      { content: 'The area is 12 square units.' }
+    ]);
+
+    const result = await aiService.executeToolConversation('What is the area of a 3x4 rectangle?');
+    const toolEntries = result.conversationHistory.filter(entry => entry.role === 'tool');
+
+    assert.equal(result.totalTurns, 3);
+    assert.equal(toolEntries[0].result.success, false);
+    assert.ok(toolEntries[0].result.data.validationErrors.length > 0);
+    assert.equal(toolEntries[1].result.success, true);
+  });
+});
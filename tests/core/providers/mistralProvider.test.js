@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MistralProvider from '../../../core/providers/mistralProvider.js';
+
+const conversation = [
+  { role: 'user', content: 'What is the area of a 3x4 rectangle?' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [{ id: 'call_1', function: { name: 'area-calculator', arguments: { shape: 'rectangle', length: 3, width: 4 } } }]
+  },
+  { role: 'tool', name: 'area-calculator', toolCallId: 'call_1', content: '{"success":true}' }
+];
+
+describe('MistralProvider', () => {
+  it('keeps camelCase tool calls and gives tool messages both name and toolCallId', () => {
+    const provider = new MistralProvider({ apiKey: 'test' });
+
+    const [user, assistant, tool] = provider.translateMessages(conversation);
+
+    assert.deepEqual(user, { role: 'user', content: 'What is the area of a 3x4 rectangle?' });
+    assert.deepEqual(assistant.toolCalls, [{
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'area-calculator', arguments: '{"shape":"rectangle","length":3,"width":4}' }
+    }]);
+    assert.deepEqual(tool, { role: 'tool', content: '{"success":true}', name: 'area-calculator', toolCallId: 'call_1' });
+  });
+
+  it('sends tools with toolChoice and normalizes the tool calls it gets back', async () => {
+    const provider = new MistralProvider({ apiKey: 'test' });
+    let request;
+    provider.client = {
+      chat: {
+        complete: async (body) => {
+          request = body;
+          return {
+            choices: [{
+              message: {
+                content: '',
+                toolCalls: [{ id: 'call_2', function: { name: 'area-calculator', arguments: { shape: 'circle', radius: 2 } } }]
+              },
+              finishReason: 'tool_calls'
+            }],
+            usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 }
+          };
+        }
+      }
+    };
+
+    const response = await provider.complete(conversation, {
+      tools: [{ name: 'area-calculator', description: 'Calculates areas', parameters: [] }]
+    });
+
+    assert.equal(request.model, 'mistral-large-latest');
+    assert.equal(request.toolChoice, 'auto');
+    assert.equal(request.tools[0].function.name, 'area-calculator');
+    assert.deepEqual(response.toolCalls, [{
+      id: 'call_2',
+      type: 'function',
+      function: { name: 'area-calculator', arguments: '{"shape":"circle","radius":2}' }
+    }]);
+    assert.equal(response.finishReason, 'tool_calls');
+  });
+});
@@ -0,0 +1,67 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OllamaProvider from '../../../core/providers/ollamaProvider.js';
+
+const conversation = [
+  { role: 'user', content: 'What is the area of a 3x4 rectangle?' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [{ id: 'call_1', function: { name: 'area-calculator', arguments: '{"shape":"rectangle","length":3,"width":4}' } }]
+  },
+  { role: 'tool', name: 'area-calculator', toolCallId: 'call_1', content: '{"success":true}' }
+];
+
+const originalFetch = globalThis.fetch;
+
+describe('OllamaProvider', () => {
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('sends tool call arguments as objects and names tool messages by tool', () => {
+    const provider = new OllamaProvider();
+
+    const [, assistant, tool] = provider.translateMessages(conversation);
+
+    assert.deepEqual(assistant.tool_calls, [{
+      function: { name: 'area-calculator', arguments: { shape: 'rectangle', length: 3, width: 4 } }
+    }]);
+    assert.deepEqual(tool, { role: 'tool', tool_name: 'area-calculator', content: '{"success":true}' });
+  });
+
+  it('posts to /api/chat and gives returned tool calls ids and string arguments', async () => {
+    const provider = new OllamaProvider({ model: 'qwen2.5' });
+    let url;
+    let request;
+    globalThis.fetch = async (target, init) => {
+      url = target;
+      request = JSON.parse(init.body);
+      return Response.json({
+        message: {
+          content: '',
+          tool_calls: [{ function: { name: 'area-calculator', arguments: { shape: 'circle', radius: 2 } } }]
+        },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 10,
+        eval_count: 5
+      });
+    };
+
+    const response = await provider.complete(conversation, {
+      maxTokens: 100,
+      tools: [{ name: 'area-calculator', description: 'Calculates areas', parameters: [] }]
+    });
+
+    assert.equal(url, 'http://localhost:11434/api/chat');
+    assert.equal(request.model, 'qwen2.5');
+    assert.equal(request.options.num_predict, 100);
+    assert.equal(request.tools[0].function.name, 'area-calculator');
+    assert.equal(response.toolCalls.length, 1);
+    assert.ok(response.toolCalls[0].id);
+    assert.deepEqual(response.toolCalls[0].function, { name: 'area-calculator', arguments: '{"shape":"circle","radius":2}' });
+    assert.equal(response.finishReason, 'tool_calls');
+    assert.deepEqual(response.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  });
+});
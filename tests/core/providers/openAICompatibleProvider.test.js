@@ -0,0 +1,71 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAICompatibleProvider from '../../../core/providers/openAICompatibleProvider.js';
+
+const conversation = [
+  { role: 'user', content: 'What is the area of a 3x4 rectangle?' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [{ id: 'call_1', function: { name: 'area-calculator', arguments: { shape: 'rectangle', length: 3, width: 4 } } }]
+  },
+  { role: 'tool', name: 'area-calculator', toolCallId: 'call_1', content: '{"success":true}' }
+];
+
+const originalFetch = globalThis.fetch;
+
+describe('OpenAICompatibleProvider', () => {
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('translates tool calls and tool messages to snake_case', () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'test' });
+
+    const [, assistant, tool] = provider.translateMessages(conversation);
+
+    assert.deepEqual(assistant.tool_calls, [{
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'area-calculator', arguments: '{"shape":"rectangle","length":3,"width":4}' }
+    }]);
+    assert.deepEqual(tool, { role: 'tool', tool_call_id: 'call_1', content: '{"success":true}' });
+  });
+
+  it('posts to /chat/completions and normalizes tool calls and usage', async () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'test', baseURL: 'http://localhost:8000/v1/' });
+    let url;
+    let request;
+    globalThis.fetch = async (target, init) => {
+      url = target;
+      request = { headers: init.headers, body: JSON.parse(init.body) };
+      return Response.json({
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'area-calculator', arguments: '{"shape":"circle","radius":2}' } }]
+          },
+          finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+    };
+
+    const response = await provider.complete(conversation, {
+      maxTokens: 100,
+      tools: [{ name: 'area-calculator', description: 'Calculates areas', parameters: [] }]
+    });
+
+    assert.equal(url, 'http://localhost:8000/v1/chat/completions');
+    assert.equal(request.headers.Authorization, 'Bearer test');
+    assert.equal(request.body.max_tokens, 100);
+    assert.equal(request.body.tool_choice, 'auto');
+    assert.equal(request.body.tools[0].function.name, 'area-calculator');
+    assert.deepEqual(response.toolCalls, [{
+      id: 'call_2',
+      type: 'function',
+      function: { name: 'area-calculator', arguments: '{"shape":"circle","radius":2}' }
+    }]);
+    assert.deepEqual(response.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  });
+});
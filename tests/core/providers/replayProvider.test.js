@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ReplayProvider from '../../../core/providers/replayProvider.js';
+import BaseProvider from '../../../core/providers/baseProvider.js';
+import EnhancedAIService from '../../../core/enhancedAIService.js';
+import ToolManager from '../../../tools/manager/toolManager.js';
+
+/**
+ * Live provider stand-in that answers each request with the next scripted response
+ */
+class ScriptedProvider extends BaseProvider {
+  constructor(responses) {
+    super('scripted', { model: 'scripted' });
+    this.responses = responses;
+  }
+
+  async complete(messages, options = {}) {
+    const response = options.purpose === 'connection_test'
+      ? { content: 'Connected.' }
+      : this.responses.shift();
+
+    return { toolCalls: null, finishReason: 'stop', usage: null, rawResponse: null, ...response };
+  }
+}
+
+function createRecordingPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'replay-')), 'recording.json');
+}
+
+describe('ReplayProvider', () => {
+  it('serves recorded responses in order whether or not tools are offered', async () => {
+    const provider = new ReplayProvider({
+      recording: {
+        reply: 'Connected.',
+        responses: [
+          { content: 'Plan: measure the rectangle.' },
+          { content: '', toolCalls: [{ name: 'area-calculator', arguments: { shape: 'rectangle', width: 3, height: 4 } }] },
+          { content: 'The area is 12.' }
+        ]
+      }
+    });
+
+    const plan = await provider.complete([], {});
+    const toolCall = await provider.complete([], { tools: [{ name: 'area-calculator' }] });
+    const answer = await provider.complete([], {});
+
+    assert.equal(plan.content, 'Plan: measure the rectangle.');
+    assert.equal(toolCall.finishReason, 'tool_calls');
+    assert.equal(toolCall.toolCalls[0].function.name, 'area-calculator');
+    assert.deepEqual(JSON.parse(toolCall.toolCalls[0].function.arguments), { shape: 'rectangle', width: 3, height: 4 });
+    assert.equal(answer.content, 'The area is 12.');
+  });
+
+  it('answers connection tests with the reply without consuming the recording', async () => {
+    const provider = new ReplayProvider({
+      recording: { reply: 'Connected.', responses: [{ content: 'First response.' }] }
+    });
+
+    const connection = await provider.complete([], { purpose: 'connection_test' });
+    const first = await provider.complete([], {});
+
+    assert.equal(connection.content, 'Connected.');
+    assert.equal(first.content, 'First response.');
+  });
+
+  it('streams the recorded content in chunks', async () => {
+    const provider = new ReplayProvider({
+      recording: { responses: [{ content: 'The area is 12.' }] },
+      chunkSize: 4
+    });
+    const deltas = [];
+
+    const response = await provider.stream([], {}, delta => deltas.push(delta));
+
+    assert.deepEqual(deltas, ['The ', 'area', ' is ', '12.']);
+    assert.equal(response.content, 'The area is 12.');
+  });
+
+  it('continues a shared recording file across providers', async () => {
+    const recordingPath = createRecordingPath();
+    fs.writeFileSync(recordingPath, JSON.stringify({
+      responses: [{ content: 'First request.' }, { content: 'Second request.' }]
+    }));
+
+    const first = await new ReplayProvider({ recordingPath }).complete([], {});
+    const second = await new ReplayProvider({ recordingPath }).complete([], {});
+
+    assert.equal(first.content, 'First request.');
+    assert.equal(second.content, 'Second request.');
+  });
+
+  it('records controller-style completions and replays them through the AI service', async () => {
+    const recordingPath = createRecordingPath();
+    const toolManager = new ToolManager();
+    await toolManager.initialize();
+
+    const scripted = [
+      { content: 'PLAN: Use the area calculator on the rectangle.' },
+      { content: 'SELECTED_TOOL: area-calculator\nPARAMETERS: {"shape": "rectangle", "width": 3, "height": 4}\nREASONING: The area calculator handles rectangles.' },
+      { content: 'SUMMARY: Done\nANSWER: The area is 12 square units.' }
+    ];
+
+    const runControllerCalls = async (aiService) => {
+      await aiService.testConnection();
+      const plan = await aiService.generatePlan('What is the area of a 3x4 rectangle?');
+      const selection = await aiService.generateToolSelection('Measure it', 'What is the area of a 3x4 rectangle?', {
+        nativeTools: false
+      });
+      const finalAnswer = await aiService.generateFinalAnswer({
+        userQuery: 'What is the area of a 3x4 rectangle?',
+        reasoning: 'The area calculator returned 12.'
+      });
+      return { plan, selection, finalAnswer };
+    };
+
+    const live = ReplayProvider.attachRecorder(new ScriptedProvider([...scripted]), recordingPath);
+    const recorded = await runControllerCalls(new EnhancedAIService(toolManager.toolRegistry, { provider: live }));
+
+    const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+    assert.equal(recording.reply, 'Connected.');
+    assert.deepEqual(recording.responses.map(response => response.content), scripted.map(response => response.content));
+
+    const replay = new ReplayProvider({ recordingPath });
+    const replayed = await runControllerCalls(new EnhancedAIService(toolManager.toolRegistry, { provider: replay }));
+
+    assert.equal(replayed.plan.rawResponse, recorded.plan.rawResponse);
+    assert.equal(replayed.selection.selectedTool, 'area-calculator');
+    assert.deepEqual(replayed.selection.parameters, { shape: 'rectangle', width: 3, height: 4 });
+    assert.equal(replayed.finalAnswer.rawResponse, scripted[2].content);
+  });
+});
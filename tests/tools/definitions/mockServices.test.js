@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { WeatherService, FlightService } from '../../../tools/definitions/mockServices.js';
+
+const fixturesDir = path.join(process.cwd(), 'tools', 'fixtures');
+
+/**
+ * Read a file from the default scenario
+ * @param {string} name - cities, routes or fares
+ * @returns {Object} - Parsed fixture
+ */
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, 'default', `${name}.json`), 'utf8'));
+}
+
+/**
+ * Tool result data without the fields that change on every call
+ * @param {Object} result - Tool result
+ * @returns {Object} - Comparable data
+ */
+function stableData(result) {
+  assert.equal(result.success, true, result.message);
+  const { timestamp, searchTimestamp, ...data } = result.data;
+  return data;
+}
+
+describe('WeatherService', () => {
+  it('returns the scenario fixture for a fixture city', async () => {
+    const weather = new WeatherService({ mode: 'fixture', fixturesDir });
+    const fixture = readFixture('cities')['new york'].weather;
+
+    const data = stableData(await weather.execute({ location: 'New York, NY', units: 'celsius', include_forecast: true }));
+
+    assert.equal(data.mode, 'fixture');
+    assert.equal(data.temperature, fixture.temperatureCelsius);
+    assert.equal(data.condition, fixture.condition);
+    assert.equal(data.humidity, fixture.humidity);
+    assert.equal(data.windSpeed, fixture.windSpeed);
+    assert.deepEqual(data.forecast.map(day => day.condition), fixture.forecast.map(day => day.condition));
+    assert.deepEqual(data.forecast.map(day => day.temperature.high), fixture.forecast.map(day => day.highCelsius));
+  });
+
+  it('generates the same weather for the same city from the seed', async () => {
+    const params = { location: 'Springfield', units: 'fahrenheit', include_forecast: true };
+
+    const first = stableData(await new WeatherService({ mode: 'fixture', fixturesDir }).execute(params));
+    const second = stableData(await new WeatherService({ mode: 'fixture', fixturesDir }).execute(params));
+    const reseeded = stableData(await new WeatherService({ mode: 'fixture', fixturesDir, seed: 'other' }).execute(params));
+
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(reseeded, first);
+  });
+});
+
+describe('FlightService', () => {
+  it('returns the scenario flights and fares for a fixture route', async () => {
+    const flights = new FlightService({ mode: 'fixture', fixturesDir });
+    const route = readFixture('routes')['JFK-LAX'];
+    const fares = readFixture('fares').routes['JFK-LAX'];
+
+    const data = stableData(await flights.execute({ from: 'New York', to: 'Los Angeles', date: '2026-11-02' }));
+
+    assert.equal(data.route, 'JFK → LAX');
+    assert.deepEqual(
+      data.flights.map(flight => flight.flightNumber).sort(),
+      route.flights.map(flight => flight.flightNumber).sort()
+    );
+
+    const direct = data.flights.find(flight => flight.flightNumber === 'AA101');
+    const fixtureFlight = route.flights.find(flight => flight.flightNumber === 'AA101');
+    assert.equal(direct.departure.time, fixtureFlight.departure);
+    assert.equal(direct.price.amount, fares.economy + fixtureFlight.fareOffset);
+  });
+
+  it('generates the same flights for the same search from the seed', async () => {
+    const params = { from: 'Springfield', to: 'Shelbyville', date: '2026-11-02', return_date: '2026-11-09', passengers: 2 };
+
+    const first = stableData(await new FlightService({ mode: 'fixture', fixturesDir }).execute(params));
+    const second = stableData(await new FlightService({ mode: 'fixture', fixturesDir }).execute(params));
+    const otherDate = stableData(await new FlightService({ mode: 'fixture', fixturesDir }).execute({ ...params, date: '2026-11-03' }));
+
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(otherDate.flights, first.flights);
+  });
+});
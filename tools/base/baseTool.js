@@ -3,25 +3,36 @@
  * Provides common functionality and interface for tool implementations
  */
 
+import { buildParameterSchema, validateSchema, applySchemaDefaults, formatSchemaErrors } from './parameterSchema.js';
+
 class BaseTool {
   constructor(name, description, category) {
     this.name = name;
     this.description = description;
     this.category = category;
     this.parameters = [];
+    this.conditionalRequirements = [];
     this.examples = [];
     this.version = '1.0.0';
     this.lastUsed = null;
     this.usageCount = 0;
+    // Whether calls may overlap with other tool calls in the same turn
+    this.parallelSafe = true;
+    // Whether ToolExecutor's result cache (TOOL_CACHE_ENABLED) may reuse results, and for how long;
+    // null uses the cache's default TTL
+    this.cacheable = true;
+    this.cacheTtlMs = null;
   }
 
   /**
    * Execute the tool with given parameters
-   * Must be implemented by subclasses
+   * Must be implemented by subclasses. Long-running tools should watch context.signal
+   * and stop early when it aborts; the executor gives up on the call either way
    * @param {Object} params - Tool parameters
+   * @param {Object} context - Execution context: { signal: AbortSignal }
    * @returns {Promise<ToolResult>} - Tool execution result
    */
-  async execute(params) {
+  async execute(params, context = {}) {
     throw new Error(`Tool '${this.name}' must implement execute method`);
   }
 
@@ -31,72 +42,77 @@ class BaseTool {
    * @returns {boolean} - Whether parameters are valid
    */
   validate(params) {
-    if (!params || typeof params !== 'object') {
-      return false;
+    const { valid, errors } = this.validateParameters(params);
+
+    if (!valid) {
+      console.error(`Invalid parameters for '${this.name}': ${formatSchemaErrors(errors)}`);
     }
 
-    // Check required parameters
-    for (const param of this.parameters) {
-      if (param.required && !(param.name in params)) {
-        console.error(`Missing required parameter: ${param.name}`);
-        return false;
-      }
+    return valid;
+  }
 
-      // Type validation if parameter is provided
-      if (param.name in params) {
-        if (!this.validateParameterType(params[param.name], param.type)) {
-          console.error(`Invalid type for parameter '${param.name}': expected ${param.type}`);
-          return false;
-        }
-      }
+  /**
+   * Validate parameters against the tool's JSON Schema, after defaults are applied
+   * @param {Object} params - Parameters to validate
+   * @returns {Object} - { valid, errors: [{ field, keyword, message }] }
+   */
+  validateParameters(params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      return {
+        valid: false,
+        errors: [{ field: '', keyword: 'type', message: 'Parameters must be an object' }]
+      };
     }
 
-    return true;
+    const errors = validateSchema(this.getParameterSchema(), this.prepareParameters(params));
+
+    return { valid: errors.length === 0, errors };
   }
 
   /**
-   * Validate parameter type
+   * Check a single value against a parameter type, using the same type rules as the schema
+   * Kept for tools and plugins that check values themselves; whole calls go through validateParameters
    * @param {*} value - Value to validate
-   * @param {string} expectedType - Expected type
+   * @param {string|string[]} expectedType - Expected type, or a list of accepted types
    * @returns {boolean} - Whether type is valid
    */
   validateParameterType(value, expectedType) {
-    switch (expectedType) {
-      case 'string':
-        return typeof value === 'string';
-      case 'number':
-        return typeof value === 'number' && !isNaN(value);
-      case 'boolean':
-        return typeof value === 'boolean';
-      case 'object':
-        return typeof value === 'object' && value !== null;
-      case 'array':
-        return Array.isArray(value);
-      default:
-        return true; // Unknown type, allow it
-    }
+    return validateSchema({ type: expectedType }, value).length === 0;
   }
 
   /**
    * Add parameter definition
    * @param {string} name - Parameter name
-   * @param {string} type - Parameter type
+   * @param {string|string[]} type - Parameter type, or a list of accepted types
    * @param {boolean} required - Whether parameter is required
    * @param {string} description - Parameter description
    * @param {*} defaultValue - Default value (optional)
+   * @param {Object} constraints - JSON Schema keywords for the parameter, e.g. { enum }, { minimum },
+   *   { pattern }, { properties, required } for objects or { items } for arrays (optional)
    */
-  addParameter(name, type, required, description, defaultValue = undefined) {
+  addParameter(name, type, required, description, defaultValue = undefined, constraints = {}) {
     const parameter = {
       name,
       type,
       required,
       description,
-      defaultValue
+      defaultValue,
+      constraints
     };
 
     this.parameters.push(parameter);
   }
 
+  /**
+   * Require parameters only when others have given values
+   * @param {Object} when - Field values that trigger the rule, e.g. { operation: 'what_percentage' };
+   *   an array value matches any of its entries
+   * @param {string[]} required - Parameters that become required
+   */
+  addConditionalRequirement(when, required) {
+    this.conditionalRequirements.push({ when, required });
+  }
+
   /**
    * Add usage example
    * @param {string} description - Example description
@@ -124,10 +140,20 @@ class BaseTool {
       instructions += 'Parameters:\n';
       for (const param of this.parameters) {
         const required = param.required ? '(required)' : '(optional)';
-        instructions += `  - ${param.name} (${param.type}) ${required}: ${param.description}\n`;
+        const type = Array.isArray(param.type) ? param.type.join(' | ') : param.type;
+        instructions += `  - ${param.name} (${type}) ${required}: ${param.description}\n`;
         if (param.defaultValue !== undefined) {
           instructions += `    Default: ${param.defaultValue}\n`;
         }
+        if (param.constraints && Array.isArray(param.constraints.enum)) {
+          instructions += `    Allowed: ${param.constraints.enum.join(', ')}\n`;
+        }
+      }
+      for (const rule of this.conditionalRequirements) {
+        const condition = Object.entries(rule.when)
+          .map(([field, value]) => `${field} is ${Array.isArray(value) ? value.join(' or ') : value}`)
+          .join(' and ');
+        instructions += `  When ${condition}: ${rule.required.join(', ')} required\n`;
       }
       instructions += '\n';
     }
@@ -164,6 +190,9 @@ class BaseTool {
       version: this.version,
       parameterCount: this.parameters.length,
       exampleCount: this.examples.length,
+      parallelSafe: this.parallelSafe,
+      cacheable: this.cacheable,
+      cacheTtlMs: this.cacheTtlMs,
       usageCount: this.usageCount,
       lastUsed: this.lastUsed
     };
@@ -220,49 +249,21 @@ class BaseTool {
 
   /**
    * Prepare parameters with defaults
+   * Optional parameters and optional nested object fields get their schema defaults
    * @param {Object} params - Input parameters
    * @returns {Object} - Parameters with defaults applied
    */
   prepareParameters(params = {}) {
-    const prepared = { ...params };
-
-    // Apply default values for missing optional parameters
-    for (const param of this.parameters) {
-      if (!param.required && !(param.name in prepared) && param.defaultValue !== undefined) {
-        prepared[param.name] = param.defaultValue;
-      }
-    }
-
-    return prepared;
+    return applySchemaDefaults(this.getParameterSchema(), params);
   }
 
   /**
-   * Get parameter schema for documentation
+   * Get the JSON Schema for the tool's parameters
+   * This is the schema sent to the LLM and the one validate() enforces
    * @returns {Object} - Parameter schema
    */
   getParameterSchema() {
-    const schema = {
-      type: 'object',
-      properties: {},
-      required: []
-    };
-
-    for (const param of this.parameters) {
-      schema.properties[param.name] = {
-        type: param.type,
-        description: param.description
-      };
-
-      if (param.defaultValue !== undefined) {
-        schema.properties[param.name].default = param.defaultValue;
-      }
-
-      if (param.required) {
-        schema.required.push(param.name);
-      }
-    }
-
-    return schema;
+    return buildParameterSchema(this.parameters, this.conditionalRequirements);
   }
 }
 
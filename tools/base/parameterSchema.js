@@ -0,0 +1,432 @@
+/**
+ * Parameter Schema - JSON Schema for tool parameters
+ * Builds the schema sent to the LLM from tool parameter definitions and validates calls against
+ * that same schema, so what the model is told and what the tool enforces cannot drift apart
+ *
+ * Supported keywords: type (including integer and type arrays), enum, const, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern, properties,
+ * required, additionalProperties, items, minItems, maxItems, uniqueItems, allOf, anyOf, oneOf,
+ * not, if/then/else and default
+ *
+ * Errors are field-level: { field, keyword, message }, where field is a path like "items[0].name"
+ */
+
+const CONSTRAINT_KEYWORDS = [
+  'enum', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'format', 'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else'
+];
+
+/**
+ * Build the JSON Schema for a tool's parameters
+ * @param {Array} parameters - Parameter definitions ({ name, type, required, description, defaultValue, constraints })
+ * @param {Array} conditionalRequirements - [{ when: { field: value | [values] }, required: [fields] }]
+ * @returns {Object} - JSON Schema object
+ */
+export function buildParameterSchema(parameters = [], conditionalRequirements = []) {
+  const schema = {
+    type: 'object',
+    properties: {},
+    required: []
+  };
+
+  for (const param of parameters) {
+    const property = {
+      type: param.type || 'string',
+      description: param.description || ''
+    };
+
+    const constraints = param.constraints || {};
+    for (const keyword of CONSTRAINT_KEYWORDS) {
+      if (constraints[keyword] !== undefined) {
+        property[keyword] = constraints[keyword];
+      }
+    }
+
+    if (param.defaultValue !== undefined) {
+      property.default = param.defaultValue;
+    }
+
+    schema.properties[param.name] = property;
+
+    if (param.required) {
+      schema.required.push(param.name);
+    }
+  }
+
+  if (conditionalRequirements.length > 0) {
+    schema.allOf = conditionalRequirements.map(({ when, required }) => ({
+      if: {
+        properties: Object.fromEntries(
+          Object.entries(when).map(([field, value]) => [field, Array.isArray(value) ? { enum: value } : { const: value }])
+        ),
+        required: Object.keys(when)
+      },
+      then: { required }
+    }));
+  }
+
+  return schema;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, empty for the root
+ * @returns {Array} - Field-level errors, empty when the value is valid
+ */
+export function validateSchema(schema, value, path = '') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [createError(path, 'false', 'is not allowed')];
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      // Other keywords would only repeat the type error
+      return [createError(path, 'type', `must be ${types.map(withArticle).join(' or ')}, got ${describeType(value)}`)];
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    errors.push(createError(path, 'const', `must be ${JSON.stringify(schema.const)}`));
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(value, option))) {
+    errors.push(createError(path, 'enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`));
+  }
+
+  if (typeof value === 'number') {
+    errors.push(...validateNumber(schema, value, path));
+  } else if (typeof value === 'string') {
+    errors.push(...validateString(schema, value, path));
+  } else if (Array.isArray(value)) {
+    errors.push(...validateArray(schema, value, path));
+  } else if (value && typeof value === 'object') {
+    errors.push(...validateObject(schema, value, path));
+  }
+
+  errors.push(...validateCombinators(schema, value, path));
+
+  return errors;
+}
+
+/**
+ * Fill in defaults for missing optional properties, recursing into nested objects
+ * Required properties are left alone so leaving one out still fails validation
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to fill
+ * @returns {*} - Copy of the value with defaults applied
+ */
+export function applySchemaDefaults(schema, value) {
+  if (!schema || typeof schema !== 'object' || !value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  const filled = { ...value };
+  const required = Array.isArray(schema.required) ? schema.required : [];
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (filled[name] === undefined && property.default !== undefined && !required.includes(name)) {
+      filled[name] = cloneValue(property.default);
+    }
+    if (filled[name] !== undefined && property.type === 'object') {
+      filled[name] = applySchemaDefaults(property, filled[name]);
+    }
+  }
+
+  return filled;
+}
+
+/**
+ * Render errors as one line for messages and logs
+ * @param {Array} errors - Field-level errors
+ * @returns {string} - Error summary
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => error.field ? `${error.field} ${error.message}` : error.message).join('; ');
+}
+
+/**
+ * Check number constraints
+ * @param {Object} schema - JSON Schema
+ * @param {number} value - Number to check
+ * @param {string} path - Value path
+ * @returns {Array} - Errors
+ */
+function validateNumber(schema, value, path) {
+  const errors = [];
+
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(createError(path, 'minimum', `must be at least ${schema.minimum}`));
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(createError(path, 'maximum', `must be at most ${schema.maximum}`));
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    errors.push(createError(path, 'exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`));
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    errors.push(createError(path, 'exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`));
+  }
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push(createError(path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check string constraints
+ * @param {Object} schema - JSON Schema
+ * @param {string} value - String to check
+ * @param {string} path - Value path
+ * @returns {Array} - Errors
+ */
+function validateString(schema, value, path) {
+  const errors = [];
+
+  if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+    errors.push(createError(path, 'minLength', `must be at least ${schema.minLength} characters`));
+  }
+  if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+    errors.push(createError(path, 'maxLength', `must be at most ${schema.maxLength} characters`));
+  }
+  if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push(createError(path, 'pattern', `must match the pattern ${schema.pattern}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Check array constraints and items
+ * @param {Object} schema - JSON Schema
+ * @param {Array} value - Array to check
+ * @param {string} path - Value path
+ * @returns {Array} - Errors
+ */
+function validateArray(schema, value, path) {
+  const errors = [];
+
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    errors.push(createError(path, 'minItems', `must have at least ${schema.minItems} items`));
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    errors.push(createError(path, 'maxItems', `must have at most ${schema.maxItems} items`));
+  }
+  if (schema.uniqueItems === true) {
+    const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => deepEqual(item, other)));
+    if (duplicate !== -1) {
+      errors.push(createError(`${path}[${duplicate}]`, 'uniqueItems', 'duplicates an earlier item'));
+    }
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check object properties, required fields and extra fields
+ * @param {Object} schema - JSON Schema
+ * @param {Object} value - Object to check
+ * @param {string} path - Value path
+ * @returns {Array} - Errors
+ */
+function validateObject(schema, value, path) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  if (Array.isArray(schema.required)) {
+    for (const name of schema.required) {
+      if (value[name] === undefined) {
+        errors.push(createError(joinPath(path, name), 'required', 'is required'));
+      }
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (propertyValue === undefined) continue;
+
+    if (Object.prototype.hasOwnProperty.call(properties, name)) {
+      errors.push(...validateSchema(properties[name], propertyValue, joinPath(path, name)));
+    } else if (schema.additionalProperties === false) {
+      errors.push(createError(joinPath(path, name), 'additionalProperties', 'is not an allowed property'));
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      errors.push(...validateSchema(schema.additionalProperties, propertyValue, joinPath(path, name)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check allOf, anyOf, oneOf, not and if/then/else
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Value path
+ * @returns {Array} - Errors
+ */
+function validateCombinators(schema, value, path) {
+  const errors = [];
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateSchema(subschema, value, path));
+    }
+  }
+
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subschema => validateSchema(subschema, value, path).length === 0)) {
+    errors.push(createError(path, 'anyOf', 'does not match any of the allowed forms'));
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subschema => validateSchema(subschema, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(createError(path, 'oneOf', matches === 0
+        ? 'does not match any of the allowed forms'
+        : 'matches more than one of the allowed forms'));
+    }
+  }
+
+  if (schema.not !== undefined && validateSchema(schema.not, value, path).length === 0) {
+    errors.push(createError(path, 'not', schema.not && schema.not.const !== undefined
+      ? `must not be ${JSON.stringify(schema.not.const)}`
+      : 'matches a form that is not allowed'));
+  }
+
+  if (schema.if !== undefined) {
+    const conditionMet = validateSchema(schema.if, value, path).length === 0;
+    const branch = conditionMet ? schema.then : schema.else;
+
+    if (branch !== undefined) {
+      const condition = describeCondition(schema.if, conditionMet);
+      errors.push(...validateSchema(branch, value, path).map(error => ({
+        ...error,
+        message: condition ? `${error.message} when ${condition}` : error.message
+      })));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a simple if-condition such as { properties: { operation: { const: 'x' } } }
+ * @param {Object} condition - The if schema
+ * @param {boolean} conditionMet - Whether the value matched it
+ * @returns {string|null} - Description, or null if the condition is too complex to describe
+ */
+function describeCondition(condition, conditionMet) {
+  if (!conditionMet || !condition || !condition.properties) {
+    return null;
+  }
+
+  const parts = Object.entries(condition.properties).map(([field, rule]) => {
+    if (rule.const !== undefined) return `${field} is ${JSON.stringify(rule.const)}`;
+    if (Array.isArray(rule.enum)) return `${field} is one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    return null;
+  });
+
+  return parts.length > 0 && parts.every(Boolean) ? parts.join(' and ') : null;
+}
+
+/**
+ * Check a value against one JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Type name
+ * @returns {boolean} - Whether the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true; // Unknown type, allow it
+  }
+}
+
+/**
+ * Name a value's type for error messages
+ * @param {*} value - Value
+ * @returns {string} - Type description
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'number') return String(value);
+  return withArticle(typeof value);
+}
+
+/**
+ * @param {string} type - Type name
+ * @returns {string} - Type name with "a" or "an"
+ */
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * @param {string} path - Parent path
+ * @param {string} name - Property name
+ * @returns {string} - Child path
+ */
+function joinPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+/**
+ * @param {string} field - Value path
+ * @param {string} keyword - Failing schema keyword
+ * @param {string} message - What is wrong
+ * @returns {Object} - Field-level error
+ */
+function createError(field, keyword, message) {
+  return { field, keyword, message };
+}
+
+/**
+ * Compare JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Copy a default so tools can't mutate the shared schema value
+ * @param {*} value - Default value
+ * @returns {*} - Copy
+ */
+function cloneValue(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
@@ -0,0 +1,432 @@
+/**
+ * Polynomial - Multivariate polynomial algebra over expression trees from FormulaEvaluator
+ *
+ * A polynomial is a Map from a monomial key ("" for the constant, "x^2*y" ...) to { coefficient, powers }.
+ * Coefficients are floats cleaned to 12 significant digits, so 0.1 + 0.2 collects to 0.3.
+ * fromTree() accepts +, -, *, division by a constant, non-negative integer powers and functions of
+ * constants; anything else (sin(x), 1 / x, x^y) is rejected as not a polynomial.
+ */
+
+import FormulaEvaluator from '../../sandbox/formulaEvaluator.js';
+
+const MAX_POWER = 20;
+const EPSILON = 1e-12;
+
+// Evaluates calls whose arguments are constants, e.g. sqrt(2) in "sqrt(2) * x"
+const evaluator = new FormulaEvaluator();
+
+/**
+ * @param {number} value - Constant
+ * @returns {Map} - Constant polynomial
+ */
+export function constant(value) {
+  const polynomial = new Map();
+  addTerm(polynomial, value, {});
+  return polynomial;
+}
+
+/**
+ * @param {string} name - Variable name
+ * @returns {Map} - Polynomial equal to the variable
+ */
+export function variable(name) {
+  const polynomial = new Map();
+  addTerm(polynomial, 1, { [name]: 1 });
+  return polynomial;
+}
+
+/**
+ * @param {number} coefficient - Coefficient
+ * @param {Object} powers - Variable name -> power
+ * @returns {Map} - Single-term polynomial
+ */
+export function monomial(coefficient, powers) {
+  const polynomial = new Map();
+  addTerm(polynomial, coefficient, powers);
+  return polynomial;
+}
+
+/**
+ * @param {Map} a - Polynomial
+ * @param {Map} b - Polynomial
+ * @returns {Map} - a + b
+ */
+export function add(a, b) {
+  const sum = copy(a);
+  for (const term of b.values()) {
+    addTerm(sum, term.coefficient, term.powers);
+  }
+  return sum;
+}
+
+/**
+ * @param {Map} a - Polynomial
+ * @param {Map} b - Polynomial
+ * @returns {Map} - a − b
+ */
+export function subtract(a, b) {
+  return add(a, scale(b, -1));
+}
+
+/**
+ * @param {Map} polynomial - Polynomial
+ * @param {number} factor - Constant factor
+ * @returns {Map} - factor × polynomial
+ */
+export function scale(polynomial, factor) {
+  const scaled = new Map();
+  for (const term of polynomial.values()) {
+    addTerm(scaled, term.coefficient * factor, term.powers);
+  }
+  return scaled;
+}
+
+/**
+ * @param {Map} a - Polynomial
+ * @param {Map} b - Polynomial
+ * @returns {Map} - a × b, expanded
+ */
+export function multiply(a, b) {
+  const product = new Map();
+  for (const left of a.values()) {
+    for (const right of b.values()) {
+      const powers = { ...left.powers };
+      for (const [name, power] of Object.entries(right.powers)) {
+        powers[name] = (powers[name] || 0) + power;
+      }
+      addTerm(product, left.coefficient * right.coefficient, powers);
+    }
+  }
+  return product;
+}
+
+/**
+ * @param {Map} polynomial - Polynomial
+ * @param {number} exponent - Non-negative integer
+ * @returns {Map} - polynomial^exponent, expanded
+ */
+export function power(polynomial, exponent) {
+  let result = constant(1);
+  for (let index = 0; index < exponent; index++) {
+    result = multiply(result, polynomial);
+  }
+  return result;
+}
+
+/**
+ * Build a polynomial from an expression tree
+ * @param {Object} node - Expression tree from FormulaEvaluator.parse
+ * @returns {Map} - Expanded polynomial
+ */
+export function fromTree(node) {
+  switch (node.type) {
+    case 'number':
+      return constant(node.value);
+
+    case 'variable':
+      return variable(node.name);
+
+    case 'unary':
+      if (node.operator === '!') {
+        throw new Error('"!" is not allowed in a polynomial');
+      }
+      return node.operator === '-' ? scale(fromTree(node.children[0]), -1) : fromTree(node.children[0]);
+
+    case 'binary': {
+      const [leftNode, rightNode] = node.children;
+      const left = fromTree(leftNode);
+      const right = fromTree(rightNode);
+
+      switch (node.operator) {
+        case '+':
+          return add(left, right);
+        case '-':
+          return subtract(left, right);
+        case '*':
+          return multiply(left, right);
+        case '/': {
+          const divisor = constantValue(right);
+          if (divisor === null) {
+            throw new Error('Division by an expression containing a variable is not a polynomial');
+          }
+          if (divisor === 0) {
+            throw new Error('Division by zero');
+          }
+          return scale(left, 1 / divisor);
+        }
+        case '^': {
+          const exponent = constantValue(right);
+          const base = constantValue(left);
+          if (exponent !== null && base !== null) {
+            return constant(Math.pow(base, exponent));
+          }
+          if (exponent === null || !Number.isInteger(exponent) || exponent < 0) {
+            throw new Error('Powers of a variable must be whole numbers of at least 0');
+          }
+          if (exponent > MAX_POWER) {
+            throw new Error(`Powers above ${MAX_POWER} are not supported`);
+          }
+          return power(left, exponent);
+        }
+        default:
+          throw new Error(`"${node.operator}" is not allowed in a polynomial`);
+      }
+    }
+
+    case 'call': {
+      const values = node.children.map(child => constantValue(fromTree(child)));
+      if (values.some(value => value === null)) {
+        throw new Error(`${node.name}() of a variable is not a polynomial`);
+      }
+      const call = { ...node, children: values.map(value => ({ type: 'number', value })) };
+      return constant(evaluator.evaluateNode(call, new Map()));
+    }
+
+    default:
+      throw new Error(`"${node.type}" is not allowed in a polynomial`);
+  }
+}
+
+/**
+ * @param {Map} polynomial - Polynomial
+ * @returns {number|null} - Its value if it has no variables, else null
+ */
+export function constantValue(polynomial) {
+  if (polynomial.size === 0) {
+    return 0;
+  }
+  if (polynomial.size === 1 && polynomial.has('')) {
+    return polynomial.get('').coefficient;
+  }
+  return null;
+}
+
+/**
+ * Variables in alphabetical order
+ * @param {Map} polynomial - Polynomial
+ * @returns {string[]} - Variable names
+ */
+export function variablesOf(polynomial) {
+  const names = [];
+  for (const term of polynomial.values()) {
+    for (const name of Object.keys(term.powers)) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+  return names.sort();
+}
+
+/**
+ * Highest power of a variable, or the highest total degree when no variable is given
+ * @param {Map} polynomial - Polynomial
+ * @param {string} name - Variable (optional)
+ * @returns {number} - Degree; 0 for constants
+ */
+export function degree(polynomial, name = null) {
+  let highest = 0;
+  for (const term of polynomial.values()) {
+    const termDegree = name
+      ? term.powers[name] || 0
+      : Object.values(term.powers).reduce((sum, value) => sum + value, 0);
+    highest = Math.max(highest, termDegree);
+  }
+  return highest;
+}
+
+/**
+ * Coefficients of a one-variable polynomial, lowest power first
+ * @param {Map} polynomial - Polynomial in name only
+ * @param {string} name - Variable
+ * @returns {number[]} - [c0, c1, c2, ...]
+ */
+export function coefficientsOf(polynomial, name) {
+  const coefficients = new Array(degree(polynomial, name) + 1).fill(0);
+  for (const term of polynomial.values()) {
+    coefficients[term.powers[name] || 0] += term.coefficient;
+  }
+  return coefficients.map(clean);
+}
+
+/**
+ * Partial derivative by the power rule
+ * @param {Map} polynomial - Polynomial
+ * @param {string} name - Variable to differentiate by
+ * @returns {Map} - Derivative
+ */
+export function differentiate(polynomial, name) {
+  const derivative = new Map();
+  for (const term of polynomial.values()) {
+    const exponent = term.powers[name] || 0;
+    if (exponent > 0) {
+      const powers = { ...term.powers, [name]: exponent - 1 };
+      addTerm(derivative, term.coefficient * exponent, powers);
+    }
+  }
+  return derivative;
+}
+
+/**
+ * Replace variables with numbers; variables without a value are kept
+ * @param {Map} polynomial - Polynomial
+ * @param {Object} values - Variable name -> number
+ * @returns {Map} - Polynomial in the remaining variables
+ */
+export function substitute(polynomial, values) {
+  const result = new Map();
+  for (const term of polynomial.values()) {
+    let coefficient = term.coefficient;
+    const powers = {};
+    for (const [name, exponent] of Object.entries(term.powers)) {
+      if (values[name] !== undefined) {
+        coefficient *= Math.pow(values[name], exponent);
+      } else {
+        powers[name] = exponent;
+      }
+    }
+    addTerm(result, coefficient, powers);
+  }
+  return result;
+}
+
+/**
+ * Terms in display order: higher degree first, then higher powers of alphabetically earlier variables
+ * (a^2 + 2ab + b^2)
+ * @param {Map} polynomial - Polynomial
+ * @returns {Array} - [{ coefficient, powers }]
+ */
+export function termsOf(polynomial) {
+  const names = variablesOf(polynomial);
+  const degreeOf = term => Object.values(term.powers).reduce((sum, value) => sum + value, 0);
+
+  return Array.from(polynomial.values()).sort((termA, termB) => {
+    const byDegree = degreeOf(termB) - degreeOf(termA);
+    if (byDegree !== 0) {
+      return byDegree;
+    }
+    for (const name of names) {
+      const byPower = (termB.powers[name] || 0) - (termA.powers[name] || 0);
+      if (byPower !== 0) {
+        return byPower;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Format a polynomial as text that parses back with implicit multiplication, e.g. "2x^2 - 3x*y + 5"
+ * @param {Map} polynomial - Polynomial
+ * @returns {string} - Polynomial text
+ */
+export function formatPolynomial(polynomial) {
+  const terms = termsOf(polynomial);
+  if (terms.length === 0) {
+    return '0';
+  }
+
+  return terms.map((term, index) => {
+    const text = formatTerm(Math.abs(term.coefficient), term.powers);
+    if (index === 0) {
+      return term.coefficient < 0 ? `-${text}` : text;
+    }
+    return `${term.coefficient < 0 ? '-' : '+'} ${text}`;
+  }).join(' ');
+}
+
+/**
+ * Show a number without floating-point noise
+ * @param {number} value - Number
+ * @returns {string} - Number text
+ */
+export function formatNumber(value) {
+  return String(clean(value));
+}
+
+/**
+ * Write a number as a fraction when it is one with a small denominator
+ * @param {number} value - Number
+ * @param {number} maxDenominator - Largest denominator to try
+ * @returns {string|null} - e.g. "-7/3", or null for integers and numbers that aren't simple fractions
+ */
+export function toFraction(value, maxDenominator = 1000) {
+  if (!Number.isFinite(value) || Number.isInteger(clean(value))) {
+    return null;
+  }
+
+  for (let denominator = 2; denominator <= maxDenominator; denominator++) {
+    const numerator = Math.round(value * denominator);
+    if (Math.abs(numerator / denominator - value) < 1e-9 * Math.max(1, Math.abs(value))) {
+      return `${numerator}/${denominator}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop floating-point noise and tiny values
+ * @param {number} value - Number
+ * @returns {number} - Value rounded to 12 significant digits, or 0 when negligible
+ */
+export function clean(value) {
+  if (Math.abs(value) < EPSILON) {
+    return 0;
+  }
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * @param {number} coefficient - Non-negative coefficient
+ * @param {Object} powers - Variable powers
+ * @returns {string} - e.g. "3x^2*y", "x", "5"
+ */
+function formatTerm(coefficient, powers) {
+  const factors = Object.keys(powers)
+    .sort()
+    .map(name => (powers[name] === 1 ? name : `${name}^${powers[name]}`));
+
+  if (factors.length === 0) {
+    return formatNumber(coefficient);
+  }
+
+  const variables = factors.join('*');
+  return clean(coefficient) === 1 ? variables : `${formatNumber(coefficient)}${variables}`;
+}
+
+/**
+ * Add a term into a polynomial in place, dropping terms that cancel
+ * @param {Map} polynomial - Polynomial to add to
+ * @param {number} coefficient - Coefficient
+ * @param {Object} powers - Variable powers
+ */
+function addTerm(polynomial, coefficient, powers) {
+  if (!Number.isFinite(coefficient)) {
+    throw new Error('The expression does not have a finite value');
+  }
+
+  const cleanPowers = {};
+  for (const name of Object.keys(powers).sort()) {
+    if (powers[name] > 0) {
+      cleanPowers[name] = powers[name];
+    }
+  }
+
+  const key = Object.entries(cleanPowers).map(([name, exponent]) => `${name}^${exponent}`).join('*');
+  const existing = polynomial.get(key);
+  const total = clean((existing ? existing.coefficient : 0) + coefficient);
+
+  if (total === 0) {
+    polynomial.delete(key);
+  } else {
+    polynomial.set(key, { coefficient: total, powers: cleanPowers });
+  }
+}
+
+/**
+ * @param {Map} polynomial - Polynomial
+ * @returns {Map} - Shallow copy
+ */
+function copy(polynomial) {
+  return new Map(polynomial);
+}
@@ -0,0 +1,78 @@
+/**
+ * Seeded Random - Reproducible pseudo-random numbers for mock data
+ *
+ * A seed is hashed from any mix of strings, numbers and plain objects (object keys are sorted,
+ * so { a, b } and { b, a } give the same seed). createSeededRandom returns a Math.random-style
+ * function backed by mulberry32, so the same request parameters always produce the same sequence.
+ */
+
+/**
+ * Turn values into a stable string, sorting object keys
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical string
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash values into a 32-bit seed (FNV-1a)
+ * @param {...*} parts - Strings, numbers or objects identifying the request
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function hashSeed(...parts) {
+  const text = parts.map(canonicalize).join('|');
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded generator with the same contract as Math.random
+ * @param {number|string|Object} seed - Numeric seed, or values passed to hashSeed
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer in an inclusive range
+ * @param {Function} random - Generator returning [0, 1)
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number} - Integer between min and max
+ */
+export function randomInt(random, min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Pick one element of an array
+ * @param {Function} random - Generator returning [0, 1)
+ * @param {Array} items - Items to choose from
+ * @returns {*} - Chosen item
+ */
+export function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
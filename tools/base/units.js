@@ -0,0 +1,406 @@
+/**
+ * Units - Shared unit definitions, quantity parsing and conversion for tools
+ *
+ * Dimensions: length, area, volume, mass, temperature, speed and time.
+ * Each unit converts to its dimension's base unit (m, m², m³, kg, K, m/s, s) as base = value × factor + offset.
+ * Besides the named units, "square X" / "X2" / "X²", "cubic X" / "X3" and "length/time" are derived on the fly,
+ * so "sq ft", "cm³" and "km/h" all resolve.
+ *
+ * Quantities can be numbers (with a default unit), strings like "3 ft", "2.5m", "5'6\"" or "1 h 30 min",
+ * or objects { value, unit }.
+ */
+
+export const DIMENSIONS = ['length', 'area', 'volume', 'mass', 'temperature', 'speed', 'time'];
+
+// id -> [dimension, factor, symbol, aliases, offset]
+const UNIT_TABLE = {
+  // Length (base: meter)
+  m: ['length', 1, 'm', ['meter', 'meters', 'metre', 'metres']],
+  km: ['length', 1000, 'km', ['kilometer', 'kilometers', 'kilometre', 'kilometres']],
+  cm: ['length', 0.01, 'cm', ['centimeter', 'centimeters', 'centimetre', 'centimetres']],
+  mm: ['length', 0.001, 'mm', ['millimeter', 'millimeters', 'millimetre', 'millimetres']],
+  um: ['length', 1e-6, 'µm', ['µm', 'micrometer', 'micrometers', 'micron', 'microns']],
+  in: ['length', 0.0254, 'in', ['inch', 'inches', '"', '″']],
+  ft: ['length', 0.3048, 'ft', ['foot', 'feet', "'", '′']],
+  yd: ['length', 0.9144, 'yd', ['yard', 'yards']],
+  mi: ['length', 1609.344, 'mi', ['mile', 'miles']],
+  nmi: ['length', 1852, 'nmi', ['nautical mile', 'nautical miles']],
+
+  // Area (base: square meter); squares of length units are derived
+  ha: ['area', 10000, 'ha', ['hectare', 'hectares']],
+  ac: ['area', 4046.8564224, 'ac', ['acre', 'acres']],
+
+  // Volume (base: cubic meter); cubes of length units are derived
+  l: ['volume', 0.001, 'L', ['liter', 'liters', 'litre', 'litres']],
+  ml: ['volume', 1e-6, 'mL', ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'cc']],
+  gal: ['volume', 0.003785411784, 'gal', ['gallon', 'gallons', 'us gallon', 'us gallons']],
+  qt: ['volume', 0.000946352946, 'qt', ['quart', 'quarts']],
+  pt: ['volume', 0.000473176473, 'pt', ['pint', 'pints']],
+  cup: ['volume', 0.0002365882365, 'cup', ['cups']],
+  floz: ['volume', 0.0000295735295625, 'fl oz', ['fl oz', 'fluid ounce', 'fluid ounces']],
+  tbsp: ['volume', 0.00001478676478125, 'tbsp', ['tablespoon', 'tablespoons']],
+  tsp: ['volume', 0.00000492892159375, 'tsp', ['teaspoon', 'teaspoons']],
+
+  // Mass (base: kilogram)
+  kg: ['mass', 1, 'kg', ['kilogram', 'kilograms', 'kilo', 'kilos']],
+  g: ['mass', 0.001, 'g', ['gram', 'grams']],
+  mg: ['mass', 1e-6, 'mg', ['milligram', 'milligrams']],
+  t: ['mass', 1000, 't', ['tonne', 'tonnes', 'metric ton', 'metric tons']],
+  lb: ['mass', 0.45359237, 'lb', ['lbs', 'pound', 'pounds']],
+  oz: ['mass', 0.028349523125, 'oz', ['ounce', 'ounces']],
+  st: ['mass', 6.35029318, 'st', ['stone', 'stones']],
+  ton: ['mass', 907.18474, 'ton', ['tons', 'short ton', 'short tons', 'us ton']],
+
+  // Temperature (base: kelvin)
+  c: ['temperature', 1, '°C', ['celsius', 'centigrade', 'degc'], 273.15],
+  f: ['temperature', 5 / 9, '°F', ['fahrenheit', 'degf'], 459.67 * 5 / 9],
+  k: ['temperature', 1, 'K', ['kelvin', 'kelvins']],
+
+  // Speed (base: meter per second); other length/time pairs are derived
+  kmh: ['speed', 1000 / 3600, 'km/h', ['kph', 'kmph', 'km/hr', 'kilometers per hour', 'kilometres per hour']],
+  mph: ['speed', 1609.344 / 3600, 'mph', ['miles per hour', 'mi/h']],
+  kn: ['speed', 1852 / 3600, 'kn', ['knot', 'knots', 'kt', 'kts']],
+
+  // Time (base: second); months and years are calendar averages
+  s: ['time', 1, 's', ['sec', 'secs', 'second', 'seconds']],
+  ms: ['time', 0.001, 'ms', ['millisecond', 'milliseconds']],
+  min: ['time', 60, 'min', ['mins', 'minute', 'minutes']],
+  h: ['time', 3600, 'h', ['hr', 'hrs', 'hour', 'hours']],
+  d: ['time', 86400, 'd', ['day', 'days']],
+  wk: ['time', 604800, 'wk', ['week', 'weeks']],
+  mo: ['time', 2629746, 'mo', ['month', 'months']],
+  yr: ['time', 31556952, 'yr', ['year', 'years', 'y']]
+};
+
+const UNITS = new Map();
+const ALIASES = new Map();
+
+for (const [id, [dimension, factor, symbol, aliases, offset = 0]] of Object.entries(UNIT_TABLE)) {
+  const unit = { id, dimension, factor, offset, symbol };
+  UNITS.set(id, unit);
+  for (const alias of [id, symbol.toLowerCase(), ...aliases]) {
+    ALIASES.set(alias.toLowerCase(), unit);
+  }
+}
+
+const POWER_NAMES = { 2: 'area', 3: 'volume' };
+const POWER_SYMBOLS = { 2: '²', 3: '³' };
+
+/**
+ * Look up a unit by id, symbol or name
+ * @param {string} name - Unit text such as "ft", "feet", "sq m", "m²", "km/h" or "°F"
+ * @returns {Object|null} - { id, dimension, factor, offset, symbol } or null if unknown
+ */
+export function resolveUnit(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const text = normalizeUnitText(name);
+  if (!text) {
+    return null;
+  }
+
+  const named = lookupAlias(text);
+  if (named) {
+    return named;
+  }
+
+  // "square feet", "sq ft", "cubic meters", "cu in"
+  const prefixed = text.match(/^(square|sq|cubic|cu)\s*(.+)$/);
+  if (prefixed) {
+    return raiseLength(prefixed[2], prefixed[1].startsWith('s') ? 2 : 3);
+  }
+
+  // "ft2", "m^3", "feet squared"
+  const suffixed = text.match(/^(.*\S)(?:(2|3)|\s+(squared|cubed))$/);
+  if (suffixed) {
+    return raiseLength(suffixed[1], suffixed[2] === '2' || suffixed[3] === 'squared' ? 2 : 3);
+  }
+
+  // "ft/s", "meters per second"
+  const rate = text.match(/^(.+?)\s*(?:\/|\bper\b)\s*(.+)$/);
+  if (rate) {
+    const length = lookupAlias(rate[1]);
+    const time = lookupAlias(rate[2]);
+    if (length && length.dimension === 'length' && time && time.dimension === 'time') {
+      return {
+        id: `${length.id}/${time.id}`,
+        dimension: 'speed',
+        factor: length.factor / time.factor,
+        offset: 0,
+        symbol: `${length.symbol}/${time.symbol}`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a quantity
+ * @param {number|string|Object} input - 3, "3 ft", "5'6\"", "1 h 30 min" or { value, unit }
+ * @param {Object} options - Parsing options
+ * @param {string} options.dimension - Required dimension (optional)
+ * @param {string} options.defaultUnit - Unit for bare numbers (optional)
+ * @returns {Object} - { value, unit } where unit is null for a bare number without a default
+ */
+export function parseQuantity(input, options = {}) {
+  const { dimension, defaultUnit } = options;
+  let value;
+  let unit = null;
+
+  if (typeof input === 'number') {
+    value = input;
+    unit = defaultUnit ? requireUnit(defaultUnit) : null;
+  } else if (input && typeof input === 'object') {
+    value = Number(input.value);
+    unit = input.unit ? requireUnit(input.unit) : (defaultUnit ? requireUnit(defaultUnit) : null);
+  } else if (typeof input === 'string') {
+    ({ value, unit } = parseQuantityText(input, defaultUnit));
+  } else {
+    throw new Error('Quantity must be a number, a string like "3 ft" or { value, unit }');
+  }
+
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid quantity: ${JSON.stringify(input)}`);
+  }
+
+  if (unit && dimension && unit.dimension !== dimension) {
+    throw new Error(`Expected a ${dimension} but '${unit.symbol}' is a ${unit.dimension} unit`);
+  }
+
+  return { value, unit };
+}
+
+/**
+ * Convert a value between two units of the same dimension
+ * @param {number} value - Value in fromUnit
+ * @param {string|Object} fromUnit - Source unit
+ * @param {string|Object} toUnit - Target unit
+ * @returns {number} - Value in toUnit
+ * @throws {Error} - For different dimensions, or a temperature below absolute zero
+ */
+export function convert(value, fromUnit, toUnit) {
+  const from = typeof fromUnit === 'string' ? requireUnit(fromUnit) : fromUnit;
+  const to = typeof toUnit === 'string' ? requireUnit(toUnit) : toUnit;
+
+  if (from.dimension !== to.dimension) {
+    throw new Error(`Cannot convert ${from.dimension} (${from.symbol}) to ${to.dimension} (${to.symbol})`);
+  }
+
+  let base = value * from.factor + from.offset;
+
+  // Temperatures are based on kelvin; the tolerance absorbs rounding at exactly absolute zero
+  if (from.dimension === 'temperature') {
+    if (base < -1e-9) {
+      throw new Error(`${value} ${from.symbol} is below absolute zero`);
+    }
+    base = Math.max(base, 0);
+  }
+
+  if (from.id === to.id) {
+    return value;
+  }
+
+  return cleanNumber((base - to.offset) / to.factor);
+}
+
+/**
+ * The area unit for a length unit (ft -> ft²)
+ * @param {string|Object} lengthUnit - Length unit
+ * @returns {Object} - Area unit
+ */
+export function squareOf(lengthUnit) {
+  const unit = typeof lengthUnit === 'string' ? requireUnit(lengthUnit) : lengthUnit;
+  if (unit.dimension !== 'length') {
+    throw new Error(`'${unit.symbol}' is not a length unit`);
+  }
+  return raiseUnit(unit, 2);
+}
+
+/**
+ * The volume unit for a length unit (ft -> ft³)
+ * @param {string|Object} lengthUnit - Length unit
+ * @returns {Object} - Volume unit
+ */
+export function cubeOf(lengthUnit) {
+  const unit = typeof lengthUnit === 'string' ? requireUnit(lengthUnit) : lengthUnit;
+  if (unit.dimension !== 'length') {
+    throw new Error(`'${unit.symbol}' is not a length unit`);
+  }
+  return raiseUnit(unit, 3);
+}
+
+/**
+ * The length unit whose square or cube is the given unit (m² -> m, mL -> cm)
+ * @param {string|Object} unit - Area or volume unit
+ * @returns {Object|null} - Length unit, or null when none matches (hectares, acres, litres)
+ */
+export function lengthRootOf(unit) {
+  const resolved = typeof unit === 'string' ? requireUnit(unit) : unit;
+  const power = Object.keys(POWER_NAMES).find(key => POWER_NAMES[key] === resolved.dimension);
+  if (!power) {
+    return null;
+  }
+
+  const factor = Math.pow(resolved.factor, 1 / Number(power));
+  return Array.from(UNITS.values()).find(candidate =>
+    candidate.dimension === 'length' && Math.abs(candidate.factor - factor) <= candidate.factor * 1e-9
+  ) || null;
+}
+
+/**
+ * Format a value with its unit symbol
+ * @param {number} value - Value
+ * @param {Object} unit - Unit
+ * @param {number} precision - Decimal places (optional)
+ * @returns {string} - e.g. "11.15 m²"
+ */
+export function formatQuantity(value, unit, precision = undefined) {
+  const rounded = precision === undefined ? cleanNumber(value) : Number(value.toFixed(precision));
+  const separator = unit.symbol.startsWith('°') ? '' : ' ';
+  return `${rounded.toLocaleString('en-US', { maximumFractionDigits: 10 })}${separator}${unit.symbol}`;
+}
+
+/**
+ * List the named units, optionally for one dimension
+ * @param {string} dimension - Dimension filter (optional)
+ * @returns {Array} - [{ id, symbol, dimension }]
+ */
+export function listUnits(dimension = null) {
+  return Array.from(UNITS.values())
+    .filter(unit => !dimension || unit.dimension === dimension)
+    .map(({ id, symbol, dimension: unitDimension }) => ({ id, symbol, dimension: unitDimension }));
+}
+
+/**
+ * Look up a unit or throw with the supported names
+ * @param {string} name - Unit text
+ * @returns {Object} - Unit
+ */
+export function requireUnit(name) {
+  const unit = resolveUnit(name);
+  if (!unit) {
+    throw new Error(`Unknown unit '${name}'`);
+  }
+  return unit;
+}
+
+/**
+ * Parse "3 ft", "-40°F", "5'6\"" or "2 lb 3 oz"
+ * Several parts are summed in the first part's unit and must share a dimension
+ * @param {string} text - Quantity text
+ * @param {string} defaultUnit - Unit for a bare number
+ * @returns {Object} - { value, unit }
+ */
+function parseQuantityText(text, defaultUnit) {
+  const trimmed = text.trim();
+  const number = '[-+]?(?:\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+)(?:e[-+]?\\d+)?';
+
+  const single = trimmed.match(new RegExp(`^(${number})\\s*(.*)$`, 'i'));
+  if (single) {
+    const value = parseNumber(single[1]);
+    if (!single[2]) {
+      return { value, unit: defaultUnit ? requireUnit(defaultUnit) : null };
+    }
+    const unit = resolveUnit(single[2]);
+    if (unit) {
+      return { value, unit };
+    }
+  }
+
+  // Compound quantities: every part is a number followed by a unit word or quote mark
+  const parts = [];
+  const partPattern = new RegExp(`(${number})\\s*([a-zA-Zµ°'"′″]+(?:\\s+(?:oz|ounces?))?)\\s*`, 'gy');
+  let consumed = 0;
+  let match;
+  while ((match = partPattern.exec(trimmed)) !== null) {
+    parts.push({ value: parseNumber(match[1]), unit: resolveUnit(match[2]) });
+    consumed = partPattern.lastIndex;
+  }
+
+  if (parts.length > 1 && consumed === trimmed.length && parts.every(part => part.unit)) {
+    const unit = parts[0].unit;
+    if (parts.some(part => part.unit.dimension !== unit.dimension)) {
+      throw new Error(`Quantity '${text}' mixes units of different dimensions`);
+    }
+    const value = parts.reduce((sum, part) => sum + convert(part.value, part.unit, unit), 0);
+    return { value: cleanNumber(value), unit };
+  }
+
+  throw new Error(`Could not read a quantity from '${text}' (expected something like "3 ft" or "2.5 m")`);
+}
+
+/**
+ * @param {string} text - Number text, possibly with thousands separators
+ * @returns {number} - Parsed number
+ */
+function parseNumber(text) {
+  return Number(text.replace(/,/g, ''));
+}
+
+/**
+ * Normalize unit text for lookup
+ * @param {string} text - Raw unit text
+ * @returns {string} - Lower-cased text with powers and degree signs simplified
+ */
+function normalizeUnitText(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/²/g, '2')
+    .replace(/³/g, '3')
+    .replace(/\^/g, '')
+    .replace(/^degrees?\s+/, '')
+    .replace(/^°\s*/, '')
+    .replace(/\.$/, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Look up a named unit, also trying the singular of a plural
+ * @param {string} text - Normalized unit text
+ * @returns {Object|null} - Unit
+ */
+function lookupAlias(text) {
+  const trimmed = text.trim();
+  return ALIASES.get(trimmed) ||
+    (trimmed.length > 2 && trimmed.endsWith('s') ? ALIASES.get(trimmed.slice(0, -1)) : null) ||
+    null;
+}
+
+/**
+ * Square or cube a length unit given by name
+ * @param {string} text - Length unit text
+ * @param {number} power - 2 or 3
+ * @returns {Object|null} - Derived unit, or null if text isn't a length unit
+ */
+function raiseLength(text, power) {
+  const unit = lookupAlias(text);
+  return unit && unit.dimension === 'length' ? raiseUnit(unit, power) : null;
+}
+
+/**
+ * @param {Object} unit - Length unit
+ * @param {number} power - 2 or 3
+ * @returns {Object} - Area or volume unit
+ */
+function raiseUnit(unit, power) {
+  return {
+    id: `${unit.id}${power}`,
+    dimension: POWER_NAMES[power],
+    factor: Math.pow(unit.factor, power),
+    offset: 0,
+    symbol: `${unit.symbol}${POWER_SYMBOLS[power]}`
+  };
+}
+
+/**
+ * Drop floating-point noise such as 3.0480000000000005
+ * @param {number} value - Value
+ * @returns {number} - Value rounded to 12 significant digits
+ */
+function cleanNumber(value) {
+  return Number.isFinite(value) && value !== 0 ? Number(value.toPrecision(12)) : value;
+}
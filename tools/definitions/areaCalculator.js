@@ -1,15 +1,113 @@
 /**
- * Area Calculator Tool - Calculates areas for various geometric shapes
- * Supports triangle, rectangle, and circle calculations
+ * Area Calculator Tool - Geometry for plane shapes and solids
+ * Plane shapes: area and perimeter (circumference); solids: volume and surface area
+ * Dimensions may carry units ("10 ft", "2.5 m"); the result can be converted to any matching unit
  */
 
 import BaseTool from '../base/baseTool.js';
+import { parseQuantity, requireUnit, convert, squareOf, cubeOf, lengthRootOf, formatQuantity } from '../base/units.js';
+
+const DIMENSION_NAMES = [
+  'base', 'height', 'width', 'radius', 'top_base', 'side', 'side_a', 'side_b', 'side_c', 'semi_major', 'semi_minor'
+];
+
+const PLANE_MEASURES = ['area', 'perimeter'];
+const SOLID_MEASURES = ['volume', 'surface_area'];
+
+// Shape -> whether it is a solid, and the parameters every calculation for it needs
+const SHAPES = {
+  triangle: { solid: false, required: [] },
+  rectangle: { solid: false, required: ['height'] },
+  circle: { solid: false, required: ['radius'] },
+  trapezoid: { solid: false, required: ['base', 'top_base'] },
+  parallelogram: { solid: false, required: ['base'] },
+  ellipse: { solid: false, required: ['semi_major', 'semi_minor'] },
+  sector: { solid: false, required: ['radius', 'angle'] },
+  regular_polygon: { solid: false, required: ['sides', 'side'] },
+  polygon: { solid: false, required: ['points'] },
+  cube: { solid: true, required: ['side'] },
+  cylinder: { solid: true, required: ['radius', 'height'] },
+  cone: { solid: true, required: ['radius', 'height'] },
+  sphere: { solid: true, required: ['radius'] }
+};
+
+// Names in the formulas are parameter names, so the substituted form can be produced by replacing them
+const FORMULAS = {
+  triangle: {
+    area: '(base × height) / 2',
+    area_from_sides: '√(s × (s − side_a) × (s − side_b) × (s − side_c)), s = (side_a + side_b + side_c) / 2',
+    perimeter: 'side_a + side_b + side_c'
+  },
+  rectangle: {
+    area: 'width × height',
+    perimeter: '2 × (width + height)'
+  },
+  circle: {
+    area: 'π × radius²',
+    perimeter: '2 × π × radius'
+  },
+  trapezoid: {
+    area: '((base + top_base) / 2) × height',
+    perimeter: 'base + top_base + side_a + side_b'
+  },
+  parallelogram: {
+    area: 'base × height',
+    perimeter: '2 × (base + side)'
+  },
+  ellipse: {
+    area: 'π × semi_major × semi_minor',
+    // Ramanujan's approximation; an ellipse perimeter has no closed form
+    perimeter: 'π × (3 × (semi_major + semi_minor) − √((3 × semi_major + semi_minor) × (semi_major + 3 × semi_minor)))'
+  },
+  sector: {
+    area: '(angle / 360) × π × radius²',
+    perimeter: '2 × radius + (angle / 360) × 2 × π × radius'
+  },
+  regular_polygon: {
+    area: '(sides × side²) / (4 × tan(π / sides))',
+    perimeter: 'sides × side'
+  },
+  polygon: {
+    area: '|Σ (xᵢ × yᵢ₊₁ − xᵢ₊₁ × yᵢ)| / 2',
+    perimeter: 'Σ √((xᵢ₊₁ − xᵢ)² + (yᵢ₊₁ − yᵢ)²)'
+  },
+  cube: {
+    volume: 'side³',
+    surface_area: '6 × side²'
+  },
+  cylinder: {
+    volume: 'π × radius² × height',
+    surface_area: '2 × π × radius × (radius + height)'
+  },
+  cone: {
+    volume: '(π × radius² × height) / 3',
+    surface_area: 'π × radius × (radius + √(height² + radius²))'
+  },
+  sphere: {
+    volume: '(4 / 3) × π × radius³',
+    surface_area: '4 × π × radius²'
+  }
+};
+
+// Measure -> power of the length unit, result key and label
+const MEASURES = {
+  perimeter: { power: 1, key: 'perimeter', label: 'perimeter' },
+  area: { power: 2, key: 'area', label: 'area' },
+  surface_area: { power: 2, key: 'surfaceArea', label: 'surface area' },
+  volume: { power: 3, key: 'volume', label: 'volume' }
+};
+
+const UNITLESS_NAMES = { 1: 'units', 2: 'square units', 3: 'cubic units' };
+const POWER_DIMENSIONS = { 1: 'length', 2: 'area', 3: 'volume' };
 
 class AreaCalculator extends BaseTool {
   constructor() {
     super(
       'area-calculator',
-      'Calculates the area of geometric shapes including triangles, rectangles, and circles',
+      'Geometry calculator: area and perimeter of triangles (base and height, or three sides), rectangles, circles, ' +
+      'trapezoids, parallelograms, ellipses, sectors, regular polygons and polygons from coordinates, and volume and ' +
+      'surface area of cubes, cylinders, cones and spheres. ' +
+      'Dimensions can include units (e.g. "10 ft") and the result can be returned in another unit (e.g. square meters)',
       'math'
     );
 
@@ -25,44 +123,118 @@ class AreaCalculator extends BaseTool {
       'shape',
       'string',
       true,
-      'The geometric shape to calculate area for (triangle, rectangle, circle)',
-      'rectangle'
+      `The geometric shape (${Object.keys(SHAPES).join(', ')})`,
+      'rectangle',
+      { enum: Object.keys(SHAPES) }
     );
 
     this.addParameter(
-      'base',
-      'number',
+      'measure',
+      'string',
       false,
-      'Base dimension for triangle or width for rectangle (required for triangle and rectangle)'
+      'What to calculate: area or perimeter (circumference) for plane shapes, volume or surface_area for solids ' +
+      '(default: area for plane shapes, volume for solids)',
+      undefined,
+      { enum: [...PLANE_MEASURES, 'circumference', ...SOLID_MEASURES] }
     );
 
+    this.addLengthParameter('base', 'Base of a triangle or parallelogram, bottom base of a trapezoid, or width of a rectangle');
+    this.addLengthParameter('height', 'Height of a triangle, rectangle, trapezoid, parallelogram, cylinder or cone');
+    this.addLengthParameter('width', 'Width of a rectangle (alternative to base)');
+    this.addLengthParameter('radius', 'Radius of a circle, sector, cylinder, cone or sphere');
+    this.addLengthParameter('top_base', 'Top (shorter parallel) base of a trapezoid');
+    this.addLengthParameter('side', 'Edge of a cube, side of a regular polygon, or slanted side of a parallelogram');
+    this.addLengthParameter('side_a', 'First side of a triangle given by three sides, or first leg of a trapezoid');
+    this.addLengthParameter('side_b', 'Second side of a triangle given by three sides, or second leg of a trapezoid');
+    this.addLengthParameter('side_c', 'Third side of a triangle given by three sides');
+    this.addLengthParameter('semi_major', 'Semi-major axis of an ellipse');
+    this.addLengthParameter('semi_minor', 'Semi-minor axis of an ellipse');
+
     this.addParameter(
-      'height',
+      'angle',
       'number',
       false,
-      'Height dimension for triangle and rectangle (required for triangle and rectangle)'
+      'Central angle of a sector',
+      undefined,
+      { exclusiveMinimum: 0 }
     );
 
     this.addParameter(
-      'width',
-      'number',
+      'angle_unit',
+      'string',
       false,
-      'Width dimension for rectangle (alternative to base)'
+      'Unit of angle (default: degrees)',
+      'degrees',
+      { enum: ['degrees', 'radians'] }
     );
 
     this.addParameter(
-      'radius',
-      'number',
+      'sides',
+      'integer',
+      false,
+      'Number of sides of a regular polygon',
+      undefined,
+      { minimum: 3 }
+    );
+
+    this.addParameter(
+      'points',
+      'array',
       false,
-      'Radius for circle calculation (required for circle)'
+      'Vertices of a polygon in order as [x, y] pairs, e.g. [[0, 0], [4, 0], [4, 3]]; coordinates are in unit',
+      undefined,
+      {
+        minItems: 3,
+        items: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 }
+      }
     );
 
     this.addParameter(
       'precision',
-      'number',
+      'integer',
       false,
       'Number of decimal places for result (default: 2)',
-      2
+      2,
+      { minimum: 0, maximum: 10 }
+    );
+
+    this.addParameter(
+      'unit',
+      'string',
+      false,
+      'Length unit of dimensions given as plain numbers (e.g. ft, m, in)'
+    );
+
+    this.addParameter(
+      'output_unit',
+      'string',
+      false,
+      'Unit for the result: a length unit for perimeter, an area unit for area (e.g. m2, sq ft, acre) or ' +
+      'a volume unit for volume (e.g. L, gal); defaults to the length unit raised to the matching power. ' +
+      'The other measurement follows the same system (perimeter in m next to an area in m2)'
+    );
+
+    // Shape names are lowercased in prepareParameters(), so these rules also apply to "Circle"
+    for (const [shape, definition] of Object.entries(SHAPES)) {
+      if (definition.required.length > 0) {
+        this.addConditionalRequirement({ shape }, definition.required);
+      }
+    }
+  }
+
+  /**
+   * Add a positive length parameter that accepts a number or a length with a unit
+   * @param {string} name - Parameter name
+   * @param {string} description - What the length is
+   */
+  addLengthParameter(name, description) {
+    this.addParameter(
+      name,
+      ['number', 'string'],
+      false,
+      `${description}; a number or a length with a unit like "10 ft"`,
+      undefined,
+      { exclusiveMinimum: 0 }
     );
   }
 
@@ -73,7 +245,13 @@ class AreaCalculator extends BaseTool {
     this.addExample(
       'Calculate triangle area',
       { shape: 'triangle', base: 10, height: 8 },
-      { area: 40, shape: 'triangle', formula: '(base × height) / 2' }
+      { area: 40, shape: 'triangle', formula: '(base × height) / 2', substituted: '(10 × 8) / 2 = 40' }
+    );
+
+    this.addExample(
+      'Area of a triangle with sides 3, 4 and 5',
+      { shape: 'triangle', side_a: 3, side_b: 4, side_c: 5 },
+      { area: 6, perimeter: 12, shape: 'triangle' }
     );
 
     this.addExample(
@@ -82,15 +260,56 @@ class AreaCalculator extends BaseTool {
       { area: 60, shape: 'rectangle', formula: 'width × height' }
     );
 
+    this.addExample(
+      'Area in square meters of a 10 ft by 12 ft room',
+      { shape: 'rectangle', width: '10 ft', height: '12 ft', output_unit: 'm2' },
+      { area: 11.15, shape: 'rectangle', units: 'm²', formula: 'width × height' }
+    );
+
     this.addExample(
       'Calculate circle area',
       { shape: 'circle', radius: 7 },
       { area: 153.94, shape: 'circle', formula: 'π × radius²' }
     );
+
+    this.addExample(
+      'Circumference of a circle',
+      { shape: 'circle', radius: 7, measure: 'circumference' },
+      { perimeter: 43.98, shape: 'circle', formula: '2 × π × radius' }
+    );
+
+    this.addExample(
+      'Area of a polygon from its corners',
+      { shape: 'polygon', points: [[0, 0], [4, 0], [4, 3], [0, 3]] },
+      { area: 12, perimeter: 14, shape: 'polygon' }
+    );
+
+    this.addExample(
+      'How many liters fit in a cylinder 30 cm across and 1 m tall',
+      { shape: 'cylinder', radius: '15 cm', height: '1 m', output_unit: 'L' },
+      { volume: 70.69, shape: 'cylinder', units: 'L', formula: 'π × radius² × height' }
+    );
+  }
+
+  /**
+   * Lowercase the shape and measure names so "Circle" works like "circle"
+   * @param {Object} params - Raw parameters
+   * @returns {Object} - Parameters with defaults applied
+   */
+  prepareParameters(params) {
+    const prepared = super.prepareParameters(params);
+
+    for (const name of ['shape', 'measure', 'angle_unit']) {
+      if (typeof prepared[name] === 'string') {
+        prepared[name] = prepared[name].trim().toLowerCase();
+      }
+    }
+
+    return prepared;
   }
 
   /**
-   * Execute area calculation
+   * Execute the geometry calculation
    * @param {Object} params - Calculation parameters
    * @returns {Promise<ToolResult>} - Calculation result
    */
@@ -100,94 +319,316 @@ class AreaCalculator extends BaseTool {
       const { shape, precision } = preparedParams;
 
       // Validate shape parameter
-      const validShapes = ['triangle', 'rectangle', 'circle'];
-      if (!validShapes.includes(shape.toLowerCase())) {
+      const validShapes = this.getSupportedShapes();
+      if (!validShapes.includes(shape)) {
         return this.createErrorResult(
           `Invalid shape '${shape}'. Supported shapes: ${validShapes.join(', ')}`
         );
       }
 
-      let result;
-      const normalizedShape = shape.toLowerCase();
-
-      switch (normalizedShape) {
-        case 'triangle':
-          result = await this.calculateTriangle(preparedParams);
-          break;
-        case 'rectangle':
-          result = await this.calculateRectangle(preparedParams);
-          break;
-        case 'circle':
-          result = await this.calculateCircle(preparedParams);
-          break;
-        default:
-          return this.createErrorResult(`Unsupported shape: ${shape}`);
+      const measure = this.resolveMeasure(shape, preparedParams.measure);
+      if (measure.error) {
+        return this.createErrorResult(measure.error);
+      }
+
+      const measured = this.resolveUnits(preparedParams);
+      if (measured.error) {
+        return this.createErrorResult(measured.error);
+      }
+
+      const { lengthUnit, outputUnit } = measured;
+      const measureDimension = POWER_DIMENSIONS[MEASURES[measure.name].power];
+      if (outputUnit && outputUnit.dimension !== measureDimension) {
+        return this.createErrorResult(
+          `output_unit must be a${measureDimension === 'area' ? 'n' : ''} ${measureDimension} unit for ${MEASURES[measure.name].label}, ` +
+          `got '${preparedParams.output_unit}' (${outputUnit.dimension})`
+        );
       }
 
+      const result = await this.calculateShape(shape, measured.params);
       if (result.error) {
         return this.createErrorResult(result.error);
       }
 
-      // Apply precision formatting
-      const formattedArea = Number(result.area.toFixed(precision));
+      const primary = result.measurements[measure.name];
+      if (!primary || primary.error) {
+        return this.createErrorResult(
+          primary ? primary.error : `Cannot calculate ${MEASURES[measure.name].label} for shape '${shape}'`
+        );
+      }
 
+      const measurements = {};
+      for (const [name, measurement] of Object.entries(result.measurements)) {
+        if (!measurement.error) {
+          measurements[MEASURES[name].key] = this.describeMeasurement(measurement, name, lengthUnit, outputUnit, precision);
+        }
+      }
+
+      const main = measurements[MEASURES[measure.name].key];
       const calculationResult = {
-        area: formattedArea,
-        shape: normalizedShape,
-        formula: result.formula,
+        [MEASURES[measure.name].key]: main.value,
+        shape,
+        measure: measure.name,
+        value: main.value,
+        formula: main.formula,
+        substituted: main.substituted,
         dimensions: result.dimensions,
-        units: 'square units',
-        precision: precision
+        lengthUnit: lengthUnit ? lengthUnit.symbol : null,
+        units: main.units,
+        precision: precision,
+        measurements
       };
 
+      if (main.conversion) {
+        calculationResult.conversion = main.conversion;
+      }
+
+      const label = measure.name === 'perimeter' && ['circle', 'ellipse'].includes(shape)
+        ? 'circumference'
+        : MEASURES[measure.name].label;
+
       return this.createSuccessResult(
         calculationResult,
-        `Successfully calculated ${normalizedShape} area: ${formattedArea} square units`
+        `Successfully calculated ${shape.replace('_', ' ')} ${label}: ${main.formatted}`
       );
 
     } catch (error) {
       return this.createErrorResult(
-        `Area calculation failed: ${error.message}`,
+        `Geometry calculation failed: ${error.message}`,
         error
       );
     }
   }
 
   /**
-   * Calculate triangle area
+   * Pick the measure to report, defaulting by whether the shape is a solid
+   * @param {string} shape - Normalized shape
+   * @param {string} requested - Requested measure (optional)
+   * @returns {Object} - { name } or { error }
+   */
+  resolveMeasure(shape, requested) {
+    const { solid } = SHAPES[shape];
+    const available = solid ? SOLID_MEASURES : PLANE_MEASURES;
+
+    if (!requested) {
+      return { name: available[0] };
+    }
+
+    const name = requested === 'circumference' ? 'perimeter' : requested;
+    if (!available.includes(name)) {
+      return {
+        error: `Cannot calculate ${requested} for shape '${shape}'; ` +
+          `${solid ? 'solids' : 'plane shapes'} support ${available.join(' and ')}`
+      };
+    }
+
+    return { name };
+  }
+
+  /**
+   * Round, convert and format one measurement
+   * @param {Object} measurement - { value, formula, values }
+   * @param {string} name - Measure name
+   * @param {Object|null} lengthUnit - Length unit of the dimensions
+   * @param {Object|null} outputUnit - Requested result unit
+   * @param {number} precision - Decimal places
+   * @returns {Object} - { value, units, formula, substituted, formatted, conversion, unitNote }
+   */
+  describeMeasurement(measurement, name, lengthUnit, outputUnit, precision) {
+    const { power } = MEASURES[name];
+    const inputUnit = lengthUnit ? [lengthUnit, squareOf(lengthUnit), cubeOf(lengthUnit)][power - 1] : null;
+    const matchingUnit = outputUnit && inputUnit ? this.getMatchingUnit(outputUnit, power) : null;
+    const targetUnit = matchingUnit || inputUnit;
+    const value = targetUnit && targetUnit.id !== inputUnit.id
+      ? convert(measurement.value, inputUnit, targetUnit)
+      : measurement.value;
+
+    const rounded = Number(value.toFixed(precision));
+    const substitutedExpression = measurement.substituted || substituteValues(measurement.formula, measurement.values);
+
+    const described = {
+      value: rounded,
+      units: targetUnit ? targetUnit.symbol : UNITLESS_NAMES[power],
+      formula: measurement.formula,
+      substituted: `${substitutedExpression} = ${formatNumber(roundForDisplay(measurement.value, precision))}`,
+      formatted: targetUnit ? formatQuantity(value, targetUnit, precision) : `${rounded} ${UNITLESS_NAMES[power]}`
+    };
+
+    if (targetUnit && targetUnit.id !== inputUnit.id) {
+      described.conversion = {
+        from: formatQuantity(measurement.value, inputUnit, precision),
+        to: formatQuantity(value, targetUnit, precision)
+      };
+    }
+
+    if (outputUnit && inputUnit && !matchingUnit) {
+      described.unitNote = `Left in ${inputUnit.symbol}: ${outputUnit.symbol} has no matching ${POWER_DIMENSIONS[power]} unit`;
+    }
+
+    return described;
+  }
+
+  /**
+   * Unit for a measurement in the same system as output_unit, whatever its dimension
+   * With output_unit m², a perimeter comes out in m and a volume in m³
+   * @param {Object} outputUnit - Requested result unit
+   * @param {number} power - 1 for length, 2 for area, 3 for volume
+   * @returns {Object|null} - Unit, or null when output_unit isn't built on a length unit (acres, litres)
+   */
+  getMatchingUnit(outputUnit, power) {
+    if (outputUnit.dimension === POWER_DIMENSIONS[power]) {
+      return outputUnit;
+    }
+
+    const length = outputUnit.dimension === 'length' ? outputUnit : lengthRootOf(outputUnit);
+    return length ? [length, squareOf(length), cubeOf(length)][power - 1] : null;
+  }
+
+  /**
+   * Read dimensions with units and convert them to one length unit
+   * Plain numbers use the unit parameter, or the unit of the other dimensions
+   * @param {Object} params - Prepared parameters
+   * @returns {Object} - { params (dimensions as numbers), lengthUnit, outputUnit } or { error }
+   */
+  resolveUnits(params) {
+    try {
+      let lengthUnit = params.unit ? requireUnit(params.unit) : null;
+      if (lengthUnit && lengthUnit.dimension !== 'length') {
+        return { error: `unit must be a length unit, got '${params.unit}' (${lengthUnit.dimension})` };
+      }
+
+      const quantities = {};
+      for (const name of DIMENSION_NAMES) {
+        if (params[name] !== undefined && params[name] !== null) {
+          quantities[name] = parseQuantity(params[name], { dimension: 'length' });
+          lengthUnit = lengthUnit || quantities[name].unit;
+        }
+      }
+
+      const resolved = { ...params };
+      for (const [name, quantity] of Object.entries(quantities)) {
+        resolved[name] = quantity.unit && lengthUnit
+          ? convert(quantity.value, quantity.unit, lengthUnit)
+          : quantity.value;
+      }
+
+      let outputUnit = null;
+      if (params.output_unit) {
+        outputUnit = requireUnit(params.output_unit);
+        if (!Object.values(POWER_DIMENSIONS).includes(outputUnit.dimension)) {
+          return { error: `output_unit must be a length, area or volume unit, got '${params.output_unit}' (${outputUnit.dimension})` };
+        }
+        if (!lengthUnit) {
+          return { error: 'output_unit needs dimensions with units (e.g. "10 ft") or the unit parameter' };
+        }
+      }
+
+      return { params: resolved, lengthUnit, outputUnit };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Run the calculation for a shape
+   * @param {string} shape - Normalized shape
+   * @param {Object} params - Parameters with dimensions as numbers
+   * @returns {Promise<Object>} - { dimensions, measurements: { [measure]: { value, formula, values } | { error } } } or { error }
+   */
+  async calculateShape(shape, params) {
+    switch (shape) {
+      case 'triangle':
+        return this.calculateTriangle(params);
+      case 'rectangle':
+        return this.calculateRectangle(params);
+      case 'circle':
+        return this.calculateCircle(params);
+      case 'trapezoid':
+        return this.calculateTrapezoid(params);
+      case 'parallelogram':
+        return this.calculateParallelogram(params);
+      case 'ellipse':
+        return this.calculateEllipse(params);
+      case 'sector':
+        return this.calculateSector(params);
+      case 'regular_polygon':
+        return this.calculateRegularPolygon(params);
+      case 'polygon':
+        return this.calculatePolygon(params);
+      case 'cube':
+        return this.calculateCube(params);
+      case 'cylinder':
+        return this.calculateCylinder(params);
+      case 'cone':
+        return this.calculateCone(params);
+      case 'sphere':
+        return this.calculateSphere(params);
+      default:
+        return { error: `Unsupported shape: ${shape}` };
+    }
+  }
+
+  /**
+   * Calculate triangle area from base and height, or area (Heron's formula) and perimeter from three sides
    * @param {Object} params - Triangle parameters
    * @returns {Object} - Calculation result
    */
   async calculateTriangle(params) {
-    const { base, height } = params;
+    const { base, height, side_a, side_b, side_c } = params;
+    const hasSides = [side_a, side_b, side_c].every(value => value !== undefined && value !== null);
+    const hasBaseHeight = base !== undefined && base !== null && height !== undefined && height !== null;
 
-    // Validate required parameters
-    if (base === undefined || base === null) {
-      return { error: 'Triangle calculation requires base parameter' };
-    }
-    if (height === undefined || height === null) {
-      return { error: 'Triangle calculation requires height parameter' };
+    if (!hasSides && !hasBaseHeight) {
+      return { error: 'Triangle calculation requires base and height, or side_a, side_b and side_c' };
     }
 
-    // Validate parameter values
-    if (typeof base !== 'number' || base <= 0) {
-      return { error: 'Base must be a positive number' };
+    const invalid = checkPositive(params, hasSides ? ['side_a', 'side_b', 'side_c'] : ['base', 'height']) ||
+      (hasSides && hasBaseHeight ? checkPositive(params, ['base', 'height']) : null);
+    if (invalid) {
+      return { error: invalid };
     }
-    if (typeof height !== 'number' || height <= 0) {
-      return { error: 'Height must be a positive number' };
+
+    const formulas = FORMULAS.triangle;
+    const measurements = {};
+    const dimensions = {};
+
+    if (hasSides) {
+      const [longest, ...others] = [side_a, side_b, side_c].sort((a, b) => b - a);
+      if (longest >= others[0] + others[1]) {
+        return { error: `Sides ${side_a}, ${side_b} and ${side_c} do not form a triangle (each side must be shorter than the other two combined)` };
+      }
+
+      const s = (side_a + side_b + side_c) / 2;
+      Object.assign(dimensions, { side_a, side_b, side_c });
+      measurements.area = {
+        value: Math.sqrt(s * (s - side_a) * (s - side_b) * (s - side_c)),
+        formula: formulas.area_from_sides,
+        values: { s, side_a, side_b, side_c }
+      };
+      measurements.perimeter = {
+        value: side_a + side_b + side_c,
+        formula: formulas.perimeter,
+        values: { side_a, side_b, side_c }
+      };
+    } else {
+      measurements.perimeter = { error: 'Triangle perimeter requires side_a, side_b and side_c' };
     }
 
-    const area = (base * height) / 2;
+    // Base and height give the area directly, and take precedence when both forms are given
+    if (hasBaseHeight) {
+      Object.assign(dimensions, { base, height });
+      measurements.area = {
+        value: (base * height) / 2,
+        formula: formulas.area,
+        values: { base, height }
+      };
+    }
 
-    return {
-      area,
-      formula: '(base × height) / 2',
-      dimensions: { base, height }
-    };
+    return { dimensions, measurements };
   }
 
   /**
-   * Calculate rectangle area
+   * Calculate rectangle area and perimeter
    * @param {Object} params - Rectangle parameters
    * @returns {Object} - Calculation result
    */
@@ -203,122 +644,440 @@ class AreaCalculator extends BaseTool {
     if (width === undefined || width === null) {
       return { error: 'Rectangle calculation requires width (or base) parameter' };
     }
-    if (height === undefined || height === null) {
-      return { error: 'Rectangle calculation requires height parameter' };
-    }
 
-    // Validate parameter values
-    if (typeof width !== 'number' || width <= 0) {
-      return { error: 'Width must be a positive number' };
-    }
-    if (typeof height !== 'number' || height <= 0) {
-      return { error: 'Height must be a positive number' };
+    const invalid = checkPositive({ width, height }, ['width', 'height']);
+    if (invalid) {
+      return { error: invalid };
     }
 
-    const area = width * height;
+    const formulas = FORMULAS.rectangle;
 
     return {
-      area,
-      formula: 'width × height',
-      dimensions: { width, height }
+      dimensions: { width, height },
+      measurements: {
+        area: { value: width * height, formula: formulas.area, values: { width, height } },
+        perimeter: { value: 2 * (width + height), formula: formulas.perimeter, values: { width, height } }
+      }
     };
   }
 
   /**
-   * Calculate circle area
+   * Calculate circle area and circumference
    * @param {Object} params - Circle parameters
    * @returns {Object} - Calculation result
    */
   async calculateCircle(params) {
     const { radius } = params;
 
-    // Validate required parameters
-    if (radius === undefined || radius === null) {
-      return { error: 'Circle calculation requires radius parameter' };
+    const invalid = checkPositive(params, ['radius']);
+    if (invalid) {
+      return { error: invalid };
     }
 
-    // Validate parameter values
-    if (typeof radius !== 'number' || radius <= 0) {
-      return { error: 'Radius must be a positive number' };
+    const formulas = FORMULAS.circle;
+
+    return {
+      dimensions: { radius },
+      measurements: {
+        area: { value: Math.PI * radius * radius, formula: formulas.area, values: { radius } },
+        perimeter: { value: 2 * Math.PI * radius, formula: formulas.perimeter, values: { radius } }
+      }
+    };
+  }
+
+  /**
+   * Calculate trapezoid area, and perimeter when both legs are given
+   * @param {Object} params - Trapezoid parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateTrapezoid(params) {
+    const { base, top_base, height, side_a, side_b } = params;
+
+    const invalid = checkPositive(params, ['base', 'top_base']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.trapezoid;
+    const dimensions = { base, top_base };
+    const measurements = {};
+
+    if (height !== undefined && height !== null) {
+      const invalidHeight = checkPositive(params, ['height']);
+      if (invalidHeight) {
+        return { error: invalidHeight };
+      }
+      dimensions.height = height;
+      measurements.area = {
+        value: ((base + top_base) / 2) * height,
+        formula: formulas.area,
+        values: { base, top_base, height }
+      };
+    } else {
+      measurements.area = { error: 'Trapezoid area requires height parameter' };
     }
 
-    const area = Math.PI * radius * radius;
+    if (side_a !== undefined && side_a !== null && side_b !== undefined && side_b !== null) {
+      const invalidLegs = checkPositive(params, ['side_a', 'side_b']);
+      if (invalidLegs) {
+        return { error: invalidLegs };
+      }
+      Object.assign(dimensions, { side_a, side_b });
+      measurements.perimeter = {
+        value: base + top_base + side_a + side_b,
+        formula: formulas.perimeter,
+        values: { base, top_base, side_a, side_b }
+      };
+    } else {
+      measurements.perimeter = { error: 'Trapezoid perimeter requires both legs (side_a and side_b)' };
+    }
+
+    return { dimensions, measurements };
+  }
+
+  /**
+   * Calculate parallelogram area from base and height, and perimeter from base and side
+   * @param {Object} params - Parallelogram parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateParallelogram(params) {
+    const { base, height, side } = params;
+
+    const invalid = checkPositive(params, ['base']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.parallelogram;
+    const dimensions = { base };
+    const measurements = {};
+
+    if (height !== undefined && height !== null) {
+      const invalidHeight = checkPositive(params, ['height']);
+      if (invalidHeight) {
+        return { error: invalidHeight };
+      }
+      dimensions.height = height;
+      measurements.area = { value: base * height, formula: formulas.area, values: { base, height } };
+    } else {
+      measurements.area = { error: 'Parallelogram area requires height parameter' };
+    }
+
+    if (side !== undefined && side !== null) {
+      const invalidSide = checkPositive(params, ['side']);
+      if (invalidSide) {
+        return { error: invalidSide };
+      }
+      dimensions.side = side;
+      measurements.perimeter = { value: 2 * (base + side), formula: formulas.perimeter, values: { base, side } };
+    } else {
+      measurements.perimeter = { error: 'Parallelogram perimeter requires side parameter (the slanted side)' };
+    }
+
+    return { dimensions, measurements };
+  }
+
+  /**
+   * Calculate ellipse area and approximate circumference
+   * @param {Object} params - Ellipse parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateEllipse(params) {
+    const invalid = checkPositive(params, ['semi_major', 'semi_minor']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    // Accept the axes in either order
+    const semi_major = Math.max(params.semi_major, params.semi_minor);
+    const semi_minor = Math.min(params.semi_major, params.semi_minor);
+    const formulas = FORMULAS.ellipse;
+    const values = { semi_major, semi_minor };
 
     return {
-      area,
-      formula: 'π × radius²',
-      dimensions: { radius }
+      dimensions: values,
+      measurements: {
+        area: { value: Math.PI * semi_major * semi_minor, formula: formulas.area, values },
+        perimeter: {
+          value: Math.PI * (3 * (semi_major + semi_minor) -
+            Math.sqrt((3 * semi_major + semi_minor) * (semi_major + 3 * semi_minor))),
+          formula: formulas.perimeter,
+          values
+        }
+      }
     };
   }
 
   /**
-   * Get calculation formulas
-   * @returns {Object} - Available formulas
+   * Calculate sector area and perimeter (two radii plus the arc)
+   * @param {Object} params - Sector parameters
+   * @returns {Object} - Calculation result
    */
-  getFormulas() {
+  async calculateSector(params) {
+    const { radius, angle_unit } = params;
+
+    const invalid = checkPositive(params, ['radius', 'angle']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const angle = angle_unit === 'radians' ? params.angle * 180 / Math.PI : params.angle;
+    if (angle > 360) {
+      return { error: `Angle must be at most a full turn (360 degrees or 2π radians), got ${params.angle} ${angle_unit}` };
+    }
+
+    const formulas = FORMULAS.sector;
+    const values = { radius, angle };
+
     return {
-      triangle: '(base × height) / 2',
-      rectangle: 'width × height',
-      circle: 'π × radius²'
+      dimensions: { radius, angle },
+      measurements: {
+        area: { value: (angle / 360) * Math.PI * radius * radius, formula: formulas.area, values },
+        perimeter: { value: 2 * radius + (angle / 360) * 2 * Math.PI * radius, formula: formulas.perimeter, values }
+      }
     };
   }
 
   /**
-   * Get supported shapes
-   * @returns {string[]} - Array of supported shapes
+   * Calculate regular polygon area and perimeter
+   * @param {Object} params - Regular polygon parameters
+   * @returns {Object} - Calculation result
    */
-  getSupportedShapes() {
-    return ['triangle', 'rectangle', 'circle'];
+  async calculateRegularPolygon(params) {
+    const { sides, side } = params;
+
+    if (!Number.isInteger(sides) || sides < 3) {
+      return { error: 'Sides must be a whole number of at least 3' };
+    }
+    const invalid = checkPositive(params, ['side']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.regular_polygon;
+    const values = { sides, side };
+
+    return {
+      dimensions: values,
+      measurements: {
+        area: { value: (sides * side * side) / (4 * Math.tan(Math.PI / sides)), formula: formulas.area, values },
+        perimeter: { value: sides * side, formula: formulas.perimeter, values }
+      }
+    };
   }
 
   /**
-   * Validate shape-specific parameters
-   * @param {Object} params - Parameters to validate
-   * @returns {boolean} - Whether parameters are valid for the shape
+   * Calculate polygon area (shoelace formula) and perimeter from its vertices
+   * @param {Object} params - Polygon parameters
+   * @returns {Object} - Calculation result
    */
-  validate(params) {
-    // First run base validation
-    if (!super.validate(params)) {
-      return false;
+  async calculatePolygon(params) {
+    const { points } = params;
+
+    if (!Array.isArray(points) || points.length < 3) {
+      return { error: 'Polygon calculation requires points with at least 3 [x, y] vertices' };
+    }
+    if (!points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+      return { error: 'Each polygon point must be an [x, y] pair of numbers' };
     }
 
-    const { shape } = params;
-    if (!shape) {
-      console.error('Shape parameter is required');
-      return false;
+    const formulas = FORMULAS.polygon;
+    const areaTerms = [];
+    const edgeTerms = [];
+    let twiceArea = 0;
+    let perimeter = 0;
+
+    points.forEach(([x1, y1], index) => {
+      const [x2, y2] = points[(index + 1) % points.length];
+      twiceArea += x1 * y2 - x2 * y1;
+      perimeter += Math.hypot(x2 - x1, y2 - y1);
+      areaTerms.push(`(${formatNumber(x1)} × ${formatNumber(y2)} − ${formatNumber(x2)} × ${formatNumber(y1)})`);
+      edgeTerms.push(`√((${formatNumber(x2)} − ${formatNumber(x1)})² + (${formatNumber(y2)} − ${formatNumber(y1)})²)`);
+    });
+
+    if (twiceArea === 0) {
+      return { error: 'Polygon points are collinear or the polygon has no area' };
     }
 
-    const normalizedShape = shape.toLowerCase();
-    
-    // Shape-specific validation
-    switch (normalizedShape) {
-      case 'triangle':
-        if (!params.base || !params.height) {
-          console.error('Triangle requires base and height parameters');
-          return false;
-        }
-        break;
-      case 'rectangle':
-        const hasWidth = params.width !== undefined;
-        const hasBase = params.base !== undefined;
-        if ((!hasWidth && !hasBase) || !params.height) {
-          console.error('Rectangle requires width (or base) and height parameters');
-          return false;
-        }
-        break;
-      case 'circle':
-        if (!params.radius) {
-          console.error('Circle requires radius parameter');
-          return false;
+    return {
+      dimensions: { points, vertices: points.length },
+      measurements: {
+        area: { value: Math.abs(twiceArea) / 2, formula: formulas.area, substituted: `|${areaTerms.join(' + ')}| / 2` },
+        perimeter: { value: perimeter, formula: formulas.perimeter, substituted: edgeTerms.join(' + ') }
+      }
+    };
+  }
+
+  /**
+   * Calculate cube volume and surface area
+   * @param {Object} params - Cube parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateCube(params) {
+    const { side } = params;
+
+    const invalid = checkPositive(params, ['side']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.cube;
+
+    return {
+      dimensions: { side },
+      measurements: {
+        volume: { value: side ** 3, formula: formulas.volume, values: { side } },
+        surface_area: { value: 6 * side * side, formula: formulas.surface_area, values: { side } }
+      }
+    };
+  }
+
+  /**
+   * Calculate cylinder volume and surface area (including both ends)
+   * @param {Object} params - Cylinder parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateCylinder(params) {
+    const { radius, height } = params;
+
+    const invalid = checkPositive(params, ['radius', 'height']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.cylinder;
+    const values = { radius, height };
+
+    return {
+      dimensions: values,
+      measurements: {
+        volume: { value: Math.PI * radius * radius * height, formula: formulas.volume, values },
+        surface_area: { value: 2 * Math.PI * radius * (radius + height), formula: formulas.surface_area, values }
+      }
+    };
+  }
+
+  /**
+   * Calculate right circular cone volume and surface area (including the base)
+   * @param {Object} params - Cone parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateCone(params) {
+    const { radius, height } = params;
+
+    const invalid = checkPositive(params, ['radius', 'height']);
+    if (invalid) {
+      return { error: invalid };
+    }
+
+    const formulas = FORMULAS.cone;
+    const values = { radius, height };
+
+    return {
+      dimensions: values,
+      measurements: {
+        volume: { value: (Math.PI * radius * radius * height) / 3, formula: formulas.volume, values },
+        surface_area: {
+          value: Math.PI * radius * (radius + Math.sqrt(height * height + radius * radius)),
+          formula: formulas.surface_area,
+          values
         }
-        break;
-      default:
-        console.error(`Unsupported shape: ${shape}`);
-        return false;
+      }
+    };
+  }
+
+  /**
+   * Calculate sphere volume and surface area
+   * @param {Object} params - Sphere parameters
+   * @returns {Object} - Calculation result
+   */
+  async calculateSphere(params) {
+    const { radius } = params;
+
+    const invalid = checkPositive(params, ['radius']);
+    if (invalid) {
+      return { error: invalid };
     }
 
-    return true;
+    const formulas = FORMULAS.sphere;
+
+    return {
+      dimensions: { radius },
+      measurements: {
+        volume: { value: (4 / 3) * Math.PI * radius ** 3, formula: formulas.volume, values: { radius } },
+        surface_area: { value: 4 * Math.PI * radius * radius, formula: formulas.surface_area, values: { radius } }
+      }
+    };
+  }
+
+  /**
+   * Get calculation formulas
+   * @returns {Object} - Formulas by shape and measure
+   */
+  getFormulas() {
+    return FORMULAS;
+  }
+
+  /**
+   * Get supported shapes
+   * @returns {string[]} - Array of supported shapes
+   */
+  getSupportedShapes() {
+    return Object.keys(SHAPES);
+  }
+}
+
+/**
+ * Check that dimensions are positive numbers
+ * @param {Object} params - Parameters
+ * @param {string[]} names - Dimension names
+ * @returns {string|null} - Error message for the first bad dimension, or null
+ */
+function checkPositive(params, names) {
+  for (const name of names) {
+    const value = params[name];
+    const label = name.charAt(0).toUpperCase() + name.slice(1).replace('_', ' ');
+    if (value === undefined || value === null) {
+      return `${label} is required`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return `${label} must be a positive number`;
+    }
   }
+  return null;
+}
+
+/**
+ * Put values in place of the parameter names in a formula
+ * A trailing helper definition (", s = ...") is dropped; its value is substituted where it is used
+ * @param {string} formula - Formula using parameter names
+ * @param {Object} values - Name -> number
+ * @returns {string} - e.g. "(10 × 8) / 2"
+ */
+function substituteValues(formula, values = {}) {
+  return formula
+    .split(', ')[0]
+    .replace(/[a-z_]+/g, name => (values[name] !== undefined ? formatNumber(values[name]) : name));
+}
+
+/**
+ * Round to the requested decimal places, keeping 3 significant digits for small values (0.0707, not 0.07)
+ * @param {number} value - Number
+ * @param {number} precision - Decimal places
+ * @returns {number} - Rounded number
+ */
+function roundForDisplay(value, precision) {
+  const rounded = Number(value.toFixed(precision));
+  return value !== 0 && Math.abs(value) < Math.pow(10, 2 - precision) ? Number(value.toPrecision(3)) : rounded;
+}
+
+/**
+ * Show a number without floating-point noise
+ * @param {number} value - Number
+ * @returns {string} - Number text
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(10)));
 }
 
-export default AreaCalculator;
\ No newline at end of file
+export default AreaCalculator;
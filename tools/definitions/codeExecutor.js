@@ -0,0 +1,133 @@
+/**
+ * Code Executor Tool - Runs a short JavaScript snippet in the sandbox
+ * Lets the agent compute multi-step results (loops, schedules, data transformation)
+ * instead of estimating them, and see the output or error as an observation
+ */
+
+import BaseTool from '../base/baseTool.js';
+import SandboxExecutor from '../../sandbox/sandboxExecutor.js';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const MAX_TIMEOUT_MS = 5000;
+const MEMORY_LIMIT_MB = 32;
+
+class CodeExecutor extends BaseTool {
+  constructor() {
+    super(
+      'code-executor',
+      'Runs a synchronous JavaScript snippet in an isolated sandbox and returns its console output and the value of its last expression. ' +
+      'Use it for arithmetic with many steps, loops (e.g. amortization schedules) and transforming data. ' +
+      'There is no network, file system, require/import or timers; data can be passed in as `input`.',
+      'computation'
+    );
+
+    this.sandboxExecutor = new SandboxExecutor();
+    // Sandbox runs are CPU-bound; overlapping them only eats into each other's time limits
+    this.parallelSafe = false;
+    // Scripts may use Math.random or Date, so the same code can give a different answer
+    this.cacheable = false;
+
+    this.setupParameters();
+    this.setupExamples();
+  }
+
+  /**
+   * Setup tool parameters
+   */
+  setupParameters() {
+    this.addParameter(
+      'code',
+      'string',
+      true,
+      'JavaScript to run. The value of the last expression is returned; console.log output is captured',
+      undefined,
+      { minLength: 1 }
+    );
+
+    this.addParameter(
+      'input',
+      'object',
+      false,
+      'JSON data available to the code as the global `input`'
+    );
+
+    this.addParameter(
+      'timeout_ms',
+      'number',
+      false,
+      `CPU time limit in milliseconds (max ${MAX_TIMEOUT_MS})`,
+      DEFAULT_TIMEOUT_MS,
+      { minimum: 1, maximum: MAX_TIMEOUT_MS }
+    );
+  }
+
+  /**
+   * Setup usage examples
+   */
+  setupExamples() {
+    this.addExample(
+      'Sum of the squares from 1 to 10',
+      { code: 'let total = 0; for (let i = 1; i <= 10; i++) total += i * i; total' },
+      { returnValue: 385, stdout: [] }
+    );
+
+    this.addExample(
+      'Monthly payment for a loan passed as input',
+      {
+        code: 'const r = input.rate / 12; const n = input.years * 12; const payment = input.principal * r / (1 - Math.pow(1 + r, -n)); console.log("months:", n); Math.round(payment * 100) / 100',
+        input: { principal: 200000, rate: 0.05, years: 30 }
+      },
+      { returnValue: 1073.64, stdout: ['months: 360'] }
+    );
+  }
+
+  /**
+   * Run the snippet
+   * @param {Object} params - { code, input, timeout_ms }
+   * @param {Object} context - Execution context: { signal: AbortSignal }; aborting terminates the script
+   * @returns {Promise<ToolResult>} - Return value and stdout, or the error with any output before it
+   */
+  async execute(params, context = {}) {
+    const preparedParams = this.prepareParameters(params);
+    const { code, input } = preparedParams;
+    const timeoutMs = Math.min(Math.max(Number(preparedParams.timeout_ms) || DEFAULT_TIMEOUT_MS, 1), MAX_TIMEOUT_MS);
+
+    const run = await this.sandboxExecutor.runScript(code, {
+      input,
+      timeoutMs,
+      memoryLimitMb: MEMORY_LIMIT_MB,
+      signal: context.signal
+    });
+
+    const metadata = {
+      executionTime: run.executionTime,
+      timeoutMs,
+      memoryLimitMb: MEMORY_LIMIT_MB
+    };
+
+    if (!run.success) {
+      const errorResult = this.createErrorResult(
+        `Code execution failed (${run.error.type}): ${run.error.message}`,
+        null,
+        { ...metadata, errorType: run.error.type }
+      );
+      // Keep the output so the agent can see how far the code got
+      errorResult.data = {
+        error: `${run.error.name || 'Error'}: ${run.error.message}`,
+        stdout: run.stdout
+      };
+      return errorResult;
+    }
+
+    return this.createSuccessResult(
+      {
+        returnValue: run.returnValue,
+        stdout: run.stdout
+      },
+      `Code ran in ${run.executionTime}ms${run.stdout.length > 0 ? ` and printed ${run.stdout.length} line(s)` : ''}`,
+      metadata
+    );
+  }
+}
+
+export default CodeExecutor;
@@ -0,0 +1,891 @@
+/**
+ * Equation Solver Tool - Evaluates expressions and solves equations locally, with step-by-step working
+ *
+ * Expressions are parsed by the sandbox FormulaEvaluator with implicit multiplication ("2x + 5"),
+ * then handled as polynomials from the polynomial module: linear and quadratic equations in one
+ * variable, linear systems (Gauss-Jordan elimination) and polynomial derivatives. Every answer is
+ * checked by substituting it back, so results are verifiable rather than generated.
+ */
+
+import BaseTool from '../base/baseTool.js';
+import FormulaEvaluator from '../../sandbox/formulaEvaluator.js';
+import {
+  fromTree, subtract, substitute, monomial, variablesOf, degree, coefficientsOf, differentiate,
+  termsOf, constantValue, formatPolynomial, toFraction, clean
+} from '../base/polynomial.js';
+
+const OPERATIONS = {
+  evaluate: 'Evaluate an expression, optionally with values for its variables',
+  simplify: 'Expand a polynomial expression and collect like terms',
+  solve: 'Solve a linear or quadratic equation in one variable',
+  solve_system: 'Solve a system of linear equations',
+  differentiate: 'Differentiate a polynomial, optionally evaluating the derivative at a point'
+};
+
+const MAX_SYSTEM_SIZE = 6;
+const MAX_EVALUATION_STEPS = 40;
+const VARIABLE_PATTERN = '^[a-zA-Z_][a-zA-Z0-9_]*$';
+
+class EquationSolver extends BaseTool {
+  constructor() {
+    super(
+      'equation-solver',
+      'Solves math exactly with a local parser and shows step-by-step working: evaluates expressions, ' +
+      'simplifies polynomials, solves linear and quadratic equations (e.g. "2x + 5 = 17") and systems of ' +
+      'linear equations, and differentiates polynomials. Use * or juxtaposition for multiplication and ^ for powers',
+      'math'
+    );
+
+    this.evaluator = new FormulaEvaluator();
+
+    this.setupParameters();
+    this.setupExamples();
+  }
+
+  /**
+   * Setup tool parameters
+   */
+  setupParameters() {
+    this.addParameter(
+      'operation',
+      'string',
+      true,
+      `What to do (${Object.keys(OPERATIONS).join(', ')})`,
+      undefined,
+      { enum: Object.keys(OPERATIONS) }
+    );
+
+    this.addParameter(
+      'expression',
+      'string',
+      false,
+      'Expression for evaluate, simplify and differentiate, e.g. "3(x + 2)^2 - 4x" or "sqrt(2) * 10 / 4"',
+      undefined,
+      { minLength: 1, maxLength: 500 }
+    );
+
+    this.addParameter(
+      'equation',
+      'string',
+      false,
+      'Equation with one "=" for solve, e.g. "2x + 5 = 17" or "x^2 - 5x + 6 = 0"',
+      undefined,
+      { minLength: 3, maxLength: 500 }
+    );
+
+    this.addParameter(
+      'equations',
+      'array',
+      false,
+      'Linear equations for solve_system, e.g. ["x + y = 10", "2x - y = 2"]',
+      undefined,
+      { items: { type: 'string', minLength: 3, maxLength: 500 }, minItems: 1, maxItems: MAX_SYSTEM_SIZE }
+    );
+
+    this.addParameter(
+      'variable',
+      'string',
+      false,
+      'Variable to solve for or differentiate by (needed when the expression has more than one)',
+      undefined,
+      { pattern: VARIABLE_PATTERN }
+    );
+
+    this.addParameter(
+      'variables',
+      'object',
+      false,
+      'Known values of variables, e.g. { "a": 2, "b": -3 }',
+      undefined,
+      { additionalProperties: { type: 'number' } }
+    );
+
+    this.addParameter(
+      'at',
+      'number',
+      false,
+      'Point at which to evaluate the derivative (differentiate)'
+    );
+
+    this.addParameter(
+      'precision',
+      'integer',
+      false,
+      'Decimal places for numeric answers (default: 6)',
+      6,
+      { minimum: 0, maximum: 12 }
+    );
+
+    this.addConditionalRequirement({ operation: ['evaluate', 'simplify', 'differentiate'] }, ['expression']);
+    this.addConditionalRequirement({ operation: 'solve' }, ['equation']);
+    this.addConditionalRequirement({ operation: 'solve_system' }, ['equations']);
+  }
+
+  /**
+   * Setup usage examples
+   */
+  setupExamples() {
+    this.addExample(
+      'Solve a linear equation',
+      { operation: 'solve', equation: '2x + 5 = 17' },
+      {
+        result: { variable: 'x', solutions: [6], type: 'linear' },
+        answer: 'x = 6',
+        steps: ['Equation: 2 * x + 5 = 17', 'Move every term to the left side: 2x - 12 = 0', 'Add 12 to both sides: 2x = 12', 'Divide both sides by 2: x = 6', 'Check with x = 6: left side = 17, right side = 17 ✓']
+      }
+    );
+
+    this.addExample(
+      'Solve a quadratic equation',
+      { operation: 'solve', equation: 'x^2 - 5x + 6 = 0' },
+      { result: { variable: 'x', solutions: [3, 2], type: 'quadratic', discriminant: 1 }, answer: 'x = 3 or x = 2' }
+    );
+
+    this.addExample(
+      'Solve a system of two equations',
+      { operation: 'solve_system', equations: ['x + y = 10', '2x - y = 2'] },
+      { result: { solution: { x: 4, y: 6 }, type: 'unique' }, answer: 'x = 4, y = 6' }
+    );
+
+    this.addExample(
+      'Differentiate a polynomial at a point',
+      { operation: 'differentiate', expression: '3x^3 - 2x + 7', at: 2 },
+      { result: { derivative: '9x^2 - 2', value: 34 }, answer: 'd/dx = 9x^2 - 2; at x = 2 it is 34' }
+    );
+  }
+
+  /**
+   * Execute the requested operation
+   * @param {Object} params - Operation parameters
+   * @returns {Promise<ToolResult>} - Result values, answer text and steps
+   */
+  async execute(params) {
+    try {
+      const preparedParams = this.prepareParameters(params);
+      const { operation } = preparedParams;
+
+      let result;
+
+      switch (operation) {
+        case 'evaluate':
+          result = this.calculateEvaluate(preparedParams);
+          break;
+        case 'simplify':
+          result = this.calculateSimplify(preparedParams);
+          break;
+        case 'solve':
+          result = this.calculateSolve(preparedParams);
+          break;
+        case 'solve_system':
+          result = this.calculateSystem(preparedParams);
+          break;
+        case 'differentiate':
+          result = this.calculateDerivative(preparedParams);
+          break;
+        default:
+          return this.createErrorResult(
+            `Invalid operation '${operation}'. Supported operations: ${Object.keys(OPERATIONS).join(', ')}`
+          );
+      }
+
+      if (result.error) {
+        return this.createErrorResult(result.error);
+      }
+
+      return this.createSuccessResult(
+        {
+          operation,
+          result: result.values,
+          answer: result.answer,
+          steps: result.steps
+        },
+        `Successfully completed ${operation}: ${result.answer}`
+      );
+
+    } catch (error) {
+      return this.createErrorResult(
+        `Equation solver failed: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Evaluate an expression, recording each operation in evaluation order
+   * @param {Object} params - { expression, variables, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateEvaluate(params) {
+    const { precision } = params;
+    const tree = this.parseExpression(params.expression);
+    if (tree.error) {
+      return tree;
+    }
+
+    const scope = this.evaluator.createScope(params.variables || {});
+    const missing = this.evaluator.getVariables(this.evaluator.stringify(tree)).filter(name => !scope.has(name));
+    if (missing.length > 0) {
+      return {
+        error: `No value for ${missing.join(', ')}. Pass values in variables, or use simplify or solve for symbolic work`
+      };
+    }
+
+    const steps = [`Expression: ${this.evaluator.stringify(tree)}`];
+    const known = Object.keys(params.variables || {}).filter(name => scope.has(name));
+    if (known.length > 0) {
+      steps.push(`Substitute ${known.map(name => `${name} = ${scope.get(name)}`).join(', ')}`);
+    }
+
+    const operations = [];
+    const value = this.traceEvaluation(tree, scope, operations, precision);
+    if (!Number.isFinite(value)) {
+      return { error: 'The expression does not have a finite value' };
+    }
+
+    steps.push(...operations.slice(0, MAX_EVALUATION_STEPS));
+    if (operations.length > MAX_EVALUATION_STEPS) {
+      steps.push(`… ${operations.length - MAX_EVALUATION_STEPS} more operations`);
+    }
+
+    return {
+      values: { value: roundTo(value, precision), exact: toFraction(value) },
+      answer: describeNumber(value, precision),
+      steps
+    };
+  }
+
+  /**
+   * Expand a polynomial and collect like terms
+   * @param {Object} params - { expression, variables, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateSimplify(params) {
+    const tree = this.parseExpression(params.expression);
+    if (tree.error) {
+      return tree;
+    }
+
+    const steps = [`Expression: ${this.evaluator.stringify(tree)}`];
+    const polynomial = this.toPolynomial(tree, 'simplify');
+    if (polynomial.error) {
+      return polynomial;
+    }
+
+    // Show how each top-level term expands before they are combined
+    const terms = splitSum(tree);
+    if (terms.length > 1 || terms[0].node !== tree) {
+      for (const { node } of terms) {
+        const expanded = formatPolynomial(fromTree(node));
+        const original = this.evaluator.stringify(node);
+        // "4 * x" is already "4x"; only show terms that actually change
+        if (expanded !== original.replace(/ \* /g, '') && node.type !== 'number') {
+          steps.push(`Expand ${original} = ${expanded}`);
+        }
+      }
+    } else if (formatPolynomial(polynomial) !== steps[0].slice('Expression: '.length)) {
+      steps.push('Expand products and powers');
+    }
+
+    let simplified = polynomial;
+    if (params.variables && Object.keys(params.variables).length > 0) {
+      simplified = substitute(polynomial, params.variables);
+      steps.push(`Collect like terms: ${formatPolynomial(polynomial)}`);
+      steps.push(`Substitute ${formatAssignments(params.variables)}: ${formatPolynomial(simplified)}`);
+    } else {
+      steps.push(`Collect like terms: ${formatPolynomial(simplified)}`);
+    }
+
+    const value = constantValue(simplified);
+
+    return {
+      values: {
+        simplified: formatPolynomial(simplified),
+        degree: degree(simplified),
+        variables: variablesOf(simplified),
+        ...(value !== null ? { value: roundTo(value, params.precision), exact: toFraction(value) } : {})
+      },
+      answer: formatPolynomial(simplified),
+      steps
+    };
+  }
+
+  /**
+   * Solve a linear or quadratic equation in one variable
+   * @param {Object} params - { equation, variable, variables, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateSolve(params) {
+    const { precision } = params;
+    const sides = this.parseEquation(params.equation);
+    if (sides.error) {
+      return sides;
+    }
+
+    const steps = [`Equation: ${sides.text}`];
+    const polynomial = this.toPolynomial(sides.difference, 'solve');
+    if (polynomial.error) {
+      return polynomial;
+    }
+
+    let moved = polynomial;
+    if (params.variables && Object.keys(params.variables).length > 0) {
+      moved = substitute(polynomial, params.variables);
+      steps.push(`Substitute ${formatAssignments(params.variables)}`);
+    }
+
+    const unknowns = variablesOf(moved);
+    if (unknowns.length === 0) {
+      steps.push(`Move every term to the left side: ${formatPolynomial(moved)} = 0`);
+      const identity = constantValue(moved) === 0;
+      return {
+        values: { variable: params.variable || null, solutions: [], type: identity ? 'identity' : 'contradiction' },
+        answer: identity ? 'The equation is true for every value' : 'The equation has no solution',
+        steps: [...steps, identity ? 'Both sides are always equal' : `${formatPolynomial(moved)} = 0 is never true`]
+      };
+    }
+
+    const variable = params.variable || (unknowns.length === 1 ? unknowns[0] : null);
+    if (!variable) {
+      return { error: `The equation has several variables (${unknowns.join(', ')}). Say which one to solve for with variable, and give the others in variables` };
+    }
+    const others = unknowns.filter(name => name !== variable);
+    if (others.length > 0) {
+      return { error: `The equation also contains ${others.join(', ')}. Give their values in variables, or use solve_system for several equations` };
+    }
+    if (!unknowns.includes(variable)) {
+      return { error: `The equation does not contain ${variable}` };
+    }
+
+    steps.push(`Move every term to the left side: ${formatPolynomial(moved)} = 0`);
+
+    const coefficients = coefficientsOf(moved, variable);
+    const check = solution => this.checkSolution(sides, { ...params.variables, [variable]: solution }, variable, solution, precision);
+
+    if (coefficients.length === 2) {
+      return this.solveLinear(coefficients, variable, steps, check, precision);
+    }
+    if (coefficients.length === 3) {
+      return this.solveQuadratic(coefficients, variable, steps, check, precision);
+    }
+
+    return {
+      error: `Only linear and quadratic equations can be solved exactly; ${formatPolynomial(moved)} = 0 has degree ${coefficients.length - 1}`
+    };
+  }
+
+  /**
+   * a·x + b = 0
+   * @param {number[]} coefficients - [b, a]
+   * @param {string} variable - Unknown
+   * @param {string[]} steps - Working so far
+   * @param {Function} check - Builds the check step for a solution
+   * @param {number} precision - Decimal places
+   * @returns {Object} - Calculation result
+   */
+  solveLinear(coefficients, variable, steps, check, precision) {
+    const [b, a] = coefficients;
+    const term = formatPolynomial(monomial(a, { [variable]: 1 }));
+
+    if (b !== 0) {
+      steps.push(`${b > 0 ? `Subtract ${formatValue(b, precision)} from` : `Add ${formatValue(-b, precision)} to`} both sides: ${term} = ${formatValue(-b, precision)}`);
+    }
+
+    const solution = clean(-b / a);
+    if (a !== 1) {
+      steps.push(`Divide both sides by ${formatValue(a, precision)}: ${variable} = ${describeNumber(solution, precision)}`);
+    }
+    steps.push(check(solution));
+
+    return {
+      values: { variable, solutions: [roundTo(solution, precision)], exact: [toFraction(solution)], type: 'linear' },
+      answer: `${variable} = ${describeNumber(solution, precision)}`,
+      steps
+    };
+  }
+
+  /**
+   * a·x² + b·x + c = 0 by the quadratic formula
+   * @param {number[]} coefficients - [c, b, a]
+   * @param {string} variable - Unknown
+   * @param {string[]} steps - Working so far
+   * @param {Function} check - Builds the check step for a solution
+   * @param {number} precision - Decimal places
+   * @returns {Object} - Calculation result
+   */
+  solveQuadratic(coefficients, variable, steps, check, precision) {
+    const [c, b, a] = coefficients;
+    const show = value => formatValue(value, precision);
+    const wrap = value => (value < 0 ? `(${show(value)})` : show(value));
+    const discriminant = clean(b * b - 4 * a * c);
+
+    steps.push(`Identify a = ${show(a)}, b = ${show(b)}, c = ${show(c)} in a${variable}^2 + b${variable} + c = 0`);
+    steps.push(`Discriminant: b^2 - 4ac = ${wrap(b)}^2 - 4 × ${wrap(a)} × ${wrap(c)} = ${show(discriminant)}`);
+
+    if (discriminant < 0) {
+      const real = clean(-b / (2 * a));
+      const imaginary = clean(Math.sqrt(-discriminant) / (2 * Math.abs(a)));
+      const pair = `${show(real)} ± ${show(imaginary)}i`;
+      steps.push(`The discriminant is negative, so there are no real solutions; the complex solutions are ${variable} = (-b ± i√(4ac - b^2)) / (2a) = ${pair}`);
+
+      return {
+        values: {
+          variable,
+          solutions: [],
+          complexSolutions: [
+            { real: roundTo(real, precision), imaginary: roundTo(imaginary, precision) },
+            { real: roundTo(real, precision), imaginary: roundTo(-imaginary, precision) }
+          ],
+          type: 'quadratic',
+          discriminant
+        },
+        answer: `No real solutions; ${variable} = ${pair}`,
+        steps
+      };
+    }
+
+    const root = Math.sqrt(discriminant);
+    const solutions = discriminant === 0
+      ? [clean(-b / (2 * a))]
+      : [clean((-b + root) / (2 * a)), clean((-b - root) / (2 * a))];
+
+    if (discriminant === 0) {
+      steps.push(`The discriminant is 0, so there is one repeated solution: ${variable} = -b / (2a) = ${show(-b)} / ${wrap(2 * a)} = ${describeNumber(solutions[0], precision)}`);
+    } else {
+      steps.push(`Two real solutions: ${variable} = (-b ± √(b^2 - 4ac)) / (2a) = (${show(-b)} ± √${show(discriminant)}) / ${wrap(2 * a)}`);
+      steps.push(solutions.map(solution => `${variable} = ${describeNumber(solution, precision)}`).join(' or '));
+    }
+    solutions.forEach(solution => steps.push(check(solution)));
+
+    return {
+      values: {
+        variable,
+        solutions: solutions.map(solution => roundTo(solution, precision)),
+        exact: solutions.map(toFraction),
+        type: 'quadratic',
+        discriminant
+      },
+      answer: solutions.map(solution => `${variable} = ${describeNumber(solution, precision)}`).join(' or '),
+      steps
+    };
+  }
+
+  /**
+   * Solve linear equations by Gauss-Jordan elimination with partial pivoting
+   * @param {Object} params - { equations, variables, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateSystem(params) {
+    const { precision } = params;
+    const show = value => formatValue(value, precision);
+    const parsed = [];
+
+    for (const [index, equation] of params.equations.entries()) {
+      const sides = this.parseEquation(equation);
+      if (sides.error) {
+        return { error: `Equation ${index + 1}: ${sides.error}` };
+      }
+
+      const polynomial = this.toPolynomial(sides.difference, 'solve');
+      if (polynomial.error) {
+        return { error: `Equation ${index + 1}: ${polynomial.error}` };
+      }
+
+      const moved = params.variables ? substitute(polynomial, params.variables) : polynomial;
+      if (degree(moved) > 1) {
+        return { error: `Equation ${index + 1} (${sides.text}) is not linear; solve_system handles linear equations only` };
+      }
+      parsed.push({ sides, moved });
+    }
+
+    const unknowns = [...new Set(parsed.flatMap(({ moved }) => variablesOf(moved)))].sort();
+    if (unknowns.length === 0) {
+      return { error: 'The equations have no unknowns left to solve for' };
+    }
+    if (unknowns.length > MAX_SYSTEM_SIZE) {
+      return { error: `At most ${MAX_SYSTEM_SIZE} unknowns are supported, got ${unknowns.length}` };
+    }
+
+    // Row i: coefficients of each unknown, then the constant moved to the right-hand side
+    const matrix = parsed.map(({ moved }) => [
+      ...unknowns.map(name => coefficientsOf(moved, name)[1] || 0),
+      -(constantValue(substitute(moved, Object.fromEntries(unknowns.map(name => [name, 0]))))) || 0
+    ]);
+
+    const steps = [
+      `Equations: ${parsed.map(({ sides }) => sides.text).join('; ')}`,
+      `Augmented matrix for (${unknowns.join(', ')}): ${formatMatrix(matrix, show)}`
+    ];
+
+    let pivotRow = 0;
+    const pivotColumns = [];
+
+    for (let column = 0; column < unknowns.length && pivotRow < matrix.length; column++) {
+      let best = pivotRow;
+      for (let row = pivotRow + 1; row < matrix.length; row++) {
+        if (Math.abs(matrix[row][column]) > Math.abs(matrix[best][column])) {
+          best = row;
+        }
+      }
+      if (clean(matrix[best][column]) === 0) {
+        continue;
+      }
+
+      const operations = [];
+      if (best !== pivotRow) {
+        [matrix[pivotRow], matrix[best]] = [matrix[best], matrix[pivotRow]];
+        operations.push(`R${pivotRow + 1} ↔ R${best + 1}`);
+      }
+
+      const pivot = matrix[pivotRow][column];
+      if (clean(pivot) !== 1) {
+        matrix[pivotRow] = matrix[pivotRow].map(value => clean(value / pivot));
+        operations.push(`R${pivotRow + 1} → R${pivotRow + 1} / ${show(pivot)}`);
+      }
+
+      for (let row = 0; row < matrix.length; row++) {
+        const factor = matrix[row][column];
+        if (row !== pivotRow && clean(factor) !== 0) {
+          matrix[row] = matrix[row].map((value, index) => clean(value - factor * matrix[pivotRow][index]));
+          operations.push(`R${row + 1} → R${row + 1} ${factor > 0 ? '-' : '+'} ${show(Math.abs(factor))} × R${pivotRow + 1}`);
+        }
+      }
+
+      if (operations.length > 0) {
+        steps.push(`Eliminate ${unknowns[column]}: ${operations.join(', ')} → ${formatMatrix(matrix, show)}`);
+      }
+      pivotColumns.push(column);
+      pivotRow++;
+    }
+
+    const inconsistent = matrix.find(row => row.slice(0, -1).every(value => clean(value) === 0) && clean(row[row.length - 1]) !== 0);
+    if (inconsistent) {
+      steps.push(`A row reads 0 = ${show(inconsistent[inconsistent.length - 1])}, which is impossible`);
+      return {
+        values: { unknowns, type: 'inconsistent', solution: null },
+        answer: 'The system has no solution (the equations contradict each other)',
+        steps
+      };
+    }
+
+    if (pivotColumns.length < unknowns.length) {
+      const free = unknowns.filter((name, column) => !pivotColumns.includes(column));
+      const relations = pivotColumns.map((column, row) => {
+        const rest = monomial(matrix[row][unknowns.length], {});
+        const expression = unknowns.reduce((sum, name, index) => (
+          index === column || clean(matrix[row][index]) === 0
+            ? sum
+            : subtract(sum, monomial(matrix[row][index], { [name]: 1 }))
+        ), rest);
+        return `${unknowns[column]} = ${formatPolynomial(expression)}`;
+      });
+      steps.push(`Only ${pivotColumns.length} independent equation${pivotColumns.length === 1 ? '' : 's'} for ${unknowns.length} unknowns; ${free.join(', ')} can take any value`);
+
+      return {
+        values: { unknowns, type: 'infinite', free, relations },
+        answer: `Infinitely many solutions: ${relations.length > 0 ? relations.join(', ') : 'every value works'} (${free.join(', ')} free)`,
+        steps
+      };
+    }
+
+    const solution = {};
+    const exact = {};
+    pivotColumns.forEach((column, row) => {
+      const value = clean(matrix[row][unknowns.length]);
+      solution[unknowns[column]] = roundTo(value, precision);
+      exact[unknowns[column]] = toFraction(value);
+    });
+
+    const unrounded = Object.fromEntries(pivotColumns.map((column, row) => [unknowns[column], matrix[row][unknowns.length]]));
+    parsed.forEach(({ sides }, index) => {
+      steps.push(this.checkSolution(sides, { ...params.variables, ...unrounded }, null, null, precision, `equation ${index + 1}`));
+    });
+
+    const answer = unknowns
+      .map(name => `${name} = ${describeNumber(unrounded[name], precision)}`)
+      .join(', ');
+
+    return {
+      values: { unknowns, type: 'unique', solution, exact },
+      answer,
+      steps
+    };
+  }
+
+  /**
+   * Differentiate a polynomial term by term with the power rule
+   * @param {Object} params - { expression, variable, variables, at, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateDerivative(params) {
+    const { at, precision } = params;
+    const tree = this.parseExpression(params.expression);
+    if (tree.error) {
+      return tree;
+    }
+
+    const polynomial = this.toPolynomial(tree, 'differentiate');
+    if (polynomial.error) {
+      return polynomial;
+    }
+
+    const unknowns = variablesOf(polynomial);
+    const variable = params.variable || (unknowns.length === 1 ? unknowns[0] : unknowns.length === 0 ? 'x' : null);
+    if (!variable) {
+      return { error: `The expression has several variables (${unknowns.join(', ')}); say which one to differentiate by with variable` };
+    }
+
+    const derivative = differentiate(polynomial, variable);
+    const steps = [
+      `Expression: ${formatPolynomial(polynomial)}`,
+      `Power rule: d/d${variable} (c·${variable}^n) = c·n·${variable}^(n-1); terms without ${variable} are constants with derivative 0`
+    ];
+
+    for (const term of termsOf(polynomial)) {
+      const single = monomial(term.coefficient, term.powers);
+      steps.push(`d/d${variable} (${formatPolynomial(single)}) = ${formatPolynomial(differentiate(single, variable))}`);
+    }
+    steps.push(`d/d${variable} = ${formatPolynomial(derivative)}`);
+
+    const values = { variable, derivative: formatPolynomial(derivative) };
+    let answer = `d/d${variable} = ${formatPolynomial(derivative)}`;
+
+    if (at !== undefined && at !== null) {
+      const point = { ...params.variables, [variable]: at };
+      const atPoint = substitute(derivative, point);
+      const value = constantValue(atPoint);
+      if (value === null) {
+        return { error: `To evaluate the derivative, also give values for ${variablesOf(atPoint).join(', ')} in variables` };
+      }
+
+      steps.push(`At ${formatAssignments(point)}: ${describeNumber(value, precision)}`);
+      values.at = at;
+      values.value = roundTo(value, precision);
+      answer += `; at ${variable} = ${at} it is ${describeNumber(value, precision)}`;
+    }
+
+    return { values, answer, steps };
+  }
+
+  /**
+   * Parse an expression, allowing "2x", ×, ÷, − and superscript powers
+   * @param {string} text - Expression text
+   * @returns {Object} - Expression tree, or { error }
+   */
+  parseExpression(text) {
+    try {
+      return this.evaluator.parse(normalizeMath(text), { implicitMultiplication: true });
+    } catch (error) {
+      return { error: error.message.replace(/^Invalid formula/, 'Invalid expression') };
+    }
+  }
+
+  /**
+   * Split an equation at its "=" and parse both sides
+   * @param {string} text - Equation text
+   * @returns {Object} - { left, right, difference (left − right tree), text } or { error }
+   */
+  parseEquation(text) {
+    const parts = normalizeMath(text).split(/(?<![<>=!])=(?!=)/);
+    if (parts.length !== 2 || parts.some(part => part.trim() === '')) {
+      return { error: `"${text}" is not an equation; it needs exactly one "=" with an expression on each side` };
+    }
+
+    const left = this.parseExpression(parts[0]);
+    if (left.error) {
+      return { error: `Left side: ${left.error}` };
+    }
+    const right = this.parseExpression(parts[1]);
+    if (right.error) {
+      return { error: `Right side: ${right.error}` };
+    }
+
+    return {
+      left,
+      right,
+      difference: { type: 'binary', operator: '-', children: [left, right] },
+      text: `${this.evaluator.stringify(left)} = ${this.evaluator.stringify(right)}`
+    };
+  }
+
+  /**
+   * Build a polynomial, turning "not a polynomial" into an error result
+   * @param {Object} tree - Expression tree
+   * @param {string} operation - Operation name for the message
+   * @returns {Map|Object} - Polynomial, or { error }
+   */
+  toPolynomial(tree, operation) {
+    try {
+      return fromTree(tree);
+    } catch (error) {
+      const hint = operation === 'simplify' || operation === 'differentiate'
+        ? 'only polynomials are supported'
+        : 'only polynomial equations are supported';
+      return { error: `Cannot ${operation} this: ${error.message} (${hint})` };
+    }
+  }
+
+  /**
+   * Substitute values into both sides of the original equation
+   * @param {Object} sides - Parsed equation
+   * @param {Object} values - Variable values
+   * @param {string|null} variable - Solved variable, for the message
+   * @param {number|null} solution - Its value, for the message
+   * @param {number} precision - Decimal places
+   * @param {string} label - What is being checked (optional)
+   * @returns {string} - Check step
+   */
+  checkSolution(sides, values, variable, solution, precision, label = null) {
+    const scope = this.evaluator.createScope(values);
+    const left = clean(this.evaluator.evaluateNode(sides.left, scope));
+    const right = clean(this.evaluator.evaluateNode(sides.right, scope));
+    const holds = Math.abs(left - right) <= 1e-9 * Math.max(1, Math.abs(left), Math.abs(right));
+    const subject = label || `with ${variable} = ${describeNumber(solution, precision)}`;
+
+    return `Check ${subject}: left side = ${formatValue(left, precision)}, right side = ${formatValue(right, precision)} ${holds ? '✓' : '✗'}`;
+  }
+
+  /**
+   * Evaluate bottom-up, recording "a op b = c" for each operation
+   * @param {Object} node - Expression tree
+   * @param {Map} scope - Variable values
+   * @param {string[]} operations - Recorded operations
+   * @param {number} precision - Decimal places
+   * @returns {number} - Value
+   */
+  traceEvaluation(node, scope, operations, precision) {
+    const show = value => formatValue(value, precision);
+    const operand = value => (value < 0 ? `(${show(value)})` : show(value));
+
+    switch (node.type) {
+      case 'number':
+      case 'variable':
+        return this.evaluator.evaluateNode(node, scope);
+
+      case 'unary': {
+        const value = this.traceEvaluation(node.children[0], scope, operations, precision);
+        return this.evaluator.evaluateNode({ ...node, children: [{ type: 'number', value }] }, scope);
+      }
+
+      case 'binary': {
+        if (node.operator === '&&' || node.operator === '||') {
+          const value = this.evaluator.evaluateNode(node, scope);
+          operations.push(`${this.evaluator.stringify(node)} → ${show(value)}`);
+          return value;
+        }
+
+        const [left, right] = node.children.map(child => this.traceEvaluation(child, scope, operations, precision));
+        const value = this.evaluator.evaluateNode({
+          ...node,
+          children: [{ type: 'number', value: left }, { type: 'number', value: right }]
+        }, scope);
+        operations.push(`${operand(left)} ${node.operator} ${operand(right)} = ${show(value)}`);
+        return value;
+      }
+
+      case 'call': {
+        const args = node.children.map(child => this.traceEvaluation(child, scope, operations, precision));
+        const value = this.evaluator.evaluateNode({
+          ...node,
+          children: args.map(arg => ({ type: 'number', value: arg }))
+        }, scope);
+        operations.push(`${node.name}(${args.map(show).join(', ')}) = ${show(value)}`);
+        return value;
+      }
+
+      case 'conditional': {
+        const [condition, whenTrue, whenFalse] = node.children;
+        const test = this.traceEvaluation(condition, scope, operations, precision);
+        operations.push(`Condition ${this.evaluator.stringify(condition)} is ${test ? 'true' : 'false'}`);
+        return this.traceEvaluation(test ? whenTrue : whenFalse, scope, operations, precision);
+      }
+
+      default:
+        return this.evaluator.evaluateNode(node, scope);
+    }
+  }
+}
+
+/**
+ * Rewrite common math notation into parser syntax
+ * @param {string} text - Expression text
+ * @returns {string} - e.g. "2x² − 3" -> "2x^2 - 3"
+ */
+function normalizeMath(text) {
+  return String(text)
+    .replace(/[×·∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/π/g, 'pi');
+}
+
+/**
+ * Top-level terms of a sum, with their signs
+ * @param {Object} node - Expression tree
+ * @returns {Array} - [{ node, sign }]
+ */
+function splitSum(node) {
+  if (node.type === 'binary' && (node.operator === '+' || node.operator === '-')) {
+    const [left, right] = node.children;
+    const rightTerms = splitSum(right).map(term => ({ ...term, sign: node.operator === '-' ? -term.sign : term.sign }));
+    return [...splitSum(left), ...rightTerms];
+  }
+  return [{ node, sign: 1 }];
+}
+
+/**
+ * @param {Object} values - Variable name -> value
+ * @returns {string} - e.g. "a = 2, b = -3"
+ */
+function formatAssignments(values) {
+  return Object.entries(values).map(([name, value]) => `${name} = ${clean(value)}`).join(', ');
+}
+
+/**
+ * @param {Array<number[]>} matrix - Augmented matrix
+ * @param {Function} show - Number formatter
+ * @returns {string} - e.g. "[1, 1 | 10], [2, -1 | 2]"
+ */
+function formatMatrix(matrix, show) {
+  return matrix
+    .map(row => `[${row.slice(0, -1).map(show).join(', ')} | ${show(row[row.length - 1])}]`)
+    .join(', ');
+}
+
+/**
+ * @param {number} value - Number
+ * @param {number} precision - Decimal places
+ * @returns {string} - Rounded number text
+ */
+function formatValue(value, precision) {
+  return String(roundTo(value, precision));
+}
+
+/**
+ * A number with its fraction form when it has one, e.g. "7/3 ≈ 2.333333"
+ * @param {number} value - Number
+ * @param {number} precision - Decimal places
+ * @returns {string} - Number text
+ */
+function describeNumber(value, precision) {
+  const fraction = toFraction(value);
+  const rounded = formatValue(value, precision);
+  if (!fraction) {
+    return rounded;
+  }
+  return Number(rounded) === clean(value) ? `${fraction} = ${rounded}` : `${fraction} ≈ ${rounded}`;
+}
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} - Rounded value
+ */
+function roundTo(value, decimals) {
+  const rounded = Number(value.toFixed(decimals));
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+export default EquationSolver;
@@ -0,0 +1,825 @@
+/**
+ * Financial Calculator Tool - Loans, amortization, interest, present/future value, NPV, IRR and APR
+ *
+ * Money is rounded to cents (half away from zero) and schedules are built in integer cents, so every
+ * row of a table adds up exactly to the totals reported next to it. Rates are percentages (5 = 5%).
+ * Tables use the { title, columns: [{ key, label }], rows: [[...cells]] } shape of the table primitive.
+ */
+
+import BaseTool from '../base/baseTool.js';
+
+const OPERATIONS = {
+  payment: 'Periodic payment for a loan',
+  amortization: 'Amortization schedule for a loan, optionally with an extra payment each period',
+  compound_interest: 'Growth of a deposit with periodic compounding and optional contributions',
+  continuous_interest: 'Growth of a deposit with continuous compounding',
+  present_value: 'Present value of a future amount and/or a stream of payments',
+  future_value: 'Future value of a present amount and/or a stream of payments',
+  npv: 'Net present value of cash flows at a discount rate',
+  irr: 'Internal rate of return of cash flows',
+  apr: 'Annual percentage rate of a loan including upfront fees'
+};
+
+// Longest schedule we build: 100 years of monthly payments
+const MAX_PERIODS = 1200;
+const RATE_DECIMALS = 4;
+
+class FinancialCalculator extends BaseTool {
+  constructor() {
+    super(
+      'financial-calculator',
+      'Exact financial mathematics: loan payments, amortization schedules, compound and continuous interest, ' +
+      'present and future value, NPV, IRR and APR. Rates are annual percentages unless noted; money is rounded to cents ' +
+      'and schedules are returned as tables',
+      'finance'
+    );
+
+    this.setupParameters();
+    this.setupExamples();
+  }
+
+  /**
+   * Setup tool parameters
+   */
+  setupParameters() {
+    this.addParameter(
+      'operation',
+      'string',
+      true,
+      `Calculation to perform (${Object.keys(OPERATIONS).join(', ')})`,
+      undefined,
+      { enum: Object.keys(OPERATIONS) }
+    );
+
+    this.addParameter(
+      'principal',
+      'number',
+      false,
+      'Loan amount or starting deposit',
+      undefined,
+      { minimum: 0 }
+    );
+
+    this.addParameter(
+      'annual_rate',
+      'number',
+      false,
+      'Nominal annual interest rate in percent, e.g. 6.5 for 6.5%',
+      undefined,
+      { exclusiveMinimum: -100, maximum: 1000 }
+    );
+
+    this.addParameter(
+      'years',
+      'number',
+      false,
+      'Term in years',
+      undefined,
+      { exclusiveMinimum: 0, maximum: 100 }
+    );
+
+    this.addParameter(
+      'periods_per_year',
+      'integer',
+      false,
+      'Payment and compounding periods per year (12 = monthly, 1 = yearly)',
+      12,
+      { minimum: 1, maximum: 365 }
+    );
+
+    this.addParameter(
+      'payment',
+      'number',
+      false,
+      'Payment or contribution made at the end of each period (present_value, future_value, compound_interest)',
+      0,
+      { minimum: 0 }
+    );
+
+    this.addParameter(
+      'future_value',
+      'number',
+      false,
+      'Amount at the end of the term (present_value)',
+      0,
+      { minimum: 0 }
+    );
+
+    this.addParameter(
+      'extra_payment',
+      'number',
+      false,
+      'Extra principal paid each period (amortization)',
+      0,
+      { minimum: 0 }
+    );
+
+    this.addParameter(
+      'fees',
+      'number',
+      false,
+      'Upfront fees charged on the loan (apr)',
+      0,
+      { minimum: 0 }
+    );
+
+    this.addParameter(
+      'cash_flows',
+      'array',
+      false,
+      'Cash flows per period, starting with the one at time 0 (usually the negative investment)',
+      undefined,
+      { items: { type: 'number' }, minItems: 2, maxItems: MAX_PERIODS + 1 }
+    );
+
+    this.addParameter(
+      'discount_rate',
+      'number',
+      false,
+      'Discount rate per cash-flow period in percent (npv)',
+      undefined,
+      { exclusiveMinimum: -100, maximum: 1000 }
+    );
+
+    this.addConditionalRequirement(
+      { operation: ['payment', 'amortization', 'apr', 'compound_interest', 'continuous_interest'] },
+      ['principal', 'annual_rate', 'years']
+    );
+    this.addConditionalRequirement({ operation: ['present_value', 'future_value'] }, ['annual_rate', 'years']);
+    this.addConditionalRequirement({ operation: 'npv' }, ['discount_rate', 'cash_flows']);
+    this.addConditionalRequirement({ operation: 'irr' }, ['cash_flows']);
+  }
+
+  /**
+   * Setup usage examples
+   */
+  setupExamples() {
+    this.addExample(
+      'Monthly payment on a $200,000 30-year mortgage at 5%',
+      { operation: 'payment', principal: 200000, annual_rate: 5, years: 30 },
+      { result: { payment: 1073.64, numberOfPayments: 360, totalPaid: 386513.24, totalInterest: 186513.24 } }
+    );
+
+    this.addExample(
+      '$10,000 at 7% compounded monthly for 10 years with $100 monthly contributions',
+      { operation: 'compound_interest', principal: 10000, annual_rate: 7, years: 10, payment: 100 },
+      { result: { futureValue: 37405.09, totalContributions: 22000, totalInterest: 15405.09 } }
+    );
+
+    this.addExample(
+      'IRR of investing 1000 and receiving 300, 400, 500 over three years',
+      { operation: 'irr', cash_flows: [-1000, 300, 400, 500] },
+      { result: { irr: 8.8963 } }
+    );
+  }
+
+  /**
+   * Execute a financial calculation
+   * @param {Object} params - Calculation parameters
+   * @returns {Promise<ToolResult>} - Result values, formula, explanation and tables
+   */
+  async execute(params) {
+    try {
+      const preparedParams = this.prepareParameters(params);
+      const { operation } = preparedParams;
+
+      let result;
+
+      switch (operation) {
+        case 'payment':
+          result = this.calculatePayment(preparedParams);
+          break;
+        case 'amortization':
+          result = this.calculateAmortization(preparedParams);
+          break;
+        case 'compound_interest':
+          result = this.calculateCompoundInterest(preparedParams);
+          break;
+        case 'continuous_interest':
+          result = this.calculateContinuousInterest(preparedParams);
+          break;
+        case 'present_value':
+          result = this.calculatePresentValue(preparedParams);
+          break;
+        case 'future_value':
+          result = this.calculateFutureValue(preparedParams);
+          break;
+        case 'npv':
+          result = this.calculateNPV(preparedParams);
+          break;
+        case 'irr':
+          result = this.calculateIRR(preparedParams);
+          break;
+        case 'apr':
+          result = this.calculateAPR(preparedParams);
+          break;
+        default:
+          return this.createErrorResult(
+            `Invalid operation '${operation}'. Supported operations: ${Object.keys(OPERATIONS).join(', ')}`
+          );
+      }
+
+      if (result.error) {
+        return this.createErrorResult(result.error);
+      }
+
+      return this.createSuccessResult(
+        {
+          operation,
+          result: result.values,
+          formula: result.formula,
+          inputs: result.inputs,
+          explanation: result.explanation,
+          tables: result.tables || []
+        },
+        `Successfully calculated ${operation}: ${result.explanation}`
+      );
+
+    } catch (error) {
+      return this.createErrorResult(
+        `Financial calculation failed: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Loan payment for an amortizing loan
+   * @param {Object} params - { principal, annual_rate, years, periods_per_year }
+   * @returns {Object} - Calculation result
+   */
+  calculatePayment(params) {
+    const loan = this.describeLoan(params);
+    if (loan.error) return loan;
+
+    const paymentCents = toCents(periodicPayment(loan.principal, loan.rate, loan.periods));
+    const totalPaidCents = this.buildSchedule(loan, paymentCents, 0).totalPaidCents;
+    const principalCents = toCents(loan.principal);
+
+    return {
+      values: {
+        payment: fromCents(paymentCents),
+        numberOfPayments: loan.periods,
+        totalPaid: fromCents(totalPaidCents),
+        totalInterest: fromCents(totalPaidCents - principalCents)
+      },
+      formula: 'payment = P × i / (1 − (1 + i)^−n)',
+      inputs: { principal: loan.principal, periodicRate: roundTo(loan.rate * 100, 6), periods: loan.periods },
+      explanation: `${formatMoney(paymentCents)} per period for ${loan.periods} periods`
+    };
+  }
+
+  /**
+   * Amortization schedule with per-period principal, interest and balance
+   * The last payment is adjusted so the balance ends at exactly zero
+   * @param {Object} params - { principal, annual_rate, years, periods_per_year, extra_payment }
+   * @returns {Object} - Calculation result with schedule and yearly summary tables
+   */
+  calculateAmortization(params) {
+    const loan = this.describeLoan(params);
+    if (loan.error) return loan;
+
+    const paymentCents = toCents(periodicPayment(loan.principal, loan.rate, loan.periods));
+    const extraCents = toCents(params.extra_payment || 0);
+    const schedule = this.buildSchedule(loan, paymentCents, extraCents);
+    const principalCents = toCents(loan.principal);
+
+    const values = {
+      payment: fromCents(paymentCents),
+      numberOfPayments: schedule.rows.length,
+      totalPaid: fromCents(schedule.totalPaidCents),
+      totalInterest: fromCents(schedule.totalPaidCents - principalCents)
+    };
+
+    if (extraCents > 0) {
+      const baseline = this.buildSchedule(loan, paymentCents, 0);
+      values.periodsSaved = baseline.rows.length - schedule.rows.length;
+      values.interestSaved = fromCents((baseline.totalPaidCents - principalCents) - (schedule.totalPaidCents - principalCents));
+    }
+
+    const columns = [
+      { key: 'period', label: 'Period' },
+      { key: 'payment', label: 'Payment' },
+      { key: 'principal', label: 'Principal' },
+      { key: 'interest', label: 'Interest' },
+      ...(extraCents > 0 ? [{ key: 'extra', label: 'Extra' }] : []),
+      { key: 'balance', label: 'Balance' }
+    ];
+
+    const tables = [{
+      title: 'Amortization schedule',
+      columns,
+      rows: schedule.rows.map(row => [
+        row.period,
+        fromCents(row.paymentCents),
+        fromCents(row.principalCents),
+        fromCents(row.interestCents),
+        ...(extraCents > 0 ? [fromCents(row.extraCents)] : []),
+        fromCents(row.balanceCents)
+      ])
+    }];
+
+    if (loan.periodsPerYear > 1) {
+      tables.push(this.summarizeScheduleByYear(schedule.rows, loan.periodsPerYear));
+    }
+
+    return {
+      values,
+      formula: 'interest = balance × i; principal = payment − interest; balance −= principal',
+      inputs: { principal: loan.principal, periodicRate: roundTo(loan.rate * 100, 6), periods: loan.periods, extraPayment: fromCents(extraCents) },
+      explanation: `${schedule.rows.length} payments of ${formatMoney(paymentCents)}` +
+        `${extraCents > 0 ? ` plus ${formatMoney(extraCents)} extra` : ''}, ` +
+        `${formatMoney(schedule.totalPaidCents - principalCents)} total interest`,
+      tables
+    };
+  }
+
+  /**
+   * Compound interest with optional end-of-period contributions
+   * @param {Object} params - { principal, annual_rate, years, periods_per_year, payment }
+   * @returns {Object} - Calculation result with a yearly growth table
+   */
+  calculateCompoundInterest(params) {
+    const { principal, annual_rate, years, periods_per_year, payment = 0 } = params;
+    const rate = annual_rate / 100 / periods_per_year;
+    const balanceAt = year => principal * growth(rate, year * periods_per_year) +
+      payment * annuityFactor(rate, year * periods_per_year);
+
+    const futureValueCents = toCents(balanceAt(years));
+    const contributionsCents = toCents(principal) + toCents(payment * years * periods_per_year);
+
+    return {
+      values: {
+        futureValue: fromCents(futureValueCents),
+        totalContributions: fromCents(contributionsCents),
+        totalInterest: fromCents(futureValueCents - contributionsCents),
+        effectiveAnnualRate: roundTo((growth(rate, periods_per_year) - 1) * 100, RATE_DECIMALS)
+      },
+      formula: 'FV = P × (1 + i)^n + PMT × ((1 + i)^n − 1) / i',
+      inputs: { principal, annual_rate, years, periods_per_year, payment },
+      explanation: `${formatMoney(toCents(principal))}${payment > 0 ? ` plus ${formatMoney(toCents(payment))} per period` : ''} ` +
+        `grows to ${formatMoney(futureValueCents)} in ${years} years`,
+      tables: [this.buildGrowthTable(years, balanceAt, year => principal + payment * year * periods_per_year)]
+    };
+  }
+
+  /**
+   * Continuously compounded growth
+   * @param {Object} params - { principal, annual_rate, years }
+   * @returns {Object} - Calculation result with a yearly growth table
+   */
+  calculateContinuousInterest(params) {
+    const { principal, annual_rate, years } = params;
+    const rate = annual_rate / 100;
+    const balanceAt = year => principal * Math.exp(rate * year);
+    const futureValueCents = toCents(balanceAt(years));
+
+    return {
+      values: {
+        futureValue: fromCents(futureValueCents),
+        totalInterest: fromCents(futureValueCents - toCents(principal)),
+        effectiveAnnualRate: roundTo((Math.exp(rate) - 1) * 100, RATE_DECIMALS)
+      },
+      formula: 'FV = P × e^(r × t)',
+      inputs: { principal, annual_rate, years },
+      explanation: `${formatMoney(toCents(principal))} grows to ${formatMoney(futureValueCents)} in ${years} years`,
+      tables: [this.buildGrowthTable(years, balanceAt, () => principal)]
+    };
+  }
+
+  /**
+   * Present value of a future amount plus end-of-period payments
+   * @param {Object} params - { future_value, payment, annual_rate, years, periods_per_year }
+   * @returns {Object} - Calculation result
+   */
+  calculatePresentValue(params) {
+    const { future_value = 0, payment = 0, annual_rate, years, periods_per_year } = params;
+    if (future_value === 0 && payment === 0) {
+      return { error: 'Present value needs a future_value and/or a payment' };
+    }
+
+    const rate = annual_rate / 100 / periods_per_year;
+    const periods = years * periods_per_year;
+    const presentValueCents = toCents(
+      future_value / growth(rate, periods) + payment * annuityFactor(rate, periods) / growth(rate, periods)
+    );
+
+    return {
+      values: {
+        presentValue: fromCents(presentValueCents),
+        discount: fromCents(toCents(future_value) + toCents(payment * periods) - presentValueCents)
+      },
+      formula: 'PV = FV / (1 + i)^n + PMT × (1 − (1 + i)^−n) / i',
+      inputs: { future_value, payment, annual_rate, years, periods_per_year },
+      explanation: `Worth ${formatMoney(presentValueCents)} today at ${annual_rate}% a year`
+    };
+  }
+
+  /**
+   * Future value of a present amount plus end-of-period payments
+   * @param {Object} params - { principal, payment, annual_rate, years, periods_per_year }
+   * @returns {Object} - Calculation result
+   */
+  calculateFutureValue(params) {
+    const { principal = 0, payment = 0, annual_rate, years, periods_per_year } = params;
+    if (principal === 0 && payment === 0) {
+      return { error: 'Future value needs a principal and/or a payment' };
+    }
+
+    const rate = annual_rate / 100 / periods_per_year;
+    const periods = years * periods_per_year;
+    const futureValueCents = toCents(principal * growth(rate, periods) + payment * annuityFactor(rate, periods));
+    const contributionsCents = toCents(principal) + toCents(payment * periods);
+
+    return {
+      values: {
+        futureValue: fromCents(futureValueCents),
+        totalContributions: fromCents(contributionsCents),
+        totalInterest: fromCents(futureValueCents - contributionsCents)
+      },
+      formula: 'FV = PV × (1 + i)^n + PMT × ((1 + i)^n − 1) / i',
+      inputs: { principal, payment, annual_rate, years, periods_per_year },
+      explanation: `Worth ${formatMoney(futureValueCents)} after ${years} years at ${annual_rate}% a year`
+    };
+  }
+
+  /**
+   * Net present value; the first cash flow is at time 0 and is not discounted
+   * @param {Object} params - { cash_flows, discount_rate }
+   * @returns {Object} - Calculation result with a discounted cash flow table
+   */
+  calculateNPV(params) {
+    const { cash_flows, discount_rate } = params;
+    const rate = discount_rate / 100;
+    const presentValues = cash_flows.map((cashFlow, period) => toCents(cashFlow / growth(rate, period)));
+    const npvCents = presentValues.reduce((sum, cents) => sum + cents, 0);
+
+    return {
+      values: {
+        npv: fromCents(npvCents),
+        profitable: npvCents > 0
+      },
+      formula: 'NPV = Σ CFₜ / (1 + r)^t',
+      inputs: { cash_flows, discount_rate },
+      explanation: `NPV at ${discount_rate}% per period is ${formatMoney(npvCents)}`,
+      tables: [{
+        title: `Cash flows discounted at ${discount_rate}%`,
+        columns: [
+          { key: 'period', label: 'Period' },
+          { key: 'cashFlow', label: 'Cash flow' },
+          { key: 'discountFactor', label: 'Discount factor' },
+          { key: 'presentValue', label: 'Present value' }
+        ],
+        rows: cash_flows.map((cashFlow, period) => [
+          period,
+          cashFlow,
+          roundTo(1 / growth(rate, period), 6),
+          fromCents(presentValues[period])
+        ])
+      }]
+    };
+  }
+
+  /**
+   * Internal rate of return per cash-flow period
+   * @param {Object} params - { cash_flows }
+   * @returns {Object} - Calculation result
+   */
+  calculateIRR(params) {
+    const { cash_flows } = params;
+    if (!cash_flows.some(cashFlow => cashFlow > 0) || !cash_flows.some(cashFlow => cashFlow < 0)) {
+      return { error: 'IRR needs at least one positive and one negative cash flow' };
+    }
+
+    const npvAt = rate => cash_flows.reduce((sum, cashFlow, period) => sum + cashFlow / growth(rate, period), 0);
+    const rate = findRoot(npvAt, [-0.99, -0.5, -0.2, 0, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 100]);
+
+    if (rate === null) {
+      return { error: 'IRR could not be found: NPV does not cross zero between -99% and 10000% per period' };
+    }
+
+    // More than one sign change means the cash flows can have several IRRs
+    const signChanges = cash_flows
+      .filter(cashFlow => cashFlow !== 0)
+      .filter((cashFlow, index, flows) => index > 0 && Math.sign(cashFlow) !== Math.sign(flows[index - 1]))
+      .length;
+
+    return {
+      values: {
+        irr: roundTo(rate * 100, RATE_DECIMALS),
+        ...(signChanges > 1 ? { warning: 'Cash flows change sign more than once; other IRRs may exist' } : {})
+      },
+      formula: 'Σ CFₜ / (1 + IRR)^t = 0',
+      inputs: { cash_flows },
+      explanation: `IRR is ${roundTo(rate * 100, RATE_DECIMALS)}% per period`
+    };
+  }
+
+  /**
+   * APR: the yearly rate at which the payments repay the amount actually received (principal minus fees)
+   * @param {Object} params - { principal, annual_rate, years, periods_per_year, fees }
+   * @returns {Object} - Calculation result
+   */
+  calculateAPR(params) {
+    const loan = this.describeLoan(params);
+    if (loan.error) return loan;
+
+    const fees = params.fees || 0;
+    if (fees >= loan.principal) {
+      return { error: 'Fees must be less than the principal' };
+    }
+
+    const payment = fromCents(toCents(periodicPayment(loan.principal, loan.rate, loan.periods)));
+    const amountFinanced = loan.principal - fees;
+    const periodicRate = findRoot(
+      rate => payment * annuityFactor(rate, loan.periods) / growth(rate, loan.periods) - amountFinanced,
+      [-0.99, -0.5, 0, 0.001, 0.01, 0.05, 0.1, 0.5, 1, 10]
+    );
+
+    if (periodicRate === null) {
+      return { error: 'APR could not be found for these inputs' };
+    }
+
+    const apr = roundTo(periodicRate * loan.periodsPerYear * 100, RATE_DECIMALS);
+
+    return {
+      values: {
+        apr,
+        noteRate: params.annual_rate,
+        effectiveAnnualRate: roundTo((growth(periodicRate, loan.periodsPerYear) - 1) * 100, RATE_DECIMALS),
+        payment,
+        amountFinanced: roundTo(amountFinanced, 2),
+        financeCharge: fromCents(toCents(payment * loan.periods) - toCents(amountFinanced))
+      },
+      formula: 'amount financed = payment × (1 − (1 + APR/m)^−n) / (APR/m)',
+      inputs: { principal: loan.principal, annual_rate: params.annual_rate, years: params.years, periods_per_year: loan.periodsPerYear, fees },
+      explanation: `APR is ${apr}% on a ${params.annual_rate}% loan with ${formatMoney(toCents(fees))} in fees`
+    };
+  }
+
+  /**
+   * Normalize loan inputs shared by payment, amortization and APR
+   * @param {Object} params - { principal, annual_rate, years, periods_per_year }
+   * @returns {Object} - { principal, rate (per period), periods, periodsPerYear } or { error }
+   */
+  describeLoan(params) {
+    const { principal, annual_rate, years, periods_per_year } = params;
+    const periods = Math.round(years * periods_per_year);
+
+    if (principal <= 0) {
+      return { error: 'Loan principal must be greater than 0' };
+    }
+    if (periods < 1) {
+      return { error: 'The term must cover at least one payment period' };
+    }
+    if (periods > MAX_PERIODS) {
+      return { error: `The term can have at most ${MAX_PERIODS} payment periods` };
+    }
+
+    return {
+      principal,
+      rate: annual_rate / 100 / periods_per_year,
+      periods,
+      periodsPerYear: periods_per_year
+    };
+  }
+
+  /**
+   * Build a schedule in integer cents
+   * @param {Object} loan - Normalized loan
+   * @param {number} paymentCents - Scheduled payment
+   * @param {number} extraCents - Extra principal per period
+   * @returns {Object} - { rows, totalPaidCents }
+   */
+  buildSchedule(loan, paymentCents, extraCents) {
+    const rows = [];
+    let balanceCents = toCents(loan.principal);
+    let totalPaidCents = 0;
+
+    for (let period = 1; period <= loan.periods && balanceCents > 0; period++) {
+      const interestCents = Math.round(balanceCents * loan.rate);
+      let principalCents = paymentCents - interestCents;
+      let extra = Math.min(extraCents, Math.max(balanceCents - principalCents, 0));
+
+      // Pay off whatever is left on the last period or once payments cover the balance
+      if (period === loan.periods || principalCents + extra >= balanceCents) {
+        principalCents = balanceCents;
+        extra = 0;
+      }
+
+      balanceCents -= principalCents + extra;
+      totalPaidCents += interestCents + principalCents + extra;
+
+      rows.push({
+        period,
+        paymentCents: interestCents + principalCents,
+        principalCents,
+        interestCents,
+        extraCents: extra,
+        balanceCents
+      });
+    }
+
+    return { rows, totalPaidCents };
+  }
+
+  /**
+   * Roll schedule rows up into one row per year
+   * @param {Array} rows - Schedule rows
+   * @param {number} periodsPerYear - Payments per year
+   * @returns {Object} - Yearly summary table
+   */
+  summarizeScheduleByYear(rows, periodsPerYear) {
+    const years = [];
+
+    for (const row of rows) {
+      const year = Math.ceil(row.period / periodsPerYear);
+      if (!years[year - 1]) {
+        years[year - 1] = { year, paidCents: 0, principalCents: 0, interestCents: 0, balanceCents: 0 };
+      }
+      const summary = years[year - 1];
+      summary.paidCents += row.paymentCents + row.extraCents;
+      summary.principalCents += row.principalCents + row.extraCents;
+      summary.interestCents += row.interestCents;
+      summary.balanceCents = row.balanceCents;
+    }
+
+    return {
+      title: 'Yearly summary',
+      columns: [
+        { key: 'year', label: 'Year' },
+        { key: 'paid', label: 'Paid' },
+        { key: 'principal', label: 'Principal' },
+        { key: 'interest', label: 'Interest' },
+        { key: 'balance', label: 'Balance' }
+      ],
+      rows: years.map(summary => [
+        summary.year,
+        fromCents(summary.paidCents),
+        fromCents(summary.principalCents),
+        fromCents(summary.interestCents),
+        fromCents(summary.balanceCents)
+      ])
+    };
+  }
+
+  /**
+   * Year-by-year balance table for interest growth
+   * Interest per year is the difference of rounded balances, so the column sums to the total
+   * @param {number} years - Term in years (a partial final year gets its own row)
+   * @param {Function} balanceAt - Balance after a number of years
+   * @param {Function} contributedBy - Total deposited after a number of years
+   * @returns {Object} - Growth table
+   */
+  buildGrowthTable(years, balanceAt, contributedBy) {
+    const points = [];
+    for (let year = 1; year < years && points.length < 100; year++) {
+      points.push(year);
+    }
+    points.push(years);
+
+    let previousBalanceCents = toCents(balanceAt(0));
+    let previousContributedCents = toCents(contributedBy(0));
+
+    const rows = points.map(year => {
+      const balanceCents = toCents(balanceAt(year));
+      const contributedCents = toCents(contributedBy(year));
+      const interestCents = balanceCents - previousBalanceCents - (contributedCents - previousContributedCents);
+
+      previousBalanceCents = balanceCents;
+      previousContributedCents = contributedCents;
+
+      return [roundTo(year, 2), fromCents(contributedCents), fromCents(interestCents), fromCents(balanceCents)];
+    });
+
+    return {
+      title: 'Growth by year',
+      columns: [
+        { key: 'year', label: 'Year' },
+        { key: 'contributed', label: 'Total contributed' },
+        { key: 'interest', label: 'Interest earned' },
+        { key: 'balance', label: 'Balance' }
+      ],
+      rows
+    };
+  }
+
+  /**
+   * Get available operations
+   * @returns {Object} - Available operations with descriptions
+   */
+  getOperations() {
+    return { ...OPERATIONS };
+  }
+}
+
+/**
+ * Round half away from zero at a number of decimals
+ * Shifts through the decimal string form so values like 1.005 round up as written
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} - Rounded value
+ */
+function roundTo(value, decimals) {
+  if (!Number.isFinite(value)) return value;
+
+  const sign = value < 0 ? -1 : 1;
+  const magnitude = Math.abs(value);
+  const shifted = String(magnitude).includes('e')
+    ? magnitude * Math.pow(10, decimals)
+    : Number(`${magnitude}e${decimals}`);
+
+  return sign * Number(`${Math.round(shifted)}e-${decimals}`);
+}
+
+/**
+ * @param {number} amount - Amount in currency units
+ * @returns {number} - Whole cents
+ */
+function toCents(amount) {
+  return Math.round(roundTo(amount, 2) * 100);
+}
+
+/**
+ * @param {number} cents - Whole cents
+ * @returns {number} - Amount in currency units
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * @param {number} cents - Whole cents
+ * @returns {string} - Amount like $1,073.64
+ */
+function formatMoney(cents) {
+  return (cents < 0 ? '-$' : '$') +
+    (Math.abs(cents) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * @param {number} rate - Rate per period
+ * @param {number} periods - Number of periods
+ * @returns {number} - (1 + rate)^periods
+ */
+function growth(rate, periods) {
+  return Math.pow(1 + rate, periods);
+}
+
+/**
+ * Future value of 1 paid at the end of each period
+ * @param {number} rate - Rate per period
+ * @param {number} periods - Number of periods
+ * @returns {number} - ((1 + rate)^periods − 1) / rate
+ */
+function annuityFactor(rate, periods) {
+  return rate === 0 ? periods : (growth(rate, periods) - 1) / rate;
+}
+
+/**
+ * Payment that repays a principal over a number of periods
+ * @param {number} principal - Loan amount
+ * @param {number} rate - Rate per period
+ * @param {number} periods - Number of periods
+ * @returns {number} - Unrounded payment
+ */
+function periodicPayment(principal, rate, periods) {
+  return rate === 0 ? principal / periods : principal * rate / (1 - growth(rate, -periods));
+}
+
+/**
+ * Find a root of a function by bisection between the first pair of guesses that brackets one
+ * @param {Function} fn - Function of the rate
+ * @param {number[]} guesses - Increasing rates to scan for a sign change
+ * @returns {number|null} - Root, or null if no bracket was found
+ */
+function findRoot(fn, guesses) {
+  for (let index = 1; index < guesses.length; index++) {
+    let low = guesses[index - 1];
+    let high = guesses[index];
+    let lowValue = fn(low);
+    const highValue = fn(high);
+
+    // Rates near -100% can overflow; skip brackets that aren't finite on both ends
+    if (!Number.isFinite(lowValue) || !Number.isFinite(highValue)) continue;
+    if (lowValue === 0) return low;
+    if (Math.sign(lowValue) === Math.sign(highValue)) continue;
+
+    for (let iteration = 0; iteration < 200 && high - low > 1e-14; iteration++) {
+      const mid = (low + high) / 2;
+      const midValue = fn(mid);
+      if (Math.sign(midValue) === Math.sign(lowValue)) {
+        low = mid;
+        lowValue = midValue;
+      } else {
+        high = mid;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  return null;
+}
+
+export default FinancialCalculator;
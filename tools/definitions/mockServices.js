@@ -1,21 +1,120 @@
 /**
  * Mock Services - Simulated external services for testing and demonstration
  * Includes WeatherService and FlightService with realistic mock responses
+ *
+ * Modes:
+ * - fixture (default): cities, routes and fares come from a scenario directory of JSON files,
+ *   and anything the scenario doesn't cover is generated from a RNG seeded by the request
+ *   parameters, so the same query always returns the same data
+ * - random: every call draws fresh values from Math.random
+ *
+ * Scenario directory: <fixtures dir>/<scenario>/ with optional cities.json, routes.json and fares.json
+ * (see tools/fixtures/default).
+ *
+ * Environment variables:
+ * - MOCK_SERVICES_MODE: fixture or random (default fixture)
+ * - MOCK_SERVICES_FIXTURES_DIR: fixtures directory (default ./tools/fixtures)
+ * - MOCK_SERVICES_SCENARIO: scenario to load (default "default")
+ * - MOCK_SERVICES_SEED: extra seed value, changes every generated answer while keeping them stable
  */
 
+import { promises as fs } from 'fs';
+import path from 'path';
 import BaseTool from '../base/baseTool.js';
+import { convert } from '../base/units.js';
+import { hashSeed, createSeededRandom, randomInt, pick } from '../base/seededRandom.js';
+import { sleep } from '../../utils/abort.js';
+
+const MOCK_MODES = ['fixture', 'random'];
+const SCENARIO_FILES = ['cities', 'routes', 'fares'];
+
+// scenario directory -> Promise of { cities, routes, fares }
+const scenarioCache = new Map();
+
+/**
+ * Resolve mock service settings from constructor options and the environment
+ * @param {Object} options - { mode, fixturesDir, scenario, seed }
+ * @returns {Object} - Resolved settings
+ */
+function resolveMockSettings(options = {}) {
+  const env = process.env;
+  const mode = (options.mode || env.MOCK_SERVICES_MODE || 'fixture').toLowerCase();
+
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown mock services mode "${mode}". Use one of: ${MOCK_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+    fixturesDir: options.fixturesDir || env.MOCK_SERVICES_FIXTURES_DIR || path.join(process.cwd(), 'tools', 'fixtures'),
+    scenario: options.scenario || env.MOCK_SERVICES_SCENARIO || 'default',
+    seed: options.seed !== undefined ? String(options.seed) : (env.MOCK_SERVICES_SEED || '')
+  };
+}
+
+/**
+ * Load a scenario's fixture files, once per directory
+ * Missing files are treated as empty; unreadable ones are logged and skipped
+ * @param {Object} settings - Resolved mock settings
+ * @returns {Promise<Object>} - { cities, routes, fares }
+ */
+function loadScenario(settings) {
+  const directory = path.resolve(settings.fixturesDir, settings.scenario);
+
+  if (!scenarioCache.has(directory)) {
+    scenarioCache.set(directory, readScenario(directory));
+  }
+
+  return scenarioCache.get(directory);
+}
+
+/**
+ * Read every fixture file in a scenario directory
+ * @param {string} directory - Scenario directory
+ * @returns {Promise<Object>} - { cities, routes, fares }
+ */
+async function readScenario(directory) {
+  const scenario = {};
+  let found = 0;
+
+  for (const name of SCENARIO_FILES) {
+    const file = path.join(directory, `${name}.json`);
+    try {
+      scenario[name] = JSON.parse(await fs.readFile(file, 'utf8'));
+      found++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Mock services: could not load ${file}: ${error.message}`);
+      }
+      scenario[name] = {};
+    }
+  }
+
+  if (found === 0) {
+    console.warn(`⚠️ Mock services: no fixture files in ${directory}, all data will be generated from seeds`);
+  }
+
+  console.log(`🎭 Mock services: loaded scenario ${directory} (${Object.keys(scenario.cities).length} cities, ${Object.keys(scenario.routes).length} routes)`);
+  return scenario;
+}
 
 /**
  * Mock Weather Service Tool
  */
 class WeatherService extends BaseTool {
-  constructor() {
+  /**
+   * @param {Object} options - Mock settings: { mode, fixturesDir, scenario, seed }
+   */
+  constructor(options = {}) {
     super(
       'weather-service',
       'Provides simulated weather information for specified locations',
       'external'
     );
 
+    // Conditions change, so cached readings are only reused for a minute
+    this.cacheTtlMs = 60 * 1000;
+    this.settings = resolveMockSettings(options);
     this.setupParameters();
     this.setupExamples();
     this.setupMockData();
@@ -29,7 +128,9 @@ class WeatherService extends BaseTool {
       'location',
       'string',
       true,
-      'Location name (city, state/country) to get weather for'
+      'Location name (city, state/country) to get weather for',
+      undefined,
+      { minLength: 1 }
     );
 
     this.addParameter(
@@ -37,7 +138,8 @@ class WeatherService extends BaseTool {
       'string',
       false,
       'Temperature units (celsius, fahrenheit, kelvin)',
-      'celsius'
+      'celsius',
+      { enum: ['celsius', 'fahrenheit', 'kelvin'] }
     );
 
     this.addParameter(
@@ -82,7 +184,7 @@ class WeatherService extends BaseTool {
   setupMockData() {
     this.mockWeatherData = {
       'new york': {
-        temperature: { celsius: 22, fahrenheit: 72, kelvin: 295 },
+        temperatureCelsius: 22,
         condition: 'Partly Cloudy',
         humidity: 65,
         windSpeed: 12,
@@ -90,7 +192,7 @@ class WeatherService extends BaseTool {
         visibility: 10
       },
       'london': {
-        temperature: { celsius: 18, fahrenheit: 64, kelvin: 291 },
+        temperatureCelsius: 18,
         condition: 'Rainy',
         humidity: 80,
         windSpeed: 8,
@@ -98,7 +200,7 @@ class WeatherService extends BaseTool {
         visibility: 6
       },
       'tokyo': {
-        temperature: { celsius: 25, fahrenheit: 77, kelvin: 298 },
+        temperatureCelsius: 25,
         condition: 'Sunny',
         humidity: 55,
         windSpeed: 5,
@@ -106,7 +208,7 @@ class WeatherService extends BaseTool {
         visibility: 15
       },
       'sydney': {
-        temperature: { celsius: 20, fahrenheit: 68, kelvin: 293 },
+        temperatureCelsius: 20,
         condition: 'Cloudy',
         humidity: 70,
         windSpeed: 15,
@@ -114,7 +216,7 @@ class WeatherService extends BaseTool {
         visibility: 12
       },
       'paris': {
-        temperature: { celsius: 16, fahrenheit: 61, kelvin: 289 },
+        temperatureCelsius: 16,
         condition: 'Overcast',
         humidity: 75,
         windSpeed: 10,
@@ -129,21 +231,23 @@ class WeatherService extends BaseTool {
   /**
    * Execute weather lookup
    * @param {Object} params - Weather parameters
+   * @param {Object} context - Execution context: { signal: AbortSignal }
    * @returns {Promise<ToolResult>} - Weather result
    */
-  async execute(params) {
+  async execute(params, context = {}) {
     try {
       const preparedParams = this.prepareParameters(params);
       const { location, units, include_forecast } = preparedParams;
 
       // Simulate API delay
-      await this.simulateDelay(200, 800);
+      await this.simulateDelay(200, 800, context.signal);
 
       // Normalize location for lookup
       const normalizedLocation = location.toLowerCase().split(',')[0].trim();
+      const scenario = await this.getScenario();
       
       // Get weather data (mock or generated)
-      const weatherData = this.getWeatherData(normalizedLocation, units);
+      const weatherData = this.getWeatherData(normalizedLocation, units, scenario);
       
       const result = {
         location: location,
@@ -155,12 +259,16 @@ class WeatherService extends BaseTool {
         visibility: weatherData.visibility,
         units: units,
         timestamp: new Date().toISOString(),
-        source: 'Mock Weather Service'
+        source: 'Mock Weather Service',
+        mode: this.settings.mode
       };
 
       // Add forecast if requested
       if (include_forecast) {
-        result.forecast = this.generateForecast(weatherData, units);
+        const fixtureForecast = scenario?.cities[normalizedLocation]?.weather?.forecast;
+        result.forecast = fixtureForecast
+          ? this.fixtureForecast(fixtureForecast, units)
+          : this.generateForecast(weatherData, units, this.createRandom(normalizedLocation, 'forecast'));
       }
 
       return this.createSuccessResult(
@@ -176,18 +284,47 @@ class WeatherService extends BaseTool {
     }
   }
 
+  /**
+   * Switch between fixture and random data
+   * @param {string} mode - fixture or random
+   */
+  setMode(mode) {
+    this.settings = resolveMockSettings({ ...this.settings, mode });
+  }
+
+  /**
+   * Load the configured scenario (fixture mode only)
+   * @returns {Promise<Object|null>} - { cities, routes, fares }, or null in random mode
+   */
+  async getScenario() {
+    return this.settings.mode === 'fixture' ? loadScenario(this.settings) : null;
+  }
+
+  /**
+   * Random source for one request: seeded by its parameters in fixture mode
+   * @param {...*} parts - Values identifying the request
+   * @returns {Function} - () => number in [0, 1)
+   */
+  createRandom(...parts) {
+    if (this.settings.mode === 'random') {
+      return Math.random;
+    }
+    return createSeededRandom(hashSeed(this.name, this.settings.scenario, this.settings.seed, ...parts));
+  }
+
   /**
    * Get weather data for location
    * @param {string} location - Normalized location
    * @param {string} units - Temperature units
+   * @param {Object|null} scenario - Loaded scenario in fixture mode
    * @returns {Object} - Weather data
    */
-  getWeatherData(location, units) {
-    // Check if we have mock data for this location
-    if (this.mockWeatherData[location]) {
-      const data = this.mockWeatherData[location];
+  getWeatherData(location, units, scenario = null) {
+    // Scenario cities take precedence over the built-in table
+    const data = scenario?.cities[location]?.weather || this.mockWeatherData[location];
+    if (data) {
       return {
-        temperature: data.temperature[units] || data.temperature.celsius,
+        temperature: this.convertTemperature(data.temperatureCelsius, units),
         condition: data.condition,
         humidity: data.humidity,
         windSpeed: data.windSpeed,
@@ -196,80 +333,107 @@ class WeatherService extends BaseTool {
       };
     }
 
-    // Generate random weather data for unknown locations
-    return this.generateRandomWeather(units);
+    // Generate weather data for unknown locations
+    return this.generateRandomWeather(units, this.createRandom(location));
   }
 
   /**
    * Generate random weather data
    * @param {string} units - Temperature units
+   * @param {Function} random - Random source (default Math.random)
    * @returns {Object} - Random weather data
    */
-  generateRandomWeather(units) {
-    const baseTemp = Math.floor(Math.random() * 30) + 5; // 5-35°C
-    const condition = this.conditions[Math.floor(Math.random() * this.conditions.length)];
+  generateRandomWeather(units, random = Math.random) {
+    const baseTemp = randomInt(random, 5, 34); // 5-35°C
+    const condition = pick(random, this.conditions);
     
-    let temperature;
-    switch (units) {
-      case 'fahrenheit':
-        temperature = Math.round((baseTemp * 9/5) + 32);
-        break;
-      case 'kelvin':
-        temperature = Math.round(baseTemp + 273.15);
-        break;
-      default:
-        temperature = baseTemp;
-    }
-
     return {
-      temperature,
+      temperature: this.convertTemperature(baseTemp, units),
       condition,
-      humidity: Math.floor(Math.random() * 40) + 40, // 40-80%
-      windSpeed: Math.floor(Math.random() * 20) + 2, // 2-22 km/h
-      pressure: Math.floor(Math.random() * 30) + 1000, // 1000-1030 hPa
-      visibility: Math.floor(Math.random() * 10) + 5 // 5-15 km
+      humidity: randomInt(random, 40, 79), // 40-80%
+      windSpeed: randomInt(random, 2, 21), // 2-22 km/h
+      pressure: randomInt(random, 1000, 1029), // 1000-1030 hPa
+      visibility: randomInt(random, 5, 14) // 5-15 km
     };
   }
 
+  /**
+   * Convert a Celsius reading to the requested units, rounded to whole degrees
+   * @param {number} celsius - Temperature in Celsius
+   * @param {string} units - celsius, fahrenheit or kelvin
+   * @returns {number} - Temperature in the requested units
+   */
+  convertTemperature(celsius, units) {
+    return Math.round(convert(celsius, 'celsius', units || 'celsius'));
+  }
+
   /**
    * Generate 3-day forecast
    * @param {Object} currentWeather - Current weather data
    * @param {string} units - Temperature units
+   * @param {Function} random - Random source (default Math.random)
    * @returns {Array} - Forecast array
    */
-  generateForecast(currentWeather, units) {
+  generateForecast(currentWeather, units, random = Math.random) {
     const forecast = [];
     
     for (let i = 1; i <= 3; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() + i);
-      
       // Vary temperature slightly from current
-      const tempVariation = (Math.random() - 0.5) * 10;
+      const tempVariation = (random() - 0.5) * 10;
       const forecastTemp = Math.round(currentWeather.temperature + tempVariation);
       
       forecast.push({
-        date: date.toISOString().split('T')[0],
+        date: this.forecastDate(i),
         temperature: {
-          high: forecastTemp + Math.floor(Math.random() * 5),
-          low: forecastTemp - Math.floor(Math.random() * 5)
+          high: forecastTemp + randomInt(random, 0, 4),
+          low: forecastTemp - randomInt(random, 0, 4)
         },
-        condition: this.conditions[Math.floor(Math.random() * this.conditions.length)],
-        humidity: Math.floor(Math.random() * 40) + 40
+        condition: pick(random, this.conditions),
+        humidity: randomInt(random, 40, 79)
       });
     }
     
     return forecast;
   }
 
+  /**
+   * Build a forecast from scenario days
+   * @param {Array} days - [{ condition, highCelsius, lowCelsius, humidity }] starting tomorrow
+   * @param {string} units - Temperature units
+   * @returns {Array} - Forecast array
+   */
+  fixtureForecast(days, units) {
+    return days.map((day, index) => ({
+      date: this.forecastDate(index + 1),
+      temperature: {
+        high: this.convertTemperature(day.highCelsius, units),
+        low: this.convertTemperature(day.lowCelsius, units)
+      },
+      condition: day.condition,
+      humidity: day.humidity
+    }));
+  }
+
+  /**
+   * Date a number of days from today
+   * @param {number} daysAhead - Days after today
+   * @returns {string} - Date in YYYY-MM-DD format
+   */
+  forecastDate(daysAhead) {
+    const date = new Date();
+    date.setDate(date.getDate() + daysAhead);
+    return date.toISOString().split('T')[0];
+  }
+
   /**
    * Simulate API delay
    * @param {number} min - Minimum delay in ms
    * @param {number} max - Maximum delay in ms
+   * @param {AbortSignal} signal - Stops the wait early when aborted
    */
-  async simulateDelay(min = 100, max = 500) {
+  async simulateDelay(min = 100, max = 500, signal) {
     const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-    return new Promise(resolve => setTimeout(resolve, delay));
+    return sleep(delay, signal);
   }
 }
 
@@ -277,13 +441,19 @@ class WeatherService extends BaseTool {
  * Mock Flight Service Tool
  */
 class FlightService extends BaseTool {
-  constructor() {
+  /**
+   * @param {Object} options - Mock settings: { mode, fixturesDir, scenario, seed }
+   */
+  constructor(options = {}) {
     super(
       'flight-service',
       'Provides simulated flight search results for specified routes and dates',
       'external'
     );
 
+    // Seat availability and prices move quickly
+    this.cacheTtlMs = 60 * 1000;
+    this.settings = resolveMockSettings(options);
     this.setupParameters();
     this.setupExamples();
     this.setupMockData();
@@ -311,22 +481,27 @@ class FlightService extends BaseTool {
       'date',
       'string',
       true,
-      'Departure date (YYYY-MM-DD format)'
+      'Departure date (YYYY-MM-DD format)',
+      undefined,
+      { pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
     );
 
     this.addParameter(
       'return_date',
       'string',
       false,
-      'Return date for round trip (YYYY-MM-DD format)'
+      'Return date for round trip (YYYY-MM-DD format)',
+      undefined,
+      { pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
     );
 
     this.addParameter(
       'passengers',
-      'number',
+      'integer',
       false,
       'Number of passengers',
-      1
+      1,
+      { minimum: 1, maximum: 9 }
     );
 
     this.addParameter(
@@ -334,7 +509,8 @@ class FlightService extends BaseTool {
       'string',
       false,
       'Travel class (economy, business, first)',
-      'economy'
+      'economy',
+      { enum: ['economy', 'business', 'first'] }
     );
   }
 
@@ -389,15 +565,16 @@ class FlightService extends BaseTool {
   /**
    * Execute flight search
    * @param {Object} params - Flight search parameters
+   * @param {Object} context - Execution context: { signal: AbortSignal }
    * @returns {Promise<ToolResult>} - Flight search result
    */
-  async execute(params) {
+  async execute(params, context = {}) {
     try {
       const preparedParams = this.prepareParameters(params);
       const { from, to, date, return_date, passengers, class: travelClass } = preparedParams;
 
       // Simulate API delay
-      await this.simulateDelay(500, 1500);
+      await this.simulateDelay(500, 1500, context.signal);
 
       // Validate date format
       if (!this.isValidDate(date)) {
@@ -409,11 +586,12 @@ class FlightService extends BaseTool {
       }
 
       // Normalize airport codes
-      const fromAirport = this.normalizeAirport(from);
-      const toAirport = this.normalizeAirport(to);
+      const scenario = await this.getScenario();
+      const fromAirport = this.normalizeAirport(from, scenario);
+      const toAirport = this.normalizeAirport(to, scenario);
 
       // Generate flight results
-      const outboundFlights = this.generateFlights(fromAirport, toAirport, date, travelClass, passengers);
+      const outboundFlights = this.generateFlights(fromAirport, toAirport, date, travelClass, passengers, scenario);
       
       const result = {
         route: `${fromAirport.code} → ${toAirport.code}`,
@@ -424,12 +602,13 @@ class FlightService extends BaseTool {
         class: travelClass,
         flights: outboundFlights,
         searchTimestamp: new Date().toISOString(),
-        source: 'Mock Flight Service'
+        source: 'Mock Flight Service',
+        mode: this.settings.mode
       };
 
       // Add return flights if round trip
       if (return_date) {
-        const returnFlights = this.generateFlights(toAirport, fromAirport, return_date, travelClass, passengers);
+        const returnFlights = this.generateFlights(toAirport, fromAirport, return_date, travelClass, passengers, scenario);
         result.returnDate = return_date;
         result.returnFlights = returnFlights;
         result.route = `${fromAirport.code} ⇄ ${toAirport.code}`;
@@ -451,51 +630,90 @@ class FlightService extends BaseTool {
     }
   }
 
+  /**
+   * Switch between fixture and random data
+   * @param {string} mode - fixture or random
+   */
+  setMode(mode) {
+    this.settings = resolveMockSettings({ ...this.settings, mode });
+  }
+
+  /**
+   * Load the configured scenario (fixture mode only)
+   * @returns {Promise<Object|null>} - { cities, routes, fares }, or null in random mode
+   */
+  async getScenario() {
+    return this.settings.mode === 'fixture' ? loadScenario(this.settings) : null;
+  }
+
+  /**
+   * Random source for one request: seeded by its parameters in fixture mode
+   * @param {...*} parts - Values identifying the request
+   * @returns {Function} - () => number in [0, 1)
+   */
+  createRandom(...parts) {
+    if (this.settings.mode === 'random') {
+      return Math.random;
+    }
+    return createSeededRandom(hashSeed(this.name, this.settings.scenario, this.settings.seed, ...parts));
+  }
+
   /**
    * Generate mock flights
+   * Scenario routes with a flight list are returned as-is; other routes are generated
+   * from a random source seeded by route, date and class (passengers only scale the price)
    * @param {Object} from - Departure airport
    * @param {Object} to - Destination airport
    * @param {string} date - Flight date
    * @param {string} travelClass - Travel class
    * @param {number} passengers - Number of passengers
+   * @param {Object|null} scenario - Loaded scenario in fixture mode
    * @returns {Array} - Array of flight options
    */
-  generateFlights(from, to, date, travelClass, passengers) {
+  generateFlights(from, to, date, travelClass, passengers, scenario = null) {
+    const route = scenario?.routes[`${from.code}-${to.code}`];
+    const fare = this.findFare(from.code, to.code, travelClass, scenario);
+
+    if (route?.flights) {
+      return this.fixtureFlights(from, to, route, fare, travelClass, passengers, scenario.fares.currency);
+    }
+
+    const random = this.createRandom(from.code, to.code, date, travelClass);
     const flights = [];
-    const flightCount = Math.floor(Math.random() * 5) + 3; // 3-7 flights
+    const flightCount = randomInt(random, 3, 7);
 
     for (let i = 0; i < flightCount; i++) {
-      const departure = this.generateTime();
-      const duration = this.calculateFlightDuration(from.code, to.code);
+      const departure = this.generateTime(random);
+      const duration = route?.durationMinutes || this.calculateFlightDuration(from.code, to.code, random);
       const arrival = this.addMinutesToTime(departure, duration);
       
-      const basePrice = this.calculateBasePrice(from.code, to.code, travelClass);
-      const priceVariation = (Math.random() - 0.5) * 200;
+      const basePrice = fare ?? this.calculateBasePrice(from.code, to.code, travelClass);
+      const priceVariation = (random() - 0.5) * 200;
       const price = Math.round(basePrice + priceVariation);
 
       flights.push({
-        flightNumber: this.generateFlightNumber(),
-        airline: this.airlines[Math.floor(Math.random() * this.airlines.length)],
-        aircraft: this.aircraftTypes[Math.floor(Math.random() * this.aircraftTypes.length)],
+        flightNumber: this.generateFlightNumber(random),
+        airline: pick(random, this.airlines),
+        aircraft: pick(random, this.aircraftTypes),
         departure: {
           time: departure,
           airport: from.code,
-          terminal: Math.floor(Math.random() * 4) + 1
+          terminal: randomInt(random, 1, 4)
         },
         arrival: {
           time: arrival,
           airport: to.code,
-          terminal: Math.floor(Math.random() * 4) + 1
+          terminal: randomInt(random, 1, 4)
         },
-        duration: `${Math.floor(duration / 60)}h ${duration % 60}m`,
+        duration: this.formatDuration(duration),
         price: {
           amount: price * passengers,
-          currency: 'USD',
+          currency: scenario?.fares.currency || 'USD',
           perPerson: price
         },
         class: travelClass,
-        stops: Math.random() > 0.7 ? 1 : 0, // 30% chance of 1 stop
-        availableSeats: Math.floor(Math.random() * 50) + 10
+        stops: random() > 0.7 ? 1 : 0, // 30% chance of 1 stop
+        availableSeats: randomInt(random, 10, 59)
       });
     }
 
@@ -503,13 +721,96 @@ class FlightService extends BaseTool {
     return flights.sort((a, b) => a.price.amount - b.price.amount);
   }
 
+  /**
+   * Turn a scenario route's flight list into results
+   * @param {Object} from - Departure airport
+   * @param {Object} to - Destination airport
+   * @param {Object} route - { durationMinutes, flights: [{ flightNumber, airline, aircraft, departure, terminals, stops, availableSeats, fareOffset }] }
+   * @param {number|undefined} fare - Scenario fare for the route and class
+   * @param {string} travelClass - Travel class
+   * @param {number} passengers - Number of passengers
+   * @param {string} currency - Fare currency (default USD)
+   * @returns {Array} - Array of flight options, cheapest first
+   */
+  fixtureFlights(from, to, route, fare, travelClass, passengers, currency = 'USD') {
+    const basePrice = fare ?? this.calculateBasePrice(from.code, to.code, travelClass);
+    const duration = route.durationMinutes
+      || this.calculateFlightDuration(from.code, to.code, this.createRandom(from.code, to.code));
+
+    const flights = route.flights.map(flight => {
+      const price = Math.round(basePrice + (flight.fareOffset || 0));
+      const [departureTerminal, arrivalTerminal] = flight.terminals || [1, 1];
+
+      return {
+        flightNumber: flight.flightNumber,
+        airline: flight.airline,
+        aircraft: flight.aircraft,
+        departure: {
+          time: flight.departure,
+          airport: from.code,
+          terminal: departureTerminal
+        },
+        arrival: {
+          time: this.addMinutesToTime(flight.departure, duration),
+          airport: to.code,
+          terminal: arrivalTerminal
+        },
+        duration: this.formatDuration(duration),
+        price: {
+          amount: price * passengers,
+          currency: currency || 'USD',
+          perPerson: price
+        },
+        class: travelClass,
+        stops: flight.stops || 0,
+        availableSeats: flight.availableSeats
+      };
+    });
+
+    return flights.sort((a, b) => a.price.amount - b.price.amount);
+  }
+
+  /**
+   * Look up a scenario fare, in either direction of the route
+   * A class without its own fare is priced from economy with the scenario's class multipliers
+   * @param {string} from - Departure airport code
+   * @param {string} to - Destination airport code
+   * @param {string} travelClass - Travel class
+   * @param {Object|null} scenario - Loaded scenario in fixture mode
+   * @returns {number|undefined} - Per-person fare, or undefined when the scenario has none
+   */
+  findFare(from, to, travelClass, scenario) {
+    const fares = scenario?.fares;
+    const routeFares = fares?.routes?.[`${from}-${to}`] || fares?.routes?.[`${to}-${from}`];
+    if (!routeFares) {
+      return undefined;
+    }
+
+    if (routeFares[travelClass] !== undefined) {
+      return routeFares[travelClass];
+    }
+
+    const multiplier = fares.classMultipliers?.[travelClass];
+    return routeFares.economy !== undefined && multiplier !== undefined
+      ? routeFares.economy * multiplier
+      : undefined;
+  }
+
   /**
    * Normalize airport input to airport object
    * @param {string} input - Airport code or city name
+   * @param {Object|null} scenario - Loaded scenario in fixture mode
    * @returns {Object} - Airport object
    */
-  normalizeAirport(input) {
+  normalizeAirport(input, scenario = null) {
     const normalized = input.toLowerCase().trim();
+
+    // Scenario cities match by city name or airport code
+    for (const [key, city] of Object.entries(scenario?.cities || {})) {
+      if (city.airport && (key === normalized || city.airport.code.toLowerCase() === normalized)) {
+        return { code: city.airport.code, name: city.airport.name, city: city.name || key };
+      }
+    }
     
     // Check if it's a known airport code or city
     if (this.airports[normalized]) {
@@ -533,11 +834,12 @@ class FlightService extends BaseTool {
 
   /**
    * Generate random flight time
+   * @param {Function} random - Random source (default Math.random)
    * @returns {string} - Time in HH:MM format
    */
-  generateTime() {
-    const hour = Math.floor(Math.random() * 24);
-    const minute = Math.floor(Math.random() * 4) * 15; // 0, 15, 30, 45
+  generateTime(random = Math.random) {
+    const hour = randomInt(random, 0, 23);
+    const minute = randomInt(random, 0, 3) * 15; // 0, 15, 30, 45
     return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
   }
 
@@ -545,9 +847,10 @@ class FlightService extends BaseTool {
    * Calculate flight duration based on route
    * @param {string} from - Departure airport code
    * @param {string} to - Destination airport code
-   * @returns {number} - Duration in minutes
+   * @param {Function} random - Random source (default Math.random)
+   * @returns {number} - Duration in whole minutes
    */
-  calculateFlightDuration(from, to) {
+  calculateFlightDuration(from, to, random = Math.random) {
     // Mock duration calculation based on common routes
     const routeDurations = {
       'JFK-LAX': 360, 'LAX-JFK': 300,
@@ -558,11 +861,20 @@ class FlightService extends BaseTool {
 
     const route = `${from}-${to}`;
     if (routeDurations[route]) {
-      return routeDurations[route] + (Math.random() - 0.5) * 60; // ±30 min variation
+      return Math.round(routeDurations[route] + (random() - 0.5) * 60); // ±30 min variation
     }
 
     // Default duration for unknown routes
-    return Math.floor(Math.random() * 480) + 120; // 2-10 hours
+    return randomInt(random, 120, 599); // 2-10 hours
+  }
+
+  /**
+   * Format a duration in minutes
+   * @param {number} minutes - Duration in minutes
+   * @returns {string} - e.g. "6h 0m"
+   */
+  formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
   }
 
   /**
@@ -607,13 +919,13 @@ class FlightService extends BaseTool {
 
   /**
    * Generate flight number
+   * @param {Function} random - Random source (default Math.random)
    * @returns {string} - Flight number
    */
-  generateFlightNumber() {
+  generateFlightNumber(random = Math.random) {
     const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    const airline = letters[Math.floor(Math.random() * letters.length)] + 
-                   letters[Math.floor(Math.random() * letters.length)];
-    const number = Math.floor(Math.random() * 9000) + 1000;
+    const airline = pick(random, letters) + pick(random, letters);
+    const number = randomInt(random, 1000, 9999);
     return `${airline}${number}`;
   }
 
@@ -634,10 +946,11 @@ class FlightService extends BaseTool {
    * Simulate API delay
    * @param {number} min - Minimum delay in ms
    * @param {number} max - Maximum delay in ms
+   * @param {AbortSignal} signal - Stops the wait early when aborted
    */
-  async simulateDelay(min = 100, max = 500) {
+  async simulateDelay(min = 100, max = 500, signal) {
     const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-    return new Promise(resolve => setTimeout(resolve, delay));
+    return sleep(delay, signal);
   }
 }
 
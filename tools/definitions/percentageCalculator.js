@@ -26,21 +26,24 @@ class PercentageCalculator extends BaseTool {
       'string',
       true,
       'Type of percentage operation (percentage_of, percentage_increase, percentage_decrease, what_percentage)',
-      'percentage_of'
+      'percentage_of',
+      { enum: Object.keys(this.getOperations()) }
     );
 
     this.addParameter(
       'value',
       'number',
-      true,
-      'The primary value for calculation'
+      false,
+      'The primary value for calculation (required for what_percentage and percentage_of operations)'
     );
 
     this.addParameter(
       'total',
       'number',
       false,
-      'The total value (required for what_percentage operation)'
+      'The total value (required for what_percentage operation)',
+      undefined,
+      { not: { const: 0 } }
     );
 
     this.addParameter(
@@ -54,7 +57,9 @@ class PercentageCalculator extends BaseTool {
       'original_value',
       'number',
       false,
-      'The original value (required for percentage_increase/decrease operations)'
+      'The original value (required for percentage_increase/decrease operations)',
+      undefined,
+      { not: { const: 0 } }
     );
 
     this.addParameter(
@@ -66,11 +71,16 @@ class PercentageCalculator extends BaseTool {
 
     this.addParameter(
       'precision',
-      'number',
+      'integer',
       false,
       'Number of decimal places for result (default: 2)',
-      2
+      2,
+      { minimum: 0, maximum: 10 }
     );
+
+    this.addConditionalRequirement({ operation: 'what_percentage' }, ['value', 'total']);
+    this.addConditionalRequirement({ operation: 'percentage_of' }, ['percentage', 'value']);
+    this.addConditionalRequirement({ operation: ['percentage_increase', 'percentage_decrease'] }, ['original_value', 'new_value']);
   }
 
   /**
@@ -287,52 +297,6 @@ class PercentageCalculator extends BaseTool {
     };
   }
 
-  /**
-   * Validate operation-specific parameters
-   * @param {Object} params - Parameters to validate
-   * @returns {boolean} - Whether parameters are valid for the operation
-   */
-  validate(params) {
-    // First run base validation
-    if (!super.validate(params)) {
-      return false;
-    }
-
-    const { operation } = params;
-    if (!operation) {
-      console.error('Operation parameter is required');
-      return false;
-    }
-
-    // Operation-specific validation
-    switch (operation) {
-      case 'what_percentage':
-        if (params.value === undefined || params.total === undefined) {
-          console.error('What percentage operation requires value and total parameters');
-          return false;
-        }
-        break;
-      case 'percentage_of':
-        if (params.percentage === undefined || params.value === undefined) {
-          console.error('Percentage of operation requires percentage and value parameters');
-          return false;
-        }
-        break;
-      case 'percentage_increase':
-      case 'percentage_decrease':
-        if (params.original_value === undefined || params.new_value === undefined) {
-          console.error('Percentage change operations require original_value and new_value parameters');
-          return false;
-        }
-        break;
-      default:
-        console.error(`Unsupported operation: ${operation}`);
-        return false;
-    }
-
-    return true;
-  }
-
   /**
    * Get calculation formulas
    * @returns {Object} - Available formulas
@@ -0,0 +1,834 @@
+/**
+ * Statistics Tool - Descriptive statistics and simple data analysis for lists of numbers
+ *
+ * Covers mean, median, mode, variance, standard deviation, quartiles, percentiles, z-scores,
+ * Pearson correlation, least-squares linear regression and histograms.
+ * Tables use the { title, columns: [{ key, label }], rows } shape of the table primitive and charts the
+ * { title, chartType, labels, series: [{ name, values }], xLabel, yLabel } shape of the chart primitive.
+ */
+
+import BaseTool from '../base/baseTool.js';
+
+const OPERATIONS = {
+  describe: 'Summary statistics: count, sum, mean, median, mode, min, max, range, variance, standard deviation and quartiles',
+  mean: 'Arithmetic mean (average)',
+  median: 'Middle value',
+  mode: 'Most frequent value(s)',
+  variance: 'Variance',
+  std_dev: 'Standard deviation',
+  quartiles: 'Q1, median, Q3 and interquartile range, with outliers beyond 1.5 × IQR',
+  percentile: 'Value at one or more percentiles',
+  zscore: 'Z-scores of every value, or of one value against the data',
+  correlation: 'Pearson correlation between data and y_data',
+  regression: 'Least-squares line through (data, y_data), or through the data in order when y_data is omitted',
+  histogram: 'Counts of values in equal-width bins'
+};
+
+const MAX_VALUES = 10000;
+const MAX_BINS = 50;
+
+class StatisticsCalculator extends BaseTool {
+  constructor() {
+    super(
+      'statistics',
+      'Statistics and data analysis for a list of numbers: mean, median, mode, variance, standard deviation, ' +
+      'quartiles, percentiles, z-scores, correlation, linear regression (trends) and histograms. ' +
+      'Numbers can be an array or pasted text like "3, 5, 8 13"; results include tables and charts',
+      'math'
+    );
+
+    this.setupParameters();
+    this.setupExamples();
+  }
+
+  /**
+   * Setup tool parameters
+   */
+  setupParameters() {
+    this.addParameter(
+      'operation',
+      'string',
+      false,
+      `Calculation to perform (${Object.keys(OPERATIONS).join(', ')}); defaults to describe`,
+      'describe',
+      { enum: Object.keys(OPERATIONS) }
+    );
+
+    this.addParameter(
+      'data',
+      ['array', 'string'],
+      true,
+      'The numbers to analyze, as an array or as text separated by commas, spaces or new lines ' +
+      '(x values for correlation and regression)',
+      undefined,
+      { items: { type: 'number' }, minItems: 1, maxItems: MAX_VALUES, minLength: 1 }
+    );
+
+    this.addParameter(
+      'y_data',
+      ['array', 'string'],
+      false,
+      'Paired y values for correlation and regression, same length as data',
+      undefined,
+      { items: { type: 'number' }, minItems: 2, maxItems: MAX_VALUES, minLength: 1 }
+    );
+
+    this.addParameter(
+      'sample',
+      'boolean',
+      false,
+      'Treat the data as a sample (divide by n − 1) rather than a whole population (divide by n)',
+      true
+    );
+
+    this.addParameter(
+      'percentile',
+      ['number', 'array'],
+      false,
+      'Percentile(s) from 0 to 100 for the percentile operation, e.g. 90 or [10, 50, 90]',
+      undefined,
+      { minimum: 0, maximum: 100, items: { type: 'number', minimum: 0, maximum: 100 }, minItems: 1 }
+    );
+
+    this.addParameter(
+      'value',
+      'number',
+      false,
+      'A single value to score against the data (zscore)'
+    );
+
+    this.addParameter(
+      'predict_at',
+      'number',
+      false,
+      'An x value to predict y at using the fitted line (regression)'
+    );
+
+    this.addParameter(
+      'bins',
+      'integer',
+      false,
+      'Number of histogram bins (default: Sturges\' rule, 1 + log₂ n)',
+      undefined,
+      { minimum: 1, maximum: MAX_BINS }
+    );
+
+    this.addParameter(
+      'precision',
+      'integer',
+      false,
+      'Number of decimal places for results (default: 4)',
+      4,
+      { minimum: 0, maximum: 10 }
+    );
+
+    this.addConditionalRequirement({ operation: 'correlation' }, ['y_data']);
+    this.addConditionalRequirement({ operation: 'percentile' }, ['percentile']);
+  }
+
+  /**
+   * Setup usage examples
+   */
+  setupExamples() {
+    this.addExample(
+      'Summary statistics of test scores',
+      { operation: 'describe', data: [72, 85, 90, 66, 85, 78, 95] },
+      { result: { count: 7, mean: 81.5714, median: 85, mode: [85], standardDeviation: 10.1793 } }
+    );
+
+    this.addExample(
+      'The 90th percentile of pasted response times',
+      { operation: 'percentile', data: '120, 135, 150, 180, 210, 260, 400', percentile: 90 },
+      { result: { percentiles: [{ percentile: 90, value: 316 }] } }
+    );
+
+    this.addExample(
+      'Trend of monthly sales',
+      { operation: 'regression', data: [10, 12, 15, 15, 19], predict_at: 6 },
+      { result: { slope: 2.1, intercept: 7.9, rSquared: 0.9423, equation: 'y = 2.1x + 7.9', prediction: 20.5 } }
+    );
+  }
+
+  /**
+   * Execute a statistics calculation
+   * @param {Object} params - Calculation parameters
+   * @returns {Promise<ToolResult>} - Result values, formula, explanation, tables and charts
+   */
+  async execute(params) {
+    try {
+      const preparedParams = this.prepareParameters(params);
+      const { operation } = preparedParams;
+
+      if (!OPERATIONS[operation]) {
+        return this.createErrorResult(
+          `Invalid operation '${operation}'. Supported operations: ${Object.keys(OPERATIONS).join(', ')}`
+        );
+      }
+
+      const data = parseNumbers(preparedParams.data, 'data');
+      if (data.error) {
+        return this.createErrorResult(data.error);
+      }
+
+      let yData = null;
+      if (preparedParams.y_data !== undefined && preparedParams.y_data !== null) {
+        yData = parseNumbers(preparedParams.y_data, 'y_data');
+        if (yData.error) {
+          return this.createErrorResult(yData.error);
+        }
+      }
+
+      const context = { ...preparedParams, values: data.values, yValues: yData ? yData.values : null };
+      let result;
+
+      switch (operation) {
+        case 'describe':
+          result = this.calculateDescribe(context);
+          break;
+        case 'mean':
+        case 'median':
+        case 'mode':
+        case 'variance':
+        case 'std_dev':
+          result = this.calculateSingle(context);
+          break;
+        case 'quartiles':
+          result = this.calculateQuartiles(context);
+          break;
+        case 'percentile':
+          result = this.calculatePercentiles(context);
+          break;
+        case 'zscore':
+          result = this.calculateZScores(context);
+          break;
+        case 'correlation':
+          result = this.calculateCorrelation(context);
+          break;
+        case 'regression':
+          result = this.calculateRegression(context);
+          break;
+        case 'histogram':
+          result = this.calculateHistogram(context);
+          break;
+      }
+
+      if (result.error) {
+        return this.createErrorResult(result.error);
+      }
+
+      return this.createSuccessResult(
+        {
+          operation,
+          result: result.values,
+          formula: result.formula,
+          count: data.values.length,
+          explanation: result.explanation,
+          tables: result.tables || [],
+          charts: result.charts || []
+        },
+        `Successfully calculated ${operation}: ${result.explanation}`
+      );
+
+    } catch (error) {
+      return this.createErrorResult(
+        `Statistics calculation failed: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Summary statistics with a table of every measure
+   * @param {Object} params - { values, sample, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateDescribe(params) {
+    const { values, sample, precision } = params;
+    const summary = summarize(values, sample);
+    const round = value => roundTo(value, precision);
+    const spread = summary.variance === null
+      ? 'standard deviation needs at least 2 values for a sample'
+      : `standard deviation ${round(summary.standardDeviation)}`;
+
+    const result = {
+      count: summary.count,
+      sum: round(summary.sum),
+      mean: round(summary.mean),
+      median: round(summary.median),
+      mode: summary.mode.map(round),
+      min: summary.min,
+      max: summary.max,
+      range: round(summary.max - summary.min),
+      variance: summary.variance === null ? null : round(summary.variance),
+      standardDeviation: summary.variance === null ? null : round(summary.standardDeviation),
+      q1: round(summary.q1),
+      q3: round(summary.q3),
+      iqr: round(summary.q3 - summary.q1)
+    };
+
+    const rows = [
+      ['Count', result.count],
+      ['Sum', result.sum],
+      ['Mean', result.mean],
+      ['Median', result.median],
+      ['Mode', result.mode.length > 0 ? result.mode.join(', ') : 'none (no value repeats)'],
+      ['Minimum', result.min],
+      ['Maximum', result.max],
+      ['Range', result.range],
+      [`Variance (${sample ? 'sample' : 'population'})`, result.variance ?? 'n/a'],
+      [`Standard deviation (${sample ? 'sample' : 'population'})`, result.standardDeviation ?? 'n/a'],
+      ['Q1 (25th percentile)', result.q1],
+      ['Q3 (75th percentile)', result.q3],
+      ['Interquartile range', result.iqr]
+    ];
+
+    return {
+      values: result,
+      formula: `mean = Σx / n; ${varianceFormula(sample)}`,
+      explanation: `${result.count} values with mean ${result.mean}, median ${result.median} and ${spread}`,
+      tables: [{
+        title: 'Summary statistics',
+        columns: [
+          { key: 'statistic', label: 'Statistic' },
+          { key: 'value', label: 'Value' }
+        ],
+        rows
+      }]
+    };
+  }
+
+  /**
+   * One summary measure: mean, median, mode, variance or standard deviation
+   * @param {Object} params - { operation, values, sample, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateSingle(params) {
+    const { operation, values, sample, precision } = params;
+    const summary = summarize(values, sample);
+    const round = value => roundTo(value, precision);
+    const kind = sample ? 'sample' : 'population';
+
+    if ((operation === 'variance' || operation === 'std_dev') && summary.variance === null) {
+      return { error: `The ${kind} ${operation === 'variance' ? 'variance' : 'standard deviation'} needs at least 2 values` };
+    }
+
+    switch (operation) {
+      case 'mean':
+        return {
+          values: { mean: round(summary.mean), sum: round(summary.sum), count: summary.count },
+          formula: 'mean = Σx / n',
+          explanation: `The mean of ${summary.count} values is ${round(summary.mean)}`
+        };
+      case 'median':
+        return {
+          values: { median: round(summary.median) },
+          formula: 'middle value of the sorted data (average of the two middle values when n is even)',
+          explanation: `The median of ${summary.count} values is ${round(summary.median)}`
+        };
+      case 'mode':
+        return {
+          values: { mode: summary.mode.map(round), frequency: summary.modeFrequency },
+          formula: 'most frequent value(s)',
+          explanation: summary.mode.length > 0
+            ? `The mode is ${summary.mode.map(round).join(', ')} (${summary.modeFrequency} occurrences)`
+            : 'There is no mode: no value occurs more than once'
+        };
+      case 'variance':
+        return {
+          values: { variance: round(summary.variance), sample },
+          formula: varianceFormula(sample),
+          explanation: `The ${kind} variance is ${round(summary.variance)}`
+        };
+      default:
+        return {
+          values: { standardDeviation: round(summary.standardDeviation), variance: round(summary.variance), sample },
+          formula: `s = √variance, ${varianceFormula(sample)}`,
+          explanation: `The ${kind} standard deviation is ${round(summary.standardDeviation)}`
+        };
+    }
+  }
+
+  /**
+   * Quartiles, interquartile range and outliers
+   * @param {Object} params - { values, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateQuartiles(params) {
+    const { values, precision } = params;
+    const sorted = sortAscending(values);
+    const round = value => roundTo(value, precision);
+    const q1 = percentileOf(sorted, 25);
+    const median = percentileOf(sorted, 50);
+    const q3 = percentileOf(sorted, 75);
+    const iqr = q3 - q1;
+    const lowerFence = q1 - 1.5 * iqr;
+    const upperFence = q3 + 1.5 * iqr;
+    const outliers = values.filter(value => value < lowerFence || value > upperFence);
+
+    return {
+      values: {
+        q1: round(q1),
+        median: round(median),
+        q3: round(q3),
+        iqr: round(iqr),
+        lowerFence: round(lowerFence),
+        upperFence: round(upperFence),
+        outliers
+      },
+      formula: 'Qₖ = value at the k × 25th percentile (linear interpolation); IQR = Q3 − Q1; outliers lie beyond 1.5 × IQR',
+      explanation: `Q1 ${round(q1)}, median ${round(median)}, Q3 ${round(q3)} (IQR ${round(iqr)}); ` +
+        (outliers.length > 0 ? `outliers: ${outliers.join(', ')}` : 'no outliers'),
+      tables: [{
+        title: 'Quartiles',
+        columns: [
+          { key: 'statistic', label: 'Statistic' },
+          { key: 'value', label: 'Value' }
+        ],
+        rows: [
+          ['Minimum', sorted[0]],
+          ['Q1', round(q1)],
+          ['Median', round(median)],
+          ['Q3', round(q3)],
+          ['Maximum', sorted[sorted.length - 1]],
+          ['Interquartile range', round(iqr)],
+          ['Outliers', outliers.length > 0 ? outliers.join(', ') : 'none']
+        ]
+      }]
+    };
+  }
+
+  /**
+   * Values at the requested percentiles
+   * @param {Object} params - { values, percentile, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculatePercentiles(params) {
+    const { values, precision } = params;
+    const requested = Array.isArray(params.percentile) ? params.percentile : [params.percentile];
+    const sorted = sortAscending(values);
+    const percentiles = requested.map(percentile => ({
+      percentile,
+      value: roundTo(percentileOf(sorted, percentile), precision)
+    }));
+
+    return {
+      values: { percentiles },
+      formula: 'Pₖ = x₍ₗ₎ + (h − l)(x₍ₗ₊₁₎ − x₍ₗ₎), h = (n − 1) × k / 100, l = ⌊h⌋ (linear interpolation)',
+      explanation: percentiles.map(({ percentile, value }) => `P${percentile} = ${value}`).join(', '),
+      tables: [{
+        title: 'Percentiles',
+        columns: [
+          { key: 'percentile', label: 'Percentile' },
+          { key: 'value', label: 'Value' }
+        ],
+        rows: percentiles.map(({ percentile, value }) => [percentile, value])
+      }]
+    };
+  }
+
+  /**
+   * Z-scores of the data, or of one value against the data
+   * @param {Object} params - { values, value, sample, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateZScores(params) {
+    const { values, value, sample, precision } = params;
+    const summary = summarize(values, sample);
+
+    if (summary.variance === null || summary.standardDeviation === 0) {
+      return { error: 'Z-scores need at least 2 values that are not all the same' };
+    }
+
+    const score = x => roundTo((x - summary.mean) / summary.standardDeviation, precision);
+    const base = {
+      mean: roundTo(summary.mean, precision),
+      standardDeviation: roundTo(summary.standardDeviation, precision)
+    };
+    const formula = `z = (x − mean) / s, with the ${sample ? 'sample' : 'population'} standard deviation`;
+
+    if (value !== undefined && value !== null) {
+      const z = score(value);
+      return {
+        values: { value, zScore: z, ...base },
+        formula,
+        explanation: `${value} is ${Math.abs(z)} standard deviations ${z >= 0 ? 'above' : 'below'} the mean of ${base.mean}`
+      };
+    }
+
+    const scores = values.map(score);
+    const labels = values.map((x, index) => `#${index + 1}`);
+
+    return {
+      values: { zScores: scores, ...base },
+      formula,
+      explanation: `Z-scores of ${values.length} values around mean ${base.mean} and standard deviation ${base.standardDeviation}`,
+      tables: [{
+        title: 'Z-scores',
+        columns: [
+          { key: 'index', label: '#' },
+          { key: 'value', label: 'Value' },
+          { key: 'zScore', label: 'Z-score' }
+        ],
+        rows: values.map((x, index) => [index + 1, x, scores[index]])
+      }],
+      charts: [{
+        title: 'Z-scores',
+        chartType: 'bar',
+        labels,
+        series: [{ name: 'Z-score', values: scores }],
+        xLabel: 'Value',
+        yLabel: 'Z-score'
+      }]
+    };
+  }
+
+  /**
+   * Pearson correlation between data and y_data
+   * @param {Object} params - { values, yValues, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateCorrelation(params) {
+    const { values, yValues, precision } = params;
+    const paired = checkPairs(values, yValues);
+    if (paired.error) {
+      return paired;
+    }
+
+    if (yValues.every(y => y === yValues[0])) {
+      return { error: 'The y values are all the same, so correlation is undefined' };
+    }
+
+    const { r, covariance } = pearson(values, yValues);
+    const rounded = roundTo(r, precision);
+
+    return {
+      values: {
+        r: rounded,
+        rSquared: roundTo(r * r, precision),
+        covariance: roundTo(covariance, precision),
+        n: values.length,
+        strength: describeCorrelation(r)
+      },
+      formula: 'r = Σ(x − x̄)(y − ȳ) / √(Σ(x − x̄)² × Σ(y − ȳ)²)',
+      explanation: `r = ${rounded}: ${describeCorrelation(r)}`
+    };
+  }
+
+  /**
+   * Least-squares regression line, with fitted values and residuals
+   * Without y_data the data are the y values and x is their position (1, 2, 3, ...)
+   * @param {Object} params - { values, yValues, predict_at, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateRegression(params) {
+    const { predict_at, precision } = params;
+    const xValues = params.yValues ? params.values : params.values.map((value, index) => index + 1);
+    const yValues = params.yValues || params.values;
+
+    const paired = checkPairs(xValues, yValues);
+    if (paired.error) {
+      return paired;
+    }
+
+    const xMean = mean(xValues);
+    const yMean = mean(yValues);
+    const sxy = xValues.reduce((sum, x, index) => sum + (x - xMean) * (yValues[index] - yMean), 0);
+    const sxx = xValues.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+    const syy = yValues.reduce((sum, y) => sum + (y - yMean) ** 2, 0);
+
+    const slope = sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+    const fit = x => intercept + slope * x;
+
+    const roundedSlope = roundTo(slope, precision);
+    const roundedIntercept = roundTo(intercept, precision);
+    const equation = `y = ${roundedSlope}x ${roundedIntercept < 0 ? '−' : '+'} ${Math.abs(roundedIntercept)}`;
+
+    const result = {
+      slope: roundedSlope,
+      intercept: roundedIntercept,
+      rSquared: roundTo(rSquared, precision),
+      equation,
+      n: xValues.length
+    };
+
+    if (predict_at !== undefined && predict_at !== null) {
+      result.prediction = roundTo(fit(predict_at), precision);
+    }
+
+    const order = xValues.map((x, index) => index).sort((a, b) => xValues[a] - xValues[b]);
+    const trend = slope > 0 ? 'rising' : slope < 0 ? 'falling' : 'flat';
+
+    return {
+      values: result,
+      formula: 'slope = Σ(x − x̄)(y − ȳ) / Σ(x − x̄)², intercept = ȳ − slope × x̄',
+      explanation: `${equation} (R² = ${result.rSquared}), a ${trend} trend of ${Math.abs(roundedSlope)} per step in x` +
+        (result.prediction !== undefined ? `; predicted y at x = ${predict_at} is ${result.prediction}` : ''),
+      tables: [{
+        title: 'Fitted values',
+        columns: [
+          { key: 'x', label: 'x' },
+          { key: 'y', label: 'y' },
+          { key: 'fitted', label: 'Fitted' },
+          { key: 'residual', label: 'Residual' }
+        ],
+        rows: order.map(index => [
+          xValues[index],
+          yValues[index],
+          roundTo(fit(xValues[index]), precision),
+          roundTo(yValues[index] - fit(xValues[index]), precision)
+        ])
+      }],
+      charts: [{
+        title: equation,
+        chartType: 'line',
+        labels: order.map(index => String(xValues[index])),
+        series: [
+          { name: 'Data', values: order.map(index => yValues[index]) },
+          { name: 'Trend line', values: order.map(index => roundTo(fit(xValues[index]), precision)) }
+        ],
+        xLabel: 'x',
+        yLabel: 'y'
+      }]
+    };
+  }
+
+  /**
+   * Counts in equal-width bins; the last bin includes the maximum
+   * @param {Object} params - { values, bins, precision }
+   * @returns {Object} - Calculation result
+   */
+  calculateHistogram(params) {
+    const { values, precision } = params;
+    const sorted = sortAscending(values);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const binCount = min === max ? 1 : (params.bins || Math.min(MAX_BINS, Math.ceil(Math.log2(values.length)) + 1));
+    const width = min === max ? 0 : (max - min) / binCount;
+
+    const counts = new Array(binCount).fill(0);
+    for (const value of values) {
+      const index = width === 0 ? 0 : Math.min(binCount - 1, Math.floor((value - min) / width));
+      counts[index] += 1;
+    }
+
+    let cumulative = 0;
+    const bins = counts.map((count, index) => {
+      cumulative += count;
+      const from = roundTo(min + width * index, precision);
+      const to = index === binCount - 1 ? max : roundTo(min + width * (index + 1), precision);
+      return {
+        from,
+        to,
+        count,
+        percent: roundTo((count / values.length) * 100, 2),
+        cumulativePercent: roundTo((cumulative / values.length) * 100, 2)
+      };
+    });
+    const label = bin => `${bin.from}–${bin.to}`;
+    const fullest = bins.reduce((best, bin) => (bin.count > best.count ? bin : best), bins[0]);
+
+    return {
+      values: { bins, binWidth: roundTo(width, precision) },
+      formula: 'bin width = (max − min) / bins; each bin is [from, to), the last one [from, to]',
+      explanation: `${values.length} values in ${binCount} bin${binCount === 1 ? '' : 's'}; ` +
+        `the most common range is ${label(fullest)} with ${fullest.count} value${fullest.count === 1 ? '' : 's'}`,
+      tables: [{
+        title: 'Histogram',
+        columns: [
+          { key: 'range', label: 'Range' },
+          { key: 'count', label: 'Count' },
+          { key: 'percent', label: 'Percent' },
+          { key: 'cumulativePercent', label: 'Cumulative %' }
+        ],
+        rows: bins.map(bin => [label(bin), bin.count, bin.percent, bin.cumulativePercent])
+      }],
+      charts: [{
+        title: 'Histogram',
+        chartType: 'bar',
+        labels: bins.map(label),
+        series: [{ name: 'Count', values: counts }],
+        xLabel: 'Range',
+        yLabel: 'Count'
+      }]
+    };
+  }
+}
+
+/**
+ * Read numbers from an array or from pasted text
+ * @param {Array|string} input - Numbers, or text separated by commas, semicolons, spaces or new lines
+ * @param {string} name - Parameter name for error messages
+ * @returns {Object} - { values } or { error }
+ */
+function parseNumbers(input, name) {
+  const items = typeof input === 'string'
+    ? input.split(/[\s,;]+/).filter(item => item !== '')
+    : input;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: `${name} must contain at least one number` };
+  }
+
+  const values = [];
+  for (const item of items) {
+    const value = typeof item === 'number' ? item : Number(String(item).trim());
+    if (!Number.isFinite(value)) {
+      return { error: `${name} contains '${item}', which is not a number` };
+    }
+    values.push(value);
+  }
+
+  if (values.length > MAX_VALUES) {
+    return { error: `${name} has ${values.length} values; at most ${MAX_VALUES} are supported` };
+  }
+
+  return { values };
+}
+
+/**
+ * Every summary measure at once
+ * @param {number[]} values - Data
+ * @param {boolean} sample - Divide by n − 1 instead of n
+ * @returns {Object} - Unrounded measures; variance is null for a sample of one
+ */
+function summarize(values, sample) {
+  const sorted = sortAscending(values);
+  const count = values.length;
+  const sum = values.reduce((total, value) => total + value, 0);
+  const average = sum / count;
+  const squares = values.reduce((total, value) => total + (value - average) ** 2, 0);
+  const divisor = sample ? count - 1 : count;
+  const variance = divisor > 0 ? squares / divisor : null;
+
+  const frequencies = new Map();
+  for (const value of values) {
+    frequencies.set(value, (frequencies.get(value) || 0) + 1);
+  }
+  const modeFrequency = Math.max(...frequencies.values());
+  const mode = modeFrequency > 1
+    ? Array.from(frequencies.keys()).filter(value => frequencies.get(value) === modeFrequency).sort((a, b) => a - b)
+    : [];
+
+  return {
+    count,
+    sum,
+    mean: average,
+    median: percentileOf(sorted, 50),
+    mode,
+    modeFrequency,
+    min: sorted[0],
+    max: sorted[count - 1],
+    variance,
+    standardDeviation: variance === null ? null : Math.sqrt(variance),
+    q1: percentileOf(sorted, 25),
+    q3: percentileOf(sorted, 75)
+  };
+}
+
+/**
+ * Percentile by linear interpolation between closest ranks (as in Excel PERCENTILE.INC and NumPy's default)
+ * @param {number[]} sorted - Data sorted ascending
+ * @param {number} percentile - 0 to 100
+ * @returns {number} - Value at the percentile
+ */
+function percentileOf(sorted, percentile) {
+  const position = (sorted.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+/**
+ * Pearson correlation coefficient and covariance
+ * @param {number[]} xValues - x
+ * @param {number[]} yValues - y, same length
+ * @returns {Object} - { r, covariance } (sample covariance)
+ */
+function pearson(xValues, yValues) {
+  const xMean = mean(xValues);
+  const yMean = mean(yValues);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+
+  xValues.forEach((x, index) => {
+    sxy += (x - xMean) * (yValues[index] - yMean);
+    sxx += (x - xMean) ** 2;
+    syy += (yValues[index] - yMean) ** 2;
+  });
+
+  return {
+    r: Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))),
+    covariance: sxy / (xValues.length - 1)
+  };
+}
+
+/**
+ * Check x and y values can be paired for correlation or regression
+ * @param {number[]} xValues - x
+ * @param {number[]} yValues - y
+ * @returns {Object} - {} or { error }
+ */
+function checkPairs(xValues, yValues) {
+  if (xValues.length !== yValues.length) {
+    return { error: `data has ${xValues.length} values but y_data has ${yValues.length}; they must be paired` };
+  }
+  if (xValues.length < 2) {
+    return { error: 'At least 2 pairs of values are needed' };
+  }
+  if (xValues.every(x => x === xValues[0])) {
+    return { error: 'The x values are all the same, so there is no line or correlation to fit' };
+  }
+  return {};
+}
+
+/**
+ * Words for the strength and direction of a correlation
+ * @param {number} r - Correlation coefficient
+ * @returns {string} - e.g. "strong positive correlation"
+ */
+function describeCorrelation(r) {
+  const size = Math.abs(r);
+  const strength = size >= 0.9 ? 'very strong' : size >= 0.7 ? 'strong' : size >= 0.4 ? 'moderate' : size >= 0.2 ? 'weak' : 'no meaningful';
+  const direction = size < 0.2 ? '' : r > 0 ? ' positive' : ' negative';
+  return `${strength}${direction} correlation`;
+}
+
+/**
+ * @param {boolean} sample - Sample or population variance
+ * @returns {string} - Variance formula
+ */
+function varianceFormula(sample) {
+  return sample ? 's² = Σ(x − mean)² / (n − 1)' : 'σ² = Σ(x − mean)² / n';
+}
+
+/**
+ * @param {number[]} values - Data
+ * @returns {number} - Arithmetic mean
+ */
+function mean(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * @param {number[]} values - Data
+ * @returns {number[]} - Sorted copy
+ */
+function sortAscending(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Round to a number of decimal places, dropping floating-point noise
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} - Rounded value
+ */
+function roundTo(value, decimals) {
+  const rounded = Number(value.toFixed(decimals));
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+export default StatisticsCalculator;
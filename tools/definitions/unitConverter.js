@@ -0,0 +1,127 @@
+/**
+ * Unit Converter Tool - Converts quantities between units
+ * Covers length, area, volume, mass, temperature, speed and time using the shared units module
+ */
+
+import BaseTool from '../base/baseTool.js';
+import { DIMENSIONS, parseQuantity, requireUnit, convert, formatQuantity, listUnits } from '../base/units.js';
+
+class UnitConverter extends BaseTool {
+  constructor() {
+    super(
+      'unit-converter',
+      `Converts a quantity to another unit. Supports ${DIMENSIONS.join(', ')}, ` +
+      'e.g. "5\'6\\"" to cm, "72 °F" to celsius, "1200 sq ft" to m2 or "60 mph" to km/h',
+      'conversion'
+    );
+
+    this.setupParameters();
+    this.setupExamples();
+  }
+
+  /**
+   * Setup tool parameters
+   */
+  setupParameters() {
+    this.addParameter(
+      'value',
+      ['number', 'string'],
+      true,
+      'Quantity to convert: a number with from_unit, or text with a unit like "3 ft", "5\'6\\"" or "1 h 30 min"'
+    );
+
+    this.addParameter(
+      'from_unit',
+      'string',
+      false,
+      'Unit of value when value is a plain number (e.g. ft, kg, fahrenheit)'
+    );
+
+    this.addParameter(
+      'to_unit',
+      'string',
+      true,
+      'Unit to convert to (e.g. m, lb, celsius, sq m, km/h)',
+      undefined,
+      { minLength: 1 }
+    );
+
+    this.addParameter(
+      'precision',
+      'integer',
+      false,
+      'Decimal places to round the result to (default: up to 12 significant digits)',
+      undefined,
+      { minimum: 0, maximum: 15 }
+    );
+  }
+
+  /**
+   * Setup usage examples
+   */
+  setupExamples() {
+    this.addExample(
+      'Convert a height to centimeters',
+      { value: '5\'6"', to_unit: 'cm' },
+      { value: 167.64, unit: 'cm', dimension: 'length', formatted: '5.5 ft = 167.64 cm' }
+    );
+
+    this.addExample(
+      'Convert 72 degrees Fahrenheit to Celsius',
+      { value: 72, from_unit: 'fahrenheit', to_unit: 'celsius', precision: 1 },
+      { value: 22.2, unit: '°C', dimension: 'temperature', formatted: '72°F = 22.2°C' }
+    );
+  }
+
+  /**
+   * Execute the conversion
+   * @param {Object} params - { value, from_unit, to_unit, precision }
+   * @returns {Promise<ToolResult>} - Converted value with its unit
+   */
+  async execute(params) {
+    try {
+      const preparedParams = this.prepareParameters(params);
+      const { value, from_unit, to_unit, precision } = preparedParams;
+
+      const target = requireUnit(to_unit);
+      const quantity = parseQuantity(value, { defaultUnit: from_unit });
+
+      if (!quantity.unit) {
+        return this.createErrorResult(
+          `No unit given for ${value}. Pass from_unit or include the unit in value (e.g. "${value} ft")`
+        );
+      }
+
+      if (quantity.unit.dimension !== target.dimension) {
+        const supported = listUnits(quantity.unit.dimension).map(unit => unit.symbol).join(', ');
+        return this.createErrorResult(
+          `Cannot convert ${quantity.unit.dimension} (${quantity.unit.symbol}) to ${target.dimension} (${target.symbol}). ` +
+          `${quantity.unit.dimension} units include: ${supported}`
+        );
+      }
+
+      const converted = convert(quantity.value, quantity.unit, target);
+      const rounded = precision === undefined ? converted : Number(converted.toFixed(precision));
+      const formatted = `${formatQuantity(quantity.value, quantity.unit)} = ${formatQuantity(rounded, target)}`;
+
+      return this.createSuccessResult(
+        {
+          value: rounded,
+          unit: target.symbol,
+          dimension: target.dimension,
+          from: { value: quantity.value, unit: quantity.unit.symbol },
+          formatted
+        },
+        `Converted ${formatted}`
+      );
+
+    } catch (error) {
+      return this.createErrorResult(
+        `Unit conversion failed: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+export default UnitConverter;
@@ -0,0 +1,214 @@
+/**
+ * Fault Injector - Chaos mode for tool execution
+ * Wraps tool calls made by ToolExecutor with injected latency, timeouts, intermittent
+ * network errors, malformed payloads and rate-limit responses, each with a per-tool probability,
+ * so error recovery and checkpoint handling can be exercised against the mock tools.
+ *
+ * Config:
+ * {
+ *   "enabled": true,
+ *   "seed": 42,
+ *   "defaults": { "error": 0.05 },
+ *   "tools": {
+ *     "weather-service": { "latency": { "probability": 0.5, "minMs": 500, "maxMs": 3000 }, "rateLimit": 0.2 },
+ *     "flight-service": { "timeout": 0.1, "malformed": 0.1 }
+ *   }
+ * }
+ * A fault given as a number is its probability. Tools not listed under "tools" use "defaults".
+ * With a seed, the same sequence of calls gets the same faults.
+ *
+ * Environment variables:
+ * - TOOL_CHAOS_CONFIG: path to a JSON config file, or the JSON itself
+ * - TOOL_CHAOS_ENABLED: set to false to ignore the config without removing it
+ */
+
+import { readFileSync } from 'fs';
+import { createSeededRandom, randomInt, pick } from '../base/seededRandom.js';
+
+export const FAULT_TYPES = ['latency', 'timeout', 'error', 'malformed', 'rateLimit'];
+
+const DEFAULT_FAULT_OPTIONS = {
+  latency: { probability: 0, minMs: 200, maxMs: 2000 },
+  timeout: { probability: 0 },
+  error: { probability: 0, message: 'Connection reset by peer' },
+  malformed: { probability: 0 },
+  rateLimit: { probability: 0, retryAfterMs: 1000 }
+};
+
+// Payloads a misbehaving upstream might hand back instead of a ToolResult
+const MALFORMED_PAYLOADS = [
+  () => null,
+  () => '{"success": true, "data": {"valu',
+  result => ({ data: result?.data })
+];
+
+class FaultInjector {
+  /**
+   * @param {Object} config - Chaos config (see module header)
+   */
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.seed = config.seed;
+    this.random = config.seed !== undefined ? createSeededRandom(config.seed) : Math.random;
+    this.defaults = this.normalizeFaults(config.defaults);
+    this.tools = {};
+    this.stats = { calls: 0, injected: {} };
+
+    for (const [toolName, faults] of Object.entries(config.tools || {})) {
+      this.tools[toolName] = this.normalizeFaults(faults, this.defaults);
+    }
+  }
+
+  /**
+   * Build an injector from TOOL_CHAOS_CONFIG, if set
+   * @returns {FaultInjector|null} - Injector, or null when chaos mode is off
+   */
+  static fromEnvironment() {
+    const source = process.env.TOOL_CHAOS_CONFIG;
+    if (!source || process.env.TOOL_CHAOS_ENABLED === 'false') {
+      return null;
+    }
+
+    try {
+      const text = source.trim().startsWith('{') ? source : readFileSync(source, 'utf8');
+      const injector = new FaultInjector(JSON.parse(text));
+      console.warn('⚠️ Tool chaos mode is on: tool calls will fail on purpose');
+      return injector;
+    } catch (error) {
+      console.error(`Ignoring TOOL_CHAOS_CONFIG: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fill in fault options, accepting plain probabilities
+   * @param {Object} faults - { faultType: probability | { probability, ...options } }
+   * @param {Object} base - Options to inherit
+   * @returns {Object} - Normalized options for every fault type
+   */
+  normalizeFaults(faults = {}, base = DEFAULT_FAULT_OPTIONS) {
+    const normalized = {};
+
+    for (const type of FAULT_TYPES) {
+      const value = faults[type];
+      const options = typeof value === 'number' ? { probability: value } : (value || {});
+      normalized[type] = { ...base[type], ...options };
+
+      const probability = normalized[type].probability;
+      if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+        throw new Error(`Fault probability for ${type} must be between 0 and 1`);
+      }
+    }
+
+    const unknown = Object.keys(faults).filter(type => !FAULT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fault type(s): ${unknown.join(', ')}. Use: ${FAULT_TYPES.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Run a tool call with faults injected around it
+   * @param {string} toolName - Tool being called
+   * @param {Function} invoke - () => Promise<ToolResult> that runs the tool
+   * @param {Object} context - { faults: Array } collecting the faults injected into this call
+   * @returns {Promise<*>} - Tool result, a malformed payload, or a rejection
+   */
+  async run(toolName, invoke, context = {}) {
+    if (!this.enabled) {
+      return invoke();
+    }
+
+    const faults = this.tools[toolName] || this.defaults;
+    const injected = context.faults || [];
+    this.stats.calls++;
+
+    if (this.roll(faults.latency)) {
+      const delay = randomInt(this.random, faults.latency.minMs, faults.latency.maxMs);
+      this.record(toolName, 'latency', injected);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (this.roll(faults.rateLimit)) {
+      this.record(toolName, 'rateLimit', injected);
+      throw this.createFaultError(
+        'RateLimitError',
+        `Rate limit exceeded for ${toolName}, retry after ${faults.rateLimit.retryAfterMs}ms`,
+        { fault: 'rateLimit', retryAfterMs: faults.rateLimit.retryAfterMs }
+      );
+    }
+
+    if (this.roll(faults.error)) {
+      this.record(toolName, 'error', injected);
+      throw this.createFaultError('NetworkError', `${toolName}: ${faults.error.message}`, { fault: 'error' });
+    }
+
+    if (this.roll(faults.timeout)) {
+      // Never settle, so the executor's own timeout fires
+      this.record(toolName, 'timeout', injected);
+      return new Promise(() => {});
+    }
+
+    const result = await invoke();
+
+    if (this.roll(faults.malformed)) {
+      this.record(toolName, 'malformed', injected);
+      return pick(this.random, MALFORMED_PAYLOADS)(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decide whether a fault fires
+   * @param {Object} fault - Fault options with a probability
+   * @returns {boolean} - Whether to inject it
+   */
+  roll(fault) {
+    return fault.probability > 0 && this.random() < fault.probability;
+  }
+
+  /**
+   * Count an injected fault and note it on the call
+   * @param {string} toolName - Tool name
+   * @param {string} type - Fault type
+   * @param {Array} injected - Faults injected into the current call
+   */
+  record(toolName, type, injected) {
+    injected.push(type);
+    const key = `${toolName}:${type}`;
+    this.stats.injected[key] = (this.stats.injected[key] || 0) + 1;
+    console.log(`🐒 Chaos: injected ${type} into ${toolName}`);
+  }
+
+  /**
+   * Create an error marked as injected
+   * @param {string} name - Error name (drives error recovery classification)
+   * @param {string} message - Error message
+   * @param {Object} details - Extra properties
+   * @returns {Error} - Injected error
+   */
+  createFaultError(name, message, details = {}) {
+    const error = new Error(message);
+    error.name = name;
+    error.injected = true;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Get injection statistics
+   * @returns {Object} - { enabled, seed, calls, injected: { 'tool:fault': count } }
+   */
+  getStatistics() {
+    return {
+      enabled: this.enabled,
+      seed: this.seed,
+      calls: this.stats.calls,
+      injected: { ...this.stats.injected }
+    };
+  }
+}
+
+export default FaultInjector;
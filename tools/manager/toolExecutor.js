@@ -3,26 +3,43 @@
  * Provides ground truth feedback from tool execution results
  */
 
+import { formatSchemaErrors } from '../base/parameterSchema.js';
+import FaultInjector from './faultInjector.js';
+import ToolResultCache, { getSharedToolResultCache, setSharedToolResultCache } from './toolResultCache.js';
+import { createAbortError, isAbortError } from '../../utils/abort.js';
+
 class ToolExecutor {
   constructor(toolRegistry) {
     this.toolRegistry = toolRegistry;
     this.executionHistory = [];
     this.activeExecutions = new Map();
     this.maxExecutionTime = 30000; // 30 seconds default timeout
+    // Chaos mode (TOOL_CHAOS_CONFIG); null when off
+    this.faultInjector = FaultInjector.fromEnvironment();
   }
 
   /**
    * Execute a tool with parameters and capture environmental feedback
    * @param {string} toolName - Name of tool to execute
    * @param {Object} params - Tool parameters
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options: { timeout, signal, cache }; cache: false skips the result cache
    * @returns {Promise<ToolExecutionResult>} - Execution result with feedback
    */
   async executeToolWithFeedback(toolName, params = {}, options = {}) {
     const executionId = this.generateExecutionId();
     const startTime = Date.now();
+    // Faults injected by chaos mode into this call
+    const injectedFaults = [];
+    // Aborted by cancelExecution, or when the caller's signal aborts
+    const abortController = new AbortController();
+    const onCallerAbort = () => abortController.abort(options.signal.reason);
 
     try {
+      if (options.signal?.aborted) {
+        throw createAbortError(options.signal.reason);
+      }
+      options.signal?.addEventListener('abort', onCallerAbort, { once: true });
+
       // Get tool from registry
       const tool = this.toolRegistry.getTool(toolName);
       if (!tool) {
@@ -30,21 +47,37 @@ class ToolExecutor {
           `Tool '${toolName}' not found in registry`, startTime);
       }
 
-      // Validate parameters
-      if (!tool.validate(params)) {
-        return this.createExecutionResult(executionId, false, null, 
-          `Parameter validation failed for tool '${toolName}'`, startTime);
+      // Validate parameters; tools without a schema (duck-typed plugins) only report pass/fail
+      const validation = typeof tool.validateParameters === 'function'
+        ? tool.validateParameters(params)
+        : { valid: tool.validate(params), errors: [] };
+
+      if (!validation.valid) {
+        const executionResult = this.createExecutionResult(executionId, false, null,
+          `Parameter validation failed for tool '${toolName}'` +
+          (validation.errors.length > 0 ? `: ${formatSchemaErrors(validation.errors)}` : ''),
+          startTime);
+        executionResult.validationErrors = validation.errors;
+        return executionResult;
       }
 
       // Prepare parameters with defaults
       const preparedParams = tool.prepareParameters(params);
 
+      // Shared by every executor in the process, so repeat calls hit across requests
+      const resultCache = options.cache === false ? null : getSharedToolResultCache();
+      const cached = resultCache ? resultCache.get(tool, preparedParams) : null;
+      if (cached) {
+        return this.createCachedExecutionResult(executionId, tool, preparedParams, cached, startTime);
+      }
+
       // Track active execution
       this.activeExecutions.set(executionId, {
         toolName,
         params: preparedParams,
         startTime,
-        timeout: options.timeout || this.maxExecutionTime
+        timeout: options.timeout || this.maxExecutionTime,
+        abortController
       });
 
       console.log(`Executing tool: ${toolName} (${executionId})`);
@@ -53,12 +86,18 @@ class ToolExecutor {
       const toolResult = await this.executeWithTimeout(
         tool, 
         preparedParams, 
-        options.timeout || this.maxExecutionTime
+        options.timeout || this.maxExecutionTime,
+        injectedFaults,
+        abortController.signal
       );
 
       // Update tool usage statistics
       tool.updateUsageStats();
 
+      if (resultCache) {
+        resultCache.set(tool, preparedParams, toolResult);
+      }
+
       // Remove from active executions
       this.activeExecutions.delete(executionId);
 
@@ -80,14 +119,14 @@ class ToolExecutor {
       );
 
       executionResult.environmentalFeedback = environmentalFeedback;
-
-      // Store in execution history
-      this.executionHistory.push(executionResult);
-
-      // Limit history size
-      if (this.executionHistory.length > 100) {
-        this.executionHistory = this.executionHistory.slice(-100);
+      if (injectedFaults.length > 0) {
+        executionResult.injectedFaults = injectedFaults;
       }
+      if (resultCache) {
+        environmentalFeedback.cacheHit = false;
+      }
+
+      this.recordExecution(executionResult);
 
       console.log(`Tool execution completed: ${toolName} (${executionId}) - ${toolResult.success ? 'SUCCESS' : 'FAILED'}`);
 
@@ -117,40 +156,136 @@ class ToolExecutor {
       );
 
       executionResult.environmentalFeedback = environmentalFeedback;
+      if (injectedFaults.length > 0) {
+        executionResult.injectedFaults = injectedFaults;
+      }
+      if (isAbortError(error)) {
+        executionResult.cancelled = true;
+      }
 
       // Store in execution history
       this.executionHistory.push(executionResult);
 
       return executionResult;
+    } finally {
+      options.signal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Build the execution result for a call answered from the result cache
+   * The tool is not run; its feedback carries cacheHit and a cache_hit observation with the entry's age
+   * @param {string} executionId - Execution ID
+   * @param {Tool} tool - Tool instance
+   * @param {Object} params - Prepared parameters
+   * @param {Object} cached - Entry from ToolResultCache.get
+   * @param {number} startTime - Start time
+   * @returns {ToolExecutionResult} - Execution result with feedback
+   */
+  createCachedExecutionResult(executionId, tool, params, cached, startTime) {
+    const toolResult = cached.result;
+    tool.updateUsageStats();
+
+    const executionResult = this.createExecutionResult(
+      executionId,
+      toolResult.success,
+      toolResult,
+      toolResult.message,
+      startTime
+    );
+    executionResult.cached = true;
+
+    const environmentalFeedback = this.generateEnvironmentalFeedback(tool.name, params, toolResult, executionResult);
+    environmentalFeedback.cacheHit = true;
+    environmentalFeedback.observations.unshift({
+      type: 'cache_hit',
+      message: `Result for '${tool.name}' reused from the cache (${Math.round(cached.ageMs / 1000)}s old)`,
+      cachedAt: new Date(cached.cachedAt),
+      expiresAt: new Date(cached.expiresAt),
+      ageMs: cached.ageMs,
+      confidence: 1.0
+    });
+    executionResult.environmentalFeedback = environmentalFeedback;
+
+    this.recordExecution(executionResult);
+
+    console.log(`Tool execution served from cache: ${tool.name} (${executionId})`);
+
+    return executionResult;
+  }
+
+  /**
+   * Add an execution to the history, keeping the last 100
+   * @param {ToolExecutionResult} executionResult - Execution result
+   */
+  recordExecution(executionResult) {
+    this.executionHistory.push(executionResult);
+
+    if (this.executionHistory.length > 100) {
+      this.executionHistory = this.executionHistory.slice(-100);
     }
   }
 
   /**
    * Execute tool with timeout protection
+   * In chaos mode the call goes through the fault injector; its injected errors reject
+   * like a real timeout instead of becoming a tool error result. The tool gets the signal
+   * in its context; when it aborts the call rejects with an AbortError straight away, and
+   * a timeout aborts it so the tool can stop its work
    * @param {Tool} tool - Tool instance
    * @param {Object} params - Tool parameters
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Array} injectedFaults - Collects faults injected into this call
+   * @param {AbortSignal} signal - Cancels the call
    * @returns {Promise<ToolResult>} - Tool result
    */
-  async executeWithTimeout(tool, params, timeout) {
+  async executeWithTimeout(tool, params, timeout, injectedFaults = [], signal = undefined) {
+    const abortController = new AbortController();
+    const onAbort = () => abortController.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) {
+      abortController.abort(signal.reason);
+    }
+
     return new Promise(async (resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        reject(new Error(`Tool execution timeout after ${timeout}ms`));
+        const error = new Error(`Tool execution timeout after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
+        abortController.abort(error);
       }, timeout);
 
+      abortController.signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(createAbortError(abortController.signal.reason));
+      }, { once: true });
+
       try {
-        const result = await tool.execute(params);
+        if (abortController.signal.aborted) {
+          throw createAbortError(abortController.signal.reason);
+        }
+
+        const invoke = () => tool.execute(params, { signal: abortController.signal });
+        const result = this.faultInjector
+          ? await this.faultInjector.run(tool.name, invoke, { faults: injectedFaults })
+          : await invoke();
         clearTimeout(timeoutId);
         
         // Ensure result has proper structure
-        if (!result || typeof result !== 'object') {
+        if (!result || typeof result !== 'object' || typeof result.success !== 'boolean') {
           resolve(tool.createErrorResult('Tool returned invalid result format'));
         } else {
           resolve(result);
         }
       } catch (error) {
         clearTimeout(timeoutId);
-        resolve(tool.createErrorResult(`Tool execution error: ${error.message}`, error));
+        if (error.injected || isAbortError(error)) {
+          reject(error);
+        } else {
+          resolve(tool.createErrorResult(`Tool execution error: ${error.message}`, error));
+        }
+      } finally {
+        signal?.removeEventListener('abort', onAbort);
       }
     });
   }
@@ -350,12 +485,16 @@ class ToolExecutor {
 
   /**
    * Cancel active execution
+   * Aborts the tool's signal; the pending call resolves with a failed, cancelled result
    * @param {string} executionId - Execution ID to cancel
+   * @param {string} reason - Why it was cancelled
    * @returns {boolean} - Whether execution was cancelled
    */
-  cancelExecution(executionId) {
-    if (this.activeExecutions.has(executionId)) {
+  cancelExecution(executionId, reason = 'Execution cancelled') {
+    const execution = this.activeExecutions.get(executionId);
+    if (execution) {
       this.activeExecutions.delete(executionId);
+      execution.abortController.abort(reason);
       console.log(`Execution cancelled: ${executionId}`);
       return true;
     }
@@ -368,6 +507,7 @@ class ToolExecutor {
    */
   getStatistics() {
     const history = this.executionHistory;
+    const resultCache = getSharedToolResultCache();
     const successful = history.filter(exec => exec.success).length;
     const failed = history.filter(exec => !exec.success).length;
     
@@ -381,7 +521,10 @@ class ToolExecutor {
       failedExecutions: failed,
       successRate: history.length > 0 ? (successful / history.length) * 100 : 0,
       averageExecutionTime: Math.round(avgExecutionTime),
-      activeExecutions: this.activeExecutions.size
+      activeExecutions: this.activeExecutions.size,
+      cachedExecutions: history.filter(exec => exec.cached).length,
+      faultInjection: this.faultInjector ? this.faultInjector.getStatistics() : null,
+      cache: resultCache ? resultCache.getStatistics() : null
     };
   }
 
@@ -393,6 +536,35 @@ class ToolExecutor {
     console.log('Execution history cleared');
   }
 
+  /**
+   * Turn chaos mode on with a config, or off with null
+   * @param {Object|null} config - Fault injection config (see faultInjector.js)
+   */
+  setFaultInjection(config) {
+    this.faultInjector = config ? new FaultInjector(config) : null;
+    console.log(`Tool chaos mode ${this.faultInjector?.enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Turn the result cache on with settings, or off with null
+   * The cache is process-wide, so this applies to every executor, not just this one
+   * @param {Object|null} config - { defaultTtlMs, maxEntries } (see toolResultCache.js)
+   */
+  setResultCache(config) {
+    setSharedToolResultCache(config ? new ToolResultCache(config) : null);
+    console.log(`Tool result cache ${config ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Drop cached tool results
+   * @param {string} [toolName] - Only drop this tool's results
+   * @returns {number} - Entries removed
+   */
+  clearResultCache(toolName) {
+    const resultCache = getSharedToolResultCache();
+    return resultCache ? resultCache.clear(toolName) : 0;
+  }
+
   /**
    * Set maximum execution timeout
    * @param {number} timeout - Timeout in milliseconds
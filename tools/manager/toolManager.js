@@ -9,6 +9,11 @@ import ObservationGenerator from '../../agent/observation/observationGenerator.j
 import AreaCalculator from '../definitions/areaCalculator.js';
 import PercentageCalculator from '../definitions/percentageCalculator.js';
 import { WeatherService, FlightService } from '../definitions/mockServices.js';
+import CodeExecutor from '../definitions/codeExecutor.js';
+import FinancialCalculator from '../definitions/financialCalculator.js';
+import UnitConverter from '../definitions/unitConverter.js';
+import StatisticsCalculator from '../definitions/statisticsCalculator.js';
+import EquationSolver from '../definitions/equationSolver.js';
 
 class ToolManager {
   constructor() {
@@ -36,6 +41,9 @@ class ToolManager {
       // Register all preset tools
       await this.registerPresetTools();
 
+      // Register tools shipped as plugins
+      await this.registerPluginTools();
+
       this.initialized = true;
       console.log('Tool Manager initialized successfully');
       
@@ -63,6 +71,18 @@ class ToolManager {
       const percentageCalculator = new PercentageCalculator();
       this.toolRegistry.registerTool(percentageCalculator);
 
+      const financialCalculator = new FinancialCalculator();
+      this.toolRegistry.registerTool(financialCalculator);
+
+      const unitConverter = new UnitConverter();
+      this.toolRegistry.registerTool(unitConverter);
+
+      const statisticsCalculator = new StatisticsCalculator();
+      this.toolRegistry.registerTool(statisticsCalculator);
+
+      const equationSolver = new EquationSolver();
+      this.toolRegistry.registerTool(equationSolver);
+
       // Register mock services
       const weatherService = new WeatherService();
       this.toolRegistry.registerTool(weatherService);
@@ -70,6 +90,10 @@ class ToolManager {
       const flightService = new FlightService();
       this.toolRegistry.registerTool(flightService);
 
+      // Register sandboxed code execution
+      const codeExecutor = new CodeExecutor();
+      this.toolRegistry.registerTool(codeExecutor);
+
       console.log('All preset tools registered successfully');
 
     } catch (error) {
@@ -78,6 +102,24 @@ class ToolManager {
     }
   }
 
+  /**
+   * Register tools from the plugins directory and manifest
+   * A broken plugin is logged and skipped; it never prevents startup
+   * @returns {Promise<Object>} - Plugin load report
+   */
+  async registerPluginTools() {
+    try {
+      const report = await this.toolRegistry.loadPlugins();
+      if (report.loaded.length > 0 || report.failed.length > 0) {
+        console.log(`Tool plugins: ${report.loaded.length} loaded, ${report.failed.length} failed`);
+      }
+      return report;
+    } catch (error) {
+      console.error('Error loading tool plugins:', error);
+      return { loaded: [], failed: [{ source: 'plugin loader', error: error.message }] };
+    }
+  }
+
   /**
    * Execute a tool and generate observations
    * @param {string} toolName - Name of tool to execute
@@ -163,9 +205,16 @@ class ToolManager {
         }
 
       } else {
-        // Create error observation
+        // Create error observation; executor errors keep their name (TimeoutError, NetworkError, ...)
+        // so error recovery can classify them
+        let failure = executionResult.toolResult;
+        if (!failure) {
+          failure = new Error(executionResult.message);
+          failure.name = executionResult.error?.name || 'Error';
+        }
+
         const errorObs = this.observationGenerator.createErrorObservation(
-          executionResult.toolResult || new Error(executionResult.message),
+          failure,
           'tool execution',
           { executionId: executionResult.executionId }
         );
@@ -361,6 +410,22 @@ class ToolManager {
     this.toolExecutor.setMaxExecutionTime(timeout);
   }
 
+  /**
+   * Turn tool chaos mode on or off
+   * @param {Object|null} config - Fault injection config, or null to disable
+   */
+  setFaultInjection(config) {
+    this.toolExecutor.setFaultInjection(config);
+  }
+
+  /**
+   * Turn the process-wide tool result cache on or off
+   * @param {Object|null} config - Cache settings ({ defaultTtlMs, maxEntries }), or null to disable
+   */
+  setResultCache(config) {
+    this.toolExecutor.setResultCache(config);
+  }
+
   /**
    * Clear execution history
    */
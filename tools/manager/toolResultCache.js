@@ -0,0 +1,225 @@
+/**
+ * Tool Result Cache - Reuses successful tool results for identical calls
+ * Entries are keyed by tool name and the prepared parameters (defaults applied, object keys
+ * sorted), so weather-service's { location: 'Paris', units: 'celsius' } and { location: 'Paris' }
+ * share an entry, celsius being its default. Only successful results are stored.
+ *
+ * Tools opt out with `this.cacheable = false` and set their own lifetime with `this.cacheTtlMs`;
+ * otherwise the cache's default TTL applies. The least recently used entry is evicted when full.
+ * One cache is shared by the whole process (getSharedToolResultCache), so results outlive the
+ * per-request tool managers.
+ *
+ * Environment variables:
+ * - TOOL_CACHE_ENABLED: set to true to turn the cache on (off by default)
+ * - TOOL_CACHE_TTL_MS: default entry lifetime (default 300000, five minutes)
+ * - TOOL_CACHE_MAX_ENTRIES: entries kept before evicting (default 500)
+ */
+
+import { canonicalize } from '../base/seededRandom.js';
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+class ToolResultCache {
+  /**
+   * @param {Object} config - { defaultTtlMs, maxEntries }
+   */
+  constructor(config = {}) {
+    this.defaultTtlMs = config.defaultTtlMs ?? DEFAULT_TTL_MS;
+    this.maxEntries = config.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, stores: 0, expired: 0, evictions: 0, hitsByTool: {} };
+
+    if (!(this.defaultTtlMs > 0) || !(this.maxEntries > 0)) {
+      throw new Error('Tool cache TTL and max entries must be positive numbers');
+    }
+  }
+
+  /**
+   * Build a cache from TOOL_CACHE_ENABLED, if set
+   * @returns {ToolResultCache|null} - Cache, or null when caching is off
+   */
+  static fromEnvironment() {
+    if (process.env.TOOL_CACHE_ENABLED !== 'true') {
+      return null;
+    }
+
+    try {
+      const cache = new ToolResultCache({
+        defaultTtlMs: process.env.TOOL_CACHE_TTL_MS ? Number(process.env.TOOL_CACHE_TTL_MS) : undefined,
+        maxEntries: process.env.TOOL_CACHE_MAX_ENTRIES ? Number(process.env.TOOL_CACHE_MAX_ENTRIES) : undefined
+      });
+      console.log(`Tool result cache enabled (TTL ${cache.defaultTtlMs}ms, ${cache.maxEntries} entries)`);
+      return cache;
+    } catch (error) {
+      console.error(`Ignoring tool cache settings: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a tool's results may be cached
+   * @param {Tool} tool - Tool instance
+   * @returns {boolean} - False for tools that set cacheable = false
+   */
+  isCacheable(tool) {
+    return tool.cacheable !== false;
+  }
+
+  /**
+   * Lifetime of a tool's entries
+   * @param {Tool} tool - Tool instance
+   * @returns {number} - TTL in milliseconds
+   */
+  getTtl(tool) {
+    return tool.cacheTtlMs > 0 ? tool.cacheTtlMs : this.defaultTtlMs;
+  }
+
+  /**
+   * Build the key for a call
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Prepared parameters
+   * @returns {string} - Cache key
+   */
+  createKey(toolName, params) {
+    return `${toolName}:${canonicalize(params)}`;
+  }
+
+  /**
+   * Look up a cached result and count the hit or miss
+   * @param {Tool} tool - Tool instance
+   * @param {Object} params - Prepared parameters
+   * @returns {Object|null} - { result, cachedAt, expiresAt, ageMs }, or null on a miss
+   */
+  get(tool, params) {
+    if (!this.isCacheable(tool)) {
+      return null;
+    }
+
+    const key = this.createKey(tool.name, params);
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      this.stats.expired++;
+    } else if (entry) {
+      // Re-inserting keeps the Map ordered from least to most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      this.stats.hitsByTool[tool.name] = (this.stats.hitsByTool[tool.name] || 0) + 1;
+
+      return {
+        result: structuredClone(entry.result),
+        cachedAt: entry.cachedAt,
+        expiresAt: entry.expiresAt,
+        ageMs: now - entry.cachedAt
+      };
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a successful result
+   * @param {Tool} tool - Tool instance
+   * @param {Object} params - Prepared parameters
+   * @param {ToolResult} result - Result to reuse
+   * @returns {boolean} - Whether it was stored
+   */
+  set(tool, params, result) {
+    if (!this.isCacheable(tool) || !result?.success) {
+      return false;
+    }
+
+    let copy;
+    try {
+      copy = structuredClone(result);
+    } catch (error) {
+      // Results holding functions or other uncloneable values are not worth the risk of sharing
+      console.warn(`Not caching ${tool.name} result: ${error.message}`);
+      return false;
+    }
+
+    const key = this.createKey(tool.name, params);
+    const cachedAt = Date.now();
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      result: copy,
+      cachedAt,
+      expiresAt: cachedAt + this.getTtl(tool)
+    });
+    this.stats.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop cached results
+   * @param {string} [toolName] - Only drop this tool's entries
+   * @returns {number} - Entries removed
+   */
+  clear(toolName) {
+    if (!toolName) {
+      const removed = this.entries.size;
+      this.entries.clear();
+      return removed;
+    }
+
+    const keys = Array.from(this.entries.keys()).filter(key => key.startsWith(`${toolName}:`));
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - { size, hits, misses, hitRate, stores, expired, evictions, hitsByTool, ... }
+   */
+  getStatistics() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: true,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      defaultTtlMs: this.defaultTtlMs,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups) * 100 : 0,
+      stores: this.stats.stores,
+      expired: this.stats.expired,
+      evictions: this.stats.evictions,
+      hitsByTool: { ...this.stats.hitsByTool }
+    };
+  }
+}
+
+/**
+ * Get the process-wide result cache, built from the environment on first use
+ * Tool managers and their executors are created per request, so a cache on each would never see a repeat call
+ * @returns {ToolResultCache|null} - Shared cache, or null when caching is off
+ */
+export function getSharedToolResultCache() {
+  if (globalThis.__toolResultCache === undefined) {
+    globalThis.__toolResultCache = ToolResultCache.fromEnvironment();
+  }
+  return globalThis.__toolResultCache;
+}
+
+/**
+ * Replace the process-wide result cache
+ * @param {ToolResultCache|null} cache - New cache, or null to turn caching off
+ */
+export function setSharedToolResultCache(cache) {
+  globalThis.__toolResultCache = cache;
+}
+
+export default ToolResultCache;
@@ -0,0 +1,252 @@
+/**
+ * Tool Plugin Loader - Finds tool classes in a plugins directory and/or a JSON manifest
+ *
+ * Directory: every top-level .js/.mjs file (names starting with "_" are skipped as helpers).
+ * Each exported BaseTool subclass, or exported tool instance, becomes a tool.
+ *
+ * Manifest:
+ * {
+ *   "plugins": [
+ *     { "module": "./finance/loanTool.mjs", "export": "LoanTool", "options": {}, "enabled": true }
+ *   ]
+ * }
+ * "module" is resolved relative to the manifest; "export" defaults to every tool-like export;
+ * "options" is passed to the class constructor.
+ *
+ * Environment variables:
+ * - TOOL_PLUGINS_DIR: plugins directory (default ./plugins/tools)
+ * - TOOL_PLUGINS_MANIFEST: manifest file (default ./plugins/tools.json)
+ * - TOOL_PLUGINS_HOT_RELOAD: re-import changed files on every load (default on outside production)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+// Methods ToolExecutor calls on every tool; all BaseTool subclasses have them
+const TOOL_METHODS = ['execute', 'validate', 'prepareParameters', 'updateUsageStats'];
+
+class ToolPluginLoader {
+  /**
+   * @param {Object} options - Loader options
+   * @param {string} options.directory - Plugins directory
+   * @param {string} options.manifestPath - Manifest file
+   * @param {boolean} options.hotReload - Re-import changed plugin files on each load
+   */
+  constructor(options = {}) {
+    const env = process.env;
+    this.directory = options.directory || env.TOOL_PLUGINS_DIR || path.join(process.cwd(), 'plugins', 'tools');
+    this.manifestPath = options.manifestPath || env.TOOL_PLUGINS_MANIFEST || path.join(process.cwd(), 'plugins', 'tools.json');
+    this.hotReload = options.hotReload !== undefined
+      ? Boolean(options.hotReload)
+      : env.TOOL_PLUGINS_HOT_RELOAD !== undefined
+        ? env.TOOL_PLUGINS_HOT_RELOAD !== 'false'
+        : env.NODE_ENV !== 'production';
+
+    // file path -> { version, module }
+    this.moduleCache = new Map();
+    // Without hot reload the plugin list is resolved once
+    this.resolvedPlugins = null;
+  }
+
+  /**
+   * Resolve every configured plugin to tool factories
+   * Failures are reported per plugin and never stop the others from loading
+   * @returns {Promise<Array>} - [{ source, factories: [{ exportName, create }], error }]
+   */
+  async loadPlugins() {
+    if (this.resolvedPlugins && !this.hotReload) {
+      return this.resolvedPlugins;
+    }
+
+    const entries = [
+      ...(await this.readDirectoryEntries()),
+      ...(await this.readManifestEntries())
+    ];
+
+    const plugins = [];
+    for (const entry of entries) {
+      plugins.push(await this.resolveEntry(entry));
+    }
+
+    this.resolvedPlugins = plugins;
+    return plugins;
+  }
+
+  /**
+   * Forget loaded modules so the next load imports every plugin again
+   */
+  reload() {
+    this.moduleCache.clear();
+    this.resolvedPlugins = null;
+    console.log('Tool plugin cache cleared');
+  }
+
+  /**
+   * List plugin files in the plugins directory
+   * @returns {Promise<Array>} - Plugin entries; empty if the directory doesn't exist
+   */
+  async readDirectoryEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        return [{ source: this.directory, error: `Could not read plugins directory: ${error.message}` }];
+      }
+      return [];
+    }
+
+    return files
+      .filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file)) && !file.startsWith('_') && !file.startsWith('.'))
+      .sort()
+      .map(file => ({
+        source: path.join(this.directory, file),
+        modulePath: path.join(this.directory, file)
+      }));
+  }
+
+  /**
+   * Read plugin entries from the manifest
+   * @returns {Promise<Array>} - Plugin entries; empty if there is no manifest
+   */
+  async readManifestEntries() {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      return [{ source: this.manifestPath, error: `Invalid plugin manifest: ${error.message}` }];
+    }
+
+    if (!manifest || !Array.isArray(manifest.plugins)) {
+      return [{ source: this.manifestPath, error: 'Invalid plugin manifest: "plugins" must be an array' }];
+    }
+
+    const baseDirectory = path.dirname(this.manifestPath);
+
+    // Sources keep the manifest position, so map before dropping disabled entries
+    return manifest.plugins
+      .map((plugin, index) => {
+        if (plugin && plugin.enabled === false) {
+          return null;
+        }
+        if (!plugin || typeof plugin.module !== 'string' || plugin.module.trim() === '') {
+          return { source: `${this.manifestPath}#${index}`, error: 'Manifest entry needs a "module" path' };
+        }
+        return {
+          source: `${this.manifestPath}#${index}`,
+          modulePath: path.resolve(baseDirectory, plugin.module),
+          exportName: typeof plugin.export === 'string' ? plugin.export : null,
+          options: plugin.options && typeof plugin.options === 'object' ? plugin.options : {}
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Import one plugin module and pick out its tool exports
+   * @param {Object} entry - Plugin entry
+   * @returns {Promise<Object>} - { source, factories, error }
+   */
+  async resolveEntry(entry) {
+    if (entry.error) {
+      return { source: entry.source, factories: [], error: entry.error };
+    }
+
+    try {
+      const module = await this.importModule(entry.modulePath);
+      const candidates = entry.exportName
+        ? [[entry.exportName, module[entry.exportName]]]
+        : Object.entries(module);
+
+      if (entry.exportName && module[entry.exportName] === undefined) {
+        throw new Error(`Module has no export named '${entry.exportName}'`);
+      }
+
+      // The default export is often also a named export; keep one copy
+      const seen = new Set();
+      const factories = [];
+      for (const [exportName, value] of candidates) {
+        if (seen.has(value)) continue;
+        seen.add(value);
+
+        const factory = this.createFactory(value, entry.options || {});
+        if (factory) {
+          factories.push({ exportName, create: factory });
+        }
+      }
+
+      if (factories.length === 0) {
+        throw new Error('Module exports no tool (expected a BaseTool subclass or tool instance)');
+      }
+
+      return { source: entry.source, factories, error: null };
+    } catch (error) {
+      return { source: entry.source, factories: [], error: error.message };
+    }
+  }
+
+  /**
+   * Make a factory for a tool-like export
+   * Classes are duck-typed: plugin files import BaseTool from source, which is a different
+   * module instance from the bundled one, so instanceof checks would reject them
+   * @param {*} value - Exported value
+   * @param {Object} options - Constructor options from the manifest
+   * @returns {Function|null} - Factory returning a new tool, or null if the export isn't a tool
+   */
+  createFactory(value, options) {
+    const hasToolMethods = target => TOOL_METHODS.every(method => typeof target[method] === 'function');
+
+    if (typeof value === 'function' && value.prototype && hasToolMethods(value.prototype)) {
+      return () => new value(options);
+    }
+    if (value && typeof value === 'object' && hasToolMethods(value)) {
+      return () => value;
+    }
+    return null;
+  }
+
+  /**
+   * Import a plugin file, re-importing it after it changes when hot reload is on
+   * @param {string} modulePath - Absolute module path
+   * @returns {Promise<Object>} - Module namespace
+   */
+  async importModule(modulePath) {
+    const stats = await fs.stat(modulePath);
+    const version = this.hotReload ? stats.mtimeMs : 0;
+    const cached = this.moduleCache.get(modulePath);
+
+    if (cached && cached.version === version) {
+      return cached.module;
+    }
+
+    // A new query string makes Node treat the changed file as a new module
+    const url = pathToFileURL(modulePath).href + (this.hotReload ? `?v=${version}` : '');
+    const module = await import(/* webpackIgnore: true */ url);
+
+    if (cached) {
+      console.log(`Tool plugin reloaded: ${modulePath}`);
+    }
+
+    this.moduleCache.set(modulePath, { version, module });
+    return module;
+  }
+}
+
+/**
+ * Get the process-wide plugin loader
+ * Shared so module versions are cached across the per-request tool registries
+ * @returns {ToolPluginLoader} - Shared loader
+ */
+export function getToolPluginLoader() {
+  if (!globalThis.__toolPluginLoader) {
+    globalThis.__toolPluginLoader = new ToolPluginLoader();
+  }
+  return globalThis.__toolPluginLoader;
+}
+
+export default ToolPluginLoader;
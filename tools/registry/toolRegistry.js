@@ -3,11 +3,15 @@
  * Implements tool registration, validation, and discovery
  */
 
+import { getToolPluginLoader } from './pluginLoader.js';
+
 class ToolRegistry {
   constructor() {
     this.tools = new Map();
     this.categories = new Set();
     this.initialized = false;
+    this.pluginTools = new Map(); // tool name -> plugin source
+    this.pluginReport = { loaded: [], failed: [] };
   }
 
   /**
@@ -40,6 +44,54 @@ class ToolRegistry {
     console.log(`Tool registered: ${tool.name} (${tool.category})`);
   }
 
+  /**
+   * Register tools found by the plugin loader, replacing any plugin tools loaded earlier
+   * Each plugin that fails to load or validate is reported without affecting the others
+   * @param {ToolPluginLoader} loader - Plugin loader (default: the shared loader)
+   * @returns {Promise<Object>} - { loaded: [{ source, exportName, tool }], failed: [{ source, exportName?, error }] }
+   */
+  async loadPlugins(loader = getToolPluginLoader()) {
+    for (const toolName of this.pluginTools.keys()) {
+      this.removeTool(toolName);
+    }
+    this.pluginTools.clear();
+
+    const report = { loaded: [], failed: [] };
+    const plugins = await loader.loadPlugins();
+
+    for (const plugin of plugins) {
+      if (plugin.error) {
+        report.failed.push({ source: plugin.source, error: plugin.error });
+        continue;
+      }
+
+      for (const { exportName, create } of plugin.factories) {
+        try {
+          const tool = create();
+
+          // Plugins extend the core tool set; they can't replace core tools
+          if (this.tools.has(tool?.name)) {
+            const owner = this.pluginTools.get(tool.name) || 'a core tool';
+            throw new Error(`Tool name '${tool.name}' is already registered by ${owner}`);
+          }
+
+          this.registerTool(tool);
+          this.pluginTools.set(tool.name, plugin.source);
+          report.loaded.push({ source: plugin.source, exportName, tool: tool.name });
+        } catch (error) {
+          report.failed.push({ source: plugin.source, exportName, error: error.message });
+        }
+      }
+    }
+
+    for (const failure of report.failed) {
+      console.error(`Tool plugin failed: ${failure.source}${failure.exportName ? ` (${failure.exportName})` : ''} - ${failure.error}`);
+    }
+
+    this.pluginReport = report;
+    return report;
+  }
+
   /**
    * Retrieve a tool by name
    * @param {string} name - Tool name
@@ -108,6 +160,7 @@ class ToolRegistry {
       description: tool.description,
       category: tool.category,
       parameters: tool.parameters,
+      parameterSchema: tool.getParameterSchema ? tool.getParameterSchema() : null,
       examples: tool.examples || [],
       usage: tool.getUsageInstructions ? tool.getUsageInstructions() : null
     };
@@ -229,8 +282,10 @@ class ToolRegistry {
       return false;
     }
 
-    const validTypes = ['string', 'number', 'boolean', 'object', 'array'];
-    if (!validTypes.includes(parameter.type)) {
+    // A list of types (e.g. ['number', 'string']) accepts any of them
+    const validTypes = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+    const types = Array.isArray(parameter.type) ? parameter.type : [parameter.type];
+    if (types.length === 0 || !types.every(type => validTypes.includes(type))) {
       console.error(`Parameter validation failed: invalid type '${parameter.type}'`);
       return false;
     }
@@ -240,6 +295,11 @@ class ToolRegistry {
       return false;
     }
 
+    if (parameter.constraints !== undefined && (typeof parameter.constraints !== 'object' || parameter.constraints === null)) {
+      console.error('Parameter validation failed: constraints must be an object');
+      return false;
+    }
+
     return true;
   }
 
@@ -278,6 +338,7 @@ class ToolRegistry {
   clear() {
     this.tools.clear();
     this.categories.clear();
+    this.pluginTools.clear();
     console.log('Tool registry cleared');
   }
 
@@ -314,7 +375,8 @@ class ToolRegistry {
       toolCount: this.tools.size,
       categoryCount: this.categories.size,
       tools: Array.from(this.tools.keys()),
-      categories: Array.from(this.categories)
+      categories: Array.from(this.categories),
+      plugins: this.pluginReport
     };
   }
 }
@@ -0,0 +1,93 @@
+/**
+ * Abort helpers - cancellation with AbortSignal across tools, LLM calls and agent runs
+ */
+
+/**
+ * Create the error raised when work is cancelled
+ * @param {*} reason - Why it was cancelled (a string, or the signal's reason)
+ * @returns {Error} - Error named AbortError
+ */
+export function createAbortError(reason) {
+  const detail = typeof reason === 'string' ? reason : reason?.message;
+  const error = new Error(detail && detail !== 'This operation was aborted' ? `Cancelled: ${detail}` : 'Cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error came from cancellation (ours, fetch's or an SDK's)
+ * @param {*} error - Caught error
+ * @returns {boolean} - Whether it is an abort
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has fired
+ * @param {AbortSignal|undefined} signal - Signal to check
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal.reason);
+  }
+}
+
+/**
+ * Settle with a promise, or reject with an AbortError as soon as the signal fires
+ * The promise itself keeps running; pass the signal down as well so it can stop
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal|undefined} signal - Cancellation signal
+ * @returns {Promise<*>} - The promise's result
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal.reason));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal.reason));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait for a while, stopping early if the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Cancellation signal
+ * @returns {Promise<void>} - Resolves after the delay, rejects with an AbortError on cancel
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal.reason));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError(signal.reason));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,45 @@
+/**
+ * Concurrency helpers - run async work over a list with a cap on how much overlaps
+ */
+
+/**
+ * Map items through an async function, running at most `limit` at a time
+ * Results keep the order of `items`, whatever order the calls finish in. Items for which
+ * `isExclusive` returns true act as barriers: they wait for everything before them and run alone.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum calls in flight (1 runs them one after another)
+ * @param {Function} fn - async (item, index) => result
+ * @param {Object} options - { isExclusive: (item) => boolean }
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn, options = {}) {
+  const isExclusive = options.isExclusive || (() => false);
+  const maxInFlight = Math.max(1, Math.floor(limit) || 1);
+  const results = new Array(items.length);
+  let group = [];
+
+  const runGroup = async () => {
+    let next = 0;
+    const worker = async () => {
+      while (next < group.length) {
+        const index = group[next++];
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(maxInFlight, group.length) }, worker));
+    group = [];
+  };
+
+  for (let index = 0; index < items.length; index++) {
+    if (isExclusive(items[index])) {
+      await runGroup();
+      results[index] = await fn(items[index], index);
+    } else {
+      group.push(index);
+    }
+  }
+  await runGroup();
+
+  return results;
+}
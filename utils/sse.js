@@ -0,0 +1,73 @@
+/**
+ * Server-Sent Events helpers - shared by streaming API routes and the chat client
+ */
+
+/**
+ * Format one SSE frame
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ * @returns {string} - SSE frame text
+ */
+export function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Read an SSE response body and dispatch each event as it arrives
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (event, data) for every frame
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatchFrame = (frame) => {
+    let event = 'message';
+    const dataLines = [];
+
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+
+    if (dataLines.length === 0) {
+      return;
+    }
+
+    onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatchFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatchFrame(buffer);
+  }
+}
+
+/**
+ * Check whether a fetch response is an SSE stream
+ * @param {Response} response - Fetch response
+ * @returns {boolean} - True for text/event-stream responses
+ */
+export function isEventStream(response) {
+  return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}